@@ -0,0 +1,213 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { getAuthToken, fetchWithAuth } from '@/lib/auth-client';
+
+const ACTION_LABELS = {
+  create: { label: 'Dibuat', className: 'bg-green-500/20 text-green-300' },
+  update: { label: 'Diubah', className: 'bg-blue-500/20 text-blue-300' },
+  delete: { label: 'Dihapus', className: 'bg-netflix-red/20 text-red-300' },
+  'login.failed': { label: 'Login gagal', className: 'bg-yellow-500/20 text-yellow-300' },
+  'login.locked': { label: 'Dikunci', className: 'bg-netflix-red/20 text-red-300' },
+  'login.blocked': { label: 'Login diblokir', className: 'bg-netflix-red/20 text-red-300' },
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Admin audit log: who changed which match, and failed or blocked logins,
+ * filterable by admin and match
+ */
+export default function AdminAuditPage() {
+  const router = useRouter();
+  const [entries, setEntries] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [filters, setFilters] = useState(null); // { actor, matchId } once read from the URL
+  const [actor, setActor] = useState('');
+  const [matchId, setMatchId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async ({ actor, matchId }, before = null) => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams();
+      if (actor) params.set('actor', actor);
+      if (matchId) params.set('match_id', matchId);
+      if (before) params.set('before', before);
+
+      const response = await fetchWithAuth(`/api/audit-log?${params}`);
+      const result = await response.json();
+      if (response.status === 401) {
+        router.push('/admin/login');
+        return;
+      }
+      if (!response.ok || !result.success) {
+        setError(result.error || `Gagal memuat audit log (${response.status})`);
+        return;
+      }
+
+      setEntries(previous => (before ? [...previous, ...result.data] : result.data));
+      setNextBefore(result.nextBefore);
+    } catch (err) {
+      setError('Terjadi kesalahan: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [router]);
+
+  // Filters can come from the URL, e.g. /admin/audit?match_id=12
+  useEffect(() => {
+    getAuthToken().then(token => {
+      if (!token) {
+        router.push('/admin/login');
+        return;
+      }
+      const params = new URLSearchParams(window.location.search);
+      const initial = { actor: params.get('actor') || '', matchId: params.get('match_id') || '' };
+      setActor(initial.actor);
+      setMatchId(initial.matchId);
+      setFilters(initial);
+    });
+  }, [router]);
+
+  useEffect(() => {
+    if (filters) load(filters);
+  }, [filters, load]);
+
+  const handleFilter = (e) => {
+    e.preventDefault();
+    const next = { actor: actor.trim(), matchId: matchId.trim() };
+
+    const params = new URLSearchParams();
+    if (next.actor) params.set('actor', next.actor);
+    if (next.matchId) params.set('match_id', next.matchId);
+    router.replace(`/admin/audit${params.size ? `?${params}` : ''}`);
+    setFilters(next);
+  };
+
+  return (
+    <div className="min-h-screen bg-netflix-black">
+      {/* Header */}
+      <header className="sticky top-0 z-50 bg-netflix-black/95 backdrop-blur-sm border-b border-white/10">
+        <div className="container-custom py-4 flex justify-between items-center">
+          <Link href="/admin/dashboard" className="text-2xl font-bold text-gradient-red">
+            ⚽ TitikBola Admin
+          </Link>
+          <Link href="/admin/dashboard" className="btn btn-secondary text-sm">
+            ← Dashboard
+          </Link>
+        </div>
+      </header>
+
+      <div className="container-custom py-8">
+        <h2 className="text-2xl font-bold mb-6">Audit Log</h2>
+
+        {/* Filters */}
+        <form onSubmit={handleFilter} className="flex flex-wrap gap-3 mb-6">
+          <input
+            type="text"
+            value={actor}
+            onChange={(e) => setActor(e.target.value)}
+            className="input max-w-xs"
+            placeholder="Admin (username)"
+          />
+          <input
+            type="text"
+            value={matchId}
+            onChange={(e) => setMatchId(e.target.value)}
+            className="input max-w-xs"
+            placeholder="Match ID"
+          />
+          <button type="submit" className="btn btn-primary">
+            Filter
+          </button>
+        </form>
+
+        {error && (
+          <div className="bg-netflix-red/20 border border-netflix-red rounded-lg p-3 text-sm text-red-300 mb-6">
+            {error}
+          </div>
+        )}
+
+        {!loading && !error && entries.length === 0 && (
+          <div className="card p-6 text-gray-400">Belum ada perubahan tercatat.</div>
+        )}
+
+        <div className="space-y-3">
+          {entries.map(entry => {
+            const action = ACTION_LABELS[entry.action] || { label: entry.action, className: 'bg-white/10' };
+            const changes = Object.entries(entry.changes || {});
+            const details = Object.entries(entry.details || {});
+
+            return (
+              <div key={entry.id} className="card p-4">
+                <div className="flex flex-wrap items-center gap-3 text-sm">
+                  <span className={`px-2 py-0.5 rounded font-semibold ${action.className}`}>
+                    {action.label}
+                  </span>
+                  {entry.match_id ? (
+                    <span>
+                      Match <strong>#{entry.match_id}</strong>
+                    </span>
+                  ) : (
+                    <span>
+                      IP <strong className="font-mono">{entry.ip || '—'}</strong>
+                    </span>
+                  )}
+                  <span className="text-gray-400">
+                    {entry.match_id ? 'oleh' : 'akun'} <strong className="text-white">{entry.actor_username || '—'}</strong>
+                    {entry.actor_role && ` (${entry.actor_role})`}
+                  </span>
+                  <span className="text-gray-500 ml-auto">
+                    {new Date(entry.created_at).toLocaleString('id-ID')}
+                  </span>
+                </div>
+
+                {details.length > 0 && (
+                  <div className="mt-2 text-xs text-gray-400 font-mono">
+                    {details.map(([key, value]) => `${key}: ${formatValue(value)}`).join(' · ')}
+                  </div>
+                )}
+
+                {changes.length > 0 && (
+                  <table className="w-full mt-3 text-sm">
+                    <tbody>
+                      {changes.map(([field, change]) => (
+                        <tr key={field} className="border-t border-white/5">
+                          <td className="py-1 pr-4 text-gray-400 font-mono whitespace-nowrap">{field}</td>
+                          <td className="py-1 pr-4 text-red-300 break-all">{formatValue(change.from)}</td>
+                          <td className="py-1 text-green-300 break-all">{formatValue(change.to)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {loading && (
+          <div className="flex justify-center py-8">
+            <div className="w-10 h-10 border-4 border-white/20 border-t-netflix-red rounded-full animate-spin" />
+          </div>
+        )}
+
+        {!loading && nextBefore && (
+          <div className="flex justify-center mt-6">
+            <button onClick={() => load(filters, nextBefore)} className="btn btn-secondary">
+              Muat lebih banyak
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -4,7 +4,7 @@ import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { getMatches } from '@/lib/supabase';
-import { verifyToken, getAuthToken, clearAuthToken, fetchWithAuth } from '@/lib/auth-client';
+import { verifyToken, getAuthToken, clearAuthToken, fetchWithAuth, logoutAllSessions } from '@/lib/auth-client';
 import MatchFormModal from '@/components/match-form-modal';
 
 export default function AdminDashboard() {
@@ -14,6 +14,7 @@ export default function AdminDashboard() {
   const [error, setError] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [editMatch, setEditMatch] = useState(null);
+  const [permissions, setPermissions] = useState(null);
 
   useEffect(() => {
     // Check authentication - just verify token exists and is valid
@@ -29,6 +30,7 @@ export default function AdminDashboard() {
 
         console.log('✅ Token found, loading matches...');
         loadMatches();
+        verifyToken().then(session => setPermissions(session?.permissions || []));
       } catch (err) {
         console.error('Auth check error:', err);
         setError('Auth error: ' + err.message);
@@ -86,7 +88,18 @@ export default function AdminDashboard() {
   };
 
   const handleLogout = async () => {
-    clearAuthToken();
+    await clearAuthToken();
+    router.push('/admin/login');
+  };
+
+  const handleLogoutAll = async () => {
+    if (!confirm('Logout dari semua perangkat dan browser?')) return;
+
+    const revoked = await logoutAllSessions();
+    if (revoked === null) {
+      alert('Gagal logout semua sesi');
+      return;
+    }
     router.push('/admin/login');
   };
 
@@ -137,9 +150,20 @@ export default function AdminDashboard() {
           <Link href="/" className="text-2xl font-bold text-gradient-red">
             ⚽ TitikBola Admin
           </Link>
-          <button onClick={handleLogout} className="btn btn-secondary text-sm">
-            Logout
-          </button>
+          <div className="flex gap-2">
+            <Link href="/admin/audit" className="btn btn-secondary text-sm">
+              Audit Log
+            </Link>
+            <Link href="/admin/security" className="btn btn-secondary text-sm">
+              Keamanan
+            </Link>
+            <button onClick={handleLogoutAll} className="btn btn-secondary text-sm">
+              Logout Semua Sesi
+            </button>
+            <button onClick={handleLogout} className="btn btn-secondary text-sm">
+              Logout
+            </button>
+          </div>
         </div>
       </header>
 
@@ -280,6 +304,12 @@ export default function AdminDashboard() {
                         >
                           Delete
                         </button>
+                        <Link
+                          href={`/admin/audit?match_id=${match.id}`}
+                          className="px-3 py-1 bg-white/10 hover:bg-white/20 rounded text-sm"
+                        >
+                          History
+                        </Link>
                       </div>
                     </td>
                   </tr>
@@ -295,6 +325,7 @@ export default function AdminDashboard() {
         <MatchFormModal
           match={editMatch}
           onClose={handleModalClose}
+          scoreOnly={!!permissions && !permissions.includes('matches:update')}
         />
       )}
     </div>
@@ -1,6 +1,6 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { setAuthToken } from '@/lib/auth-client';
@@ -11,12 +11,58 @@ export default function AdminLoginPage() {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [lockedUntil, setLockedUntil] = useState(0);
+  const [lockRemaining, setLockRemaining] = useState(0);
+  // Second step (2FA): challenge from the password step
+  const [challenge, setChallenge] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  // Count down a server lockout (429 + retryAfter)
+  useEffect(() => {
+    if (!lockedUntil) return;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+      setLockRemaining(remaining);
+      if (remaining === 0) {
+        setLockedUntil(0);
+        setError('');
+      }
+    };
+
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  const formatRemaining = (seconds) => {
+    const m = Math.floor(seconds / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+    return `${m}:${s}`;
+  };
+
+  const resetTwoFactor = () => {
+    setChallenge('');
+    setCode('');
+    setUseRecoveryCode(false);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (lockedUntil) return;
+
     setError('');
     setLoading(true);
 
+    const payload = challenge
+      ? {
+          action: 'verify-2fa',
+          challenge,
+          ...(useRecoveryCode ? { recoveryCode: code } : { code }),
+        }
+      : { username, password };
+
     const maxRetries = 3;
     let lastError = null;
 
@@ -28,17 +74,37 @@ export default function AdminLoginPage() {
           const response = await fetch('/api/auth', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ username, password }),
+            body: JSON.stringify(payload),
             credentials: 'include', // Include cookies
           });
 
           const data = await response.json();
           console.log(`📡 Response (attempt ${attempt}):`, { status: response.status, success: data.success });
 
+          // Locked out: no retries, show the countdown
+          if (response.status === 429 && data.locked) {
+            setLockedUntil(Date.now() + (data.retryAfter || 60) * 1000);
+            setError(data.error || 'Terlalu banyak percobaan login.');
+            return;
+          }
+
+          // Wrong credentials count as failed attempts: never retry them
+          if (response.status === 401) {
+            const remaining = data.remainingAttempts;
+            // Expired challenge: back to the password step
+            if (challenge && remaining === undefined) resetTwoFactor();
+            setError(
+              Number.isFinite(remaining) && remaining <= 3
+                ? `${data.error || 'Username atau password salah'} (sisa ${remaining} percobaan)`
+                : data.error || 'Username atau password salah'
+            );
+            return;
+          }
+
           if (!response.ok) {
             lastError = data.error || `Login failed (${response.status})`;
             
-            if (attempt < maxRetries) {
+            if (response.status >= 500 && attempt < maxRetries) {
               console.warn(`⚠️ Retry ${attempt}...`);
               await new Promise(r => setTimeout(r, 500 * attempt));
               continue;
@@ -53,6 +119,14 @@ export default function AdminLoginPage() {
             return;
           }
 
+          // Password ok, account has 2FA: ask for the code
+          if (data.twoFactorRequired) {
+            console.log(`📱 2FA required`);
+            setChallenge(data.challenge);
+            setPassword('');
+            return;
+          }
+
           console.log(`✅ Login successful!`);
           
           // Save token
@@ -103,49 +177,101 @@ export default function AdminLoginPage() {
 
           {/* Form */}
           <form onSubmit={handleSubmit} className="space-y-6">
-            <div>
-              <label className="block text-sm font-semibold mb-2">
-                Username
-              </label>
-              <input
-                type="text"
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                className="input"
-                placeholder="Enter username"
-                required
-                autoComplete="username"
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-semibold mb-2">
-                Password
-              </label>
-              <input
-                type="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                className="input"
-                placeholder="Enter password"
-                required
-                autoComplete="current-password"
-              />
-            </div>
+            {challenge ? (
+              <div>
+                <label className="block text-sm font-semibold mb-2">
+                  {useRecoveryCode ? 'Kode Pemulihan' : 'Kode Autentikator'}
+                </label>
+                <input
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="input tracking-widest"
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  required
+                  autoFocus
+                  autoComplete="one-time-code"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                />
+                <div className="mt-2 flex justify-between text-sm">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setUseRecoveryCode(!useRecoveryCode);
+                      setCode('');
+                    }}
+                    className="text-gray-400 hover:text-white transition-colors"
+                  >
+                    {useRecoveryCode ? 'Pakai kode autentikator' : 'Pakai kode pemulihan'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      resetTwoFactor();
+                      setError('');
+                    }}
+                    className="text-gray-400 hover:text-white transition-colors"
+                  >
+                    Batal
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <>
+                <div>
+                  <label className="block text-sm font-semibold mb-2">
+                    Username
+                  </label>
+                  <input
+                    type="text"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    className="input"
+                    placeholder="Enter username"
+                    required
+                    autoComplete="username"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-semibold mb-2">
+                    Password
+                  </label>
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="input"
+                    placeholder="Enter password"
+                    required
+                    autoComplete="current-password"
+                  />
+                </div>
+              </>
+            )}
 
             {error && (
               <div className="bg-netflix-red/20 border border-netflix-red rounded-lg p-3 text-sm text-red-300">
                 {error}
+                {lockedUntil > 0 && (
+                  <div className="mt-1 font-semibold">
+                    Login dikunci: {formatRemaining(lockRemaining)}
+                  </div>
+                )}
               </div>
             )}
 
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || lockedUntil > 0}
               className="btn btn-primary w-full"
             >
               {loading ? (
                 <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+              ) : lockedUntil > 0 ? (
+                `Coba lagi dalam ${formatRemaining(lockRemaining)}`
+              ) : challenge ? (
+                'Verifikasi'
               ) : (
                 'Login'
               )}
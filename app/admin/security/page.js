@@ -0,0 +1,247 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { getAuthToken, fetchWithAuth } from '@/lib/auth-client';
+
+/**
+ * Admin security: enroll / manage TOTP 2FA for the logged-in account
+ */
+export default function AdminSecurityPage() {
+  const router = useRouter();
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [enrollment, setEnrollment] = useState(null); // { secret, otpauthUri }
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // shown once
+  const [code, setCode] = useState('');
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await fetchWithAuth('/api/auth/2fa');
+      const result = await response.json();
+      if (response.status === 401) {
+        router.push('/admin/login');
+        return;
+      }
+      if (!result.success) throw new Error(result.error);
+      setStatus(result.data);
+    } catch (err) {
+      setError('Gagal memuat status 2FA: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [router]);
+
+  useEffect(() => {
+    getAuthToken().then(token => {
+      if (!token) {
+        router.push('/admin/login');
+        return;
+      }
+      loadStatus();
+    });
+  }, [router, loadStatus]);
+
+  const post = async (body) => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await fetchWithAuth('/api/auth/2fa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        setError(result.error || `Gagal (${response.status})`);
+        return null;
+      }
+      return result;
+    } catch (err) {
+      setError('Terjadi kesalahan: ' + err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSetup = async () => {
+    const result = await post({ action: 'setup' });
+    if (result) {
+      setEnrollment(result.data);
+      setRecoveryCodes(null);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const result = await post({ action: 'enable', code });
+    if (result) {
+      setEnrollment(null);
+      setRecoveryCodes(result.data.recoveryCodes);
+      setCode('');
+      loadStatus();
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    const result = await post({ action: 'recovery-codes', code });
+    if (result) {
+      setRecoveryCodes(result.data.recoveryCodes);
+      setCode('');
+      loadStatus();
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!confirm('Nonaktifkan 2FA untuk akun ini?')) return;
+    // A recovery code (xxxxx-xxxxx) also works when the phone is lost
+    const proof = code.includes('-') ? { recoveryCode: code } : { code };
+    const result = await post({ action: 'disable', ...proof });
+    if (result) {
+      setRecoveryCodes(null);
+      setCode('');
+      loadStatus();
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-netflix-black">
+        <div className="w-16 h-16 border-4 border-white/20 border-t-netflix-red rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-netflix-black">
+      {/* Header */}
+      <header className="sticky top-0 z-50 bg-netflix-black/95 backdrop-blur-sm border-b border-white/10">
+        <div className="container-custom py-4 flex justify-between items-center">
+          <Link href="/admin/dashboard" className="text-2xl font-bold text-gradient-red">
+            ⚽ TitikBola Admin
+          </Link>
+          <Link href="/admin/dashboard" className="btn btn-secondary text-sm">
+            ← Dashboard
+          </Link>
+        </div>
+      </header>
+
+      <div className="container-custom py-8 max-w-2xl">
+        <h2 className="text-2xl font-bold mb-6">Autentikasi Dua Faktor (2FA)</h2>
+
+        {error && (
+          <div className="bg-netflix-red/20 border border-netflix-red rounded-lg p-3 text-sm text-red-300 mb-6">
+            {error}
+          </div>
+        )}
+
+        {status && !status.available && (
+          <div className="card p-6 text-gray-300">
+            2FA hanya tersedia untuk akun di tabel <code>admin_users</code> (Supabase),
+            bukan untuk admin bawaan dari environment.
+          </div>
+        )}
+
+        {/* Recovery codes: only visible right after they were generated */}
+        {recoveryCodes && (
+          <div className="card p-6 mb-6 border border-yellow-500/40">
+            <h3 className="font-bold mb-2">Kode Pemulihan</h3>
+            <p className="text-sm text-gray-400 mb-4">
+              Simpan kode ini di tempat aman. Masing-masing hanya bisa dipakai sekali
+              dan tidak akan ditampilkan lagi.
+            </p>
+            <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+              {recoveryCodes.map(recoveryCode => (
+                <div key={recoveryCode} className="bg-black/40 rounded px-3 py-2">
+                  {recoveryCode}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {status?.available && !status.enabled && (
+          <div className="card p-6">
+            {!enrollment ? (
+              <>
+                <p className="text-gray-300 mb-4">
+                  2FA belum aktif. Setelah aktif, login membutuhkan kode dari aplikasi
+                  autentikator (Google Authenticator, Authy, 1Password, dll).
+                </p>
+                <button onClick={handleSetup} disabled={busy} className="btn btn-primary">
+                  Aktifkan 2FA
+                </button>
+              </>
+            ) : (
+              <form onSubmit={handleEnable} className="space-y-4">
+                <p className="text-gray-300">
+                  Tambahkan akun ke aplikasi autentikator: buka tautan di bawah dari ponsel,
+                  atau masukkan kunci secara manual.
+                </p>
+                <a href={enrollment.otpauthUri} className="block text-netflix-red break-all text-sm">
+                  {enrollment.otpauthUri}
+                </a>
+                <div>
+                  <div className="text-sm text-gray-400 mb-1">Kunci rahasia</div>
+                  <code className="block bg-black/40 rounded px-3 py-2 font-mono break-all">
+                    {enrollment.secret.match(/.{1,4}/g).join(' ')}
+                  </code>
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold mb-2">Kode dari aplikasi</label>
+                  <input
+                    type="text"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    className="input tracking-widest"
+                    placeholder="123456"
+                    required
+                    autoComplete="one-time-code"
+                    inputMode="numeric"
+                  />
+                </div>
+                <button type="submit" disabled={busy} className="btn btn-primary">
+                  Verifikasi & Aktifkan
+                </button>
+              </form>
+            )}
+          </div>
+        )}
+
+        {status?.enabled && (
+          <form onSubmit={handleRegenerate} className="card p-6 space-y-4">
+            <p className="text-gray-300">
+              ✅ 2FA aktif. Sisa kode pemulihan: <strong>{status.recoveryCodesLeft}</strong>
+            </p>
+            <div>
+              <label className="block text-sm font-semibold mb-2">
+                Kode autentikator (atau kode pemulihan untuk menonaktifkan)
+              </label>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="input tracking-widest"
+                required
+                autoComplete="one-time-code"
+              />
+            </div>
+            <div className="flex gap-2">
+              <button type="submit" disabled={busy} className="btn btn-primary">
+                Buat Ulang Kode Pemulihan
+              </button>
+              <button type="button" onClick={handleDisable} disabled={busy || !code} className="btn btn-secondary">
+                Nonaktifkan 2FA
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
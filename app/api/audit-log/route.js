@@ -0,0 +1,48 @@
+// app/api/audit-log/route.js
+import { NextResponse } from 'next/server';
+import { withAdmin } from '@/lib/server-auth';
+import { PERMISSIONS } from '@/lib/admin-users';
+import { auditLog, parseAuditCursor } from '@/lib/audit-log';
+
+export const runtime = 'edge';
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/audit-log (owner, editor)
+ * Query: ?actor=<username>&match_id=<id>&before=<cursor>&limit=<1-200>
+ * Returns: { success, data: entries (newest first), nextBefore }
+ *
+ * `nextBefore` is the cursor for older entries (`<created_at>|<id>`, or just
+ * an ISO time); null on the last page.
+ */
+export const GET = withAdmin(async (request) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const before = searchParams.get('before');
+
+    if (before && !parseAuditCursor(before)) {
+      return NextResponse.json(
+        { success: false, error: 'Parameter before tidak valid' },
+        { status: 400 }
+      );
+    }
+
+    const { entries, nextBefore } = await auditLog.list({
+      actor: searchParams.get('actor'),
+      matchId: searchParams.get('match_id'),
+      before,
+      limit: searchParams.get('limit') || undefined,
+    });
+
+    return NextResponse.json(
+      { success: true, data: entries, nextBefore },
+      { headers: { 'Cache-Control': 'no-store' } }
+    );
+  } catch (error) {
+    console.error('GET audit-log error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Gagal memuat audit log' },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.AUDIT_READ });
@@ -0,0 +1,119 @@
+// app/api/auth/2fa/route.js
+import { NextResponse } from 'next/server';
+import { withAdmin } from '@/lib/server-auth';
+import { twoFactor } from '@/lib/admin-two-factor';
+import { rateLimit } from '@/lib/rate-limit';
+
+export const runtime = 'edge';
+export const dynamic = 'force-dynamic';
+
+// Code checks per admin; keeps a stolen access token from guessing codes
+const TWO_FACTOR_LIMIT = { limit: 10, window: '15 m' };
+
+/**
+ * GET /api/auth/2fa (Admin, own account)
+ * Returns: { success, data: { available, enabled, recoveryCodesLeft } }
+ */
+export const GET = withAdmin(async (request, { admin }) => {
+  try {
+    const data = await twoFactor.status(admin.userId);
+    return NextResponse.json({ success: true, data }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    console.error('GET 2fa error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Gagal memuat status 2FA' },
+      { status: 500 }
+    );
+  }
+});
+
+/**
+ * POST /api/auth/2fa (Admin, own account)
+ * Body:
+ *   { action: 'setup' }                          -> { secret, otpauthUri }
+ *   { action: 'enable', code }                   -> { recoveryCodes }
+ *   { action: 'disable', code | recoveryCode }
+ *   { action: 'recovery-codes', code }           -> { recoveryCodes }
+ *
+ * Recovery codes are only ever returned here, once.
+ */
+export const POST = withAdmin(async (request, { admin }) => {
+  try {
+    if (!twoFactor.isAvailable(admin.userId)) {
+      return NextResponse.json(
+        { success: false, error: '2FA membutuhkan akun admin di database (admin_users)' },
+        { status: 400 }
+      );
+    }
+
+    const { success } = await rateLimit('auth-2fa', admin.userId, TWO_FACTOR_LIMIT);
+    if (!success) {
+      return NextResponse.json(
+        { success: false, error: 'Too many requests' },
+        { status: 429 }
+      );
+    }
+
+    const { action, code, recoveryCode } = await request.json().catch(() => ({}));
+
+    switch (action) {
+      case 'setup': {
+        const data = await twoFactor.setup(admin);
+        if (!data) {
+          return NextResponse.json(
+            { success: false, error: '2FA sudah aktif' },
+            { status: 409 }
+          );
+        }
+        return NextResponse.json({ success: true, data }, { headers: { 'Cache-Control': 'no-store' } });
+      }
+
+      case 'enable': {
+        const data = await twoFactor.enable(admin.userId, code);
+        if (!data) {
+          return NextResponse.json(
+            { success: false, error: 'Kode verifikasi salah' },
+            { status: 400 }
+          );
+        }
+        console.log(`[Auth] ${admin.username} enabled 2FA`);
+        return NextResponse.json({ success: true, data }, { headers: { 'Cache-Control': 'no-store' } });
+      }
+
+      case 'disable': {
+        const disabled = await twoFactor.disable(admin.userId, { code, recoveryCode });
+        if (!disabled) {
+          return NextResponse.json(
+            { success: false, error: 'Kode verifikasi salah' },
+            { status: 400 }
+          );
+        }
+        console.warn(`[Auth] ${admin.username} disabled 2FA`);
+        return NextResponse.json({ success: true, message: '2FA dinonaktifkan' });
+      }
+
+      case 'recovery-codes': {
+        const data = await twoFactor.regenerateRecoveryCodes(admin.userId, { code });
+        if (!data) {
+          return NextResponse.json(
+            { success: false, error: 'Kode verifikasi salah' },
+            { status: 400 }
+          );
+        }
+        return NextResponse.json({ success: true, data }, { headers: { 'Cache-Control': 'no-store' } });
+      }
+
+      default:
+        return NextResponse.json(
+          { success: false, error: 'Unknown action' },
+          { status: 400 }
+        );
+    }
+  } catch (error) {
+    console.error('POST 2fa error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Gagal memproses 2FA' },
+      { status: 500 }
+    );
+  }
+});
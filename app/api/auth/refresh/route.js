@@ -0,0 +1,81 @@
+// app/api/auth/refresh/route.js
+import { NextResponse } from 'next/server';
+import { ADMIN_REFRESH_COOKIE, issueAdminToken, setAdminCookies } from '@/lib/server-auth';
+import { adminSessions } from '@/lib/admin-sessions';
+import { adminUsers } from '@/lib/admin-users';
+import { rateLimit, getClientIp } from '@/lib/rate-limit';
+
+export const runtime = 'edge';
+export const dynamic = 'force-dynamic';
+
+// One refresh per access token lifetime per tab; anything far above is abuse
+const REFRESH_LIMIT = { limit: 30, window: '1 m' };
+
+// Clears both cookies: the browser has to log in again
+function sessionEnded() {
+  return setAdminCookies(NextResponse.json(
+    { success: false, error: 'Sesi berakhir, silakan login lagi' },
+    { status: 401 }
+  ));
+}
+
+/**
+ * POST /api/auth/refresh
+ * Cookie: adminRefresh
+ * Returns: { success, token, expiresAt }
+ *
+ * Rotates the refresh token and issues a new access token for the same
+ * session, with the admin's current role. A reused (already rotated)
+ * refresh token revokes the session; so does a disabled or deleted admin.
+ * 409 (cookies untouched): another tab rotated the token a moment ago,
+ * retry with the new cookie.
+ */
+export async function POST(request) {
+  try {
+    const ip = getClientIp(request);
+    const { success } = await rateLimit('auth-refresh', ip, REFRESH_LIMIT);
+    if (!success) {
+      return NextResponse.json(
+        { success: false, error: 'Too many requests' },
+        { status: 429 }
+      );
+    }
+
+    const rotated = await adminSessions.rotate(request.cookies.get(ADMIN_REFRESH_COOKIE)?.value);
+    if (rotated?.grace) {
+      return NextResponse.json(
+        { success: false, error: 'Refresh sedang berlangsung', retry: true },
+        { status: 409 }
+      );
+    }
+    if (!rotated) {
+      return sessionEnded();
+    }
+
+    const { session, refreshToken } = rotated;
+    const user = await adminUsers.findActive(session.userId);
+    if (!user) {
+      console.warn(`[Auth] Refresh refused for inactive admin ${session.username}`);
+      await adminSessions.revoke(session.id);
+      return sessionEnded();
+    }
+
+    const { token, expiresAt } = await issueAdminToken({
+      userId: user.id,
+      username: user.username,
+      role: user.role,
+      sessionId: session.id,
+    });
+
+    return setAdminCookies(
+      NextResponse.json({ success: true, token, expiresAt }),
+      { accessToken: token, refreshToken }
+    );
+  } catch (error) {
+    console.error('Refresh error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Terjadi kesalahan server' },
+      { status: 500 }
+    );
+  }
+}
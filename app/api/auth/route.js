@@ -1,55 +1,174 @@
 import { NextResponse } from 'next/server';
+import {
+  ADMIN_REFRESH_COOKIE,
+  getAdminTokenFromRequest,
+  issueAdminToken,
+  issueTwoFactorChallenge,
+  setAdminCookies,
+  verifyAdminToken,
+  verifyTwoFactorChallenge,
+} from '@/lib/server-auth';
+import { adminUsers, getPermissions } from '@/lib/admin-users';
+import { adminSessions } from '@/lib/admin-sessions';
+import { twoFactor } from '@/lib/admin-two-factor';
+import { loginGuard } from '@/lib/login-guard';
+import { getClientIp } from '@/lib/rate-limit';
 export const runtime = 'edge';
 export const dynamic = 'force-dynamic';
 
-// Admin credentials from environment variables
-const ADMIN_USERNAME = process.env.NEXT_PUBLIC_ADMIN_USERNAME || 'admin';
-const ADMIN_PASSWORD = process.env.NEXT_PUBLIC_ADMIN_PASSWORD || '123';
-const TOKEN_SECRET = process.env.NEXT_PUBLIC_TOKEN_SECRET || 'teskunci123';
+function lockedResponse(retryAfterMs) {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  return NextResponse.json(
+    {
+      success: false,
+      error: `Terlalu banyak percobaan login. Coba lagi dalam ${Math.ceil(retryAfter / 60)} menit.`,
+      locked: true,
+      retryAfter,
+    },
+    { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+  );
+}
 
 /**
- * Generate HMAC-SHA256 using Web Crypto API (Edge Runtime compatible)
+ * Count a failed password or 2FA code: lockout (429) or a delayed 401
  */
-async function generateHMAC(data, secret) {
-  const encoder = new TextEncoder();
-  const keyData = encoder.encode(secret);
-  
-  const key = await crypto.subtle.importKey(
-    'raw',
-    keyData,
-    { name: 'HMAC', hash: 'SHA-256' },
-    false,
-    ['sign']
-  );
-  
-  const signature = await crypto.subtle.sign(
-    'HMAC',
-    key,
-    encoder.encode(data)
+async function failedAttempt({ ip, username, error }) {
+  const failure = await loginGuard.recordFailure({ ip, username });
+  if (failure.locked) {
+    return lockedResponse(failure.retryAfterMs);
+  }
+
+  // Progressive delay: each further failure answers more slowly
+  if (failure.delayMs > 0) {
+    await new Promise(resolve => setTimeout(resolve, failure.delayMs));
+  }
+
+  return NextResponse.json(
+    {
+      success: false,
+      error,
+      remainingAttempts: failure.remainingAttempts,
+    },
+    { status: 401 }
   );
-  
-  // Convert to hex
-  return Array.from(new Uint8Array(signature))
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('');
+}
+
+/**
+ * Open a session and answer with the access token and both cookies.
+ * Only reached once every login step passed, so last_login is stamped here.
+ */
+async function startSession(user) {
+  const { session, refreshToken } = await adminSessions.create(user);
+  await adminUsers.recordLogin(user.id);
+  const { token, expiresAt } = await issueAdminToken({
+    userId: user.id,
+    username: user.username,
+    role: user.role,
+    sessionId: session.id,
+  });
+
+  // Set secure httpOnly cookies
+  const response = NextResponse.json({
+    success: true,
+    token,
+    expiresAt,
+    role: user.role,
+    message: 'Login berhasil',
+  });
+
+  return setAdminCookies(response, { accessToken: token, refreshToken });
+}
+
+/**
+ * Second login step: TOTP code or recovery code for a password-step challenge
+ */
+async function verifySecondFactor(request, { challenge, code, recoveryCode }) {
+  const user = await verifyTwoFactorChallenge(challenge);
+  if (!user) {
+    return NextResponse.json(
+      { success: false, error: 'Sesi login kedaluwarsa, silakan login lagi' },
+      { status: 401 }
+    );
+  }
+
+  const ip = getClientIp(request);
+  const gate = await loginGuard.check({ ip, username: user.username });
+  if (!gate.allowed) {
+    return lockedResponse(gate.retryAfterMs);
+  }
+
+  const verified = await twoFactor.verify(user.userId, { code, recoveryCode });
+  if (!verified) {
+    return failedAttempt({ ip, username: user.username, error: 'Kode verifikasi salah' });
+  }
+
+  if (verified.method === 'recovery') {
+    console.warn(`[Auth] ${user.username} logged in with a recovery code`);
+  }
+
+  await loginGuard.recordSuccess({ username: user.username });
+  return startSession({ id: user.userId, username: user.username, role: user.role });
+}
+
+/**
+ * Log out the caller's session, or with `all` every session of that admin.
+ * Always clears both cookies.
+ */
+async function logout(request, { all = false } = {}) {
+  const admin = await verifyAdminToken(getAdminTokenFromRequest(request));
+
+  if (all) {
+    if (!admin) {
+      return NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+    }
+    const revoked = await adminSessions.revokeAll(admin.userId);
+    console.log(`[Auth] ${admin.username} logged out ${revoked} sessions`);
+    return setAdminCookies(NextResponse.json({
+      success: true,
+      revoked,
+      message: 'Semua sesi berhasil logout',
+    }));
+  }
+
+  // An expired access token still leaves the refresh cookie to identify the session
+  const sessionId = admin?.sessionId
+    || (await adminSessions.lookup(request.cookies.get(ADMIN_REFRESH_COOKIE)?.value))?.id;
+  await adminSessions.revoke(sessionId);
+
+  return setAdminCookies(NextResponse.json({
+    success: true,
+    message: 'Logged out successfully',
+  }));
 }
 
 /**
  * POST /api/auth - Login endpoint
  * Body: { username, password }
- * Returns: { success, token, error }
+ *   or { action: 'verify-2fa', challenge, code | recoveryCode }
+ *   or { action: 'logout' | 'logout-all' }
+ * Returns: { success, token, expiresAt, role, error }
+ *
+ * With 2FA enabled the password step returns `{ success, twoFactorRequired,
+ * challenge }` instead of tokens; the challenge is valid for 5 minutes.
+ *
+ * The access token (15 minutes) comes back in the body and the `adminToken`
+ * cookie; the refresh token only in the httpOnly `adminRefresh` cookie
+ * (POST /api/auth/refresh).
+ *
+ * Failed logins are limited per IP and username (lib/login-guard.js):
+ * 401 carries `remainingAttempts`, a lockout answers 429 with `retryAfter` (seconds).
  */
 export async function POST(request) {
   try {
     const body = await request.json();
     const { username, password, action } = body;
 
-    // Handle logout action
-    if (action === 'logout') {
-      return NextResponse.json({
-        success: true,
-        message: 'Logged out successfully',
-      });
+    if (action === 'logout' || action === 'logout-all') {
+      return logout(request, { all: action === 'logout-all' });
+    }
+
+    if (action === 'verify-2fa') {
+      return verifySecondFactor(request, body);
     }
 
     // Validate credentials
@@ -63,44 +182,47 @@ export async function POST(request) {
       );
     }
 
-    // Check credentials
-    if (username !== ADMIN_USERNAME || password !== ADMIN_PASSWORD) {
+    if (!adminUsers.isConfigured()) {
+      console.error('Auth error: no admin_users table (Supabase) or ADMIN_PASSWORD configured');
       return NextResponse.json(
         {
           success: false,
-          error: 'Username atau password salah',
+          error: 'Login admin belum dikonfigurasi',
         },
-        { status: 401 }
+        { status: 503 }
       );
     }
 
-    // Generate token with HMAC-SHA256
-    const timestamp = Date.now();
-    const tokenData = `${username}:${timestamp}`;
-    
-    // Generate HMAC-SHA256 using Web Crypto API
-    const signature = await generateHMAC(tokenData, TOKEN_SECRET);
-    
-    // Encode: base64(username:timestamp:signature)
-    const fullTokenData = `${tokenData}:${signature}`;
-    const token = btoa(fullTokenData); // Use btoa instead of Buffer
+    const ip = getClientIp(request);
+    const gate = await loginGuard.check({ ip, username });
+    if (!gate.allowed) {
+      return lockedResponse(gate.retryAfterMs);
+    }
 
-    // Set secure httpOnly cookie
-    const response = NextResponse.json({
-      success: true,
-      token,
-      message: 'Login berhasil',
-    });
+    // Check credentials
+    const user = await adminUsers.authenticate(username, password);
+    if (!user) {
+      return failedAttempt({ ip, username, error: 'Username atau password salah' });
+    }
 
-    response.cookies.set('adminToken', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7200, // 2 hours
-      path: '/',
-    });
+    // Failures are cleared only after the second step, so the counter
+    // keeps limiting code guesses too
+    if (user.twoFactor) {
+      const { challenge, expiresAt } = await issueTwoFactorChallenge({
+        userId: user.id,
+        username: user.username,
+        role: user.role,
+      });
+      return NextResponse.json({
+        success: true,
+        twoFactorRequired: true,
+        challenge,
+        expiresAt,
+      });
+    }
 
-    return response;
+    await loginGuard.recordSuccess({ username });
+    return startSession(user);
   } catch (error) {
     console.error('Auth error:', error);
     return NextResponse.json(
@@ -113,54 +235,12 @@ export async function POST(request) {
   }
 }
 
-/**
- * Verify token with HMAC
- */
-async function verifyTokenHMAC(token, secret) {
-  try {
-    // Decode token
-    const decoded = atob(token);
-    const parts = decoded.split(':');
-    
-    if (parts.length !== 3) return false;
-    
-    const [username, timestamp, signature] = parts;
-    
-    // Verify HMAC
-    const expectedSignature = await generateHMAC(`${username}:${timestamp}`, secret);
-    
-    // Constant-time comparison
-    if (signature !== expectedSignature) return false;
-    
-    // Check expiry
-    const age = Date.now() - parseInt(timestamp);
-    if (age < 0 || age >= 7200000) return false; // 2 hours
-    
-    return { username, timestamp };
-  } catch (e) {
-    return false;
-  }
-}
-
 /**
  * GET /api/auth/verify - Verify token
  */
 export async function GET(request) {
   try {
-    const authHeader = request.headers.get('authorization');
-    const cookieToken = request.cookies.get('adminToken')?.value;
-
-    const token = authHeader?.replace('Bearer ', '') || cookieToken;
-
-    if (!token) {
-      return NextResponse.json(
-        { authenticated: false },
-        { status: 401 }
-      );
-    }
-
-    // Verify token with HMAC
-    const verified = await verifyTokenHMAC(token, TOKEN_SECRET);
+    const verified = await verifyAdminToken(getAdminTokenFromRequest(request));
     
     if (!verified) {
       return NextResponse.json(
@@ -172,7 +252,9 @@ export async function GET(request) {
     return NextResponse.json({
       authenticated: true,
       username: verified.username,
-      expiresIn: Math.round((7200000 - (Date.now() - parseInt(verified.timestamp))) / 1000),
+      role: verified.role,
+      permissions: getPermissions(verified.role),
+      expiresIn: Math.round((verified.expiresAt - Date.now()) / 1000),
     });
   } catch (error) {
     console.error('Verify error:', error);
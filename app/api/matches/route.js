@@ -1,10 +1,12 @@
 import { NextResponse } from 'next/server';
 import { createMatch, getMatches, updateMatch, deleteMatch } from '@/lib/supabase';
+import { withAdmin } from '@/lib/server-auth';
+import { PERMISSIONS, hasPermission } from '@/lib/admin-users';
+import { auditLog } from '@/lib/audit-log';
+import { findNonScoreFields } from '@/lib/match-fields';
 export const runtime = 'edge';
 export const dynamic = 'force-dynamic';
 
-const TOKEN_SECRET = process.env.NEXT_PUBLIC_TOKEN_SECRET || 'teskunci123';
-
 // Utility to sanitize stream URLs
 function sanitizeStreamUrl(url) {
   if (!url) return null;
@@ -22,76 +24,6 @@ function sanitizeStreamUrl(url) {
   }
 }
 
-/**
- * Verify HMAC token using Web Crypto API
- */
-async function verifyTokenHMAC(token, secret) {
-  try {
-    const decoded = atob(token);
-    const parts = decoded.split(':');
-    
-    if (parts.length !== 3) return false;
-    
-    const [username, timestamp, signature] = parts;
-    
-    // Generate expected signature
-    const encoder = new TextEncoder();
-    const keyData = encoder.encode(secret);
-    
-    const key = await crypto.subtle.importKey(
-      'raw',
-      keyData,
-      { name: 'HMAC', hash: 'SHA-256' },
-      false,
-      ['sign']
-    );
-    
-    const expectedSig = await crypto.subtle.sign(
-      'HMAC',
-      key,
-      encoder.encode(`${username}:${timestamp}`)
-    );
-    
-    const expectedHex = Array.from(new Uint8Array(expectedSig))
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
-    
-    // Constant-time comparison
-    if (signature !== expectedHex) return false;
-    
-    // Check expiry
-    const age = Date.now() - parseInt(timestamp);
-    if (age < 0 || age >= 7200000) return false;
-    
-    return { username };
-  } catch (e) {
-    return false;
-  }
-}
-
-// Middleware to verify admin token
-async function verifyAdmin(request) {
-  try {
-    const authHeader = request.headers.get('authorization');
-    const cookieToken = request.cookies.get('adminToken')?.value;
-    const token = authHeader?.replace('Bearer ', '') || cookieToken;
-
-    if (!token) {
-      return { authenticated: false, error: 'No token provided' };
-    }
-
-    const verified = await verifyTokenHMAC(token, TOKEN_SECRET);
-    
-    if (!verified) {
-      return { authenticated: false, error: 'Invalid token' };
-    }
-
-    return { authenticated: true, username: verified.username };
-  } catch (error) {
-    return { authenticated: false, error: 'Invalid token' };
-  }
-}
-
 /**
  * GET /api/matches - Get all matches
  */
@@ -117,15 +49,10 @@ export async function GET(request) {
 }
 
 /**
- * POST /api/matches - Create new match (Admin only)
+ * POST /api/matches - Create new match (owner, editor)
  */
-export async function POST(request) {
+export const POST = withAdmin(async (request, { admin }) => {
   try {
-    const auth = await verifyAdmin(request);
-    if (!auth.authenticated) {
-      return NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
-    }
-
     const body = await request.json();
 
     // Validasi required
@@ -144,6 +71,8 @@ export async function POST(request) {
       return NextResponse.json({ success: false, error: result.error }, { status: 400 });
     }
 
+    await auditLog.record({ admin, action: 'create', matchId: result.data.id, after: result.data });
+
     return NextResponse.json({
       success: true,
       message: 'Pertandingan berhasil dibuat',
@@ -156,22 +85,13 @@ export async function POST(request) {
       error: error.message || 'Gagal membuat pertandingan',
     }, { status: 500 });
   }
-}
+}, { permission: PERMISSIONS.MATCHES_CREATE });
 
 /**
- * PUT /api/matches - Update match (Admin only)
+ * PUT /api/matches - Update match (owner, editor; score-keeper: scores and status only)
  */
-export async function PUT(request) {
+export const PUT = withAdmin(async (request, { admin }) => {
   try {
-    // Verify admin
-    const auth = await verifyAdmin(request);
-    if (!auth.authenticated) {
-      return NextResponse.json(
-        { success: false, error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const matchId = searchParams.get('id');
 
@@ -184,6 +104,16 @@ export async function PUT(request) {
 
     const body = await request.json();
 
+    if (!hasPermission(admin.role, PERMISSIONS.MATCHES_UPDATE)) {
+      const blocked = findNonScoreFields(body);
+      if (blocked.length > 0) {
+        return NextResponse.json(
+          { success: false, error: `Role ${admin.role} hanya boleh mengubah skor dan status (${blocked.join(', ')})` },
+          { status: 403 }
+        );
+      }
+    }
+
     const result = await updateMatch(matchId, body);
 
     if (!result.success) {
@@ -193,6 +123,14 @@ export async function PUT(request) {
       );
     }
 
+    await auditLog.record({
+      admin,
+      action: 'update',
+      matchId,
+      before: result.previous,
+      after: result.data,
+    });
+
     return NextResponse.json({
       success: true,
       message: 'Pertandingan berhasil diupdate',
@@ -208,22 +146,13 @@ export async function PUT(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.MATCHES_SCORE });
 
 /**
- * DELETE /api/matches - Delete match (Admin only)
+ * DELETE /api/matches - Delete match (owner, editor)
  */
-export async function DELETE(request) {
+export const DELETE = withAdmin(async (request, { admin }) => {
   try {
-    // Verify admin
-    const auth = await verifyAdmin(request);
-    if (!auth.authenticated) {
-      return NextResponse.json(
-        { success: false, error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const matchId = searchParams.get('id');
 
@@ -243,6 +172,11 @@ export async function DELETE(request) {
       );
     }
 
+    // Nothing was deleted: nothing to audit
+    if (result.previous) {
+      await auditLog.record({ admin, action: 'delete', matchId, before: result.previous });
+    }
+
     return NextResponse.json({
       success: true,
       message: 'Pertandingan berhasil dihapus',
@@ -257,4 +191,4 @@ export async function DELETE(request) {
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}, { permission: PERMISSIONS.MATCHES_DELETE });
\ No newline at end of file
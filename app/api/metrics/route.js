@@ -1,20 +1,11 @@
 // app/api/metrics/route.js
-import { Ratelimit } from '@upstash/ratelimit';
-import { Redis } from '@upstash/redis';
 import { anonymizeIP } from '@/lib/utils';
-
-// Setup rate limiter (5 requests per second per IP)
-const redis = new Redis({
-  url: process.env.UPSTASH_REDIS_REST_URL,
-  token: process.env.UPSTASH_REDIS_REST_TOKEN,
-});
-
-const limiter = new Ratelimit({
-  redis,
-  limiter: Ratelimit.slidingWindow(5, '1 s'),
-});
+import { rateLimit, getClientIp } from '@/lib/rate-limit';
 
 export const runtime = 'edge';
+
+// Rate limit: 5 requests per second per IP
+const REQUEST_LIMIT = 5;
 const REQUEST_WINDOW = '1 s';
 
 async function processInBackground(data) {
@@ -37,7 +28,7 @@ function validateEventData(body) {
 export async function POST(request) {
   try {
     const body = await request.json();
-    const ip = request.headers.get('x-forwarded-for') || '127.0.0.1';
+    const ip = getClientIp(request);
     const userAgent = request.headers.get('User-Agent') || 'unknown';
 
     // Validasi input
@@ -49,7 +40,10 @@ export async function POST(request) {
     }
 
     // Rate limiting (5 requests per second)
-    const { success } = await limiter.limit(ip);
+    const { success } = await rateLimit('metrics', ip, {
+      limit: REQUEST_LIMIT,
+      window: REQUEST_WINDOW,
+    });
     if (!success) {
       return Response.json(
         { success: false, error: 'Too many requests' },
@@ -0,0 +1,47 @@
+// app/api/p2p-config/route.js
+import { NextResponse } from 'next/server';
+import { getTicketFromRequest, verifyPeerTicket } from '@/lib/p2p-ticket';
+import { getIceServers } from '@/lib/turn-credentials';
+import { rateLimit, getClientIp } from '@/lib/rate-limit';
+
+export const runtime = 'edge';
+export const dynamic = 'force-dynamic';
+
+// Fetched on join and when TURN credentials expire
+const CONFIG_LIMIT = { limit: 20, window: '1 m' };
+
+/**
+ * GET /api/p2p-config
+ * Header: Authorization: Bearer <peer ticket>
+ * Returns: { success, iceServers, expires_at }
+ *
+ * Without a valid peer ticket only STUN servers are returned. With one,
+ * TURN servers are added with coturn REST credentials bound to the peer id.
+ * `expires_at` is null when there is nothing to refresh.
+ */
+export async function GET(request) {
+  try {
+    const ip = getClientIp(request);
+    const { success } = await rateLimit('p2p-config', ip, CONFIG_LIMIT);
+    if (!success) {
+      return NextResponse.json(
+        { success: false, error: 'Too many requests' },
+        { status: 429 }
+      );
+    }
+
+    const claims = await verifyPeerTicket(getTicketFromRequest(request));
+    const { iceServers, expiresAt } = await getIceServers(claims?.peerId || null);
+
+    return NextResponse.json(
+      { success: true, iceServers, expires_at: expiresAt },
+      { headers: { 'Cache-Control': 'no-store' } }
+    );
+  } catch (err) {
+    console.error('[P2P Config] Error:', err.message);
+    return NextResponse.json(
+      { success: false, error: 'Failed to load P2P config' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,33 @@
+// app/api/p2p-rooms/route.js
+import { NextResponse } from 'next/server';
+import { roomPresence } from '@/lib/p2p-presence';
+import { withAdmin } from '@/lib/server-auth';
+import { PERMISSIONS } from '@/lib/admin-users';
+
+export const runtime = 'edge';
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/p2p-rooms?match_id=42 (owner, editor)
+ * Returns: { success, data: { rooms, matches }, generatedAt }
+ *
+ * Live P2P rooms from peer heartbeats: viewers per room and, per match,
+ * bytes from peers vs CDN, offload ratio and estimated CDN savings (USD).
+ */
+export const GET = withAdmin(async (request) => {
+  try {
+    const matchId = new URL(request.url).searchParams.get('match_id');
+    const data = await roomPresence.summary({ matchId: matchId || null });
+
+    return NextResponse.json(
+      { success: true, data, generatedAt: new Date().toISOString() },
+      { headers: { 'Cache-Control': 'no-store' } }
+    );
+  } catch (error) {
+    console.error('GET p2p-rooms error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Gagal mengambil statistik P2P' },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.P2P_READ });
@@ -0,0 +1,112 @@
+// app/api/p2p-signal/room/route.js
+import { NextResponse } from 'next/server';
+import { getTicketFromRequest, ticketAllowsRoom, verifyPeerTicket } from '@/lib/p2p-ticket';
+import { roomTracker } from '@/lib/p2p-tracker';
+import { roomPresence } from '@/lib/p2p-presence';
+import { rateLimit, getClientIp } from '@/lib/rate-limit';
+
+export const runtime = 'edge';
+export const dynamic = 'force-dynamic';
+
+// Join + one heartbeat per minute + a few level/link switches
+const ROOM_LIMIT = { limit: 20, window: '1 m' };
+
+const ROOM_KEY_RE = /^match_[^:]+(?::[A-Za-z0-9_-]{1,32}){0,2}$/;
+
+async function authorize(request, roomId) {
+  const ip = getClientIp(request);
+  const { success } = await rateLimit('p2p-room', ip, ROOM_LIMIT);
+  if (!success) {
+    return { error: NextResponse.json({ success: false, error: 'Too many requests' }, { status: 429 }) };
+  }
+
+  const claims = await verifyPeerTicket(getTicketFromRequest(request));
+  if (!claims) {
+    return { error: NextResponse.json({ success: false, error: 'Valid peer ticket required' }, { status: 401 }) };
+  }
+  if (!ticketAllowsRoom(claims, roomId)) {
+    return { error: NextResponse.json({ success: false, error: 'Ticket not valid for this room' }, { status: 403 }) };
+  }
+
+  return { claims };
+}
+
+/**
+ * POST /api/p2p-signal/room
+ * Header: Authorization: Bearer <peer ticket>
+ * Body: { room_key, room_id?, stats? }
+ * Returns: { success, room_id, shard, members, cap }
+ *
+ * Assigns the peer a sub-swarm of `room_key` (match + link + rendition).
+ * Sending the current `room_id` again is the heartbeat and keeps the shard.
+ * `stats` ({ bytesFromPeers, bytesFromCdn, bytesShared }) feeds GET /api/p2p-rooms.
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const room_key = body.room_key || body.roomKey;
+
+    if (typeof room_key !== 'string' || !ROOM_KEY_RE.test(room_key)) {
+      return NextResponse.json(
+        { success: false, error: 'Valid room_key required' },
+        { status: 400 }
+      );
+    }
+
+    const { claims, error } = await authorize(request, room_key);
+    if (error) return error;
+
+    const { roomId, shard, members } = await roomTracker.join(
+      room_key,
+      claims.peerId,
+      body.room_id || body.roomId || null
+    );
+
+    // Presence is best effort: never fail the join over it
+    await roomPresence.report(roomId, claims.peerId, body.stats).catch((err) => {
+      console.warn('[P2P Room] Presence report failed:', err.message);
+    });
+
+    return NextResponse.json(
+      { success: true, room_id: roomId, shard, members, cap: roomTracker.cap },
+      { headers: { 'Cache-Control': 'no-store' } }
+    );
+  } catch (err) {
+    console.error('[P2P Room] Error:', err.message);
+    return NextResponse.json(
+      { success: false, error: 'Failed to assign room' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/p2p-signal/room?room_id=...
+ * Header: Authorization: Bearer <peer ticket>
+ * Frees the peer's slot when it leaves or migrates.
+ */
+export async function DELETE(request) {
+  try {
+    const room_id = new URL(request.url).searchParams.get('room_id');
+    if (!room_id) {
+      return NextResponse.json(
+        { success: false, error: 'room_id required' },
+        { status: 400 }
+      );
+    }
+
+    const { claims, error } = await authorize(request, room_id);
+    if (error) return error;
+
+    await roomTracker.leave(room_id, claims.peerId);
+    await roomPresence.leave(room_id, claims.peerId).catch(() => {});
+
+    return NextResponse.json({ success: true });
+  } catch (err) {
+    console.error('[P2P Room] Error:', err.message);
+    return NextResponse.json(
+      { success: false, error: 'Failed to leave room' },
+      { status: 500 }
+    );
+  }
+}
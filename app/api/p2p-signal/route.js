@@ -1,17 +1,20 @@
 // app/api/p2p-signal/route.js
 import { NextResponse } from 'next/server';
 import { supabaseAdmin } from '@/lib/supabase';
+import {
+  SIGNAL_TTL_SECONDS,
+  VALID_TYPES,
+  fetchPendingSignals,
+} from '@/lib/p2p-signal-store';
+import { signalJanitor } from '@/lib/p2p-signal-janitor';
+import { guardSignalRequest } from '@/lib/p2p-signal-guard';
 
 export const runtime = 'edge';
 export const dynamic = 'force-dynamic';
 
-const SIGNAL_TTL_SECONDS = 60;
-
-// ✅ Types yang dipakai P2P Engine
-const VALID_TYPES = ['announce', 'offer', 'answer', 'ice-candidate', 'candidate', 'bye', 'join', 'leave'];
-
 /**
  * POST /api/p2p-signal
+ * Requires `Authorization: Bearer <peer ticket>` whose peer is `from_peer`
  */
 export async function POST(request) {
   try {
@@ -45,6 +48,9 @@ export async function POST(request) {
       );
     }
 
+    const guard = await guardSignalRequest(request, { room_id, peer: from_peer });
+    if (guard.response) return guard.response;
+
     // Jika Supabase tidak ada, return success (fallback mode)
     if (!supabaseAdmin) {
       console.log(`[P2P] Fallback mode: ${type} from ${from_peer}`);
@@ -86,7 +92,10 @@ export async function POST(request) {
 }
 
 /**
- * GET /api/p2p-signal?room_id=...&peer=...
+ * GET /api/p2p-signal?room_id=...&peer=...[&since=<created_at>]
+ * Requires a peer ticket for `peer`. `since` (inclusive) is the newest
+ * `created_at` the poller has seen, so broadcasts are not handed back
+ * on every poll.
  */
 export async function GET(request) {
   try {
@@ -95,6 +104,7 @@ export async function GET(request) {
     // Support kedua format
     const room_id = searchParams.get('room_id') || searchParams.get('roomId');
     const peer = searchParams.get('peer') || searchParams.get('peerId');
+    const since = searchParams.get('since');
 
     if (!room_id || !peer) {
       return NextResponse.json(
@@ -103,45 +113,30 @@ export async function GET(request) {
       );
     }
 
+    const guard = await guardSignalRequest(request, { room_id, peer });
+    if (guard.response) return guard.response;
+
     // Fallback jika Supabase tidak ada
     if (!supabaseAdmin) {
       return NextResponse.json({ success: true, data: [], count: 0 });
     }
 
-    const now = new Date().toISOString();
-
-    const { data, error } = await supabaseAdmin
-      .from('signals')
-      .select('*')
-      .eq('room_id', room_id)
-      .neq('from_peer', peer)
-      .or(`to_peer.eq.${peer},to_peer.is.null`)
-      .gt('expires_at', now)
-      .order('created_at', { ascending: true })
-      .limit(50);
+    const { data, error } = await fetchPendingSignals(room_id, peer, {
+      since: since && !Number.isNaN(Date.parse(since)) ? since : null,
+    });
 
     if (error) {
       console.error('[P2P Signal] Fetch error:', error.message);
       return NextResponse.json({ success: true, data: [], count: 0 });
     }
 
-    // Background cleanup
-    cleanupExpiredSignals(room_id).catch(() => {});
-
-    // Parse payload back to object
-    const parsedData = (data || []).map(signal => {
-      try {
-        if (typeof signal.payload === 'string') {
-          signal.payload = JSON.parse(signal.payload);
-        }
-      } catch (e) {}
-      return signal;
-    });
+    // Background cleanup of all rooms, at most once per interval across instances
+    signalJanitor.maybeRun();
 
     return NextResponse.json({
       success: true,
-      data: parsedData,
-      count: parsedData.length,
+      data,
+      count: data.length,
     });
   } catch (err) {
     console.error('[P2P Signal] GET error:', err.message);
@@ -150,30 +145,44 @@ export async function GET(request) {
 }
 
 /**
- * DELETE /api/p2p-signal
+ * DELETE /api/p2p-signal?id=... | ?room_id=...&peer=...
+ * Requires a peer ticket: by id only deletes signals sent to or by the
+ * ticket's peer, by room only the ticket peer's own signals.
  */
 export async function DELETE(request) {
   try {
-    if (!supabaseAdmin) {
-      return NextResponse.json({ success: true, deleted: 0 });
-    }
-
     const { searchParams } = new URL(request.url);
     const id = searchParams.get('id');
     const room_id = searchParams.get('room_id') || searchParams.get('roomId');
     const peer = searchParams.get('peer') || searchParams.get('peerId');
 
+    const guard = await guardSignalRequest(request, { room_id, peer });
+    if (guard.response) return guard.response;
+
+    const ticketPeer = guard.claims.peerId;
+
+    if (!supabaseAdmin) {
+      return NextResponse.json({ success: true, deleted: 0 });
+    }
+
     if (id) {
-      await supabaseAdmin.from('signals').delete().eq('id', id);
-      return NextResponse.json({ success: true, deleted: 1 });
+      const matchRoom = `match_${guard.claims.matchId}`;
+      const { count } = await supabaseAdmin
+        .from('signals')
+        .delete({ count: 'exact' })
+        .eq('id', id)
+        .or(`room_id.eq.${matchRoom},room_id.like.${matchRoom}:*`)
+        .or(`to_peer.eq.${ticketPeer},from_peer.eq.${ticketPeer}`);
+
+      return NextResponse.json({ success: true, deleted: count || 0 });
     }
 
     if (room_id && peer) {
       const { count } = await supabaseAdmin
         .from('signals')
-        .delete()
+        .delete({ count: 'exact' })
         .eq('room_id', room_id)
-        .eq('from_peer', peer);
+        .eq('from_peer', ticketPeer);
 
       return NextResponse.json({ success: true, deleted: count || 0 });
     }
@@ -183,19 +192,3 @@ export async function DELETE(request) {
     return NextResponse.json({ success: true, deleted: 0 });
   }
 }
-
-/**
- * Cleanup expired signals
- */
-async function cleanupExpiredSignals(room_id) {
-  if (!supabaseAdmin) return;
-  
-  try {
-    const now = new Date().toISOString();
-    await supabaseAdmin
-      .from('signals')
-      .delete()
-      .eq('room_id', room_id)
-      .lt('expires_at', now);
-  } catch (e) {}
-}
\ No newline at end of file
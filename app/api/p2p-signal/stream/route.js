@@ -0,0 +1,130 @@
+// app/api/p2p-signal/stream/route.js
+import { NextResponse } from 'next/server';
+import { supabaseAdmin } from '@/lib/supabase';
+import { fetchPendingSignals, deleteSignals } from '@/lib/p2p-signal-store';
+import { signalJanitor } from '@/lib/p2p-signal-janitor';
+import { guardSignalRequest } from '@/lib/p2p-signal-guard';
+
+export const runtime = 'edge';
+export const dynamic = 'force-dynamic';
+
+// How often the stream checks the signals table for new rows: no faster
+// than the 2s client polling it replaces, so Supabase sees no extra load
+const STREAM_POLL_MS = 2000;
+// Edge functions are not meant to hold a request forever; EventSource reconnects
+const STREAM_MAX_DURATION_MS = 50000;
+const HEARTBEAT_MS = 15000;
+const RECONNECT_DELAY_MS = 1000;
+
+/**
+ * GET /api/p2p-signal/stream?room_id=...&peer=...&ticket=...
+ *
+ * Server-Sent Events: each new signal addressed to `peer` (or broadcast)
+ * is pushed as an `event: signal` message. Direct signals are deleted once
+ * delivered, so the client needs no DELETE round trip. The event id is the
+ * signal's `created_at`, so a reconnecting EventSource resumes via Last-Event-ID.
+ * The peer ticket goes in the query string because EventSource cannot set headers.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const room_id = searchParams.get('room_id') || searchParams.get('roomId');
+  const peer = searchParams.get('peer') || searchParams.get('peerId');
+
+  if (!room_id || !peer) {
+    return NextResponse.json(
+      { success: false, error: 'room_id dan peer required' },
+      { status: 400 }
+    );
+  }
+
+  const guard = await guardSignalRequest(request, { room_id, peer });
+  if (guard.response) return guard.response;
+
+  // No store to stream from: client degrades to polling
+  if (!supabaseAdmin) {
+    return NextResponse.json(
+      { success: false, error: 'Signal stream not available' },
+      { status: 503 }
+    );
+  }
+
+  const encoder = new TextEncoder();
+  let cursor = request.headers.get('last-event-id') || null;
+  const delivered = new Set();
+  let closed = false;
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const write = (text) => {
+        if (!closed) controller.enqueue(encoder.encode(text));
+      };
+
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        try { controller.close(); } catch (e) {}
+      };
+
+      request.signal?.addEventListener('abort', close);
+
+      write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+      signalJanitor.maybeRun();
+
+      const startedAt = Date.now();
+      let lastWriteAt = startedAt;
+
+      while (!closed && Date.now() - startedAt < STREAM_MAX_DURATION_MS) {
+        try {
+          const { data, error } = await fetchPendingSignals(room_id, peer, { since: cursor });
+
+          if (error) {
+            console.error('[P2P Stream] Fetch error:', error.message);
+          } else {
+            const directIds = [];
+
+            for (const signal of data) {
+              // `since` is inclusive, skip rows already sent at the cursor timestamp
+              if (delivered.has(signal.id)) continue;
+              delivered.add(signal.id);
+
+              write(`id: ${signal.created_at}\nevent: signal\ndata: ${JSON.stringify(signal)}\n\n`);
+              lastWriteAt = Date.now();
+              cursor = signal.created_at;
+
+              if (signal.to_peer === peer) directIds.push(signal.id);
+            }
+
+            const { error: deleteError } = await deleteSignals(directIds);
+            if (deleteError) {
+              // Left to expire; `delivered` keeps this stream from resending them
+              console.error('[P2P Stream] Delete error:', deleteError.message);
+            }
+          }
+
+          if (Date.now() - lastWriteAt >= HEARTBEAT_MS) {
+            write(': ping\n\n');
+            lastWriteAt = Date.now();
+          }
+        } catch (err) {
+          console.error('[P2P Stream] Error:', err.message);
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, STREAM_POLL_MS));
+      }
+
+      close();
+    },
+    cancel() {
+      closed = true;
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    },
+  });
+}
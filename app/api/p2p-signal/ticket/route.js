@@ -0,0 +1,91 @@
+// app/api/p2p-signal/ticket/route.js
+import { NextResponse } from 'next/server';
+import { getRoomMatchId } from '@/lib/p2p-utils';
+import {
+  generatePeerId,
+  getTicketFromRequest,
+  isPeerTicketConfigured,
+  issuePeerTicket,
+  verifyPeerTicket,
+} from '@/lib/p2p-ticket';
+import { rateLimit, getClientIp } from '@/lib/rate-limit';
+
+export const runtime = 'edge';
+export const dynamic = 'force-dynamic';
+
+// Joining (or renewing) is rare per viewer
+const TICKET_LIMIT = { limit: 10, window: '1 m' };
+// New peer ids per IP and match over one ticket lifetime. Peers vouch for
+// segment digests, so identities must not be free to mint (a household
+// behind one NAT still gets a few).
+const PEER_ID_LIMIT = { limit: 4, window: '15 m' };
+
+/**
+ * POST /api/p2p-signal/ticket
+ * Body: { room_id }
+ * Returns: { success, peer_id, ticket, expires_at }
+ *
+ * The server picks the peer id. Sending a still-valid ticket for the same
+ * match in `Authorization` renews it and keeps the peer id; new peer ids
+ * are limited per IP and match (429 once used up).
+ */
+export async function POST(request) {
+  try {
+    if (!isPeerTicketConfigured()) {
+      return NextResponse.json(
+        { success: false, error: 'P2P tickets not configured' },
+        { status: 503 }
+      );
+    }
+
+    const ip = getClientIp(request);
+    const { success } = await rateLimit('p2p-ticket', ip, TICKET_LIMIT);
+    if (!success) {
+      return NextResponse.json(
+        { success: false, error: 'Too many requests' },
+        { status: 429 }
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const room_id = body.room_id || body.roomId;
+    const matchId = getRoomMatchId(room_id);
+
+    if (!matchId) {
+      return NextResponse.json(
+        { success: false, error: 'Valid room_id required' },
+        { status: 400 }
+      );
+    }
+
+    const current = await verifyPeerTicket(getTicketFromRequest(request));
+    const renewing = current && current.matchId === matchId;
+
+    if (!renewing) {
+      const minted = await rateLimit('p2p-peer-id', `${ip}:${matchId}`, PEER_ID_LIMIT);
+      if (!minted.success) {
+        return NextResponse.json(
+          { success: false, error: 'Too many peers from this network' },
+          { status: 429 }
+        );
+      }
+    }
+
+    const peerId = renewing ? current.peerId : generatePeerId();
+
+    const { ticket, expiresAt } = await issuePeerTicket({ matchId, peerId });
+
+    return NextResponse.json({
+      success: true,
+      peer_id: peerId,
+      ticket,
+      expires_at: expiresAt,
+    });
+  } catch (err) {
+    console.error('[P2P Ticket] Error:', err.message);
+    return NextResponse.json(
+      { success: false, error: 'Failed to issue ticket' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,88 @@
+// app/api/stream-token/route.js
+import { NextResponse } from 'next/server';
+import supabase, { getMatchById } from '@/lib/supabase';
+import { rateLimit, getClientIp } from '@/lib/rate-limit';
+import {
+  STREAM_LINKS,
+  buildStreamUrl,
+  isStreamTokenConfigured,
+  signStreamToken,
+} from '@/lib/stream-token';
+
+export const runtime = 'edge';
+export const dynamic = 'force-dynamic';
+
+// Players refresh every 25 minutes; retries and link switches stay well below this
+const STREAM_TOKEN_LIMIT = { limit: 30, window: '1 m' };
+
+/**
+ * POST /api/stream-token
+ * Body: { match_id, link_id }
+ * Returns: { success, url, token, ts, expires_at }
+ *
+ * Signs the worker manifest URL for one link of a match. `token` and `ts`
+ * can be put on other worker endpoints of the same match/link.
+ */
+export async function POST(request) {
+  try {
+    if (!isStreamTokenConfigured()) {
+      return NextResponse.json(
+        { success: false, error: 'Stream tokens not configured' },
+        { status: 503 }
+      );
+    }
+
+    const ip = getClientIp(request);
+    const { success } = await rateLimit('stream-token', ip, STREAM_TOKEN_LIMIT);
+    if (!success) {
+      return NextResponse.json(
+        { success: false, error: 'Too many requests' },
+        { status: 429 }
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const matchId = String(body.match_id ?? body.matchId ?? '');
+    const linkId = body.link_id || body.linkId || 'link1';
+
+    if (!/^[\w-]{1,64}$/.test(matchId) || !STREAM_LINKS.includes(linkId)) {
+      return NextResponse.json(
+        { success: false, error: 'Valid match_id and link_id required' },
+        { status: 400 }
+      );
+    }
+
+    // Only sign links that exist (skipped when Supabase is not configured)
+    if (supabase) {
+      const match = await getMatchById(matchId);
+      if (!match?.[`stream_url${linkId.slice(-1)}`]) {
+        return NextResponse.json(
+          { success: false, error: 'Stream tidak ditemukan' },
+          { status: 404 }
+        );
+      }
+    }
+
+    const { token, ts, expiresAt } = await signStreamToken({ matchId, linkId });
+    const workerUrl = process.env.NEXT_PUBLIC_WORKER_URL;
+
+    return NextResponse.json(
+      {
+        success: true,
+        url: workerUrl
+          ? buildStreamUrl(`${workerUrl}/api/stream/manifest`, { matchId, linkId, ts, token })
+          : null,
+        token,
+        ts,
+        expires_at: expiresAt,
+      },
+      { headers: { 'Cache-Control': 'no-store' } }
+    );
+  } catch (err) {
+    console.error('[Stream Token] Error:', err.message);
+    return NextResponse.json(
+      { success: false, error: 'Failed to sign stream URL' },
+      { status: 500 }
+    );
+  }
+}
@@ -3,6 +3,7 @@ import { getMatchById } from '@/lib/supabase';
 import AdBanner from '@/components/ad-banner';
 import Link from 'next/link';
 import P2PStatus from '@/components/p2p-status';
+import P2PSettings from '@/components/p2p-settings';
 import VideoPlayerWithP2P from '@/components/video-player';
 
 // ✅ WAJIB untuk Cloudflare Pages
@@ -80,8 +81,9 @@ export default async function PlayerPage({ params }) {
         {canStream ? (
           <>
             <VideoPlayerWithP2P match={match} />
-            <div className="mt-6">
+            <div className="mt-6 grid gap-4 md:grid-cols-2">
               <P2PStatus />
+              <P2PSettings />
             </div>
           </>
         ) : (
@@ -0,0 +1,19 @@
+-- Admin accounts and roles (lib/admin-users.js)
+-- password_hash: pbkdf2-sha256$<iterations>$<salt>$<hash>, from `npm run admin:hash-password`
+
+create table if not exists admin_users (
+  id uuid primary key default gen_random_uuid(),
+  username text not null unique check (username = lower(username)),
+  password_hash text not null,
+  role text not null check (role in ('owner', 'editor', 'score-keeper')),
+  disabled boolean not null default false,
+  created_at timestamptz not null default now(),
+  last_login_at timestamptz
+);
+
+-- Only the service role (server routes) reads this table
+alter table admin_users enable row level security;
+
+-- First owner, e.g.:
+-- insert into admin_users (username, password_hash, role)
+-- values ('admin', '<hash>', 'owner');
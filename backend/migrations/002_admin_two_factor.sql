@@ -0,0 +1,9 @@
+-- Optional TOTP two-factor login per admin (lib/admin-two-factor.js)
+-- recovery_codes: SHA-256 hex of each unused one-time recovery code
+
+alter table admin_users
+  add column if not exists totp_secret text,
+  add column if not exists totp_pending_secret text,
+  add column if not exists totp_enabled boolean not null default false,
+  add column if not exists totp_last_counter bigint,
+  add column if not exists recovery_codes text[] not null default '{}';
@@ -0,0 +1,21 @@
+-- Audit log of match changes made through /api/matches (lib/audit-log.js)
+-- changes: { "<field>": { "from": ..., "to": ... } }, stream URLs redacted
+
+create table if not exists audit_log (
+  id bigint generated always as identity primary key,
+  actor_id text,
+  actor_username text not null,
+  actor_role text not null,
+  action text not null check (action in ('create', 'update', 'delete')),
+  -- text, and no foreign key: entries outlive deleted matches
+  match_id text not null,
+  changes jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_at_idx on audit_log (created_at desc);
+create index if not exists audit_log_actor_idx on audit_log (actor_username, created_at desc);
+create index if not exists audit_log_match_idx on audit_log (match_id, created_at desc);
+
+-- Only the service role (server routes) reads and writes this table
+alter table audit_log enable row level security;
@@ -0,0 +1,15 @@
+-- Failed logins, lockouts and blocked attempts from lib/login-guard.js go to
+-- audit_log too (lib/audit-log.js recordAuthEvent). They have no match and,
+-- for blocked IPs, possibly no username or role.
+-- details: { "scope": "ip"|"user", "lockoutMs": ..., "locked": ... }
+
+alter table audit_log
+  alter column actor_username drop not null,
+  alter column actor_role drop not null,
+  alter column match_id drop not null,
+  add column if not exists ip text,
+  add column if not exists details jsonb not null default '{}';
+
+alter table audit_log drop constraint if exists audit_log_action_check;
+alter table audit_log add constraint audit_log_action_check
+  check (action in ('create', 'update', 'delete', 'login.failed', 'login.locked', 'login.blocked'));
@@ -2,32 +2,16 @@
 
 import { useState } from 'react';
 import { fetchWithAuth } from '@/lib/auth-client';
+import { buildMatchRequest, toMatchForm } from '@/lib/match-fields';
 
-export default function MatchFormModal({ match, onClose }) {
+/**
+ * Add or edit a match. `scoreOnly` (roles without matches:update) shows and
+ * sends only the score and status.
+ */
+export default function MatchFormModal({ match, onClose, scoreOnly = false }) {
   const isEdit = !!match;
   
-  const [formData, setFormData] = useState({
-    home_team: match?.home_team || '',
-    home_flag: match?.home_flag || '⚽',
-    away_team: match?.away_team || '',
-    away_flag: match?.away_flag || '⚽',
-    competition: match?.competition || '',
-    match_date: match?.match_date || new Date().toISOString().split('T')[0],
-    match_time: match?.match_time || '19:00 WIB',
-    thumbnail_url: match?.thumbnail_url || '',
-    status: match?.status || 'upcoming',
-    home_score: match?.home_score || 0,
-    away_score: match?.away_score || 0,
-    stream_url1: match?.stream_url1 || '',
-    referer1: match?.referer1 || '',
-    origin1: match?.origin1 || '',
-    stream_url2: match?.stream_url2 || '',
-    referer2: match?.referer2 || '',
-    origin2: match?.origin2 || '',
-    stream_url3: match?.stream_url3 || '',
-    referer3: match?.referer3 || '',
-    origin3: match?.origin3 || '',
-  });
+  const [formData, setFormData] = useState(() => toMatchForm(match));
 
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -50,11 +34,12 @@ export default function MatchFormModal({ match, onClose }) {
       const url = isEdit ? `/api/matches?id=${match.id}` : '/api/matches';
       const method = isEdit ? 'PUT' : 'POST';
 
-      console.log(`📤 Submitting ${method} to ${url}:`, formData);
+      const body = buildMatchRequest(formData, { scoreOnly: isEdit && scoreOnly });
+      console.log(`📤 Submitting ${method} to ${url}:`, body);
 
       const response = await fetchWithAuth(url, {
         method,
-        body: JSON.stringify(formData),
+        body: JSON.stringify(body),
       });
 
       console.log(`📥 Response status:`, response.status, response.ok);
@@ -102,7 +87,7 @@ export default function MatchFormModal({ match, onClose }) {
         {/* Header */}
         <div className="sticky top-0 bg-netflix-darkGray border-b border-white/10 p-6 flex justify-between items-center">
           <h2 className="text-2xl font-bold">
-            {isEdit ? 'Edit Pertandingan' : 'Tambah Pertandingan'}
+            {isEdit ? (scoreOnly ? 'Update Skor' : 'Edit Pertandingan') : 'Tambah Pertandingan'}
           </h2>
           <button
             onClick={() => onClose(false)}
@@ -114,104 +99,112 @@ export default function MatchFormModal({ match, onClose }) {
 
         {/* Form */}
         <form onSubmit={handleSubmit} className="p-6 space-y-6">
-          {/* Team Info */}
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm font-semibold mb-2">Tim Kandang *</label>
-              <input
-                type="text"
-                name="home_team"
-                value={formData.home_team}
-                onChange={handleChange}
-                className="input"
-                required
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-semibold mb-2">Flag Kandang</label>
-              <input
-                type="text"
-                name="home_flag"
-                value={formData.home_flag}
-                onChange={handleChange}
-                className="input"
-                maxLength={10}
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-semibold mb-2">Tim Tandang *</label>
-              <input
-                type="text"
-                name="away_team"
-                value={formData.away_team}
-                onChange={handleChange}
-                className="input"
-                required
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-semibold mb-2">Flag Tandang</label>
-              <input
-                type="text"
-                name="away_flag"
-                value={formData.away_flag}
-                onChange={handleChange}
-                className="input"
-                maxLength={10}
-              />
-            </div>
-          </div>
+          {scoreOnly ? (
+            <p className="text-lg font-semibold">
+              {formData.home_flag} {formData.home_team} vs {formData.away_team} {formData.away_flag}
+            </p>
+          ) : (
+            <>
+              {/* Team Info */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-semibold mb-2">Tim Kandang *</label>
+                  <input
+                    type="text"
+                    name="home_team"
+                    value={formData.home_team}
+                    onChange={handleChange}
+                    className="input"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold mb-2">Flag Kandang</label>
+                  <input
+                    type="text"
+                    name="home_flag"
+                    value={formData.home_flag}
+                    onChange={handleChange}
+                    className="input"
+                    maxLength={10}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold mb-2">Tim Tandang *</label>
+                  <input
+                    type="text"
+                    name="away_team"
+                    value={formData.away_team}
+                    onChange={handleChange}
+                    className="input"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold mb-2">Flag Tandang</label>
+                  <input
+                    type="text"
+                    name="away_flag"
+                    value={formData.away_flag}
+                    onChange={handleChange}
+                    className="input"
+                    maxLength={10}
+                  />
+                </div>
+              </div>
 
-          {/* Match Details */}
-          <div>
-            <label className="block text-sm font-semibold mb-2">Kompetisi *</label>
-            <input
-              type="text"
-              name="competition"
-              value={formData.competition}
-              onChange={handleChange}
-              className="input"
-              required
-            />
-          </div>
+              {/* Match Details */}
+              <div>
+                <label className="block text-sm font-semibold mb-2">Kompetisi *</label>
+                <input
+                  type="text"
+                  name="competition"
+                  value={formData.competition}
+                  onChange={handleChange}
+                  className="input"
+                  required
+                />
+              </div>
 
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm font-semibold mb-2">Tanggal *</label>
-              <input
-                type="date"
-                name="match_date"
-                value={formData.match_date}
-                onChange={handleChange}
-                className="input"
-                required
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-semibold mb-2">Waktu *</label>
-              <input
-                type="text"
-                name="match_time"
-                value={formData.match_time}
-                onChange={handleChange}
-                className="input"
-                placeholder="19:00 WIB"
-                required
-              />
-            </div>
-          </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-semibold mb-2">Tanggal *</label>
+                  <input
+                    type="date"
+                    name="match_date"
+                    value={formData.match_date}
+                    onChange={handleChange}
+                    className="input"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold mb-2">Waktu *</label>
+                  <input
+                    type="text"
+                    name="match_time"
+                    value={formData.match_time}
+                    onChange={handleChange}
+                    className="input"
+                    placeholder="19:00 WIB"
+                    required
+                  />
+                </div>
+              </div>
 
-          <div>
-            <label className="block text-sm font-semibold mb-2">Thumbnail URL</label>
-            <input
-              type="url"
-              name="thumbnail_url"
-              value={formData.thumbnail_url}
-              onChange={handleChange}
-              className="input"
-              placeholder="https://example.com/image.jpg"
-            />
-          </div>
+              <div>
+                <label className="block text-sm font-semibold mb-2">Thumbnail URL</label>
+                <input
+                  type="url"
+                  name="thumbnail_url"
+                  value={formData.thumbnail_url}
+                  onChange={handleChange}
+                  className="input"
+                  placeholder="https://example.com/image.jpg"
+                />
+              </div>
+            </>
+          )}
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div>
@@ -254,7 +247,7 @@ export default function MatchFormModal({ match, onClose }) {
           </div>
 
           {/* Stream Links */}
-          {[1, 2, 3].map((i) => (
+          {!scoreOnly && [1, 2, 3].map((i) => (
             <div key={i} className="bg-white/5 rounded-lg p-4 space-y-4">
               <h3 className="font-bold text-lg text-netflix-red">
                 Stream Link {i} {i === 3 ? '(DASH)' : '(HLS)'}
@@ -0,0 +1,135 @@
+"use client";
+
+/**
+ * ⚙️ P2P Settings Component
+ * Lets viewers limit how much they upload to other peers.
+ * Saved in localStorage and applied to the running P2P Engine.
+ */
+
+import { useState, useEffect } from 'react';
+import { getP2PEngine } from '@/lib/p2p-engine';
+import { loadSeedingPolicy, saveSeedingPolicy, DEFAULT_SEEDING_POLICY } from '@/lib/p2p-seeding-policy';
+import { cn } from '@/lib/utils';
+
+const PAUSE_LABELS = {
+  'download-only': 'Download only',
+  cellular: 'Paused on cellular',
+  quota: 'Session limit reached',
+};
+
+export default function P2PSettings({ className }) {
+  const [policy, setPolicy] = useState(DEFAULT_SEEDING_POLICY);
+  const [pausedReason, setPausedReason] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  // localStorage is only available after mount
+  useEffect(() => {
+    setPolicy(loadSeedingPolicy());
+  }, []);
+
+  useEffect(() => {
+    const updateStatus = () => {
+      try {
+        setPausedReason(getP2PEngine().getStats().seedingPaused || null);
+      } catch (err) {
+        setPausedReason(null);
+      }
+    };
+
+    updateStatus();
+    const interval = setInterval(updateStatus, 2000);
+
+    return () => clearInterval(interval);
+  }, []);
+
+  const update = (field, value) => {
+    setPolicy(prev => ({ ...prev, [field]: value }));
+    setSaved(false);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+
+    const normalized = saveSeedingPolicy(policy);
+    setPolicy(normalized);
+
+    try {
+      const p2pEngine = getP2PEngine();
+      p2pEngine.setSeedingPolicy(normalized);
+      setPausedReason(p2pEngine.getStats().seedingPaused || null);
+    } catch (err) {
+      console.error('[P2P Settings] Error:', err);
+    }
+
+    setSaved(true);
+  };
+
+  return (
+    <form
+      onSubmit={handleSave}
+      className={cn("p-4 rounded-lg bg-gray-800/50 backdrop-blur border border-gray-500/30", className)}
+    >
+      {/* Header */}
+      <div className="flex items-center justify-between mb-3">
+        <strong className="text-white">Upload Settings</strong>
+        <span className="text-xs text-gray-400">
+          {pausedReason ? `⏸️ ${PAUSE_LABELS[pausedReason] || pausedReason}` : '📤 Sharing'}
+        </span>
+      </div>
+
+      <div className="space-y-3 text-xs">
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-gray-400">Max upload (kbps, 0 = unlimited)</span>
+          <input
+            type="number"
+            min="0"
+            step="100"
+            value={policy.maxUploadKbps}
+            onChange={(e) => update('maxUploadKbps', e.target.value)}
+            className="w-24 px-2 py-1 rounded bg-gray-900 border border-white/10 text-white font-mono"
+          />
+        </label>
+
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-gray-400">Max per session (MB, 0 = unlimited)</span>
+          <input
+            type="number"
+            min="0"
+            step="10"
+            value={policy.maxUploadMB}
+            onChange={(e) => update('maxUploadMB', e.target.value)}
+            className="w-24 px-2 py-1 rounded bg-gray-900 border border-white/10 text-white font-mono"
+          />
+        </label>
+
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={policy.downloadOnly}
+            onChange={(e) => update('downloadOnly', e.target.checked)}
+          />
+          <span className="text-gray-300">Download only (never upload)</span>
+        </label>
+
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={policy.pauseOnCellular}
+            onChange={(e) => update('pauseOnCellular', e.target.checked)}
+          />
+          <span className="text-gray-300">Pause uploading on mobile data</span>
+        </label>
+      </div>
+
+      <div className="mt-3 pt-2 border-t border-white/10 flex items-center justify-end gap-3">
+        {saved && <span className="text-xs text-green-400">✓ Saved</span>}
+        <button
+          type="submit"
+          className="px-3 py-1.5 rounded bg-gray-700 hover:bg-gray-600 text-xs text-white transition"
+        >
+          Save
+        </button>
+      </div>
+    </form>
+  );
+}
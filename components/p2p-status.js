@@ -2,73 +2,63 @@
 
 /**
  * 🔗 P2P Status Component - Enhanced
- * Shows real-time P2P stats from the P2P Engine
+ * Shows real-time P2P stats, refreshed on P2P Engine events
  */
 
-import { useState, useEffect } from 'react';
-import { getP2PEngine } from '@/lib/p2p-engine';
+import { useState } from 'react';
+import useP2PEvents from '@/hooks/useP2PEvents';
+import { P2P_EVENTS } from '@/lib/p2p-engine';
 import { cn } from '@/lib/utils';
 
-export default function P2PStatus({ className, compact = false }) {
-  const [stats, setStats] = useState({
-    enabled: false,
-    peerId: null,
-    peers: 0,
-    healthyPeers: 0,
-    p2pHits: 0,
-    p2pMisses: 0,
-    cdnFallbacks: 0,
-    offloadRatio: '0%',
-    bytesFromPeers: '0 MB',
-    bytesShared: '0 MB',
-    avgLatency: '0ms',
-  });
-  
-  const [error, setError] = useState(null);
-  const [lastUpdate, setLastUpdate] = useState(null);
-
-  useEffect(() => {
-    const updateStats = () => {
-      try {
-        const p2pEngine = getP2PEngine();
-        
-        if (!p2pEngine || !p2pEngine.enabled) {
-          setStats(prev => ({ ...prev, enabled: false }));
-          return;
-        }
+const EMPTY_STATS = {
+  enabled: false,
+  peerId: null,
+  peers: 0,
+  healthyPeers: 0,
+  p2pHits: 0,
+  p2pMisses: 0,
+  cdnFallbacks: 0,
+  offloadRatio: '0%',
+  bytesFromPeers: '0 MB',
+  bytesShared: '0 MB',
+  avgLatency: '0ms',
+  peerScores: [],
+  tabRole: null,
+  tabHits: 0,
+};
 
-        const engineStats = p2pEngine.getStats();
-        
-        setStats({
-          enabled: engineStats.enabled || false,
-          peerId: engineStats.peerId || null,
-          peers: engineStats.peers || 0,
-          healthyPeers: engineStats.healthyPeers || 0,
-          p2pHits: engineStats.p2pHits || 0,
-          p2pMisses: engineStats.p2pMisses || 0,
-          cdnFallbacks: engineStats.cdnFallbacks || 0,
-          offloadRatio: engineStats.offloadRatio || '0%',
-          bytesFromPeers: engineStats.bytesFromPeers || '0 MB',
-          bytesShared: engineStats.bytesShared || '0 MB',
-          avgLatency: engineStats.avgLatency || '0ms',
-        });
-        
-        setLastUpdate(Date.now());
-        setError(null);
-      } catch (err) {
-        console.error('[P2P Status] Error:', err);
-        setError(err.message);
-      }
-    };
+// getTelemetry() numbers -> the strings shown below
+function toDisplayStats(telemetry) {
+  if (!telemetry?.enabled) return EMPTY_STATS;
 
-    // Initial update
-    updateStats();
+  const { peers, transfer } = telemetry;
+  return {
+    enabled: true,
+    peerId: telemetry.peerId,
+    peers: peers.total,
+    healthyPeers: peers.healthy,
+    p2pHits: transfer.p2pHits,
+    p2pMisses: transfer.p2pMisses,
+    cdnFallbacks: transfer.cdnFallbacks,
+    offloadRatio: (transfer.offloadRatio * 100).toFixed(1) + '%',
+    bytesFromPeers: (transfer.bytesFromPeers / 1048576).toFixed(2) + ' MB',
+    bytesShared: (transfer.bytesShared / 1048576).toFixed(2) + ' MB',
+    avgLatency: `${transfer.avgLatencyMs}ms`,
+    peerScores: peers.scores,
+    tabRole: telemetry.tab?.role || null,
+    tabHits: telemetry.tab?.hits || 0,
+  };
+}
 
-    // Poll every 2 seconds
-    const interval = setInterval(updateStats, 2000);
+export default function P2PStatus({ className, compact = false }) {
+  // Re-rendered on engine events instead of polling getStats()
+  const { telemetry, lastEvent } = useP2PEvents();
+  const stats = toDisplayStats(telemetry);
 
-    return () => clearInterval(interval);
-  }, []);
+  const error = lastEvent?.type === P2P_EVENTS.SIGNALING_ERROR
+    ? `Signaling ${lastEvent.payload.transport || ''}: ${lastEvent.payload.error}`
+    : null;
+  const lastUpdate = telemetry?.timestamp || null;
 
   // Calculate savings (rough estimate: $0.10 per GB)
   const calculateSavings = () => {
@@ -76,9 +66,10 @@ export default function P2PStatus({ className, compact = false }) {
     return `$${(bytes * 0.1).toFixed(2)}`;
   };
 
-  // Connection status
+  // Connection status (a follower tab rides on the leader tab's peers)
+  const viaTab = stats.tabRole === 'follower';
   const connectionStatus = stats.enabled 
-    ? stats.healthyPeers > 0 
+    ? stats.healthyPeers > 0 || viaTab
       ? 'connected' 
       : 'waiting'
     : 'disabled';
@@ -100,7 +91,7 @@ export default function P2PStatus({ className, compact = false }) {
           connectionStatus === 'disabled' && "bg-gray-500",
         )} />
         <span>
-          {connectionStatus === 'connected' && `${stats.healthyPeers} peers`}
+          {connectionStatus === 'connected' && (viaTab ? 'Via other tab' : `${stats.healthyPeers} peers`)}
           {connectionStatus === 'waiting' && 'Connecting...'}
           {connectionStatus === 'disabled' && 'P2P Off'}
         </span>
@@ -147,6 +138,12 @@ export default function P2PStatus({ className, compact = false }) {
         </div>
       )}
 
+      {viaTab && (
+        <div className="mb-3 p-2 bg-blue-500/20 rounded text-xs text-blue-300">
+          🗂️ Sharing another tab&apos;s P2P connection ({stats.tabHits} segments)
+        </div>
+      )}
+
       {/* Stats Grid */}
       {stats.enabled ? (
         <div className="space-y-3">
@@ -212,6 +209,34 @@ export default function P2PStatus({ className, compact = false }) {
             </div>
           </div>
 
+          {/* Peer Scores (best source first) */}
+          {stats.peerScores.length > 0 && (
+            <div className="pt-2 border-t border-white/10 space-y-1 text-xs">
+              {stats.peerScores.map((peer) => (
+                <div key={peer.peerId} className="flex justify-between gap-2">
+                  <span className="text-gray-400 truncate">
+                    {peer.peerId.slice(-6)}
+                    {peer.candidatePairType?.includes('relay') && ' (TURN)'}
+                  </span>
+                  <span className="font-mono text-gray-300 whitespace-nowrap">
+                    {peer.rtt !== null ? `${peer.rtt}ms` : '–'}
+                    {' · '}
+                    {peer.throughput !== null ? formatThroughput(peer.throughput) : '–'}
+                    {' · '}
+                    {Math.round(peer.successRate * 100)}%
+                    {' · '}
+                    <span className={cn(
+                      "font-bold",
+                      peer.score >= 40 ? "text-green-400" : peer.score >= 15 ? "text-yellow-400" : "text-red-400"
+                    )}>
+                      {peer.score}
+                    </span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Latency */}
           {stats.avgLatency !== '0ms' && (
             <div className="text-xs text-gray-400">
@@ -245,6 +270,12 @@ export default function P2PStatus({ className, compact = false }) {
   );
 }
 
+function formatThroughput(bytesPerSec) {
+  return bytesPerSec >= 1048576
+    ? `${(bytesPerSec / 1048576).toFixed(1)} MB/s`
+    : `${Math.round(bytesPerSec / 1024)} KB/s`;
+}
+
 // ========== MINI VERSION ==========
 
 export function P2PStatusMini() {
@@ -14,7 +14,8 @@
 import { useEffect, useRef, useState, useCallback } from "react";
 import Hls from "hls.js";
 import { getP2PEngine, resetP2PEngine } from "@/lib/p2p-engine";
-import P2PLoader from "@/lib/hls-p2p-loader";
+import { getUpcomingFragmentUrls, getRoomMatchId, buildRoomKey, getRenditionId } from "@/lib/p2p-utils";
+import P2PLoader, { getPlaybackInfo } from "@/lib/hls-p2p-loader";
 import { createSecureStreamUrl, refreshToken, clearTokenCache } from "@/lib/token-manager";
 import { getPerformanceMonitor } from "@/lib/performance-monitor";
 import { getOptimizedHLSConfig, STREAMING_CONSTANTS } from "@/lib/streaming-constants";
@@ -76,6 +77,7 @@ export default function VideoPlayerWithP2P({ match }) {
     bytesFromPeers: "0 MB",
     bytesShared: "0 MB",
     savings: "$0.00",
+    lastSource: "-",
   });
 
   // Available links
@@ -173,8 +175,13 @@ export default function VideoPlayerWithP2P({ match }) {
         monitorRef.current.markInitStart();
       }
 
-      // Initialize P2P engine
-      await initP2PEngine();
+      // Join (or migrate to) this link's P2P swarm at the level still playing;
+      // on first load LEVEL_SWITCHED narrows it to the rendition
+      const previousHls = hlsRef.current;
+      const rendition = previousHls?.levels && previousHls.currentLevel >= 0
+        ? getRenditionId(previousHls.levels[previousHls.currentLevel], previousHls.currentLevel)
+        : null;
+      await initP2PEngine(buildRoomKey({ matchId: match.id, link: currentLink, rendition }));
 
       // Get current link config
       const linkConfig = availableLinks.find(l => l.id === currentLink);
@@ -228,22 +235,28 @@ export default function VideoPlayerWithP2P({ match }) {
     }
   }, [currentLink, match.id, retryCount, failedLinks, isRetrying, availableLinks, setupTokenRefresh, handleTokenExpired]);
 
-  const initP2PEngine = async () => {
+  const initP2PEngine = async (roomKey) => {
     if (!ENABLE_P2P) return;
 
     try {
-      // Reset P2P engine if room changed
+      // Reset P2P engine if match changed
       const currentP2P = p2pEngineRef.current;
-      if (currentP2P && currentP2P.roomId !== `match_${match.id}`) {
-        console.log('🔄 P2P room changed, resetting...');
+      if (currentP2P && getRoomMatchId(currentP2P.roomKey) !== String(match.id)) {
+        console.log('🔄 P2P match changed, resetting...');
         await currentP2P.destroy();
         p2pEngineRef.current = null;
       }
 
+      // Same match, other link: keep the engine (and its cache), move rooms
+      if (p2pEngineRef.current) {
+        await p2pEngineRef.current.switchRoom(roomKey);
+        return;
+      }
+
       // Initialize new P2P engine
       if (!p2pEngineRef.current) {
         const p2pEngine = getP2PEngine();
-        const initialized = await p2pEngine.init(`match_${match.id}`, {
+        const initialized = await p2pEngine.init(roomKey, {
           signalingUrl: "/api/p2p-signal",
         });
 
@@ -285,6 +298,8 @@ export default function VideoPlayerWithP2P({ match }) {
         
         // Use P2P Loader if available
         loader: P2PLoader,
+        // Live edge + buffer for the loader's CDN-vs-peers choice
+        p2pPlaybackInfo: (frag) => getPlaybackInfo(hlsRef.current, videoRef.current, frag),
         
         // XHR setup for custom headers (if needed)
         xhrSetup: (xhr, url) => {
@@ -330,6 +345,13 @@ export default function VideoPlayerWithP2P({ match }) {
           if (monitorRef.current) {
             monitorRef.current.recordQualitySwitch(null, level, "auto");
           }
+
+          // Peers on another rendition never hold our segments
+          p2pEngineRef.current?.switchRoom(buildRoomKey({
+            matchId: match.id,
+            link: currentLink,
+            rendition: getRenditionId(level, data.level),
+          }));
         }
       });
 
@@ -342,6 +364,13 @@ export default function VideoPlayerWithP2P({ match }) {
             console.warn(`⚠️ Slow fragment load: ${loadTime}ms`);
           }
         }
+
+        // Warm the P2P cache with the next segments peers already have
+        const p2p = p2pEngineRef.current;
+        if (p2p?.enabled && data.frag) {
+          const fragments = hls.levels[data.frag.level]?.details?.fragments;
+          p2p.prefetch(getUpcomingFragmentUrls(fragments, data.frag.sn, p2p.config.prefetchCount));
+        }
       });
 
       // Error handling
@@ -548,6 +577,7 @@ export default function VideoPlayerWithP2P({ match }) {
         bytesFromPeers: "0 MB",
         bytesShared: "0 MB",
         savings: "$0.00",
+        lastSource: "-",
       };
 
       if (p2p && ENABLE_P2P) {
@@ -562,6 +592,9 @@ export default function VideoPlayerWithP2P({ match }) {
           bytesFromPeers: engineStats.bytesFromPeers || "0 MB",
           bytesShared: engineStats.bytesShared || "0 MB",
           savings: `$${(bytesFromPeers * 0.1).toFixed(2)}`,
+          lastSource: engineStats.lastSource
+            ? `${engineStats.lastSource.source} (${engineStats.lastSource.reason})`
+            : "-",
         };
       }
 
@@ -713,6 +746,10 @@ export default function VideoPlayerWithP2P({ match }) {
                   <span className="text-gray-400">Shared:</span>
                   <span className="font-mono">{stats.bytesShared}</span>
                 </div>
+                <div className="flex justify-between text-xs text-white">
+                  <span className="text-gray-400">Last segment:</span>
+                  <span className="font-mono">{stats.lastSource}</span>
+                </div>
                 <div className="flex justify-between text-xs pt-2 border-t border-green-500/30">
                   <span className="text-gray-400">💰 Saved:</span>
                   <span className="font-mono text-green-400 font-bold">{stats.savings}</span>
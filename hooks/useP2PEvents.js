@@ -1,62 +1,55 @@
 "use client";
 
 import { useEffect, useState } from 'react';
-import p2pEngine from '@/lib/p2p-engine';
+import { getP2PEngine, subscribeP2PEvents, P2P_EVENTS } from '@/lib/p2p-engine';
+
+function readTelemetry() {
+  try {
+    return getP2PEngine().getTelemetry();
+  } catch (e) {
+    return null;
+  }
+}
 
-// Hook: subscribe to p2pEngine events and expose telemetry + peer counts
-export default function useP2PEvents(pollIntervalMs = 2000) {
-  const [connectedPeers, setConnectedPeers] = useState(0);
-  const [lastMessage, setLastMessage] = useState(null);
-  const [telemetry, setTelemetry] = useState(() => p2pEngine?.getTelemetry ? p2pEngine.getTelemetry() : {});
+// Hook: P2P engine telemetry, refreshed when the engine emits (at most every throttleMs)
+export default function useP2PEvents({ throttleMs = 500 } = {}) {
+  const [telemetry, setTelemetry] = useState(null);
+  const [lastEvent, setLastEvent] = useState(null);
 
   useEffect(() => {
-    let mounted = true;
-
-    function updateTelemetry() {
-      if (!mounted) return;
-      try {
-        const t = p2pEngine?.getTelemetry ? p2pEngine.getTelemetry() : {};
-        setTelemetry(t);
-      } catch (e) {
-        // ignore
-      }
-    }
+    let timer = null;
+
+    const refresh = () => {
+      timer = null;
+      setTelemetry(readTelemetry());
+    };
+
+    // Bursts (a segment served to 5 peers) cost one snapshot
+    const schedule = () => {
+      if (!timer) timer = setTimeout(refresh, throttleMs);
+    };
 
-    // Event handlers
-    const onPeerConnected = () => setConnectedPeers((c) => c + 1);
-    const onPeerDisconnected = () => setConnectedPeers((c) => Math.max(0, c - 1));
-    const onDataMessage = ({ peerId, message }) => setLastMessage({ peerId, message, ts: Date.now() });
-
-    // attach to emitter if available
-    try {
-      if (p2pEngine && p2pEngine.emitter) {
-        p2pEngine.emitter.on('peerconnected', onPeerConnected);
-        p2pEngine.emitter.on('peerdisconnected', onPeerDisconnected);
-        p2pEngine.emitter.on('datamessage', onDataMessage);
-      }
-    } catch (e) {
-      // ignore if emitter not present
+    const handlers = {};
+    for (const type of Object.values(P2P_EVENTS)) {
+      handlers[type] = (payload) => {
+        setLastEvent({ type, payload, ts: Date.now() });
+        schedule();
+      };
     }
 
-    // poll telemetry periodically as a fallback
-    const interval = setInterval(() => updateTelemetry(), pollIntervalMs);
-    // initial snapshot
-    updateTelemetry();
+    // Follows the engine across resetP2PEngine() (match changes)
+    const unsubscribe = subscribeP2PEvents(handlers);
+    refresh();
 
     return () => {
-      mounted = false;
-      clearInterval(interval);
-      try {
-        if (p2pEngine && p2pEngine.emitter) {
-          p2pEngine.emitter.off('peerconnected', onPeerConnected);
-          p2pEngine.emitter.off('peerdisconnected', onPeerDisconnected);
-          p2pEngine.emitter.off('datamessage', onDataMessage);
-        }
-      } catch (e) {
-        // ignore
-      }
+      clearTimeout(timer);
+      unsubscribe();
     };
-  }, [pollIntervalMs]);
+  }, [throttleMs]);
 
-  return { connectedPeers, lastMessage, telemetry };
+  return {
+    telemetry,
+    lastEvent,
+    connectedPeers: telemetry?.peers.total || 0,
+  };
 }
@@ -0,0 +1,255 @@
+/**
+ * 🔑 Admin Sessions (server-only)
+ *
+ * Each login opens a session. The browser holds a short-lived access token
+ * (lib/server-auth.js, bound to the session id) and a refresh token in an
+ * httpOnly cookie. Refresh tokens rotate on every use; presenting an
+ * already-rotated one means it was copied, so the whole session is revoked
+ * (except within a few seconds of the rotation, when it is a parallel refresh).
+ *
+ * Revocation: logging out deletes the session and puts its id on a
+ * revocation list until its last access token has expired. "Log out all
+ * sessions" does that for every session of the admin and also rejects any
+ * of their tokens issued before that moment.
+ *
+ * Refresh token: `<session id>.<secret>`; only SHA-256(secret) is stored.
+ * Sessions live in Upstash Redis or in memory without Redis.
+ */
+
+import { redis } from './rate-limit.js';
+
+export const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+export const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Two tabs refreshing at once: the slower one presents the just-rotated token
+const REUSE_GRACE_MS = 10 * 1000;
+
+function randomToken(bytes) {
+  let binary = '';
+  for (const b of crypto.getRandomValues(new Uint8Array(bytes))) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ========== STORES ==========
+
+export function createMemorySessionStore(now = Date.now) {
+  const entries = new Map(); // key -> { value, expiresAt }
+  const userSessions = new Map(); // userId -> Set(sessionId)
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  function set(key, value, ttlMs) {
+    entries.set(key, { value, expiresAt: now() + ttlMs });
+  }
+
+  return {
+    async getSession(sessionId) {
+      return get(`session:${sessionId}`);
+    },
+    async putSession(session, ttlMs) {
+      set(`session:${session.id}`, { ...session }, ttlMs);
+      if (!userSessions.has(session.userId)) userSessions.set(session.userId, new Set());
+      userSessions.get(session.userId).add(session.id);
+    },
+    async deleteSession(session) {
+      entries.delete(`session:${session.id}`);
+      userSessions.get(session.userId)?.delete(session.id);
+    },
+    async listSessionIds(userId) {
+      return Array.from(userSessions.get(userId) || []);
+    },
+    async markRevoked(sessionId, ttlMs) {
+      set(`revoked:${sessionId}`, true, ttlMs);
+    },
+    async isRevoked(sessionId) {
+      return !!get(`revoked:${sessionId}`);
+    },
+    async setRevokedBefore(userId, at, ttlMs) {
+      set(`revoked-before:${userId}`, at, ttlMs);
+    },
+    async getRevokedBefore(userId) {
+      return get(`revoked-before:${userId}`);
+    },
+  };
+}
+
+export function createRedisSessionStore(client) {
+  const sessionKey = (id) => `admin:session:${id}`;
+  const userKey = (userId) => `admin:user-sessions:${userId}`;
+
+  return {
+    async getSession(sessionId) {
+      const value = await client.get(sessionKey(sessionId));
+      // @upstash/redis parses JSON values itself
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    },
+    async putSession(session, ttlMs) {
+      await client.set(sessionKey(session.id), JSON.stringify(session), { px: ttlMs });
+      await client.sadd(userKey(session.userId), session.id);
+      await client.pexpire(userKey(session.userId), REFRESH_TOKEN_TTL_MS);
+    },
+    async deleteSession(session) {
+      await client.del(sessionKey(session.id));
+      await client.srem(userKey(session.userId), session.id);
+    },
+    async listSessionIds(userId) {
+      return (await client.smembers(userKey(userId))) || [];
+    },
+    async markRevoked(sessionId, ttlMs) {
+      await client.set(`admin:revoked:${sessionId}`, 1, { px: ttlMs });
+    },
+    async isRevoked(sessionId) {
+      return (await client.get(`admin:revoked:${sessionId}`)) !== null;
+    },
+    async setRevokedBefore(userId, at, ttlMs) {
+      await client.set(`admin:revoked-before:${userId}`, at, { px: ttlMs });
+    },
+    async getRevokedBefore(userId) {
+      const value = await client.get(`admin:revoked-before:${userId}`);
+      return value === null ? null : Number(value);
+    },
+  };
+}
+
+// ========== SESSIONS ==========
+
+/**
+ * @param {{ store?: object, accessTtlMs?: number, refreshTtlMs?: number, now?: () => number }} options
+ */
+export function createAdminSessions({
+  store = createMemorySessionStore(),
+  accessTtlMs = ACCESS_TOKEN_TTL_MS,
+  refreshTtlMs = REFRESH_TOKEN_TTL_MS,
+  now = Date.now,
+} = {}) {
+  async function issueRefresh(session) {
+    const secret = randomToken(32);
+    const next = {
+      ...session,
+      previousHash: session.refreshHash || null,
+      refreshHash: await sha256Hex(secret),
+      refreshedAt: now(),
+    };
+    await store.putSession(next, refreshTtlMs);
+    return { session: next, refreshToken: `${session.id}.${secret}`, refreshExpiresAt: now() + refreshTtlMs };
+  }
+
+  /**
+   * Open a session for an authenticated admin
+   * @returns {Promise<{ session: object, refreshToken: string, refreshExpiresAt: number }>}
+   */
+  async function create(user) {
+    return issueRefresh({
+      id: randomToken(16),
+      userId: user.id,
+      username: user.username,
+      role: user.role,
+      createdAt: now(),
+    });
+  }
+
+  async function revokeSession(session) {
+    await store.deleteSession(session);
+    await store.markRevoked(session.id, accessTtlMs);
+  }
+
+  // Session and whether the token is its current or an already-rotated one
+  async function match(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+
+    const [sessionId, secret, extra] = refreshToken.split('.');
+    if (!sessionId || !secret || extra !== undefined) return null;
+
+    const session = await store.getSession(sessionId);
+    if (!session) return null;
+
+    const hash = await sha256Hex(secret);
+    if (hash === session.refreshHash) return { session, current: true };
+    if (hash === session.previousHash) return { session, current: false };
+    return null;
+  }
+
+  /**
+   * Trade a refresh token for a new one (rotation).
+   * `{ grace: true }`: the token was rotated moments ago by a parallel
+   * refresh; the caller keeps its cookies and retries with the new one.
+   * null: invalid token, or reuse (the session is revoked).
+   * @returns {Promise<{ session: object, refreshToken: string, refreshExpiresAt: number } | { grace: true } | null>}
+   */
+  async function rotate(refreshToken) {
+    const found = await match(refreshToken);
+    if (!found) return null;
+
+    if (found.current) {
+      return issueRefresh(found.session);
+    }
+    if (now() - found.session.refreshedAt < REUSE_GRACE_MS) {
+      return { grace: true };
+    }
+
+    console.warn(`[Admin Sessions] Refresh token reused, revoking session of ${found.session.username}`);
+    await revokeSession(found.session);
+    return null;
+  }
+
+  /**
+   * Session a refresh token belongs to, without rotating it
+   * @returns {Promise<object | null>}
+   */
+  async function lookup(refreshToken) {
+    const found = await match(refreshToken);
+    return found?.current ? found.session : null;
+  }
+
+  // Log out one session
+  async function revoke(sessionId) {
+    if (!sessionId) return;
+    const session = await store.getSession(sessionId);
+    if (session) {
+      await revokeSession(session);
+    } else {
+      await store.markRevoked(sessionId, accessTtlMs);
+    }
+  }
+
+  /**
+   * Log out every session of an admin
+   * @returns {Promise<number>} sessions revoked
+   */
+  async function revokeAll(userId) {
+    const ids = await store.listSessionIds(userId);
+    for (const id of ids) {
+      await revoke(id);
+    }
+    await store.setRevokedBefore(userId, now(), accessTtlMs);
+    return ids.length;
+  }
+
+  /**
+   * True when the access token's session was logged out
+   */
+  async function isRevoked({ sessionId, userId, issuedAt }) {
+    if (await store.isRevoked(sessionId)) return true;
+    const revokedBefore = await store.getRevokedBefore(userId);
+    return revokedBefore !== null && issuedAt <= revokedBefore;
+  }
+
+  return { create, rotate, lookup, revoke, revokeAll, isRevoked };
+}
+
+// Shared instance for the API routes
+export const adminSessions = createAdminSessions({
+  store: redis ? createRedisSessionStore(redis) : createMemorySessionStore(),
+});
@@ -0,0 +1,162 @@
+/**
+ * 📱 Admin Two-Factor Authentication (server-only)
+ *
+ * Optional TOTP per admin account (lib/totp.js), stored on `admin_users`
+ * (backend/migrations/002_admin_two_factor.sql):
+ *
+ *   1. setup   -> pending secret + otpauth URI for the authenticator app
+ *   2. enable  -> first valid code turns it on and returns 10 recovery codes
+ *   3. login   -> password, then a TOTP code or one recovery code
+ *
+ * Recovery codes are shown once and stored as SHA-256 hashes; each works once.
+ * The last accepted TOTP step is stored so a code cannot be replayed; both
+ * it and the recovery codes are written conditionally, so two concurrent
+ * logins cannot use the same code.
+ * The env bootstrap admin (no Supabase) cannot enroll.
+ */
+
+import { adminUserStore } from './admin-users.js';
+import {
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  hashRecoveryCode,
+  verifyTotp,
+} from './totp.js';
+
+export const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * @param {{ store?: object|null, issuer?: string, now?: () => number }} options
+ *   store: admin user store with findById(), update(), advanceTotpCounter()
+ *   and swapRecoveryCodes()
+ */
+export function createTwoFactor({
+  store = adminUserStore,
+  issuer = 'TitikBola',
+  now = Date.now,
+} = {}) {
+  function isAvailable(userId) {
+    return !!store && !!userId && !String(userId).startsWith('env:');
+  }
+
+  async function load(userId) {
+    if (!isAvailable(userId)) return null;
+    return store.findById(userId);
+  }
+
+  async function newRecoveryCodes() {
+    const codes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+    return { codes, hashes: await Promise.all(codes.map(hashRecoveryCode)) };
+  }
+
+  /**
+   * @returns {Promise<{ available: boolean, enabled: boolean, recoveryCodesLeft: number }>}
+   */
+  async function status(userId) {
+    const user = await load(userId);
+    return {
+      available: !!user,
+      enabled: !!user?.totp_enabled,
+      recoveryCodesLeft: user?.totp_enabled ? (user.recovery_codes || []).length : 0,
+    };
+  }
+
+  /**
+   * Start enrollment: a new pending secret (replaces any unfinished one)
+   * @returns {Promise<{ secret: string, otpauthUri: string } | null>}
+   */
+  async function setup({ userId, username }) {
+    const user = await load(userId);
+    if (!user || user.totp_enabled) return null;
+
+    const secret = generateTotpSecret();
+    await store.update(userId, { totp_pending_secret: secret });
+    return { secret, otpauthUri: buildOtpauthUri({ secret, account: username, issuer }) };
+  }
+
+  /**
+   * Finish enrollment with a code from the app
+   * @returns {Promise<{ recoveryCodes: string[] } | null>}
+   */
+  async function enable(userId, code) {
+    const user = await load(userId);
+    if (!user?.totp_pending_secret || user.totp_enabled) return null;
+
+    const counter = await verifyTotp(user.totp_pending_secret, code, { now: now() });
+    if (counter === null) return null;
+
+    const { codes, hashes } = await newRecoveryCodes();
+    await store.update(userId, {
+      totp_secret: user.totp_pending_secret,
+      totp_pending_secret: null,
+      totp_enabled: true,
+      totp_last_counter: counter,
+      recovery_codes: hashes,
+    });
+    return { recoveryCodes: codes };
+  }
+
+  /**
+   * Second login step (or re-authentication): a TOTP code or a recovery code
+   * @returns {Promise<{ method: 'totp' | 'recovery' } | null>}
+   */
+  async function verify(userId, { code, recoveryCode } = {}) {
+    const user = await load(userId);
+    if (!user?.totp_enabled) return null;
+
+    if (recoveryCode) {
+      const hash = await hashRecoveryCode(recoveryCode);
+      const current = user.recovery_codes || [];
+      const remaining = current.filter(stored => stored !== hash);
+      if (remaining.length === current.length) return null;
+
+      // 0 rows updated: a concurrent request changed the codes first
+      if (!(await store.swapRecoveryCodes(userId, current, remaining))) return null;
+      return { method: 'recovery' };
+    }
+
+    const counter = await verifyTotp(user.totp_secret, code, {
+      now: now(),
+      afterCounter: user.totp_last_counter ?? -1,
+    });
+    if (counter === null) return null;
+
+    // 0 rows updated: a concurrent login already accepted this step
+    if (!(await store.advanceTotpCounter(userId, counter))) return null;
+    return { method: 'totp' };
+  }
+
+  /**
+   * Turn 2FA off; needs a current code or a recovery code
+   */
+  async function disable(userId, proof) {
+    if (!(await verify(userId, proof))) return false;
+
+    await store.update(userId, {
+      totp_secret: null,
+      totp_pending_secret: null,
+      totp_enabled: false,
+      totp_last_counter: null,
+      recovery_codes: [],
+    });
+    return true;
+  }
+
+  /**
+   * Replace all recovery codes; needs a current code
+   * @returns {Promise<{ recoveryCodes: string[] } | null>}
+   */
+  async function regenerateRecoveryCodes(userId, proof) {
+    if (!(await verify(userId, proof))) return null;
+
+    const { codes, hashes } = await newRecoveryCodes();
+    await store.update(userId, { recovery_codes: hashes });
+    return { recoveryCodes: codes };
+  }
+
+  return { isAvailable, status, setup, enable, verify, disable, regenerateRecoveryCodes };
+}
+
+// Shared instance for the API routes
+export const twoFactor = createTwoFactor();
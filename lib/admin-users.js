@@ -0,0 +1,357 @@
+/**
+ * 👥 Admin Users (server-only)
+ *
+ * Admin accounts live in the `admin_users` table
+ * (backend/migrations/001_admin_users.sql), each with one role:
+ *
+ *   owner         everything
+ *   editor        create, edit and delete matches, read the audit log
+ *   score-keeper  update scores and status of existing matches
+ *
+ * Passwords are stored as `pbkdf2-sha256$<iterations>$<salt>$<hash>`
+ * (base64, 16-byte salt, 32-byte hash). PBKDF2 runs on Web Crypto, so
+ * logins work on the edge runtime; Cloudflare caps it at 100k iterations.
+ *
+ * Without Supabase (local dev) the ADMIN_USERNAME / ADMIN_PASSWORD pair
+ * from env signs in as owner.
+ */
+
+import { supabaseAdmin } from './supabase.js';
+
+// ========== ROLES ==========
+
+export const ADMIN_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  SCORE_KEEPER: 'score-keeper',
+};
+
+export const PERMISSIONS = {
+  MATCHES_CREATE: 'matches:create',
+  MATCHES_UPDATE: 'matches:update',
+  MATCHES_DELETE: 'matches:delete',
+  MATCHES_SCORE: 'matches:score',
+  AUDIT_READ: 'audit:read',
+  P2P_READ: 'p2p:read',
+};
+
+const ROLE_PERMISSIONS = {
+  [ADMIN_ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ADMIN_ROLES.EDITOR]: [
+    PERMISSIONS.MATCHES_CREATE,
+    PERMISSIONS.MATCHES_UPDATE,
+    PERMISSIONS.MATCHES_DELETE,
+    PERMISSIONS.MATCHES_SCORE,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.P2P_READ,
+  ],
+  [ADMIN_ROLES.SCORE_KEEPER]: [PERMISSIONS.MATCHES_SCORE],
+};
+
+export function isAdminRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+}
+
+export function hasPermission(role, permission) {
+  return isAdminRole(role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+export function getPermissions(role) {
+  return isAdminRole(role) ? [...ROLE_PERMISSIONS[role]] : [];
+}
+
+// ========== PASSWORD HASHING ==========
+
+export const PASSWORD_HASH_ITERATIONS = 100000;
+const HASH_PREFIX = 'pbkdf2-sha256';
+const MAX_ITERATIONS = 1000000;
+
+function toBase64(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary);
+}
+
+function fromBase64(str) {
+  return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+}
+
+async function derive(password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+// Constant-time for equal lengths; the length itself is not secret here
+function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+
+  let mismatch = 0;
+  for (let i = 0; i < a.length; i++) {
+    mismatch |= a[i] ^ b[i];
+  }
+  return mismatch === 0;
+}
+
+/**
+ * Compare two secrets in constant time. Both are hashed first, so neither
+ * the content nor the length of the expected value leaks through timing.
+ */
+export async function secretsEqual(actual, expected) {
+  if (typeof actual !== 'string' || typeof expected !== 'string') return false;
+
+  const encoder = new TextEncoder();
+  const [a, b] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(actual)),
+    crypto.subtle.digest('SHA-256', encoder.encode(expected)),
+  ]);
+  return bytesEqual(new Uint8Array(a), new Uint8Array(b));
+}
+
+/**
+ * Hash a password with a random salt
+ * @returns {Promise<string>} `pbkdf2-sha256$<iterations>$<salt>$<hash>`
+ */
+export async function hashPassword(password, { iterations = PASSWORD_HASH_ITERATIONS } = {}) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await derive(password, salt, iterations);
+  return `${HASH_PREFIX}$${iterations}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+/**
+ * Check a password against a stored hash (constant-time comparison)
+ */
+export async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  const [prefix, iterationsStr, saltB64, hashB64] = stored.split('$');
+  const iterations = Number(iterationsStr);
+  if (prefix !== HASH_PREFIX || !Number.isInteger(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) {
+    return false;
+  }
+
+  try {
+    const expected = fromBase64(hashB64);
+    const actual = await derive(password, fromBase64(saltB64), iterations);
+    return bytesEqual(actual, expected);
+  } catch {
+    return false;
+  }
+}
+
+// ========== STORES ==========
+
+export function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+export function createMemoryAdminUserStore(users = []) {
+  const byName = new Map(users.map(user => [normalizeUsername(user.username), { ...user }]));
+
+  return {
+    async findByUsername(username) {
+      return byName.get(normalizeUsername(username)) || null;
+    },
+    async findById(id) {
+      for (const user of byName.values()) {
+        if (user.id === id) return user;
+      }
+      return null;
+    },
+    async update(id, fields) {
+      for (const user of byName.values()) {
+        if (user.id === id) Object.assign(user, fields);
+      }
+    },
+    async advanceTotpCounter(id, counter) {
+      for (const user of byName.values()) {
+        if (user.id === id && (user.totp_last_counter ?? -1) < counter) {
+          user.totp_last_counter = counter;
+          return true;
+        }
+      }
+      return false;
+    },
+    async swapRecoveryCodes(id, current, next) {
+      for (const user of byName.values()) {
+        if (user.id === id && JSON.stringify(user.recovery_codes || []) === JSON.stringify(current)) {
+          user.recovery_codes = next;
+          return true;
+        }
+      }
+      return false;
+    },
+    async recordLogin(id, at) {
+      for (const user of byName.values()) {
+        if (user.id === id) user.last_login_at = at;
+      }
+    },
+  };
+}
+
+export function createSupabaseAdminUserStore(client) {
+  return {
+    async findByUsername(username) {
+      const { data, error } = await client
+        .from('admin_users')
+        .select('id, username, password_hash, role, disabled, totp_enabled')
+        .eq('username', normalizeUsername(username))
+        .maybeSingle();
+
+      if (error) throw new Error(error.message);
+      return data;
+    },
+    async findById(id) {
+      const { data, error } = await client
+        .from('admin_users')
+        .select('id, username, role, disabled, totp_secret, totp_pending_secret, totp_enabled, totp_last_counter, recovery_codes')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw new Error(error.message);
+      return data;
+    },
+    async update(id, fields) {
+      const { error } = await client.from('admin_users').update(fields).eq('id', id);
+      if (error) throw new Error(error.message);
+    },
+    // Conditional writes: false when a concurrent request got there first
+    async advanceTotpCounter(id, counter) {
+      const { data, error } = await client
+        .from('admin_users')
+        .update({ totp_last_counter: counter })
+        .eq('id', id)
+        .or(`totp_last_counter.is.null,totp_last_counter.lt.${counter}`)
+        .select('id');
+
+      if (error) throw new Error(error.message);
+      return (data || []).length > 0;
+    },
+    async swapRecoveryCodes(id, current, next) {
+      // Hex hashes, so the array literal needs no quoting
+      const { data, error } = await client
+        .from('admin_users')
+        .update({ recovery_codes: next })
+        .eq('id', id)
+        .eq('recovery_codes', `{${current.join(',')}}`)
+        .select('id');
+
+      if (error) throw new Error(error.message);
+      return (data || []).length > 0;
+    },
+    async recordLogin(id, at) {
+      await client.from('admin_users').update({ last_login_at: at }).eq('id', id);
+    },
+  };
+}
+
+// ========== AUTHENTICATION ==========
+
+/**
+ * @param {{ store?: object|null, bootstrap?: { username?: string, password?: string }, now?: () => number }} options
+ *   store: admin user store, or null to use only the env bootstrap account
+ */
+export function createAdminUsers({
+  store = null,
+  bootstrap = {},
+  now = Date.now,
+} = {}) {
+  let dummyHash = null;
+
+  function isConfigured() {
+    return !!store || !!bootstrap.password;
+  }
+
+  /**
+   * Check username and password. `twoFactor` means the login still needs a
+   * TOTP or recovery code (lib/admin-two-factor.js).
+   * @returns {Promise<{ id: string, username: string, role: string, twoFactor: boolean } | null>}
+   */
+  async function authenticate(username, password) {
+    if (!username || !password) return null;
+
+    if (!store) {
+      const expected = normalizeUsername(bootstrap.username || 'admin');
+      // Compare the password even for a wrong username, so timing reveals neither
+      const passwordMatches = await secretsEqual(password, bootstrap.password || '');
+      if (!bootstrap.password || normalizeUsername(username) !== expected || !passwordMatches) {
+        return null;
+      }
+      return { id: `env:${expected}`, username: expected, role: ADMIN_ROLES.OWNER, twoFactor: false };
+    }
+
+    const user = await store.findByUsername(username);
+    if (!user) {
+      // Same work as a real check, so response time does not reveal usernames
+      dummyHash = dummyHash || await hashPassword('not-a-real-password');
+      await verifyPassword(password, dummyHash);
+      return null;
+    }
+
+    const valid = await verifyPassword(password, user.password_hash);
+    if (!valid || user.disabled || !isAdminRole(user.role)) return null;
+
+    return {
+      id: String(user.id),
+      username: normalizeUsername(user.username),
+      role: user.role,
+      twoFactor: !!user.totp_enabled,
+    };
+  }
+
+  /**
+   * Current account behind a session, for token refreshes: null once the
+   * admin was disabled, deleted or (env bootstrap) is no longer configured
+   * @returns {Promise<{ id: string, username: string, role: string } | null>}
+   */
+  async function findActive(userId) {
+    if (!userId) return null;
+
+    if (!store) {
+      const expected = normalizeUsername(bootstrap.username || 'admin');
+      if (!bootstrap.password || userId !== `env:${expected}`) return null;
+      return { id: userId, username: expected, role: ADMIN_ROLES.OWNER };
+    }
+
+    if (String(userId).startsWith('env:')) return null;
+    const user = await store.findById(userId);
+    if (!user || user.disabled || !isAdminRole(user.role)) return null;
+
+    return { id: String(user.id), username: normalizeUsername(user.username), role: user.role };
+  }
+
+  /**
+   * Stamp last_login_at once the whole login (password and 2FA) succeeded.
+   * Never fails the login; the env bootstrap admin has no row.
+   */
+  async function recordLogin(userId) {
+    if (!store || String(userId).startsWith('env:')) return;
+
+    await store.recordLogin(userId, new Date(now()).toISOString()).catch((error) => {
+      console.warn('[Admin Users] Failed to record login:', error.message);
+    });
+  }
+
+  return { isConfigured, authenticate, findActive, recordLogin };
+}
+
+// Shared store and instance for the API routes
+export const adminUserStore = supabaseAdmin ? createSupabaseAdminUserStore(supabaseAdmin) : null;
+
+export const adminUsers = createAdminUsers({
+  store: adminUserStore,
+  bootstrap: {
+    username: process.env.ADMIN_USERNAME,
+    password: process.env.ADMIN_PASSWORD,
+  },
+});
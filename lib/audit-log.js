@@ -0,0 +1,228 @@
+/**
+ * 📝 Admin Audit Log (server-only)
+ *
+ * One `audit_log` row (backend/migrations/003_audit_log.sql) per match
+ * change made through /api/matches: who, what, which match, and a per-field
+ * before/after diff. Stream URLs, referers and origins are stored through
+ * redactUrl(), so tokens in query strings never reach the log. Failed
+ * logins, lockouts and blocked attempts from lib/login-guard.js are rows too
+ * (backend/migrations/004_audit_log_auth_events.sql), without a match.
+ *
+ * Writing the log never fails the change itself; errors are only logged.
+ * Without Supabase entries are kept in memory (local dev).
+ */
+
+import { supabaseAdmin } from './supabase.js';
+import { redactUrl } from './utils.js';
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+export const AUTH_EVENTS = ['login.failed', 'login.locked', 'login.blocked'];
+export const AUDIT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Bookkeeping columns, not edits
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at'];
+const URL_FIELD = /^(stream_url|referer|origin)\d+$/;
+
+// ========== DIFF ==========
+
+// Unset, null and '' all mean "no value"
+function fieldValue(row, field) {
+  const value = row?.[field];
+  return value === undefined || value === '' ? null : value;
+}
+
+function auditValue(field, value) {
+  return value !== null && URL_FIELD.test(field) ? redactUrl(value) : value;
+}
+
+/**
+ * Changed fields between two match rows (either may be null)
+ * @returns {Object<string, { from: any, to: any }>}
+ */
+export function diffMatch(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const diff = {};
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = fieldValue(before, field);
+    const to = fieldValue(after, field);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    diff[field] = { from: auditValue(field, from), to: auditValue(field, to) };
+  }
+  return diff;
+}
+
+// ========== CURSOR ==========
+
+/**
+ * Page cursor `<created_at>|<id>`: the id breaks ties between entries written
+ * in the same instant, so none are skipped at a page boundary. A bare
+ * timestamp is accepted too (everything strictly older).
+ * @returns {{ createdAt: string, id: number|null } | null} null when invalid
+ */
+export function parseAuditCursor(cursor) {
+  if (!cursor) return null;
+  const separator = String(cursor).lastIndexOf('|');
+  const createdAt = separator === -1 ? String(cursor) : String(cursor).slice(0, separator);
+  const id = separator === -1 ? null : Number(String(cursor).slice(separator + 1));
+
+  if (Number.isNaN(Date.parse(createdAt))) return null;
+  if (id !== null && !Number.isSafeInteger(id)) return null;
+  return { createdAt, id };
+}
+
+function formatAuditCursor(entry) {
+  return `${entry.created_at}|${entry.id}`;
+}
+
+// Strictly after `before` in newest-first order
+function isOlder(entry, before) {
+  if (entry.created_at !== before.createdAt) return entry.created_at < before.createdAt;
+  return before.id !== null && entry.id < before.id;
+}
+
+// ========== STORES ==========
+
+export function createMemoryAuditStore() {
+  const entries = [];
+
+  return {
+    async insert(entry) {
+      entries.push({ id: entries.length + 1, ...entry });
+    },
+    async list({ actor, matchId, before, limit }) {
+      return entries
+        .filter(entry => !actor || entry.actor_username === actor)
+        .filter(entry => !matchId || entry.match_id === matchId)
+        .filter(entry => !before || isOlder(entry, before))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id)
+        .slice(0, limit);
+    },
+  };
+}
+
+export function createSupabaseAuditStore(client) {
+  return {
+    async insert(entry) {
+      const { error } = await client.from('audit_log').insert([entry]);
+      if (error) throw new Error(error.message);
+    },
+    async list({ actor, matchId, before, limit }) {
+      let query = client
+        .from('audit_log')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      if (actor) query = query.eq('actor_username', actor);
+      if (matchId) query = query.eq('match_id', matchId);
+      if (before && before.id !== null) {
+        query = query.or(`created_at.lt."${before.createdAt}",and(created_at.eq."${before.createdAt}",id.lt.${before.id})`);
+      } else if (before) {
+        query = query.lt('created_at', before.createdAt);
+      }
+
+      const { data, error } = await query;
+      if (error) throw new Error(error.message);
+      return data || [];
+    },
+  };
+}
+
+// ========== AUDIT LOG ==========
+
+/**
+ * @param {{ store?: object, now?: () => number }} options
+ */
+export function createAuditLog({
+  store = createMemoryAuditStore(),
+  now = Date.now,
+} = {}) {
+  /**
+   * Record a match change by an admin (from withAdmin)
+   * @param {{ admin: { userId?: string, username: string, role: string },
+   *   action: 'create'|'update'|'delete', matchId: string|number,
+   *   before?: object|null, after?: object|null }} change
+   * @returns {Promise<boolean>} false when the entry could not be written
+   */
+  async function record({ admin, action, matchId, before = null, after = null }) {
+    const entry = {
+      actor_id: admin.userId ? String(admin.userId) : null,
+      actor_username: admin.username,
+      actor_role: admin.role,
+      action,
+      match_id: String(matchId),
+      changes: diffMatch(before, after),
+      created_at: new Date(now()).toISOString(),
+    };
+
+    try {
+      await store.insert(entry);
+      return true;
+    } catch (error) {
+      console.error(`[Audit] Failed to record ${action} of match ${entry.match_id} by ${admin.username}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Record a login failure, lockout or blocked attempt (from the login guard)
+   * @param {{ event: 'login.failed'|'login.locked'|'login.blocked', ip?: string,
+   *   username?: string|null, [detail: string]: any }} event
+   * @returns {Promise<boolean>} false when the entry could not be written
+   */
+  async function recordAuthEvent({ event, ip = null, username = null, ...details }) {
+    const entry = {
+      actor_id: null,
+      actor_username: username || null,
+      actor_role: null,
+      action: event,
+      match_id: null,
+      ip,
+      changes: {},
+      details,
+      created_at: new Date(now()).toISOString(),
+    };
+
+    try {
+      await store.insert(entry);
+      return true;
+    } catch (error) {
+      console.error(`[Audit] Failed to record ${event} for ${username || ip}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Newest first. Pass `nextBefore` (a `parseAuditCursor` cursor) back as
+   * `before` for the next page; it is null on the last page.
+   * @param {{ actor?: string, matchId?: string, before?: string, limit?: number }} filters
+   * @returns {Promise<{ entries: object[], nextBefore: string | null }>}
+   */
+  async function list({ actor, matchId, before, limit = AUDIT_PAGE_SIZE } = {}) {
+    const size = Math.min(Math.max(parseInt(limit, 10) || AUDIT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const entries = await store.list({
+      actor: actor ? String(actor).trim().toLowerCase() : null,
+      matchId: matchId ? String(matchId).trim() : null,
+      before: parseAuditCursor(before),
+      limit: size,
+    });
+
+    return {
+      entries,
+      nextBefore: entries.length === size ? formatAuditCursor(entries[entries.length - 1]) : null,
+    };
+  }
+
+  return { record, recordAuthEvent, list };
+}
+
+// Shared instance for the API routes
+export const auditLog = createAuditLog({
+  store: supabaseAdmin ? createSupabaseAuditStore(supabaseAdmin) : createMemoryAuditStore(),
+});
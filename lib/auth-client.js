@@ -1,10 +1,10 @@
 /**
  * 🔐 Client-side Auth Utilities - FIXED
  * Uses httpOnly cookies when possible, localStorage as fallback
+ * Access tokens last 15 minutes; the httpOnly refresh cookie renews them
  */
 
 const TOKEN_STORAGE_KEY = 'adminToken';
-const TOKEN_MAX_AGE = 7200; // 2 hours in seconds
 
 /**
  * Get auth token - tries cookie first, then localStorage
@@ -24,11 +24,10 @@ export async function getAuthToken() {
     
     // Validate token format
     if (token && isValidTokenFormat(token)) {
-      // Check if expired
+      // Expired: renew with the refresh cookie
       if (isTokenExpired(token)) {
-        console.warn('Token expired, clearing...');
-        await clearAuthToken();
-        return null;
+        console.warn('Token expired, refreshing...');
+        return refreshToken();
       }
       return token;
     }
@@ -41,7 +40,7 @@ export async function getAuthToken() {
 }
 
 /**
- * Set auth token - tries to set httpOnly cookie via API
+ * Set auth token (the httpOnly cookies are set by the login/refresh responses)
  */
 export async function setAuthToken(token) {
   if (typeof window === 'undefined') return;
@@ -54,43 +53,62 @@ export async function setAuthToken(token) {
   // Store in localStorage as backup
   try {
     localStorage.setItem(TOKEN_STORAGE_KEY, token);
-    
-    // Also try to set via API (will set httpOnly cookie)
-    await fetch('/api/auth/set-cookie', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ token }),
-      credentials: 'include',
-    }).catch(e => {
-      console.warn('Could not set httpOnly cookie:', e.message);
-    });
-    
   } catch (e) {
     console.error('Error storing token:', e);
   }
 }
 
-/**
- * Clear auth token from all storages
- */
-export async function clearAuthToken() {
-  if (typeof window === 'undefined') return;
-  
-  // Clear localStorage
+function clearLocalToken() {
   try {
     localStorage.removeItem(TOKEN_STORAGE_KEY);
   } catch (e) {
     console.error('Error clearing localStorage:', e);
   }
+}
+
+/**
+ * Log out: revoke the session on the server and clear all storages
+ */
+export async function clearAuthToken() {
+  if (typeof window === 'undefined') return;
+  
+  const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+  clearLocalToken();
   
-  // Clear cookie via API
+  // Revoke session and clear cookies via API
   try {
-    await fetch('/api/auth/clear-cookie', {
+    await fetch('/api/auth', {
       method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify({ action: 'logout' }),
       credentials: 'include',
     });
   } catch (e) {
-    console.warn('Could not clear cookie:', e.message);
+    console.warn('Could not log out on server:', e.message);
+  }
+}
+
+/**
+ * Log out every session of this admin (all browsers and devices)
+ * @returns {Promise<number|null>} sessions revoked, null on failure
+ */
+export async function logoutAllSessions() {
+  try {
+    const response = await fetchWithAuth('/api/auth', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'logout-all' }),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) return null;
+
+    clearLocalToken();
+    return data.revoked;
+  } catch (err) {
+    console.error('Logout all error:', err);
+    return null;
   }
 }
 
@@ -112,69 +130,58 @@ function getCookieToken() {
 }
 
 /**
- * Validate token format (base64 encoded data)
+ * Read the claims of a `v3.<payload>.<signature>` admin token (see
+ * lib/server-auth.js). Not verified here: only the server can do that.
  */
-function isValidTokenFormat(token) {
-  if (!token || typeof token !== 'string') return false;
-  
+function readTokenClaims(token) {
+  if (!token || typeof token !== 'string') return null;
+
   try {
-    // Token should be base64
-    const decoded = atob(token);
-    
-    // Should have at least username:timestamp
-    const parts = decoded.split(':');
-    if (parts.length < 2) return false;
-    
-    // Timestamp should be valid number
-    const timestamp = parseInt(parts[1], 10);
-    if (!Number.isFinite(timestamp)) return false;
-    
-    return true;
+    const [version, body, sig] = token.split('.');
+    if (version !== 'v3' || !body || !sig) return null;
+
+    const padded = body.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((body.length + 3) % 4);
+    const claims = JSON.parse(atob(padded));
+    return Number.isFinite(claims.exp) ? claims : null;
   } catch (e) {
-    return false;
+    return null;
   }
 }
 
+/**
+ * Validate token format (current admin token version)
+ */
+function isValidTokenFormat(token) {
+  return !!readTokenClaims(token);
+}
+
 /**
  * Check if token is expired
  */
 function isTokenExpired(token) {
-  try {
-    const decoded = atob(token);
-    const parts = decoded.split(':');
-    
-    if (parts.length < 2) return true;
-    
-    const timestamp = parseInt(parts[1], 10);
-    const age = Date.now() - timestamp;
-    const maxAge = TOKEN_MAX_AGE * 1000;
-    
-    return age > maxAge;
-  } catch (e) {
-    return true;
-  }
+  const claims = readTokenClaims(token);
+  return !claims || Date.now() >= claims.exp;
 }
 
 /**
- * Fetch with auth header
+ * Fetch with auth header; on 401 refreshes the token once and retries
  */
 export async function fetchWithAuth(url, options = {}) {
-  const token = await getAuthToken();
-  
-  const headers = {
-    'Content-Type': 'application/json',
-    ...options.headers,
-  };
-
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`;
-  }
-
-  return fetch(url, {
+  const send = (token) => fetch(url, {
     ...options,
-    headers,
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers,
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
     credentials: 'include', // Include cookies
   });
+
+  const response = await send(await getAuthToken());
+  if (response.status !== 401) return response;
+
+  const refreshed = await refreshToken();
+  return refreshed ? send(refreshed) : response;
 }
 
 /**
@@ -182,12 +189,12 @@ export async function fetchWithAuth(url, options = {}) {
  */
 export async function verifyToken() {
   try {
-    const response = await fetchWithAuth('/api/auth/verify', { 
+    const response = await fetchWithAuth('/api/auth', { 
       method: 'GET' 
     });
     
     if (!response.ok) {
-      await clearAuthToken();
+      clearLocalToken();
       return null;
     }
     
@@ -200,19 +207,24 @@ export async function verifyToken() {
 }
 
 /**
- * Refresh token (get new token before expiry)
+ * Refresh token (rotates the httpOnly refresh cookie, returns a new access token)
  */
 export async function refreshToken() {
   try {
-    const currentToken = await getAuthToken();
-    if (!currentToken) return null;
-    
-    const response = await fetchWithAuth('/api/auth/refresh', {
+    const request = () => fetch('/api/auth/refresh', {
       method: 'POST',
+      credentials: 'include',
     });
+
+    let response = await request();
+    if (response.status === 409) {
+      // Another tab has just rotated the cookie: try once more with the new one
+      await new Promise(r => setTimeout(r, 1000));
+      response = await request();
+    }
     
     if (!response.ok) {
-      await clearAuthToken();
+      clearLocalToken();
       return null;
     }
     
@@ -233,7 +245,7 @@ export async function refreshToken() {
  * Auto-refresh token before expiry
  */
 export function startTokenRefreshTimer(onExpired) {
-  const checkInterval = 5 * 60 * 1000; // Check every 5 minutes
+  const checkInterval = 60 * 1000; // Check every minute
   
   const timer = setInterval(async () => {
     const token = await getAuthToken();
@@ -253,15 +265,11 @@ export function startTokenRefreshTimer(onExpired) {
         if (onExpired) onExpired();
       }
     } else {
-      // Check if close to expiry (within 30 minutes)
+      // Check if close to expiry (within 2 minutes)
       try {
-        const decoded = atob(token);
-        const parts = decoded.split(':');
-        const timestamp = parseInt(parts[1], 10);
-        const age = Date.now() - timestamp;
-        const refreshThreshold = (TOKEN_MAX_AGE - 1800) * 1000; // 30 min before expiry
+        const { exp } = readTokenClaims(token);
         
-        if (age > refreshThreshold) {
+        if (exp - Date.now() < 120 * 1000) {
           console.log('Token close to expiry, refreshing...');
           await refreshToken();
         }
@@ -7,10 +7,38 @@
  * ✅ Stats reset on retry
  * ✅ Graceful P2P fallback
  * ✅ Cache segment in P2P engine after CDN load
+ * ✅ Serve segments the engine already prefetched from peers
+ * ✅ Pass sequence number / live edge / buffer to the engine's source choice
  */
 
 import { getP2PEngine } from "./p2p-engine";
 
+/**
+ * Playback hints for a fragment, for the `p2pPlaybackInfo` hls config hook:
+ *   hls.config.p2pPlaybackInfo = (frag) => getPlaybackInfo(hls, video, frag)
+ * @returns {{ liveEdgeSn: number | null, bufferAhead: number | null }}
+ */
+export function getPlaybackInfo(hls, video, frag) {
+  const details = hls?.levels?.[frag?.level]?.details;
+
+  let bufferAhead = null;
+  if (video) {
+    const time = video.currentTime;
+    bufferAhead = 0;
+    for (let i = 0; i < video.buffered.length; i++) {
+      // Small gaps are jumped by hls.js, count them as buffered
+      if (video.buffered.start(i) <= time + 0.5 && video.buffered.end(i) > time) {
+        bufferAhead = video.buffered.end(i) - time;
+      }
+    }
+  }
+
+  return {
+    liveEdgeSn: details?.live ? details.endSN : null,
+    bufferAhead,
+  };
+}
+
 class P2PLoader {
   constructor(config) {
     this.config = config;
@@ -36,6 +64,9 @@ class P2PLoader {
       loading: { start: now, first: 0, end: 0 },
       parsing: { start: 0, end: 0 },
       buffering: { start: 0, first: 0, end: 0 },
+      // Where the segment came from and why (see P2PEngine.chooseSource)
+      source: null,
+      sourceReason: null,
     };
   }
 
@@ -135,22 +166,28 @@ class P2PLoader {
     const startTime = performance.now();
     this.stats.loading.start = startTime;
 
+    const hints = this._getPlaybackHints(context);
+
     try {
-      // Check if P2P engine has healthy peers
-      const stats = this.p2pEngine.getStats();
+      // Near the live edge, on low buffer or without peers: straight to CDN
+      const decision = this.p2pEngine.chooseSource(url, hints);
       
-      if (stats.healthyPeers < 2) {
-        // Not enough peers, go direct to CDN
-        console.log('[P2P Loader] Not enough peers, using CDN');
+      if (decision.source === 'cdn') {
+        console.log(`[P2P Loader] Using CDN (${decision.reason})`);
+        this.p2pEngine.recordSource(url, decision, hints);
+        this._setSource(decision);
         return this._loadFromCDN(url, context, config, callbacks, 'segment');
       }
 
-      const data = await this.p2pEngine.fetchChunk(url, {
+      const { data, source, reason } = await this.p2pEngine.loadChunk(url, {
+        ...hints,
         headers: config.headers,
       });
 
       if (this.stats.aborted) return;
 
+      this._setSource({ source, reason });
+
       const now = performance.now();
       const loadTime = now - startTime;
 
@@ -161,7 +198,7 @@ class P2PLoader {
       this.stats.total = data.byteLength;
       this.stats.bwEstimate = (data.byteLength * 8) / (loadTime / 1000);
 
-      console.log(`✅ P2P load (${loadTime.toFixed(0)}ms):`, {
+      console.log(`✅ ${source.toUpperCase()} load (${loadTime.toFixed(0)}ms, ${reason}):`, {
         size: data.byteLength,
         url: url.substring(0, 60),
       });
@@ -182,11 +219,38 @@ class P2PLoader {
       
       // Reset stats for CDN attempt
       this._resetStats();
+      this._setSource({ source: 'cdn', reason: 'p2p-failed' });
       
       this._loadFromCDN(url, context, config, callbacks, 'segment');
     }
   }
 
+  /**
+   * Sequence number from the loader context, live edge and buffer from the
+   * player's `p2pPlaybackInfo` hook (see getPlaybackInfo)
+   */
+  _getPlaybackHints(context) {
+    const frag = context.frag;
+    let info = {};
+
+    try {
+      info = this.config.p2pPlaybackInfo?.(frag) || {};
+    } catch (e) {
+      // Hints are optional
+    }
+
+    return {
+      sn: Number.isFinite(frag?.sn) ? frag.sn : null,
+      liveEdgeSn: Number.isFinite(info.liveEdgeSn) ? info.liveEdgeSn : null,
+      bufferAhead: Number.isFinite(info.bufferAhead) ? info.bufferAhead : null,
+    };
+  }
+
+  _setSource({ source, reason }) {
+    this.stats.source = source;
+    this.stats.sourceReason = reason;
+  }
+
   /**
    * Load from CDN with retry logic
    */
@@ -348,10 +412,10 @@ class P2PLoader {
       this.stats.loading.first = startTime + Math.min(loadTime * 0.1, 50);
     }
 
-    // ✅ FIX: Cache segment in P2P engine for sharing
+    // ✅ FIX: Cache segment in P2P engine for sharing (and publish its digest)
     if (!isText && this.p2pEngine) {
       try {
-        this.p2pEngine._cacheChunk(url, responseData);
+        this.p2pEngine.storeCdnChunk(url, responseData);
       } catch (e) {
         // Ignore cache errors
       }
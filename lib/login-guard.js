@@ -0,0 +1,189 @@
+/**
+ * 🛡️ Login Guard (server-only)
+ *
+ * Brute-force protection for POST /api/auth. Failed logins are counted per
+ * IP and per username inside a window. Each failure past the first slows the
+ * response down (progressive delay); reaching the limit locks that IP or
+ * username out. Repeat lockouts within a day double in length, up to a cap.
+ *
+ * Counters live in Upstash Redis (INCR + PEXPIRE) or in memory without Redis.
+ * Every failure, lockout and blocked attempt is written to the audit log
+ * (lib/audit-log.js).
+ */
+
+import { redis } from './rate-limit.js';
+import { normalizeUsername } from './admin-users.js';
+import { auditLog as sharedAuditLog } from './audit-log.js';
+
+export const LOGIN_POLICY = {
+  user: { maxFailures: 5, windowMs: 15 * 60 * 1000, lockoutMs: 5 * 60 * 1000, maxLockoutMs: 60 * 60 * 1000 },
+  ip: { maxFailures: 20, windowMs: 15 * 60 * 1000, lockoutMs: 15 * 60 * 1000, maxLockoutMs: 2 * 60 * 60 * 1000 },
+};
+
+const LOCKOUT_MEMORY_MS = 24 * 60 * 60 * 1000;
+const MAX_DELAY_MS = 4000;
+
+/**
+ * Delay before answering a failed login: none for the first failure,
+ * then 250ms, 500ms, 1s, ... up to 4s
+ */
+export function progressiveDelay(failures) {
+  return failures <= 1 ? 0 : Math.min(250 * 2 ** (failures - 2), MAX_DELAY_MS);
+}
+
+// ========== STORES ==========
+
+export function createMemoryLoginStore(now = Date.now) {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  function prune() {
+    if (entries.size <= 10000) return;
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now()) entries.delete(key);
+    }
+  }
+
+  return {
+    async incr(key, ttlMs) {
+      const entry = read(key);
+      if (entry) {
+        entry.value += 1;
+        return entry.value;
+      }
+      prune();
+      entries.set(key, { value: 1, expiresAt: now() + ttlMs });
+      return 1;
+    },
+    async get(key) {
+      return read(key)?.value ?? null;
+    },
+    async set(key, value, ttlMs) {
+      prune();
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+    },
+    async del(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+export function createRedisLoginStore(client) {
+  return {
+    async incr(key, ttlMs) {
+      const value = await client.incr(key);
+      if (value === 1) await client.pexpire(key, ttlMs);
+      return value;
+    },
+    async get(key) {
+      const value = await client.get(key);
+      return value === null ? null : Number(value);
+    },
+    async set(key, value, ttlMs) {
+      await client.set(key, value, { px: ttlMs });
+    },
+    async del(key) {
+      await client.del(key);
+    },
+  };
+}
+
+// ========== GUARD ==========
+
+/**
+ * @param {{ store?: object, policy?: object, auditLog?: { recordAuthEvent: Function },
+ *   now?: () => number }} options
+ */
+export function createLoginGuard({
+  store = createMemoryLoginStore(),
+  policy = LOGIN_POLICY,
+  auditLog = sharedAuditLog,
+  now = Date.now,
+} = {}) {
+  function subjects({ ip, username }) {
+    const list = [{ scope: 'ip', id: ip || 'unknown' }];
+    const user = normalizeUsername(username);
+    if (user) list.push({ scope: 'user', id: user });
+    return list;
+  }
+
+  const key = (kind, { scope, id }) => `login:${kind}:${scope}:${id}`;
+
+  /**
+   * Is this IP or username locked out right now?
+   * @returns {Promise<{ allowed: boolean, retryAfterMs: number, scope?: string }>}
+   */
+  async function check({ ip, username }) {
+    let blocked = null;
+    for (const subject of subjects({ ip, username })) {
+      const lockedUntil = await store.get(key('lock', subject));
+      const retryAfterMs = (lockedUntil || 0) - now();
+      if (retryAfterMs > 0 && (!blocked || retryAfterMs > blocked.retryAfterMs)) {
+        blocked = { allowed: false, retryAfterMs, scope: subject.scope };
+      }
+    }
+
+    if (blocked) {
+      await auditLog.recordAuthEvent({ event: 'login.blocked', ip, username: normalizeUsername(username), scope: blocked.scope });
+      return blocked;
+    }
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  /**
+   * Count a failed login; locks the IP or username once it hits its limit.
+   * @returns {Promise<{ locked: boolean, retryAfterMs: number, delayMs: number, remainingAttempts: number }>}
+   */
+  async function recordFailure({ ip, username }) {
+    let locked = false;
+    let retryAfterMs = 0;
+    let delayMs = 0;
+    let remainingAttempts = Infinity;
+
+    for (const subject of subjects({ ip, username })) {
+      const rules = policy[subject.scope];
+      const failures = await store.incr(key('fail', subject), rules.windowMs);
+      delayMs = Math.max(delayMs, progressiveDelay(failures));
+
+      if (failures < rules.maxFailures) {
+        remainingAttempts = Math.min(remainingAttempts, rules.maxFailures - failures);
+        continue;
+      }
+
+      const lockouts = await store.incr(key('lockouts', subject), LOCKOUT_MEMORY_MS);
+      const lockoutMs = Math.min(rules.lockoutMs * 2 ** (lockouts - 1), rules.maxLockoutMs);
+      await store.set(key('lock', subject), now() + lockoutMs, lockoutMs);
+      await store.del(key('fail', subject));
+
+      locked = true;
+      retryAfterMs = Math.max(retryAfterMs, lockoutMs);
+      remainingAttempts = 0;
+      await auditLog.recordAuthEvent({ event: 'login.locked', ip, username: normalizeUsername(username), scope: subject.scope, lockoutMs });
+    }
+
+    await auditLog.recordAuthEvent({ event: 'login.failed', ip, username: normalizeUsername(username), locked });
+    return { locked, retryAfterMs, delayMs: locked ? 0 : delayMs, remainingAttempts };
+  }
+
+  // A successful login clears the username's failures (not the IP's)
+  async function recordSuccess({ username }) {
+    const user = normalizeUsername(username);
+    if (user) await store.del(key('fail', { scope: 'user', id: user }));
+  }
+
+  return { check, recordFailure, recordSuccess };
+}
+
+// Shared instance for the API routes
+export const loginGuard = createLoginGuard({
+  store: redis ? createRedisLoginStore(redis) : createMemoryLoginStore(),
+});
@@ -0,0 +1,53 @@
+/**
+ * ⚽ Match Fields
+ *
+ * The edit form's shape and which of its fields a role may send, shared by
+ * components/match-form-modal.js and PUT /api/matches so both agree on what
+ * a score-keeper's request looks like. Pure JS, safe on client and server.
+ */
+
+// All a score-keeper may change on a match
+export const SCORE_FIELDS = ['home_score', 'away_score', 'status'];
+
+/**
+ * Form state for a new match, or for editing `match`
+ */
+export function toMatchForm(match = null) {
+  return {
+    home_team: match?.home_team || '',
+    home_flag: match?.home_flag || '⚽',
+    away_team: match?.away_team || '',
+    away_flag: match?.away_flag || '⚽',
+    competition: match?.competition || '',
+    match_date: match?.match_date || new Date().toISOString().split('T')[0],
+    match_time: match?.match_time || '19:00 WIB',
+    thumbnail_url: match?.thumbnail_url || '',
+    status: match?.status || 'upcoming',
+    home_score: match?.home_score || 0,
+    away_score: match?.away_score || 0,
+    stream_url1: match?.stream_url1 || '',
+    referer1: match?.referer1 || '',
+    origin1: match?.origin1 || '',
+    stream_url2: match?.stream_url2 || '',
+    referer2: match?.referer2 || '',
+    origin2: match?.origin2 || '',
+    stream_url3: match?.stream_url3 || '',
+    referer3: match?.referer3 || '',
+    origin3: match?.origin3 || '',
+  };
+}
+
+/**
+ * Request body for the form: everything, or only the score fields
+ */
+export function buildMatchRequest(form, { scoreOnly = false } = {}) {
+  if (!scoreOnly) return form;
+  return Object.fromEntries(SCORE_FIELDS.map(field => [field, form[field]]));
+}
+
+/**
+ * Fields in a request body that a score-only role may not change
+ */
+export function findNonScoreFields(body) {
+  return Object.keys(body || {}).filter(field => !SCORE_FIELDS.includes(field));
+}
@@ -6,55 +6,222 @@
  * ✅ Glare/Collision Handling
  * ✅ Race Condition Prevention
  * ✅ Proper State Machine
+ * ✅ Pluggable signaling (WebSocket → SSE → REST polling)
+ * ✅ Server-issued peer tickets (signed peer id per match)
+ * ✅ SHA-256 verification of chunks received from peers
+ * ✅ Have-maps (peers advertise cached segments) + prefetch from peers
+ * ✅ Binary framing with backpressure, concurrent transfers per channel
+ * ✅ Seeding policy: upload cap, session quota, download-only, cellular pause
+ * ✅ ICE servers (STUN + time-limited TURN) from /api/p2p-config
+ * ✅ Peer selection by measured RTT, throughput and success ratio
+ * ✅ Rooms per match + link + rendition, capped sub-swarms, live migration
+ * ✅ Live-edge aware source choice: CDN near the edge or on low buffer
+ * ✅ Byte-bounded LRU segment cache, persisted to IndexedDB across reloads
+ * ✅ Typed events (P2P_EVENTS) + getTelemetry() snapshot for UI and telemetry
+ * ✅ Per-peer offer backoff, connect timeouts, ICE restart before teardown
+ * ✅ One swarm per browser: tabs elect a leader over BroadcastChannel
  */
 
+import { connectSignaling, PollingSignalingTransport } from './p2p-signaling.js';
+import { sha256Hex, OfferBackoffManager, SimpleEmitter, TokenBucket, PeerStats, getShardRoomId, getRoomMatchId } from './p2p-utils.js';
+import { loadSeedingPolicy, normalizeSeedingPolicy, isCellularConnection } from './p2p-seeding-policy.js';
+import { createSegmentCache } from './p2p-segment-cache.js';
+import { TabCoordinator } from './p2p-tab-coordinator.js';
+import {
+  PROTOCOL_VERSION,
+  decodeFrame,
+  encodeFrames,
+  sendFrames,
+  TransferAssembler,
+} from './p2p-protocol.js';
+
 const P2P_CONFIG = {
+  // Fallback when /api/p2p-config is unreachable
   iceServers: [
     { urls: 'stun:stun.l.google.com:19302' },
     { urls: 'stun:stun1.l.google.com:19302' },
   ],
   
-  chunkSize: 256 * 1024,
+  // Frame size on the data channel (header included), safe across browsers
+  chunkSize: 64 * 1024,
+  // Largest segment accepted from a peer; bigger transfers are refused
+  maxSegmentSize: 32 * 1024 * 1024,
+  // Segment cache: bytes in memory, plus an IndexedDB copy kept across reloads
   maxCacheSize: 50 * 1024 * 1024,
+  persistCache: true,
+  persistedCacheSize: 100 * 1024 * 1024,
+  persistedCacheMaxAge: 30 * 60 * 1000,
   chunkTimeout: 5000,
+  // Backpressure: pause sending above high, resume at low
+  bufferHighWaterMark: 1024 * 1024,
+  bufferLowThreshold: 256 * 1024,
   
   maxPeers: 6,
   minPeersForP2P: 2,
+
+  // Connection attempts: give up on a handshake after peerConnectTimeout,
+  // retry with doubling delays, cool down after offerMaxAttempts failures
+  peerConnectTimeout: 15000,
+  offerMaxAttempts: 4,
+  offerBackoffBase: 2000,
+  offerBackoffMax: 30000,
+  offerCooldown: 5 * 60 * 1000,
+  // A dropped link gets one ICE restart before it is torn down
+  iceRestartTimeout: 8000,
   
   bandwidthThreshold: 500000,
-  healthCheckInterval: 10000,
+  // Ping every healthCheckInterval; drop peers silent for peerTimeout
+  healthCheckInterval: 5000,
+  peerTimeout: 20000,
+  minSuccessRate: 0.5,
+  // Per source, so a second peer still fits in chunkTimeout
+  peerRequestTimeout: 2500,
   
   mobileMaxPeers: 3,
   mobileBandwidthThreshold: 300000,
+
+  // Signaling: WebSocket when configured, then SSE stream, then REST polling
+  websocketUrl: process.env.NEXT_PUBLIC_P2P_WS_URL || null,
+  sseEnabled: true,
+  wsConnectTimeout: 3000,
+  signalPollInterval: 2000,
+  ticketRetryDelay: 30000,
+  // Room tracker membership refresh (server drops members after 150s)
+  trackerHeartbeatInterval: 60000,
+
+  // Integrity: digests published by peers, bad peers get banned. A digest
+  // from peers is only trusted once this many verified publishers agree on it.
+  maxDigests: 300,
+  minDigestPublishers: 2,
+  maxIntegrityFailures: 2,
+  banDuration: 10 * 60 * 1000,
+
+  // Have-maps: full map on channel open and every haveInterval, deltas on cache
+  haveInterval: 5000,
+  haveMapSize: 60,
+  maxSourcesPerChunk: 2,
+  prefetchCount: 3,
+  prefetchConcurrency: 2,
+
+  // Source choice: segments this close to the live edge, or fetched with
+  // less than minBufferForP2P seconds buffered, go straight to the CDN
+  liveEdgeSegments: 2,
+  minBufferForP2P: 6,
+
+  // Tabs of one browser on the same match share the leader tab's swarm
+  multiTab: true,
+};
+
+/**
+ * Events emitted by P2PEngine (payload in comments)
+ */
+export const P2P_EVENTS = {
+  READY: 'ready',                         // { roomId, peerId, tabRole }
+  ROOM_CHANGED: 'room-changed',           // { roomKey, roomId }
+  PEER_CONNECTED: 'peer-connected',       // { peerId }
+  PEER_DISCONNECTED: 'peer-disconnected', // { peerId, reason }
+  PEER_STATS: 'peer-stats',               // { peerId, rtt }
+  CHUNK_SERVED: 'chunk-served',           // { peerId, url, bytes }
+  CHUNK_RECEIVED: 'chunk-received',       // { peerId, url, bytes, ms }
+  FALLBACK_TO_CDN: 'fallback-to-cdn',     // { url, reason, sn }
+  SIGNALING_ERROR: 'signaling-error',     // { transport, error }
+  TAB_ROLE_CHANGED: 'tab-role-changed',   // { role, tabId, leaderId }
+  DESTROYED: 'destroyed',                 // {}
 };
 
-class P2PEngine {
+class P2PEngine extends SimpleEmitter {
   constructor() {
+    super();
     this.enabled = false;
     this.peers = new Map();
-    this.chunkCache = new Map();
+    // url -> ArrayBuffer, LRU by bytes (created once config is known)
+    this.chunkCache = null;
+    // `${peerId}:${requestId}` -> { resolve, reject, timer }
     this.pendingRequests = new Map();
-    this.peerHealth = new Map();
+    this.assemblers = new Map();
+    this.nextRequestId = 1;
+    // peerId -> PeerStats (RTT, throughput, success ratio)
+    this.peerStats = new Map();
     
     // ✅ FIX: ICE Candidate Queue
     this.pendingCandidates = new Map();
     
     // ✅ FIX: Lock untuk prevent race conditions
     this.peerLocks = new Map();
+
+    // Connection retries (backoff created once config is known)
+    this.offerBackoff = null;
+    this.reconnectTimers = new Map();
+
+    // Integrity: url -> { digest, from: [peerId], source: 'cdn'|'peers'|'cache' },
+    // url -> Map(digest -> Set(peerId)) claims not yet trusted,
+    // peers whose digest matched our own CDN bytes,
+    // peerId -> strikes / banned-until
+    this.chunkDigests = new Map();
+    this.digestClaims = new Map();
+    this.verifiedPublishers = new Set();
+    this.integrityStrikes = new Map();
+    this.bannedPeers = new Map();
+
+    // Have-maps: peerId -> Set(url) of segments that peer has cached
+    this.peerHaves = new Map();
+    // url -> Promise of an in-flight peer transfer (shared by fetch and prefetch)
+    this.inflight = new Map();
+    this.prefetched = new Set();
+    this.haveTimer = null;
+    this.healthTimer = null;
+
+    // Upload limits (persisted per browser, see lib/p2p-seeding-policy.js)
+    this.seedingPolicy = null;
+    this.uploadBucket = null;
+    this._onConnectionChange = () => this._sendHaveMap();
     
+    // roomKey: match + link + rendition; roomId: the sub-swarm the tracker assigned
+    this.roomKey = null;
     this.roomId = null;
     this.peerId = null;
     this.signalingUrl = null;
-    this.pollInterval = null;
+    this.websocketUrl = null;
+    this.streamUrl = null;
+    this.signaling = null;
+    this.signalingTransport = null;
+
+    // Room tracker from /api/p2p-signal/room (shards large audiences)
+    this.trackerUrl = null;
+    this.trackerTimer = null;
+    this.roomSwitch = Promise.resolve();
+    this.requestedRoomKey = null; // latest switchRoom() target
+
+    // Peer ticket from /api/p2p-signal/ticket (binds peerId to the match)
+    this.ticketUrl = null;
+    this.ticket = null;
+    this.ticketExpiresAt = 0;
+    this.ticketTimer = null;
+
+    // ICE servers from /api/p2p-config (TURN credentials expire)
+    this.configUrl = null;
+    this.iceServers = P2P_CONFIG.iceServers;
+    this.iceServersExpiresAt = null;
     this.destroyed = false;
+
+    // Multi-tab: only the leader tab runs the swarm (lib/p2p-tab-coordinator.js)
+    this.tabs = null;
     
     this.stats = {
       p2pHits: 0,
       p2pMisses: 0,
       cdnFallbacks: 0,
       bytesFromPeers: 0,
+      bytesFromCdn: 0,
       bytesShared: 0,
       avgLatency: 0,
+      integrityFailures: 0,
+      prefetched: 0,
+      prefetchHits: 0,
+      tabHits: 0,
+      // reason -> count, see chooseSource()
+      sourceReasons: {},
+      lastSource: null,
     };
     
     this.isMobile = this._detectMobile();
@@ -64,6 +231,22 @@ class P2PEngine {
       maxPeers: P2P_CONFIG.mobileMaxPeers,
       bandwidthThreshold: P2P_CONFIG.mobileBandwidthThreshold,
     } : P2P_CONFIG;
+
+    this.offerBackoff = new OfferBackoffManager({
+      maxAttempts: this.config.offerMaxAttempts,
+      cooldownMs: this.config.offerCooldown,
+      baseDelayMs: this.config.offerBackoffBase,
+      maxDelayMs: this.config.offerBackoffMax,
+    });
+
+    this.chunkCache = createSegmentCache({
+      maxBytes: this.config.maxCacheSize,
+      persist: this.config.persistCache,
+      persistMaxBytes: this.config.persistedCacheSize,
+      persistMaxAge: this.config.persistedCacheMaxAge,
+    });
+
+    this.setSeedingPolicy(loadSeedingPolicy());
     
     console.log('📡 P2P Engine initialized', {
       mobile: this.isMobile,
@@ -93,31 +276,49 @@ class P2PEngine {
 
   // ========== INITIALIZATION ==========
 
-  async init(roomId, options = {}) {
+  /**
+   * Join the swarm for `roomKey` (e.g. `match_42:link1:720p`, see buildRoomKey).
+   * With a tracker the actual room is a capped sub-swarm like `match_42:link1:720p:s0`.
+   */
+  async init(roomKey, options = {}) {
     try {
-      this.roomId = roomId;
+      this.roomKey = roomKey;
+      this.roomId = roomKey;
       this.peerId = this._generatePeerId();
       this.signalingUrl = options.signalingUrl || '/api/p2p-signal';
+      this.websocketUrl = options.websocketUrl !== undefined
+        ? options.websocketUrl
+        : this.config.websocketUrl;
+      this.streamUrl = this.config.sseEnabled
+        ? options.streamUrl || `${this.signalingUrl}/stream`
+        : null;
+      this.ticketUrl = options.ticketUrl !== undefined
+        ? options.ticketUrl
+        : `${this.signalingUrl}/ticket`;
+      this.configUrl = options.configUrl !== undefined
+        ? options.configUrl
+        : '/api/p2p-config';
+      this.trackerUrl = options.trackerUrl !== undefined
+        ? options.trackerUrl
+        : `${this.signalingUrl}/room`;
+      this.signalingTransport = options.signalingTransport || null;
       this.destroyed = false;
-      
-      console.log('📡 Initializing P2P:', {
-        roomId,
-        peerId: this.peerId,
-        signalingUrl: this.signalingUrl,
-      });
 
-      await this._startSignaling();
-      this._startHealthMonitoring();
-      
-      this.enabled = true;
-      
-      await this._sendSignal({
-        type: 'announce',
-        payload: { peerId: this.peerId },
-      });
-      
-      console.log('✅ P2P Engine ready');
-      
+      // Any object with the SegmentCache interface (has/get/set/keys/clear)
+      if (options.segmentCache) {
+        this.chunkCache = options.segmentCache;
+      }
+      await this._restoreCache();
+
+      // Another tab of this browser already holds the swarm: go through it
+      if (await this._joinTabs(roomKey, options) === 'follower') {
+        this.enabled = true;
+        console.log('✅ P2P Engine ready (loading through leader tab)');
+        this.emit(P2P_EVENTS.READY, { roomId: this.roomId, peerId: this.peerId, tabRole: 'follower' });
+        return true;
+      }
+
+      await this._startSwarm();
       return true;
     } catch (error) {
       console.error('❌ P2P init failed:', error);
@@ -126,52 +327,509 @@ class P2PEngine {
     }
   }
 
-  // ========== SIGNALING (FIXED) ==========
+  /**
+   * Ticket, ICE servers, room, signaling: everything that makes this tab a peer
+   */
+  async _startSwarm() {
+    // The server assigns our peer id along with the ticket
+    if (this.ticketUrl) {
+      await this._acquireTicket();
+    }
+
+    // TURN credentials are bound to the ticket's peer id
+    if (this.configUrl) {
+      await this._loadIceServers();
+    }
+
+    this.roomId = await this._joinRoom(this.roomKey);
+    
+    console.log('📡 Initializing P2P:', {
+      roomId: this.roomId,
+      peerId: this.peerId,
+      signalingUrl: this.signalingUrl,
+      websocketUrl: this.websocketUrl,
+    });
+
+    await this._startSignaling(this.signalingTransport);
+    this._startTrackerHeartbeat();
+    this._startHealthMonitoring();
+    this._startHaveBroadcast();
+
+    // Re-advertise (or hide) our cache when switching wifi <-> cellular
+    if (typeof navigator !== 'undefined') {
+      navigator.connection?.addEventListener?.('change', this._onConnectionChange);
+    }
+    
+    this.enabled = true;
+    
+    await this._sendSignal({
+      type: 'announce',
+      payload: { peerId: this.peerId },
+    });
+    
+    console.log('✅ P2P Engine ready');
+    this.emit(P2P_EVENTS.READY, { roomId: this.roomId, peerId: this.peerId, tabRole: this.tabs?.role || null });
+  }
+
+  /**
+   * Drop out of the swarm (bye, peers, room slot) but keep the cache and
+   * the digests of what is in it, so it is seeded again after a restart.
+   * Used by destroy() and when another tab takes over.
+   */
+  async _stopSwarm() {
+    clearTimeout(this.ticketTimer);
+    this.ticketTimer = null;
+    clearInterval(this.haveTimer);
+    this.haveTimer = null;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    clearInterval(this.trackerTimer);
+    this.trackerTimer = null;
+    for (const peerId of Array.from(this.reconnectTimers.keys())) {
+      this._cancelReconnect(peerId);
+    }
+
+    if (typeof navigator !== 'undefined') {
+      navigator.connection?.removeEventListener?.('change', this._onConnectionChange);
+    }
+
+    // Send bye signal (sent directly: _sendSignal is a no-op once destroyed)
+    if (this.signaling) {
+      await this.signaling.send({
+        type: 'bye',
+        payload: { peerId: this.peerId },
+      }).catch(() => {});
+
+      // Closing also cleans up our signals on the server (polling transport)
+      await this.signaling.close().catch(() => {});
+      this.signaling = null;
+    }
+
+    this._leaveRoom(this.roomId);
+    this.ticket = null;
+
+    // Close all connections
+    for (const peerId of this.peers.keys()) {
+      this._cleanupPeerConnection(peerId);
+    }
+
+    this.peers.clear();
+    this.peerStats.clear();
+    this.pendingCandidates.clear();
+    this.peerLocks.clear();
+    this.digestClaims.clear();
+    this.verifiedPublishers.clear();
+    this.integrityStrikes.clear();
+    this.peerHaves.clear();
+    this.inflight.clear();
+    this.prefetched.clear();
+
+    for (const url of this.chunkDigests.keys()) {
+      if (!this.chunkCache.has(url)) this.chunkDigests.delete(url);
+    }
+  }
+
+  // ========== MULTI-TAB ==========
+
+  /**
+   * Elect a leader among this browser's tabs on the same match.
+   * `options.openTabChannel(name)` overrides how BroadcastChannels are
+   * opened (null disables).
+   * @returns {Promise<'leader' | 'follower'>}
+   */
+  async _joinTabs(roomKey, options) {
+    let openChannel = options.openTabChannel;
+    if (openChannel === undefined) {
+      openChannel = this.config.multiTab && TabCoordinator.isSupported()
+        ? (name) => new BroadcastChannel(name)
+        : null;
+    }
+    if (!openChannel) return 'leader';
+
+    // Shared channel for the election, one per tab for segments
+    const name = `p2p-tabs:${getRoomMatchId(roomKey)}`;
+    this.tabs = new TabCoordinator({
+      channel: openChannel(name),
+      openChannel: (tabId) => openChannel(`${name}:${tabId}`),
+    });
+    const role = await this.tabs.start({
+      load: (url, hints) => this.loadChunk(url, hints),
+      store: (url, data) => this.storeCdnChunk(url, data),
+    });
+
+    this.tabs.on('role', (event) => this._handleTabRoleChange(event));
+    return role;
+  }
+
+  async _handleTabRoleChange({ role, tabId, leaderId }) {
+    if (this.destroyed) return;
+    this.emit(P2P_EVENTS.TAB_ROLE_CHANGED, { role, tabId, leaderId });
+
+    try {
+      if (role === 'leader') {
+        console.log('👑 [P2P] Leader tab gone, taking over the swarm');
+        await this._startSwarm();
+      } else {
+        console.log(`[P2P] Tab ${leaderId} leads, leaving the swarm`);
+        await this._stopSwarm();
+      }
+    } catch (error) {
+      console.error('[P2P] Tab failover failed:', error);
+      this.enabled = false;
+    }
+  }
+
+  // ========== PEER TICKET ==========
+
+  async _acquireTicket() {
+    const headers = { 'Content-Type': 'application/json' };
+    // Presenting the current ticket renews it with the same peer id
+    if (this.ticket) headers.Authorization = `Bearer ${this.ticket}`;
+
+    const response = await fetch(this.ticketUrl, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ room_id: this.roomId }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `Ticket request failed: ${response.status}`);
+    }
+
+    this.peerId = data.peer_id;
+    this.ticket = data.ticket;
+    this.ticketExpiresAt = data.expires_at;
+
+    // Renew at 80% of the lifetime
+    this._scheduleTicketRenewal(Math.max(5000, (this.ticketExpiresAt - Date.now()) * 0.8));
+  }
 
-  async _startSignaling() {
-    this.pollInterval = setInterval(async () => {
+  _scheduleTicketRenewal(delay) {
+    clearTimeout(this.ticketTimer);
+
+    this.ticketTimer = setTimeout(async () => {
       if (this.destroyed) return;
-      
+
       try {
-        const response = await fetch(
-          `${this.signalingUrl}?room_id=${this.roomId}&peer=${this.peerId}`
-        );
-        
-        if (!response.ok) return;
-        
-        const data = await response.json();
-        if (data.success && data.data) {
-          for (const signal of data.data) {
-            await this._handleSignal(signal);
-            // Delete processed signal
-            fetch(`${this.signalingUrl}?id=${signal.id}`, { method: 'DELETE' }).catch(() => {});
-          }
-        }
+        await this._acquireTicket();
+        await this.signaling?.refreshTicket?.();
       } catch (error) {
-        if (!this.destroyed) {
-          console.warn('Signaling poll error:', error.message);
+        console.warn('[P2P] Ticket renewal failed:', error.message);
+        this._scheduleTicketRenewal(this.config.ticketRetryDelay);
+      }
+    }, delay);
+  }
+
+  // ========== ICE SERVERS ==========
+
+  async _loadIceServers() {
+    try {
+      const headers = {};
+      if (this.ticket) headers.Authorization = `Bearer ${this.ticket}`;
+
+      const response = await fetch(this.configUrl, { headers });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || !data.success || !Array.isArray(data.iceServers)) {
+        throw new Error(data.error || `Config request failed: ${response.status}`);
+      }
+
+      this.iceServers = data.iceServers;
+      this.iceServersExpiresAt = data.expires_at || null;
+
+      console.log('[P2P] ICE servers loaded:', {
+        turn: data.iceServers.some(server => server.credential),
+      });
+    } catch (error) {
+      // STUN-only fallback still connects most peers
+      console.warn('[P2P] Using default ICE servers:', error.message);
+      this.iceServers = this.config.iceServers;
+      this.iceServersExpiresAt = null;
+    }
+  }
+
+  // Refresh expired TURN credentials before building a connection
+  async _getIceServers() {
+    if (this.configUrl && this.iceServersExpiresAt && Date.now() > this.iceServersExpiresAt - 60000) {
+      await this._loadIceServers();
+    }
+    return this.iceServers;
+  }
+
+  /**
+   * Record which candidate pair ICE selected (host / srflx / prflx / relay)
+   */
+  async _updateCandidateType(peerId, pc) {
+    try {
+      const report = await pc.getStats();
+      let pair = null;
+
+      report.forEach((stat) => {
+        if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+          pair = report.get(stat.selectedCandidatePairId);
         }
+      });
+
+      // Firefox has no transport stats, it flags the pair itself
+      if (!pair) {
+        report.forEach((stat) => {
+          if (stat.type === 'candidate-pair' && (stat.selected || (stat.nominated && stat.state === 'succeeded'))) {
+            pair = stat;
+          }
+        });
+      }
+
+      const local = pair && report.get(pair.localCandidateId);
+      const remote = pair && report.get(pair.remoteCandidateId);
+      const peer = this.peers.get(peerId);
+
+      if (peer && local) {
+        peer.candidatePairType = `${local.candidateType}/${remote?.candidateType || 'unknown'}`;
+        console.log(`[P2P] Peer ${peerId} via ${peer.candidatePairType}`);
+      }
+    } catch (e) {
+      // Stats are best effort
+    }
+  }
+
+  // ========== SEGMENT CACHE ==========
+
+  // Segments persisted before a reload are seeded again via the first have-map,
+  // which carries the digests they were stored with
+  async _restoreCache() {
+    try {
+      const restored = (await this.chunkCache.restore?.()) || [];
+      for (const { url, digest } of restored) {
+        this._rememberDigest(url, { digest, from: [], source: 'cache' });
       }
-    }, 2000);
+      if (restored.length > 0) {
+        console.log(`💾 [P2P] Restored ${restored.length} cached segments`);
+      }
+    } catch (error) {
+      console.warn('[P2P] Cache restore failed:', error.message);
+    }
   }
 
-  async _sendSignal(data) {
-    if (this.destroyed) return;
-    
+  // ========== ROOMS ==========
+
+  /**
+   * Ask the tracker which sub-swarm of `roomKey` to join. Passing the current
+   * room id renews our slot there. If the tracker is unreachable we fall back
+   * to shard 0, where it places viewers first anyway.
+   */
+  async _joinRoom(roomKey, currentRoomId = null) {
+    if (!this.trackerUrl) return roomKey;
+
     try {
-      await fetch(this.signalingUrl, {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.ticket) headers.Authorization = `Bearer ${this.ticket}`;
+
+      const response = await fetch(this.trackerUrl, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers,
         body: JSON.stringify({
-          room_id: this.roomId,
-          from_peer: this.peerId,
-          to_peer: data.to || null,
-          type: data.type,
-          payload: data.payload || data,
+          room_key: roomKey,
+          room_id: currentRoomId,
+          // Totals for the operators' swarm stats (GET /api/p2p-rooms)
+          stats: {
+            bytesFromPeers: this.stats.bytesFromPeers,
+            bytesFromCdn: this.stats.bytesFromCdn,
+            bytesShared: this.stats.bytesShared,
+          },
         }),
       });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Room request failed: ${response.status}`);
+      }
+
+      if (data.room_id !== currentRoomId) {
+        console.log(`[P2P] Room ${data.room_id} (${data.members}/${data.cap} viewers)`);
+      }
+      return data.room_id;
+    } catch (error) {
+      console.warn('[P2P] Room tracker unavailable:', error.message);
+      return currentRoomId || getShardRoomId(roomKey, 0);
+    }
+  }
+
+  _leaveRoom(roomId) {
+    // No ticket: never joined (follower tab) or the tracker would refuse anyway
+    if (!this.trackerUrl || !roomId || !this.ticket) return;
+
+    const headers = { Authorization: `Bearer ${this.ticket}` };
+
+    // keepalive: also runs during page unload
+    fetch(`${this.trackerUrl}?room_id=${encodeURIComponent(roomId)}`, {
+      method: 'DELETE',
+      headers,
+      keepalive: true,
+    }).catch(() => {});
+  }
+
+  _startTrackerHeartbeat() {
+    clearInterval(this.trackerTimer);
+    this.trackerTimer = null;
+    if (!this.trackerUrl) return;
+
+    this.trackerTimer = setInterval(() => {
+      if (this.destroyed) return;
+      this._joinRoom(this.roomKey, this.roomId);
+    }, this.config.trackerHeartbeatInterval);
+  }
+
+  /**
+   * Move to the swarm for another link or rendition. Peers in the old room get
+   * a bye; the segment cache, digests and bans carry over. Calls are queued
+   * and a queued call is dropped once a newer one comes in, so rapid level
+   * switches settle on the last one (A → B → A never leaves A).
+   * @returns {Promise<boolean>} true if the room changed
+   */
+  switchRoom(roomKey) {
+    this.requestedRoomKey = roomKey;
+
+    const run = async () => {
+      if (this.destroyed || !this.enabled || roomKey === this.roomKey) return false;
+      if (roomKey !== this.requestedRoomKey) return false;
+
+      // Follower tabs have no room of their own; the key is kept for failover
+      if (this.tabs && !this.tabs.isLeader) {
+        this.roomKey = roomKey;
+        this.roomId = roomKey;
+        this.emit(P2P_EVENTS.ROOM_CHANGED, { roomKey: this.roomKey, roomId: this.roomId });
+        return true;
+      }
+
+      const previousRoomId = this.roomId;
+      console.log(`🔀 [P2P] Switching room: ${this.roomKey} → ${roomKey}`);
+
+      try {
+        // Sent directly: bye must go out on the old room's transport
+        if (this.signaling) {
+          await this.signaling.send({
+            type: 'bye',
+            payload: { peerId: this.peerId },
+          }).catch(() => {});
+          await this.signaling.close().catch(() => {});
+          this.signaling = null;
+        }
+
+        for (const peerId of Array.from(this.peers.keys())) {
+          this._removePeer(peerId, 'room-switch');
+        }
+        for (const peerId of Array.from(this.reconnectTimers.keys())) {
+          this._cancelReconnect(peerId);
+        }
+        this.pendingCandidates.clear();
+        this._leaveRoom(previousRoomId);
+
+        this.roomKey = roomKey;
+        this.roomId = await this._joinRoom(roomKey);
+        if (this.destroyed) return false;
+
+        await this._startSignaling(this.signalingTransport);
+        await this._sendSignal({
+          type: 'announce',
+          payload: { peerId: this.peerId },
+        });
+
+        console.log(`✅ [P2P] Joined room ${this.roomId}`);
+        this.emit(P2P_EVENTS.ROOM_CHANGED, { roomKey: this.roomKey, roomId: this.roomId });
+        return true;
+      } catch (error) {
+        console.error('[P2P] Room switch failed:', error);
+        return false;
+      }
+    };
+
+    this.roomSwitch = this.roomSwitch.then(run, run);
+    return this.roomSwitch;
+  }
+
+  // ========== SIGNALING (FIXED) ==========
+
+  /**
+   * Connect signaling. A transport passed via `init(roomId, { signalingTransport })`
+   * is used as-is; otherwise WebSocket is tried first, then SSE, and REST polling is the fallback.
+   */
+  async _startSignaling(transport = null) {
+    const handlers = {
+      roomId: this.roomId,
+      peerId: this.peerId,
+      getTicket: () => this.ticket,
+      onSignal: (signal) => this._handleSignal(signal),
+      onClose: () => this._handleSignalingClose(),
+      onError: (error) => this._handlePollError(error),
+    };
+
+    if (transport) {
+      await transport.connect(handlers);
+      this.signaling = transport;
+    } else {
+      this.signaling = await connectSignaling({
+        ...handlers,
+        websocketUrl: this.websocketUrl,
+        signalingUrl: this.signalingUrl,
+        streamUrl: this.streamUrl,
+        pollInterval: this.config.signalPollInterval,
+        connectTimeout: this.config.wsConnectTimeout,
+      });
+    }
+
+    console.log(`[P2P] Signaling via ${this.signaling.name}`);
+  }
+
+  // Push transport dropped mid-session: keep the room alive over REST polling
+  async _handleSignalingClose() {
+    if (this.destroyed) return;
+
+    console.warn(`[P2P] ${this.signaling?.name} signaling closed, falling back to polling`);
+    this.emit(P2P_EVENTS.SIGNALING_ERROR, { transport: this.signaling?.name || null, error: 'closed' });
+
+    this.signaling = new PollingSignalingTransport({
+      url: this.signalingUrl,
+      interval: this.config.signalPollInterval,
+    });
+
+    try {
+      await this.signaling.connect({
+        roomId: this.roomId,
+        peerId: this.peerId,
+        getTicket: () => this.ticket,
+        onSignal: (signal) => this._handleSignal(signal),
+        onError: (error) => this._handlePollError(error),
+      });
+
+      await this._sendSignal({
+        type: 'announce',
+        payload: { peerId: this.peerId },
+      });
+    } catch (error) {
+      console.error('[P2P] Polling fallback failed:', error.message);
+      this.emit(P2P_EVENTS.SIGNALING_ERROR, { transport: 'polling', error: error.message });
+    }
+  }
+
+  // Polling backs off by itself; surface each failure to the status UI
+  _handlePollError(error) {
+    if (this.destroyed) return;
+    this.emit(P2P_EVENTS.SIGNALING_ERROR, { transport: 'polling', error: error.message });
+  }
+
+  async _sendSignal(data) {
+    if (this.destroyed || !this.signaling) return;
+    
+    try {
+      await this.signaling.send({
+        type: data.type,
+        to: data.to || null,
+        payload: data.payload || data,
+      });
     } catch (error) {
       console.error('Send signal error:', error);
+      this.emit(P2P_EVENTS.SIGNALING_ERROR, { transport: this.signaling?.name || null, error: error.message });
     }
   }
 
@@ -179,13 +837,14 @@ class P2PEngine {
     const { from_peer, type, payload } = signal;
     
     if (from_peer === this.peerId) return;
+    if (this._isBanned(from_peer)) return;
 
     console.log(`[P2P] Received: ${type} from ${from_peer}`);
 
     try {
       switch (type) {
         case 'announce':
-          await this._handleAnnounce(from_peer);
+          await this._handleAnnounce(from_peer, !!signal.to_peer);
           break;
         case 'offer':
           await this._handleOffer(from_peer, payload.offer || payload);
@@ -197,7 +856,9 @@ class P2PEngine {
           await this._handleIceCandidate(from_peer, payload.candidate || payload);
           break;
         case 'bye':
-          this._removePeer(from_peer);
+          this._cancelReconnect(from_peer);
+          this.offerBackoff.reset(from_peer);
+          this._removePeer(from_peer, 'bye');
           break;
       }
     } catch (error) {
@@ -207,11 +868,24 @@ class P2PEngine {
 
   // ========== PEER CONNECTION (FIXED) ==========
 
-  async _handleAnnounce(fromPeer) {
+  async _handleAnnounce(fromPeer, isReply = false) {
     // Only the peer with lower ID initiates connection (prevents duplicate connections)
-    if (this.peerId < fromPeer && this.peers.size < this.config.maxPeers) {
-      console.log(`[P2P] Creating offer for ${fromPeer}`);
-      await this.createPeerConnection(fromPeer);
+    if (this.peerId < fromPeer) {
+      if (!this.offerBackoff.canAttempt(fromPeer)) {
+        console.log(`[P2P] Backing off ${fromPeer} for ${this.offerBackoff.nextAttemptIn(fromPeer)}ms`);
+        return;
+      }
+      if (this.peers.size < this.config.maxPeers) {
+        console.log(`[P2P] Creating offer for ${fromPeer}`);
+        await this.createPeerConnection(fromPeer);
+      }
+    } else if (!isReply && !this.peers.has(fromPeer)) {
+      // Newcomer has the lower ID: announce back (directly) so it initiates
+      await this._sendSignal({
+        type: 'announce',
+        to: fromPeer,
+        payload: { peerId: this.peerId },
+      });
     }
   }
 
@@ -222,7 +896,7 @@ class P2PEngine {
       const existingPeer = this.peers.get(remotePeerId);
       if (existingPeer) {
         const state = existingPeer.connection?.connectionState;
-        if (['connecting', 'connected'].includes(state)) {
+        if (['connecting', 'connected'].includes(state) || existingPeer.restartingIce) {
           console.log(`[P2P] Already ${state} to ${remotePeerId}`);
           return existingPeer.connection;
         }
@@ -231,17 +905,15 @@ class P2PEngine {
       }
 
       const pc = new RTCPeerConnection({
-        iceServers: this.config.iceServers,
+        iceServers: await this._getIceServers(),
       });
 
-      // ✅ FIX: Initialize candidate queue
-      this.pendingCandidates.set(remotePeerId, []);
-
-      const dc = pc.createDataChannel('chunks', {
-        ordered: true,
-        maxRetransmits: 3,
-      });
+      // ✅ FIX: Initialize candidate queue (keep candidates that arrived early)
+      if (!this.pendingCandidates.has(remotePeerId)) {
+        this.pendingCandidates.set(remotePeerId, []);
+      }
 
+      const dc = this._createDataChannel(pc);
       this._setupDataChannel(remotePeerId, dc);
 
       pc.onicecandidate = (event) => {
@@ -254,24 +926,13 @@ class P2PEngine {
         }
       };
 
-      pc.onconnectionstatechange = () => {
-        console.log(`[P2P] Peer ${remotePeerId} state:`, pc.connectionState);
-        
-        if (pc.connectionState === 'connected') {
-          this.peerHealth.set(remotePeerId, 100);
-        }
-        
-        if (['failed', 'closed', 'disconnected'].includes(pc.connectionState)) {
-          this._removePeer(remotePeerId);
-        }
-      };
-
       this.peers.set(remotePeerId, {
         id: remotePeerId,
         connection: pc,
         dataChannel: dc,
         connected: false,
       });
+      this._watchConnection(remotePeerId, pc);
 
       const offer = await pc.createOffer();
       await pc.setLocalDescription(offer);
@@ -295,17 +956,16 @@ class P2PEngine {
       // Create new connection if needed
       if (!pc || pc.signalingState === 'closed') {
         pc = new RTCPeerConnection({
-          iceServers: this.config.iceServers,
+          iceServers: await this._getIceServers(),
         });
 
-        // Initialize candidate queue
-        this.pendingCandidates.set(peerId, []);
+        // Initialize candidate queue (candidates may arrive before the offer)
+        if (!this.pendingCandidates.has(peerId)) {
+          this.pendingCandidates.set(peerId, []);
+        }
 
-        pc.ondatachannel = (event) => {
-          this._setupDataChannel(peerId, event.channel);
-          const p = this.peers.get(peerId);
-          if (p) p.dataChannel = event.channel;
-        };
+        const dc = this._createDataChannel(pc);
+        this._setupDataChannel(peerId, dc);
 
         pc.onicecandidate = (event) => {
           if (event.candidate) {
@@ -317,22 +977,13 @@ class P2PEngine {
           }
         };
 
-        pc.onconnectionstatechange = () => {
-          console.log(`[P2P] Peer ${peerId} state:`, pc.connectionState);
-          if (pc.connectionState === 'connected') {
-            this.peerHealth.set(peerId, 100);
-          }
-          if (['failed', 'closed', 'disconnected'].includes(pc.connectionState)) {
-            this._removePeer(peerId);
-          }
-        };
-
         this.peers.set(peerId, {
           id: peerId,
           connection: pc,
-          dataChannel: null,
+          dataChannel: dc,
           connected: false,
         });
+        this._watchConnection(peerId, pc);
         
         peer = this.peers.get(peerId);
       }
@@ -371,28 +1022,150 @@ class P2PEngine {
     });
   }
 
-  // ✅ FIX: Handle Answer with State Check
-  async _handleAnswer(peerId, answer) {
-    await this._withPeerLock(peerId, async () => {
-      const peer = this.peers.get(peerId);
-      if (!peer?.connection) {
-        console.warn(`[P2P] No connection for answer from ${peerId}`);
-        return;
-      }
+  // ========== CONNECTION RECOVERY ==========
 
-      const pc = peer.connection;
+  /**
+   * Connection state handling shared by both sides of a connection:
+   * handshake timeout, ICE restart on a dropped link, teardown + backoff.
+   */
+  _watchConnection(peerId, pc) {
+    const peer = this.peers.get(peerId);
 
-      // ✅ FIX: Check signaling state before setting remote description
-      if (pc.signalingState !== 'have-local-offer') {
-        console.warn(`[P2P] Cannot set answer in state: ${pc.signalingState}`);
-        return;
+    peer.connectTimer = setTimeout(() => {
+      if (this.peers.get(peerId) === peer && pc.connectionState !== 'connected') {
+        this._handleConnectionFailure(peerId, 'connect-timeout');
       }
-
-      await pc.setRemoteDescription(new RTCSessionDescription(answer));
-      
-      // ✅ FIX: Process queued ICE candidates
-      await this._processQueuedCandidates(peerId);
-    });
+    }, this.config.peerConnectTimeout);
+
+    pc.onconnectionstatechange = () => {
+      console.log(`[P2P] Peer ${peerId} state:`, pc.connectionState);
+      // A replaced connection's late events must not touch the new one
+      if (this.peers.get(peerId) !== peer) return;
+
+      switch (pc.connectionState) {
+        case 'connected':
+          clearTimeout(peer.connectTimer);
+          clearTimeout(peer.iceRestartTimer);
+          peer.everConnected = true;
+          peer.restartingIce = false;
+          this.offerBackoff.reset(peerId);
+          this._ensurePeerStats(peerId);
+          this._updateCandidateType(peerId, pc);
+          break;
+        case 'disconnected':
+        case 'failed':
+          if (peer.everConnected && !peer.restartingIce) {
+            this._restartIce(peerId);
+          } else if (!peer.restartingIce || pc.connectionState === 'failed') {
+            this._handleConnectionFailure(peerId, pc.connectionState);
+          }
+          break;
+        case 'closed':
+          this._removePeer(peerId, 'closed');
+          break;
+      }
+    };
+  }
+
+  /**
+   * Try to bring a dropped link back with new ICE candidates. The initiator
+   * (lower id) sends the restart offer, the other side answers it. Torn down
+   * if not connected again within iceRestartTimeout.
+   */
+  async _restartIce(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    peer.restartingIce = true;
+    console.warn(`[P2P] Link to ${peerId} dropped, restarting ICE`);
+
+    peer.iceRestartTimer = setTimeout(() => {
+      if (this.peers.get(peerId) === peer && peer.connection.connectionState !== 'connected') {
+        this._handleConnectionFailure(peerId, 'ice-restart-timeout');
+      }
+    }, this.config.iceRestartTimeout);
+
+    if (this.peerId > peerId) return;
+
+    try {
+      await this._withPeerLock(peerId, async () => {
+        const pc = peer.connection;
+        if (this.peers.get(peerId) !== peer || pc.signalingState !== 'stable') return;
+
+        pc.restartIce?.();
+        const offer = await pc.createOffer({ iceRestart: true });
+        await pc.setLocalDescription(offer);
+
+        await this._sendSignal({
+          type: 'offer',
+          to: peerId,
+          payload: { offer: pc.localDescription.toJSON() },
+        });
+      });
+    } catch (error) {
+      console.warn(`[P2P] ICE restart for ${peerId} failed:`, error.message);
+    }
+  }
+
+  // Give up on this connection; the initiator retries later with backoff
+  _handleConnectionFailure(peerId, reason) {
+    const attempts = this.offerBackoff.recordFailure(peerId);
+    console.warn(`[P2P] Connection to ${peerId} failed (${reason}), attempt ${attempts}/${this.config.offerMaxAttempts}`);
+
+    this._removePeer(peerId, reason);
+
+    if (this.peerId < peerId && attempts < this.config.offerMaxAttempts) {
+      this._scheduleReconnect(peerId);
+    }
+  }
+
+  _scheduleReconnect(peerId) {
+    clearTimeout(this.reconnectTimers.get(peerId));
+
+    const timer = setTimeout(async () => {
+      this.reconnectTimers.delete(peerId);
+      if (this.destroyed || !this.enabled || this.peers.has(peerId) || this._isBanned(peerId)) return;
+      if (this.peers.size >= this.config.maxPeers || !this.offerBackoff.canAttempt(peerId)) return;
+
+      console.log(`[P2P] Retrying connection to ${peerId}`);
+      try {
+        await this.createPeerConnection(peerId);
+      } catch (error) {
+        console.warn(`[P2P] Retry offer to ${peerId} failed:`, error.message);
+        this._handleConnectionFailure(peerId, 'offer-error');
+      }
+    }, this.offerBackoff.nextAttemptIn(peerId));
+
+    this.reconnectTimers.set(peerId, timer);
+  }
+
+  _cancelReconnect(peerId) {
+    clearTimeout(this.reconnectTimers.get(peerId));
+    this.reconnectTimers.delete(peerId);
+  }
+
+  // ✅ FIX: Handle Answer with State Check
+  async _handleAnswer(peerId, answer) {
+    await this._withPeerLock(peerId, async () => {
+      const peer = this.peers.get(peerId);
+      if (!peer?.connection) {
+        console.warn(`[P2P] No connection for answer from ${peerId}`);
+        return;
+      }
+
+      const pc = peer.connection;
+
+      // ✅ FIX: Check signaling state before setting remote description
+      if (pc.signalingState !== 'have-local-offer') {
+        console.warn(`[P2P] Cannot set answer in state: ${pc.signalingState}`);
+        return;
+      }
+
+      await pc.setRemoteDescription(new RTCSessionDescription(answer));
+      
+      // ✅ FIX: Process queued ICE candidates
+      await this._processQueuedCandidates(peerId);
+    });
   }
 
   // ✅ FIX: Queue ICE Candidates
@@ -446,14 +1219,32 @@ class P2PEngine {
 
   // ========== DATA CHANNEL ==========
 
+  /**
+   * Both sides create the same pre-negotiated channel, so the link works
+   * no matter which offer won a glare and no `ondatachannel` is needed.
+   */
+  _createDataChannel(pc) {
+    return pc.createDataChannel('chunks', {
+      negotiated: true,
+      id: 0,
+      ordered: true,
+      maxRetransmits: 3,
+    });
+  }
+
   _setupDataChannel(peerId, dc) {
     dc.binaryType = 'arraybuffer';
+    dc.bufferedAmountLowThreshold = this.config.bufferLowThreshold;
+    this.assemblers.set(peerId, new TransferAssembler());
 
     dc.onopen = () => {
       console.log(`✅ Data channel opened: ${peerId}`);
       const peer = this.peers.get(peerId);
       if (peer) peer.connected = true;
-      this.peerHealth.set(peerId, 100);
+      this._ensurePeerStats(peerId);
+      this._sendHaveMap(peerId);
+      this._sendPing(peerId);
+      this.emit(P2P_EVENTS.PEER_CONNECTED, { peerId });
     };
 
     dc.onclose = () => {
@@ -475,12 +1266,30 @@ class P2PEngine {
   _handleDataChannelMessage(peerId, event) {
     try {
       if (event.data instanceof ArrayBuffer) {
-        // Binary chunk data - handled by request flow
+        this._handleDataFrame(peerId, event.data);
         return;
       }
 
       const msg = JSON.parse(event.data);
+
+      if (msg.type === 'ping') {
+        const peer = this.peers.get(peerId);
+        if (peer?.dataChannel?.readyState === 'open') {
+          peer.dataChannel.send(JSON.stringify({ type: 'pong', t: msg.t }));
+        }
+      }
+
+      if (msg.type === 'pong' && Number.isFinite(msg.t)) {
+        const stats = this.peerStats.get(peerId);
+        stats?.recordRtt(performance.now() - msg.t);
+        this.emit(P2P_EVENTS.PEER_STATS, { peerId, rtt: stats?.rtt ?? null });
+      }
+
+      if (msg.type === 'have') {
+        this._handleHaveMap(peerId, msg);
+      }
       
+      // Kept for peers that still ask before requesting
       if (msg.type === 'has-chunk') {
         const available = this.chunkCache.has(msg.url);
         const peer = this.peers.get(peerId);
@@ -494,30 +1303,13 @@ class P2PEngine {
       }
       
       if (msg.type === 'get-chunk') {
-        const chunk = this.chunkCache.get(msg.url);
-        const peer = this.peers.get(peerId);
-        
-        if (chunk && peer?.dataChannel?.readyState === 'open') {
-          peer.dataChannel.send(JSON.stringify({
-            type: 'chunk-start',
-            requestId: msg.requestId,
-          }));
-          
-          peer.dataChannel.send(chunk);
-          
-          peer.dataChannel.send(JSON.stringify({
-            type: 'chunk-end',
-            requestId: msg.requestId,
-          }));
-          
-          this.stats.bytesShared += chunk.byteLength;
-        } else if (peer?.dataChannel?.readyState === 'open') {
-          peer.dataChannel.send(JSON.stringify({
-            type: 'chunk-error',
-            requestId: msg.requestId,
-            error: 'Chunk not found',
-          }));
-        }
+        this._serveChunk(peerId, msg).catch((e) => {
+          console.warn(`[P2P] Transfer to ${peerId} aborted:`, e.message);
+        });
+      }
+
+      if (msg.type === 'chunk-error') {
+        this._settleRequest(peerId, msg.requestId, new Error(msg.error || 'Chunk transfer failed'));
       }
     } catch (e) {
       // Ignore parse errors
@@ -526,168 +1318,294 @@ class P2PEngine {
 
   // ========== CHUNK FETCHING ==========
 
-  async fetchChunk(url, options = {}) {
+  /**
+   * Where to load `url` from, given playback hints from the loader:
+   *   sn          - media sequence number of the segment
+   *   liveEdgeSn  - last sequence number in the live playlist (null for VOD)
+   *   bufferAhead - seconds buffered past the playhead
+   * @returns {{ source: 'cache' | 'p2p' | 'tab' | 'cdn', reason: string }}
+   */
+  chooseSource(url, { sn = null, liveEdgeSn = null, bufferAhead = null } = {}) {
+    if (this.chunkCache.has(url)) return { source: 'cache', reason: 'cached' };
+    if (!this.enabled) return { source: 'cdn', reason: 'p2p-disabled' };
+
+    // The leader tab decides for the whole browser
+    if (this.tabs && !this.tabs.isLeader) {
+      return this.tabs.leaderId
+        ? { source: 'tab', reason: 'leader-tab' }
+        : { source: 'cdn', reason: 'no-leader-tab' };
+    }
+
+    if (this._isLowBandwidth()) return { source: 'cdn', reason: 'low-bandwidth' };
+
+    // A stall costs more than the CDN bytes
+    if (Number.isFinite(bufferAhead) && bufferAhead < this.config.minBufferForP2P) {
+      return { source: 'cdn', reason: 'low-buffer' };
+    }
+
+    if (this._getHealthyPeers().length < this.config.minPeersForP2P) {
+      return { source: 'cdn', reason: 'not-enough-peers' };
+    }
+
+    // Near the live edge nobody is likely to have it yet: don't wait for a
+    // digest or have-map, unless a peer already advertises the segment
+    const available = this.inflight.has(url) || this._getPeersWithChunk(url).length > 0;
+    const nearEdge = Number.isFinite(sn) && Number.isFinite(liveEdgeSn)
+      && liveEdgeSn - sn < this.config.liveEdgeSegments;
+
+    if (!available) return { source: 'cdn', reason: nearEdge ? 'live-edge' : 'no-peer-has-chunk' };
+    // Without a published digest a peer's bytes cannot be verified
+    if (!this.chunkDigests.has(url)) return { source: 'cdn', reason: 'no-digest' };
+
+    return { source: 'p2p', reason: nearEdge ? 'live-edge-peer' : 'peer-has-chunk' };
+  }
+
+  /**
+   * Fetch a segment (peers or CDN, see chooseSource) and report where it came from
+   * @returns {Promise<{ data: ArrayBuffer, source: string, reason: string }>}
+   */
+  async loadChunk(url, options = {}) {
     const startTime = performance.now();
-    
-    if (this.chunkCache.has(url)) {
-      return this.chunkCache.get(url);
+    const decision = this.chooseSource(url, options);
+
+    if (decision.source === 'cache') {
+      if (this.prefetched.delete(url)) {
+        this.stats.p2pHits++;
+        this.stats.prefetchHits++;
+      }
+      this.recordSource(url, decision, options);
+      return { data: this.chunkCache.get(url), ...decision };
     }
 
-    const healthyPeers = this._getHealthyPeers();
-    const shouldUseP2P = this.enabled 
-      && healthyPeers.length >= this.config.minPeersForP2P
-      && !this._isLowBandwidth();
+    if (decision.source === 'cdn') {
+      const data = await this._fetchFromCDN(url, { headers: options.headers });
+      this.recordSource(url, decision, options);
+      return { data, ...decision };
+    }
 
-    if (!shouldUseP2P) {
-      return this._fetchFromCDN(url, options);
+    if (decision.source === 'tab') {
+      try {
+        const { sn = null, liveEdgeSn = null, bufferAhead = null } = options;
+        // Plain object: a Headers instance does not survive postMessage
+        const headers = options.headers ? Object.fromEntries(new Headers(options.headers)) : undefined;
+        const { data } = await this.tabs.request(url, { sn, liveEdgeSn, bufferAhead, headers });
+
+        this.stats.tabHits++;
+        this._cacheChunk(url, data);
+        this.recordSource(url, decision, options);
+        return { data, ...decision };
+      } catch (error) {
+        console.warn('[P2P] Leader tab load failed, using CDN:', error.message);
+        const fallback = { source: 'cdn', reason: 'leader-tab-failed' };
+        const data = await this._fetchFromCDN(url, { headers: options.headers });
+        this.recordSource(url, fallback, options);
+        return { data, ...fallback };
+      }
     }
 
     try {
       const chunk = await Promise.race([
-        this._fetchFromPeers(url, healthyPeers),
+        this._fetchFromPeersOnce(url, this._getPeersWithChunk(url)),
         new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('P2P timeout')), this.config.chunkTimeout)
+          setTimeout(() => reject(new Error('P2P timeout')), this._getP2PTimeout(decision, options.bufferAhead))
         ),
       ]);
 
       const latency = performance.now() - startTime;
       this.stats.p2pHits++;
-      this.stats.bytesFromPeers += chunk.byteLength;
       this.stats.avgLatency = (this.stats.avgLatency + latency) / 2;
       
       this._cacheChunk(url, chunk);
       
-      return chunk;
+      this.recordSource(url, decision, options);
+      return { data: chunk, ...decision };
       
     } catch (error) {
       this.stats.p2pMisses++;
       this.stats.cdnFallbacks++;
       
-      return this._fetchFromCDN(url, options);
+      const fallback = { source: 'cdn', reason: error.message === 'P2P timeout' ? 'p2p-timeout' : 'p2p-failed' };
+      const data = await this._fetchFromCDN(url, { headers: options.headers });
+      this.recordSource(url, fallback, options);
+      return { data, ...fallback };
     }
   }
 
+  async fetchChunk(url, options = {}) {
+    return (await this.loadChunk(url, options)).data;
+  }
+
+  // Wait for peers only as long as the buffer can cover
+  _getP2PTimeout(decision, bufferAhead) {
+    if (decision.reason === 'live-edge-peer') return this.config.peerRequestTimeout;
+    if (!Number.isFinite(bufferAhead)) return this.config.chunkTimeout;
+
+    const budget = (bufferAhead - this.config.minBufferForP2P) * 1000;
+    return Math.min(this.config.chunkTimeout, Math.max(this.config.peerRequestTimeout, budget));
+  }
+
+  /**
+   * Count a source decision in getStats() (the HLS loader reports the
+   * segments it loads from the CDN itself)
+   */
+  recordSource(url, { source, reason }, { sn = null } = {}) {
+    this.stats.sourceReasons[reason] = (this.stats.sourceReasons[reason] || 0) + 1;
+    this.stats.lastSource = { source, reason, sn };
+
+    if (source === 'cdn') {
+      this.emit(P2P_EVENTS.FALLBACK_TO_CDN, { url, reason, sn });
+    }
+  }
+
+  /**
+   * Pull upcoming segments from peers before hls.js asks for them.
+   * Only segments a peer advertises (and that have a digest) are fetched;
+   * the CDN is never hit from here. Returns the number of transfers started.
+   */
+  prefetch(urls = []) {
+    if (!this.enabled || this._isLowBandwidth()) return 0;
+
+    let started = 0;
+    for (const url of urls.slice(0, this.config.prefetchCount)) {
+      if (this.inflight.size >= this.config.prefetchConcurrency) break;
+      if (this.chunkCache.has(url) || this.inflight.has(url) || !this.chunkDigests.has(url)) continue;
+
+      const sources = this._getPeersWithChunk(url);
+      if (sources.length === 0) continue;
+
+      started++;
+      this._fetchFromPeersOnce(url, sources)
+        .then((chunk) => {
+          this._cacheChunk(url, chunk);
+          this.stats.prefetched++;
+
+          if (this.prefetched.size >= this.config.haveMapSize) {
+            this.prefetched.delete(this.prefetched.values().next().value);
+          }
+          this.prefetched.add(url);
+        })
+        .catch(() => {});
+    }
+
+    return started;
+  }
+
+  // One transfer per url, whether started by fetchChunk or prefetch
+  _fetchFromPeersOnce(url, peers) {
+    if (!this.inflight.has(url)) {
+      const transfer = this._fetchFromPeers(url, peers)
+        .finally(() => this.inflight.delete(url));
+      this.inflight.set(url, transfer);
+    }
+    return this.inflight.get(url);
+  }
+
   async _fetchFromPeers(url, peers) {
     if (peers.length === 0) {
-      throw new Error('No healthy peers available');
+      throw new Error('No peer has chunk');
     }
 
-    const requests = peers.map(async (peer) => {
+    let lastError = null;
+
+    // Best-scored advertised source first, the runner-up only if it fails
+    for (const peer of peers.slice(0, this.config.maxSourcesPerChunk)) {
       try {
-        const hasChunk = await this._askPeerForChunk(peer.id, url);
-        if (hasChunk) {
-          return this._requestChunkFromPeer(peer.id, url);
-        }
+        const startTime = performance.now();
+        const chunk = await this._requestChunkFromPeer(peer.id, url);
+        const ms = performance.now() - startTime;
+
+        this.peerStats.get(peer.id)?.recordTransfer(chunk.byteLength, ms);
+        this.stats.bytesFromPeers += chunk.byteLength;
+        this.emit(P2P_EVENTS.CHUNK_RECEIVED, { peerId: peer.id, url, bytes: chunk.byteLength, ms });
+        return chunk;
       } catch (e) {
+        // Stale have-map entry or bad transfer
+        this.peerHaves.get(peer.id)?.delete(url);
         this._recordPeerFailure(peer.id);
-        return null;
+        lastError = e;
       }
-    });
-
-    const results = await Promise.race(requests.filter(r => r !== null));
-    
-    if (!results) {
-      throw new Error('No peer has chunk');
     }
 
-    return results;
+    throw lastError || new Error('No peer has chunk');
   }
 
-  async _askPeerForChunk(peerId, url) {
-    return new Promise((resolve) => {
-      const peer = this.peers.get(peerId);
-      if (!peer?.dataChannel || peer.dataChannel.readyState !== 'open') {
-        resolve(false);
-        return;
-      }
+  async _requestChunkFromPeer(peerId, url) {
+    const peer = this.peers.get(peerId);
+    if (!peer?.dataChannel || peer.dataChannel.readyState !== 'open') {
+      throw new Error('Peer not available');
+    }
 
-      const requestId = Math.random().toString(36).slice(2);
-      
-      const handler = (event) => {
-        try {
-          const msg = JSON.parse(event.data);
-          if (msg.type === 'chunk-available' && msg.requestId === requestId) {
-            peer.dataChannel.removeEventListener('message', handler);
-            resolve(msg.available);
-          }
-        } catch (e) {}
-      };
+    const requestId = this.nextRequestId;
+    this.nextRequestId = (this.nextRequestId % 0xffffffff) + 1;
+
+    const data = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._settleRequest(peerId, requestId, new Error('Chunk request timeout'));
+      }, this.config.peerRequestTimeout);
+
+      this.pendingRequests.set(`${peerId}:${requestId}`, { resolve, reject, timer });
 
-      peer.dataChannel.addEventListener('message', handler);
-      
       peer.dataChannel.send(JSON.stringify({
-        type: 'has-chunk',
+        type: 'get-chunk',
+        v: PROTOCOL_VERSION,
         url,
         requestId,
       }));
-
-      setTimeout(() => {
-        peer.dataChannel.removeEventListener('message', handler);
-        resolve(false);
-      }, 1000);
     });
+
+    return this._verifyChunk(peerId, url, data);
   }
 
-  async _requestChunkFromPeer(peerId, url) {
-    return new Promise((resolve, reject) => {
-      const peer = this.peers.get(peerId);
-      if (!peer?.dataChannel || peer.dataChannel.readyState !== 'open') {
-        reject(new Error('Peer not available'));
-        return;
-      }
+  _handleDataFrame(peerId, buffer) {
+    const frame = decodeFrame(buffer);
+    // Unknown version, or a late frame for a request that already timed out
+    if (!frame || !this.pendingRequests.has(`${peerId}:${frame.requestId}`)) return;
 
-      const requestId = Math.random().toString(36).slice(2);
-      let chunks = [];
-      
-      const handler = (event) => {
-        try {
-          if (event.data instanceof ArrayBuffer) {
-            chunks.push(event.data);
-            return;
-          }
+    try {
+      const data = this.assemblers.get(peerId)?.push(frame, { maxLength: this.config.maxSegmentSize });
+      if (data) this._settleRequest(peerId, frame.requestId, null, data);
+    } catch (e) {
+      this._settleRequest(peerId, frame.requestId, e);
+    }
+  }
 
-          const msg = JSON.parse(event.data);
-          
-          if (msg.type === 'chunk-start' && msg.requestId === requestId) {
-            chunks = [];
-          }
-          
-          if (msg.type === 'chunk-end' && msg.requestId === requestId) {
-            peer.dataChannel.removeEventListener('message', handler);
-            
-            const totalLength = chunks.reduce((sum, arr) => sum + arr.byteLength, 0);
-            const result = new Uint8Array(totalLength);
-            let offset = 0;
-            chunks.forEach(arr => {
-              result.set(new Uint8Array(arr), offset);
-              offset += arr.byteLength;
-            });
-            
-            resolve(result.buffer);
-          }
-          
-          if (msg.type === 'chunk-error' && msg.requestId === requestId) {
-            peer.dataChannel.removeEventListener('message', handler);
-            reject(new Error(msg.error || 'Chunk transfer failed'));
-          }
-        } catch (e) {
-          reject(e);
-        }
-      };
+  _settleRequest(peerId, requestId, error, data) {
+    const key = `${peerId}:${requestId}`;
+    const request = this.pendingRequests.get(key);
+    if (!request) return;
 
-      peer.dataChannel.addEventListener('message', handler);
-      
-      peer.dataChannel.send(JSON.stringify({
-        type: 'get-chunk',
-        url,
-        requestId,
-      }));
+    clearTimeout(request.timer);
+    this.pendingRequests.delete(key);
+    this.assemblers.get(peerId)?.discard(requestId);
 
-      setTimeout(() => {
-        peer.dataChannel.removeEventListener('message', handler);
-        reject(new Error('Chunk request timeout'));
-      }, this.config.chunkTimeout);
+    if (error) request.reject(error);
+    else request.resolve(data);
+  }
+
+  async _serveChunk(peerId, msg) {
+    const peer = this.peers.get(peerId);
+    const dc = peer?.dataChannel;
+    if (dc?.readyState !== 'open') return;
+
+    const chunk = this.chunkCache.get(msg.url);
+    const paused = this._getSeedingPauseReason();
+    const error = msg.v !== PROTOCOL_VERSION
+      ? 'Unsupported protocol version'
+      : paused ? `Seeding paused (${paused})`
+        : !chunk ? 'Chunk not found' : null;
+
+    if (error) {
+      dc.send(JSON.stringify({ type: 'chunk-error', requestId: msg.requestId, error }));
+      return;
+    }
+
+    await sendFrames(dc, encodeFrames(msg.requestId, chunk, this.config.chunkSize), {
+      highWaterMark: this.config.bufferHighWaterMark,
+      throttle: this.uploadBucket ? (bytes) => this._throttleUpload(bytes) : null,
     });
+
+    this.stats.bytesShared += chunk.byteLength;
+    this.emit(P2P_EVENTS.CHUNK_SERVED, { peerId, url: msg.url, bytes: chunk.byteLength });
   }
 
   async _fetchFromCDN(url, options = {}) {
@@ -699,7 +1617,7 @@ class P2PEngine {
       }
 
       const chunk = await response.arrayBuffer();
-      this._cacheChunk(url, chunk);
+      this.storeCdnChunk(url, chunk);
       
       return chunk;
     } catch (error) {
@@ -708,64 +1626,410 @@ class P2PEngine {
     }
   }
 
-  // ========== CACHE ==========
+  // ========== INTEGRITY ==========
+
+  /**
+   * Cache a segment fetched from the CDN and publish its digest so peers
+   * we serve it to can verify it. Used by the HLS loader for CDN loads.
+   */
+  storeCdnChunk(url, chunk) {
+    this.stats.bytesFromCdn += chunk.byteLength;
+    this._cacheChunk(url, chunk);
+    this._publishChunkDigest(url, chunk).catch(() => {});
+    // Follower tab: the leader seeds it to the swarm
+    this.tabs?.share(url, chunk);
+  }
 
-  _cacheChunk(url, chunk) {
-    if (this.chunkCache.size >= 100) {
-      const firstKey = this.chunkCache.keys().next().value;
-      this.chunkCache.delete(firstKey);
+  async _publishChunkDigest(url, chunk) {
+    // Already published it
+    if (!this.enabled || this.chunkDigests.get(url)?.source === 'cdn') return;
+
+    const digest = await sha256Hex(chunk);
+    this._trustCdnDigest(url, digest);
+
+    // Re-announce the segment with its digest over the data channels
+    // (skipped while we do not seed, like the have itself)
+    this._announceHave(url);
+  }
+
+  /**
+   * Our own CDN bytes outrank anything peers claimed: replace a conflicting
+   * digest and strike everyone who published one.
+   */
+  _trustCdnDigest(url, digest) {
+    const honest = new Set();
+    const forgers = new Set();
+    const known = this.chunkDigests.get(url);
+    for (const peerId of known?.from || []) {
+      (known.digest === digest ? honest : forgers).add(peerId);
+    }
+    for (const [claimed, publishers] of this.digestClaims.get(url) || []) {
+      publishers.forEach(peerId => (claimed === digest ? honest : forgers).add(peerId));
+    }
+
+    this.digestClaims.delete(url);
+    this._rememberDigest(url, { digest, from: [], source: 'cdn' });
+
+    for (const peerId of honest) {
+      this._verifyPublisher(peerId);
+    }
+    for (const peerId of forgers) {
+      this._handleIntegrityFailure(peerId, url, 'digest');
+    }
+  }
+
+  _handleChunkDigest(fromPeer, { url, digest }) {
+    if (typeof url !== 'string' || !/^[0-9a-f]{64}$/.test(digest || '')) return;
+    if (this._isBanned(fromPeer)) return;
+
+    const known = this.chunkDigests.get(url);
+    // We hashed these bytes ourselves: a different digest is a forgery,
+    // a matching one for CDN bytes makes the peer a verified publisher
+    if (known && known.source !== 'peers') {
+      if (known.digest !== digest) this._handleIntegrityFailure(fromPeer, url, 'digest');
+      else if (known.source === 'cdn') this._verifyPublisher(fromPeer);
+      return;
+    }
+
+    const publishers = this._addDigestClaim(url, digest, fromPeer);
+
+    if (known) {
+      if (known.digest === digest) {
+        known.from = Array.from(publishers);
+      } else {
+        // Kept until our own CDN fetch settles who lied
+        console.warn(`[P2P] Conflicting digest from ${fromPeer} for`, url.substring(0, 60));
+      }
+      return;
+    }
+
+    this._trustClaimIfVouched(url, digest, publishers);
+  }
+
+  // Peer ids are cheap to mint, so only publishers we caught telling the
+  // truth about a segment we fetched ourselves count towards the quorum
+  _trustClaimIfVouched(url, digest, publishers) {
+    if (this.chunkDigests.has(url)) return;
+
+    const vouching = Array.from(publishers).filter(peerId => this.verifiedPublishers.has(peerId));
+    if (vouching.length >= this.config.minDigestPublishers) {
+      this._rememberDigest(url, { digest, from: Array.from(publishers), source: 'peers' });
+    }
+  }
+
+  // Its digest matched our CDN bytes: count the claims it already made
+  _verifyPublisher(peerId) {
+    if (this._isBanned(peerId) || this.verifiedPublishers.has(peerId)) return;
+    this.verifiedPublishers.add(peerId);
+
+    for (const [url, claims] of this.digestClaims) {
+      for (const [digest, publishers] of claims) {
+        if (publishers.has(peerId)) this._trustClaimIfVouched(url, digest, publishers);
+      }
+    }
+  }
+
+  _addDigestClaim(url, digest, peerId) {
+    let claims = this.digestClaims.get(url);
+    if (!claims) {
+      if (this.digestClaims.size >= this.config.maxDigests) {
+        this.digestClaims.delete(this.digestClaims.keys().next().value);
+      }
+      claims = new Map();
+      this.digestClaims.set(url, claims);
+    }
+    if (!claims.has(digest)) claims.set(digest, new Set());
+    return claims.get(digest).add(peerId);
+  }
+
+  _rememberDigest(url, entry) {
+    if (!this.chunkDigests.has(url) && this.chunkDigests.size >= this.config.maxDigests) {
+      const oldest = this.chunkDigests.keys().next().value;
+      this.chunkDigests.delete(oldest);
+    }
+    this.chunkDigests.set(url, entry);
+  }
+
+  async _verifyChunk(peerId, url, data) {
+    const expected = this.chunkDigests.get(url);
+    if (!expected) {
+      throw new Error('No digest to verify chunk');
+    }
+
+    const actual = await sha256Hex(data);
+    if (actual !== expected.digest) {
+      this._handleIntegrityFailure(peerId, url);
+      throw new Error('Chunk integrity check failed');
+    }
+
+    return data;
+  }
+
+  // `what`: a chunk that failed its digest, or a digest our CDN bytes disprove
+  _handleIntegrityFailure(peerId, url, what = 'chunk') {
+    this.stats.integrityFailures++;
+
+    const strikes = (this.integrityStrikes.get(peerId) || 0) + 1;
+    this.integrityStrikes.set(peerId, strikes);
+
+    console.warn(`[P2P] ⚠️ Bad ${what} from ${peerId} (strike ${strikes}):`, url.substring(0, 60));
+
+    if (strikes >= this.config.maxIntegrityFailures) {
+      this._banPeer(peerId);
+    }
+  }
+
+  _banPeer(peerId) {
+    this.bannedPeers.set(peerId, Date.now() + this.config.banDuration);
+    this.integrityStrikes.delete(peerId);
+    this.verifiedPublishers.delete(peerId);
+
+    // Its digests are no more trustworthy than its data
+    for (const [url, entry] of this.chunkDigests) {
+      if (entry.from.includes(peerId)) this.chunkDigests.delete(url);
+    }
+    for (const claims of this.digestClaims.values()) {
+      for (const publishers of claims.values()) publishers.delete(peerId);
+    }
+
+    this._removePeer(peerId, 'banned');
+    console.warn(`[P2P] 🚫 Banned peer ${peerId}`);
+  }
+
+  _isBanned(peerId) {
+    const until = this.bannedPeers.get(peerId);
+    if (!until) return false;
+    if (Date.now() >= until) {
+      this.bannedPeers.delete(peerId);
+      return false;
+    }
+    return true;
+  }
+
+  // ========== SEEDING POLICY ==========
+
+  setSeedingPolicy(policy) {
+    this.seedingPolicy = normalizeSeedingPolicy(policy);
+
+    const { maxUploadKbps } = this.seedingPolicy;
+    // Burst of a few frames keeps small segments from stalling on the first frame
+    this.uploadBucket = maxUploadKbps > 0
+      ? new TokenBucket((maxUploadKbps * 1000) / 8, this.config.chunkSize * 4)
+      : null;
+
+    // Peers stop asking as soon as we advertise an empty have-map
+    this._sendHaveMap();
+
+    return this.seedingPolicy;
+  }
+
+  getSeedingPolicy() {
+    return { ...this.seedingPolicy };
+  }
+
+  /**
+   * Why we are not uploading right now, or null while seeding
+   */
+  _getSeedingPauseReason() {
+    const { downloadOnly, pauseOnCellular, maxUploadMB } = this.seedingPolicy;
+
+    if (downloadOnly) return 'download-only';
+    if (pauseOnCellular && isCellularConnection()) return 'cellular';
+    if (maxUploadMB > 0 && this.stats.bytesShared >= maxUploadMB * 1048576) return 'quota';
+    return null;
+  }
+
+  async _throttleUpload(bytes) {
+    const wait = this.uploadBucket?.take(bytes) || 0;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  // ========== HAVE-MAPS ==========
+
+  _startHaveBroadcast() {
+    clearInterval(this.haveTimer);
+    this.haveTimer = setInterval(() => {
+      if (this.destroyed) return;
+      this._sendHaveMap();
+    }, this.config.haveInterval);
+  }
+
+  // url -> digest for the urls we hold and know the digest of
+  _getHaveDigests(urls) {
+    const digests = {};
+    for (const url of urls) {
+      const entry = this.chunkDigests.get(url);
+      if (entry) digests[url] = entry.digest;
+    }
+    return digests;
+  }
+
+  /**
+   * Full map (most recent cached urls) to one peer, or to every open channel.
+   * The map sent to a newly opened channel carries our digests; the periodic
+   * ones only the urls, since deltas already carried them.
+   */
+  _sendHaveMap(peerId = null) {
+    const urls = this._getSeedingPauseReason()
+      ? []
+      : Array.from(this.chunkCache.keys()).slice(-this.config.haveMapSize);
+    const msg = JSON.stringify(peerId
+      ? { type: 'have', full: true, urls, digests: this._getHaveDigests(urls) }
+      : { type: 'have', full: true, urls });
+
+    const targets = peerId ? [this.peers.get(peerId)] : Array.from(this.peers.values());
+    for (const peer of targets) {
+      if (peer?.dataChannel?.readyState === 'open') {
+        try { peer.dataChannel.send(msg); } catch (e) {}
+      }
+    }
+  }
+
+  _announceHave(url) {
+    if (this._getSeedingPauseReason()) return;
+
+    const msg = JSON.stringify({ type: 'have', urls: [url], digests: this._getHaveDigests([url]) });
+    for (const peer of this.peers.values()) {
+      if (peer.dataChannel?.readyState === 'open') {
+        try { peer.dataChannel.send(msg); } catch (e) {}
+      }
+    }
+  }
+
+  _handleHaveMap(peerId, msg) {
+    if (!Array.isArray(msg.urls)) return;
+
+    let haves = this.peerHaves.get(peerId);
+    if (!haves || msg.full) {
+      haves = new Set();
+      this.peerHaves.set(peerId, haves);
+    }
+
+    for (const url of msg.urls.slice(-this.config.haveMapSize)) {
+      if (typeof url !== 'string') continue;
+      // Re-insert so the Set stays ordered oldest → newest
+      haves.delete(url);
+      haves.add(url);
     }
 
-    let totalSize = 0;
-    for (const [_, data] of this.chunkCache) {
-      totalSize += data.byteLength;
+    while (haves.size > this.config.haveMapSize) {
+      haves.delete(haves.values().next().value);
     }
 
-    if (totalSize > this.config.maxCacheSize) {
-      const toDelete = Math.floor(this.chunkCache.size / 2);
-      let deleted = 0;
-      for (const key of this.chunkCache.keys()) {
-        if (deleted >= toDelete) break;
-        this.chunkCache.delete(key);
-        deleted++;
+    // Digests travel with the have-map, only between connected peers
+    if (msg.digests && typeof msg.digests === 'object') {
+      for (const url of msg.urls.slice(-this.config.haveMapSize)) {
+        const digest = msg.digests[url];
+        if (typeof url === 'string' && typeof digest === 'string') {
+          this._handleChunkDigest(peerId, { url, digest });
+        }
       }
     }
+  }
+
+  _getPeersWithChunk(url, healthyPeers = this._getHealthyPeers()) {
+    return healthyPeers.filter(peer => this.peerHaves.get(peer.id)?.has(url));
+  }
+
+  hasChunk(url) {
+    return this.chunkCache.has(url);
+  }
+
+  // ========== CACHE ==========
 
+  _cacheChunk(url, chunk) {
+    if (this.chunkCache.has(url)) return;
+
+    // Least recently used segments make room; evictions reach peers with the next full have-map
     this.chunkCache.set(url, chunk);
+
+    if (this.chunkCache.has(url)) {
+      this._announceHave(url);
+    }
   }
 
   // ========== HEALTH ==========
 
   _startHealthMonitoring() {
-    setInterval(() => {
+    clearInterval(this.healthTimer);
+    this.healthTimer = setInterval(() => {
       if (this.destroyed) return;
-      
-      for (const [peerId, health] of this.peerHealth) {
-        this.peerHealth.set(peerId, Math.max(0, health - 10));
-        
-        if (health <= 0) {
-          this._removePeer(peerId);
+
+      const now = Date.now();
+      for (const [peerId, peer] of this.peers) {
+        const stats = this.peerStats.get(peerId);
+
+        // No pong (or data) for too long: the link is dead even if ICE has not noticed
+        if (stats && now - stats.lastSeen > this.config.peerTimeout) {
+          console.warn(`[P2P] Peer ${peerId} timed out`);
+          this._removePeer(peerId, 'timeout');
+          continue;
+        }
+
+        if (peer.dataChannel?.readyState === 'open') {
+          this._sendPing(peerId);
         }
       }
     }, this.config.healthCheckInterval);
   }
 
+  _ensurePeerStats(peerId) {
+    if (!this.peerStats.has(peerId)) {
+      this.peerStats.set(peerId, new PeerStats());
+    }
+    return this.peerStats.get(peerId);
+  }
+
+  _sendPing(peerId) {
+    const dc = this.peers.get(peerId)?.dataChannel;
+    if (dc?.readyState !== 'open') return;
+
+    try {
+      dc.send(JSON.stringify({ type: 'ping', t: performance.now() }));
+    } catch (e) {}
+  }
+
+  /**
+   * Open peers that are not failing most transfers, best score first
+   */
   _getHealthyPeers() {
     return Array.from(this.peers.values())
       .filter(peer => {
-        const health = this.peerHealth.get(peer.id) || 0;
-        return peer.connected && peer.dataChannel?.readyState === 'open' && health > 50;
+        const stats = this.peerStats.get(peer.id);
+        return peer.connected
+          && peer.dataChannel?.readyState === 'open'
+          && !!stats
+          && stats.successRate >= this.config.minSuccessRate;
       })
-      .sort((a, b) => {
-        const healthA = this.peerHealth.get(a.id) || 0;
-        const healthB = this.peerHealth.get(b.id) || 0;
-        return healthB - healthA;
-      });
+      .sort((a, b) => this.peerStats.get(b.id).score() - this.peerStats.get(a.id).score());
   }
 
   _recordPeerFailure(peerId) {
-    const currentHealth = this.peerHealth.get(peerId) || 100;
-    this.peerHealth.set(peerId, Math.max(0, currentHealth - 30));
+    this.peerStats.get(peerId)?.recordFailure();
+  }
+
+  /**
+   * Per-peer measurements for the status UI, best first
+   */
+  getPeerScores() {
+    return Array.from(this.peers.values())
+      .filter(peer => this.peerStats.has(peer.id))
+      .map(peer => {
+        const stats = this.peerStats.get(peer.id);
+        return {
+          peerId: peer.id,
+          score: stats.score(),
+          rtt: stats.rtt === null ? null : Math.round(stats.rtt),
+          throughput: stats.throughput === null ? null : Math.round(stats.throughput),
+          successRate: Math.round(stats.successRate * 100) / 100,
+          transfers: stats.transfers,
+          failures: stats.failures,
+          candidatePairType: peer.candidatePairType || null,
+        };
+      })
+      .sort((a, b) => b.score - a.score);
   }
 
   // ========== CLEANUP ==========
@@ -773,6 +2037,8 @@ class P2PEngine {
   _cleanupPeerConnection(peerId) {
     const peer = this.peers.get(peerId);
     if (peer) {
+      clearTimeout(peer.connectTimer);
+      clearTimeout(peer.iceRestartTimer);
       if (peer.dataChannel) {
         try { peer.dataChannel.close(); } catch (e) {}
       }
@@ -783,12 +2049,25 @@ class P2PEngine {
     this.peers.delete(peerId);
     this.pendingCandidates.delete(peerId);
     this.peerLocks.delete(peerId);
+    this.peerHaves.delete(peerId);
+    this.assemblers.delete(peerId);
+
+    for (const key of Array.from(this.pendingRequests.keys())) {
+      if (key.startsWith(`${peerId}:`)) {
+        this._settleRequest(peerId, key.slice(peerId.length + 1), new Error('Peer disconnected'));
+      }
+    }
   }
 
-  _removePeer(peerId) {
+  _removePeer(peerId, reason = 'removed') {
+    const known = this.peers.has(peerId);
     this._cleanupPeerConnection(peerId);
-    this.peerHealth.delete(peerId);
+    this.peerStats.delete(peerId);
     console.log(`❌ Removed peer: ${peerId}`);
+
+    if (known) {
+      this.emit(P2P_EVENTS.PEER_DISCONNECTED, { peerId, reason });
+    }
   }
 
   // ========== UTILITIES ==========
@@ -815,22 +2094,108 @@ class P2PEngine {
   // ========== STATS ==========
 
   getStats() {
+    // e.g. { 'host/host': 2, 'relay/srflx': 1 }
+    const candidatePairs = {};
+    for (const peer of this.peers.values()) {
+      if (peer.candidatePairType) {
+        candidatePairs[peer.candidatePairType] = (candidatePairs[peer.candidatePairType] || 0) + 1;
+      }
+    }
+
     const offloadRatio = this.stats.p2pHits / 
       (this.stats.p2pHits + this.stats.cdnFallbacks) || 0;
     
     return {
       enabled: this.enabled,
       peerId: this.peerId,
+      roomId: this.roomId,
       peers: this.peers.size,
       healthyPeers: this._getHealthyPeers().length,
       cacheSize: this.chunkCache.size,
+      cacheBytes: ((this.chunkCache.bytes || 0) / 1048576).toFixed(2) + ' MB',
       p2pHits: this.stats.p2pHits,
       p2pMisses: this.stats.p2pMisses,
       cdnFallbacks: this.stats.cdnFallbacks,
       offloadRatio: (offloadRatio * 100).toFixed(1) + '%',
       bytesFromPeers: (this.stats.bytesFromPeers / 1048576).toFixed(2) + ' MB',
+      bytesFromCdn: (this.stats.bytesFromCdn / 1048576).toFixed(2) + ' MB',
       bytesShared: (this.stats.bytesShared / 1048576).toFixed(2) + ' MB',
       avgLatency: this.stats.avgLatency.toFixed(0) + 'ms',
+      integrityFailures: this.stats.integrityFailures,
+      bannedPeers: this.bannedPeers.size,
+      prefetched: this.stats.prefetched,
+      prefetchHits: this.stats.prefetchHits,
+      tabRole: this.tabs?.role || null,
+      tabHits: this.stats.tabHits,
+      seedingPaused: this._getSeedingPauseReason(),
+      lastSource: this.stats.lastSource,
+      sourceReasons: { ...this.stats.sourceReasons },
+      peerScores: this.getPeerScores(),
+      candidatePairs,
+      relayedPeers: Object.entries(candidatePairs)
+        .filter(([type]) => type.includes('relay'))
+        .reduce((sum, [, count]) => sum + count, 0),
+    };
+  }
+
+  /**
+   * Structured snapshot for UI and telemetry: raw numbers (bytes, ms, 0-1
+   * ratios) where getStats() has display strings.
+   */
+  getTelemetry() {
+    const peerScores = this.getPeerScores();
+    const served = this.stats.p2pHits + this.stats.cdnFallbacks;
+
+    return {
+      timestamp: Date.now(),
+      enabled: this.enabled,
+      peerId: this.peerId,
+      roomKey: this.roomKey,
+      roomId: this.roomId,
+      signaling: this.signaling?.name || null,
+      peers: {
+        total: this.peers.size,
+        healthy: this._getHealthyPeers().length,
+        relayed: Array.from(this.peers.values())
+          .filter(peer => peer.candidatePairType?.includes('relay')).length,
+        scores: peerScores,
+      },
+      transfer: {
+        p2pHits: this.stats.p2pHits,
+        p2pMisses: this.stats.p2pMisses,
+        cdnFallbacks: this.stats.cdnFallbacks,
+        bytesFromPeers: this.stats.bytesFromPeers,
+        bytesFromCdn: this.stats.bytesFromCdn,
+        bytesShared: this.stats.bytesShared,
+        offloadRatio: served > 0 ? this.stats.p2pHits / served : 0,
+        avgLatencyMs: Math.round(this.stats.avgLatency),
+      },
+      sources: {
+        last: this.stats.lastSource,
+        reasons: { ...this.stats.sourceReasons },
+      },
+      cache: {
+        segments: this.chunkCache.size,
+        bytes: this.chunkCache.bytes || 0,
+      },
+      prefetch: {
+        prefetched: this.stats.prefetched,
+        hits: this.stats.prefetchHits,
+      },
+      integrity: {
+        failures: this.stats.integrityFailures,
+        bannedPeers: this.bannedPeers.size,
+      },
+      seeding: {
+        paused: this._getSeedingPauseReason(),
+        policy: this.seedingPolicy,
+      },
+      tab: {
+        role: this.tabs?.role || null,
+        tabId: this.tabs?.tabId || null,
+        leaderId: this.tabs?.leaderId || null,
+        hits: this.stats.tabHits,
+      },
     };
   }
 
@@ -839,50 +2204,59 @@ class P2PEngine {
   async destroy() {
     this.destroyed = true;
     this.enabled = false;
-    
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval);
-      this.pollInterval = null;
-    }
 
-    // Send bye signal
-    await this._sendSignal({
-      type: 'bye',
-      payload: { peerId: this.peerId },
-    }).catch(() => {});
+    await this._stopSwarm();
 
-    // Cleanup signals on server
-    try {
-      await fetch(`${this.signalingUrl}?room_id=${this.roomId}&peer=${this.peerId}`, {
-        method: 'DELETE',
-      });
-    } catch (e) {}
+    // Resigning lets another tab take over right away
+    this.tabs?.stop();
+    this.tabs = null;
 
-    // Close all connections
-    for (const peerId of this.peers.keys()) {
-      this._cleanupPeerConnection(peerId);
-    }
-
-    this.peers.clear();
     this.chunkCache.clear();
-    this.peerHealth.clear();
-    this.pendingCandidates.clear();
-    this.peerLocks.clear();
+    this.chunkDigests.clear();
     
     console.log('📡 P2P Engine destroyed');
+    this.emit(P2P_EVENTS.DESTROYED, {});
   }
 }
 
 // Singleton
 let p2pEngineInstance = null;
+// Subscribers that follow the singleton across resets
+const instanceListeners = new Set();
 
 export function getP2PEngine() {
   if (!p2pEngineInstance) {
     p2pEngineInstance = new P2PEngine();
+    for (const listener of instanceListeners) listener(p2pEngineInstance);
   }
   return p2pEngineInstance;
 }
 
+/**
+ * Subscribe `handlers` ({ [P2P_EVENTS.X]: fn }) to the current engine and to
+ * whichever engine replaces it after resetP2PEngine().
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeP2PEvents(handlers) {
+  let engine = null;
+
+  const attach = (next) => {
+    for (const [event, handler] of Object.entries(handlers)) {
+      engine?.off(event, handler);
+      next?.on(event, handler);
+    }
+    engine = next;
+  };
+
+  attach(getP2PEngine());
+  instanceListeners.add(attach);
+
+  return () => {
+    instanceListeners.delete(attach);
+    attach(null);
+  };
+}
+
 export function resetP2PEngine() {
   if (p2pEngineInstance) {
     p2pEngineInstance.destroy();
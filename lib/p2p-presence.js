@@ -0,0 +1,176 @@
+/**
+ * 📊 P2P Room Presence (server-only)
+ *
+ * Peers send their transfer totals with every room tracker heartbeat
+ * (POST /api/p2p-signal/room). This module keeps the latest report per peer
+ * and rolls them up per room and per match for GET /api/p2p-rooms.
+ *
+ * Reports live in one hash per room (field = peer id, value = JSON) plus a
+ * sorted set of active rooms, in Upstash Redis or in memory without Redis.
+ * Totals cover the peers present right now: a peer that leaves or misses
+ * two heartbeats drops out of the sums.
+ */
+
+import { redis } from './rate-limit.js';
+import { getRoomMatchId } from './p2p-utils.js';
+import { MEMBER_TTL_MS, parseShardRoomId } from './p2p-tracker.js';
+
+// Rough CDN egress price for the savings estimate
+export const CDN_COST_PER_GB = Number(process.env.P2P_CDN_COST_PER_GB) || 0.1;
+
+const STAT_FIELDS = ['bytesFromPeers', 'bytesFromCdn', 'bytesShared'];
+// 10 TB: anything above is a bogus report
+const MAX_STAT_VALUE = 1e13;
+
+/**
+ * Keep only known, finite, non-negative counters from a client report
+ */
+export function sanitizePresenceStats(stats) {
+  const clean = {};
+  for (const field of STAT_FIELDS) {
+    const value = Number(stats?.[field]);
+    clean[field] = Number.isFinite(value) && value > 0 ? Math.min(Math.floor(value), MAX_STAT_VALUE) : 0;
+  }
+  return clean;
+}
+
+// ========== STORES ==========
+
+export function createMemoryPresenceStore() {
+  const rooms = new Map(); // roomId -> Map(peerId -> record)
+
+  return {
+    async report(roomId, peerId, record) {
+      if (!rooms.has(roomId)) rooms.set(roomId, new Map());
+      rooms.get(roomId).set(peerId, record);
+    },
+    async remove(roomId, peerId) {
+      rooms.get(roomId)?.delete(peerId);
+      if (rooms.get(roomId)?.size === 0) rooms.delete(roomId);
+    },
+    async rooms(since) {
+      const active = [];
+      for (const [roomId, members] of rooms) {
+        for (const [peerId, record] of members) {
+          if (record.seen < since) members.delete(peerId);
+        }
+        if (members.size === 0) rooms.delete(roomId);
+        else active.push(roomId);
+      }
+      return active;
+    },
+    async members(roomId) {
+      return Array.from(rooms.get(roomId)?.values() || []);
+    },
+  };
+}
+
+export function createRedisPresenceStore(client, ttlMs = MEMBER_TTL_MS) {
+  const roomsKey = 'p2p:presence:rooms';
+  const key = (roomId) => `p2p:presence:${roomId}`;
+
+  return {
+    async report(roomId, peerId, record) {
+      await client.hset(key(roomId), { [peerId]: JSON.stringify(record) });
+      await client.pexpire(key(roomId), ttlMs);
+      await client.zadd(roomsKey, { score: record.seen, member: roomId });
+    },
+    async remove(roomId, peerId) {
+      await client.hdel(key(roomId), peerId);
+    },
+    async rooms(since) {
+      await client.zremrangebyscore(roomsKey, 0, since - 1);
+      return client.zrange(roomsKey, 0, -1);
+    },
+    async members(roomId) {
+      const values = Object.values((await client.hgetall(key(roomId))) || {});
+      // @upstash/redis parses JSON values itself
+      return values.map(value => (typeof value === 'string' ? JSON.parse(value) : value));
+    },
+  };
+}
+
+// ========== AGGREGATION ==========
+
+function emptyTotals() {
+  return { peers: 0, bytesFromPeers: 0, bytesFromCdn: 0, bytesShared: 0 };
+}
+
+function addTotals(totals, record) {
+  totals.peers += 1;
+  totals.bytesFromPeers += record.bytesFromPeers;
+  totals.bytesFromCdn += record.bytesFromCdn;
+  totals.bytesShared += record.bytesShared;
+  return totals;
+}
+
+function withRatios(totals, costPerGb) {
+  const delivered = totals.bytesFromPeers + totals.bytesFromCdn;
+  return {
+    ...totals,
+    offloadRatio: delivered > 0 ? totals.bytesFromPeers / delivered : 0,
+    estimatedSavings: Number(((totals.bytesFromPeers / 1073741824) * costPerGb).toFixed(2)),
+  };
+}
+
+/**
+ * @param {{ store?: object, ttlMs?: number, costPerGb?: number, now?: () => number }} options
+ */
+export function createPresence({
+  store = createMemoryPresenceStore(),
+  ttlMs = MEMBER_TTL_MS,
+  costPerGb = CDN_COST_PER_GB,
+  now = Date.now,
+} = {}) {
+  async function report(roomId, peerId, stats) {
+    await store.report(roomId, peerId, { peerId, ...sanitizePresenceStats(stats), seen: now() });
+  }
+
+  async function leave(roomId, peerId) {
+    await store.remove(roomId, peerId);
+  }
+
+  /**
+   * Live rooms and per-match totals, optionally for one match
+   * @returns {Promise<{ rooms: object[], matches: object[] }>}
+   */
+  async function summary({ matchId = null } = {}) {
+    const since = now() - ttlMs;
+    const roomIds = (await store.rooms(since))
+      .filter(roomId => !matchId || getRoomMatchId(roomId) === String(matchId))
+      .sort();
+
+    const rooms = [];
+    const matches = new Map();
+
+    for (const roomId of roomIds) {
+      const members = (await store.members(roomId)).filter(record => record.seen >= since);
+      if (members.length === 0) continue;
+
+      const totals = members.reduce(addTotals, emptyTotals());
+      const match = getRoomMatchId(roomId);
+      rooms.push({
+        roomId,
+        roomKey: parseShardRoomId(roomId)?.roomKey || roomId,
+        matchId: match,
+        ...withRatios(totals, costPerGb),
+      });
+
+      if (!matches.has(match)) matches.set(match, { ...emptyTotals(), rooms: 0 });
+      const matchTotals = members.reduce(addTotals, matches.get(match));
+      matchTotals.rooms += 1;
+    }
+
+    return {
+      rooms,
+      matches: Array.from(matches, ([id, totals]) => ({ matchId: id, ...withRatios(totals, costPerGb) })),
+    };
+  }
+
+  return { report, leave, summary };
+}
+
+// Shared instance for the API routes
+export const roomPresence = createPresence({
+  store: redis ? createRedisPresenceStore(redis) : createMemoryPresenceStore(),
+});
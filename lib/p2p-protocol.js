@@ -0,0 +1,187 @@
+/**
+ * 📦 P2P Data Channel Protocol
+ *
+ * Segments travel as binary frames so a transfer never depends on the SCTP
+ * max message size and several transfers can share one channel.
+ *
+ * Frame layout (big endian, HEADER_SIZE bytes + payload):
+ *   u8  version      PROTOCOL_VERSION
+ *   u8  type         FRAME_DATA
+ *   u16 reserved
+ *   u32 requestId    id from the `get-chunk` request
+ *   u32 seq          0-based frame index within the transfer
+ *   u32 totalLength  byte length of the whole segment
+ *
+ * Control messages (`get-chunk`, `chunk-error`, `have`) stay JSON strings.
+ * Pure JS, testable in Node.
+ */
+
+export const PROTOCOL_VERSION = 1;
+export const FRAME_DATA = 1;
+export const HEADER_SIZE = 16;
+// Largest transfer a receiver allocates for (totalLength is peer-supplied)
+export const MAX_TRANSFER_SIZE = 32 * 1024 * 1024;
+
+/**
+ * Build one frame
+ * @param {{ requestId: number, seq: number, totalLength: number, payload: Uint8Array }} frame
+ * @returns {ArrayBuffer}
+ */
+export function encodeFrame({ requestId, seq, totalLength, payload }) {
+  const buffer = new ArrayBuffer(HEADER_SIZE + payload.byteLength);
+  const view = new DataView(buffer);
+
+  view.setUint8(0, PROTOCOL_VERSION);
+  view.setUint8(1, FRAME_DATA);
+  view.setUint16(2, 0);
+  view.setUint32(4, requestId);
+  view.setUint32(8, seq);
+  view.setUint32(12, totalLength);
+  new Uint8Array(buffer, HEADER_SIZE).set(payload);
+
+  return buffer;
+}
+
+/**
+ * Parse a frame. Returns null for anything that is not a data frame of
+ * this protocol version.
+ */
+export function decodeFrame(buffer) {
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < HEADER_SIZE) return null;
+
+  const view = new DataView(buffer);
+  if (view.getUint8(0) !== PROTOCOL_VERSION || view.getUint8(1) !== FRAME_DATA) return null;
+
+  return {
+    requestId: view.getUint32(4),
+    seq: view.getUint32(8),
+    totalLength: view.getUint32(12),
+    payload: new Uint8Array(buffer, HEADER_SIZE),
+  };
+}
+
+/**
+ * Split `data` into frames of at most `frameSize` bytes (header included).
+ * An empty segment still yields one frame so the receiver completes.
+ */
+export function encodeFrames(requestId, data, frameSize) {
+  const bytes = new Uint8Array(data);
+  const payloadSize = frameSize - HEADER_SIZE;
+  if (payloadSize <= 0) throw new Error('Frame size too small');
+
+  const frames = [];
+  let seq = 0;
+  let offset = 0;
+
+  do {
+    frames.push(encodeFrame({
+      requestId,
+      seq: seq++,
+      totalLength: bytes.byteLength,
+      payload: bytes.subarray(offset, offset + payloadSize),
+    }));
+    offset += payloadSize;
+  } while (offset < bytes.byteLength);
+
+  return frames;
+}
+
+/**
+ * Send frames in order, pausing while the channel's buffer is above
+ * `highWaterMark` until it drains to `bufferedAmountLowThreshold`.
+ * `throttle(bytes)`, if given, is awaited before each frame (upload caps).
+ * Rejects if the channel closes mid-transfer.
+ */
+export async function sendFrames(dc, frames, { highWaterMark = 1024 * 1024, throttle = null } = {}) {
+  for (const frame of frames) {
+    if (throttle) await throttle(frame.byteLength);
+    if (dc.readyState !== 'open') throw new Error('Data channel closed');
+
+    if (dc.bufferedAmount > highWaterMark) {
+      await waitForDrain(dc);
+    }
+
+    dc.send(frame);
+  }
+}
+
+function waitForDrain(dc) {
+  return new Promise((resolve, reject) => {
+    const done = (error) => {
+      dc.removeEventListener('bufferedamountlow', onLow);
+      dc.removeEventListener('close', onClose);
+      if (error) reject(error); else resolve();
+    };
+    const onLow = () => done();
+    const onClose = () => done(new Error('Data channel closed'));
+
+    dc.addEventListener('bufferedamountlow', onLow);
+    dc.addEventListener('close', onClose);
+  });
+}
+
+/**
+ * Reassembles concurrent transfers on one channel, keyed by request id
+ */
+export class TransferAssembler {
+  constructor() {
+    this.transfers = new Map(); // requestId -> { bytes, received, nextSeq }
+  }
+
+  /**
+   * Add a decoded frame. Returns the complete ArrayBuffer on the last
+   * frame, null otherwise. Throws on an out-of-order or oversized frame,
+   * and on a first frame announcing more than `maxLength` bytes.
+   * @param {{ maxLength?: number }} options
+   */
+  push(frame, { maxLength = MAX_TRANSFER_SIZE } = {}) {
+    let transfer = this.transfers.get(frame.requestId);
+
+    if (!transfer) {
+      if (frame.totalLength > maxLength) {
+        throw new Error('Transfer too large');
+      }
+      transfer = { bytes: new Uint8Array(frame.totalLength), received: 0, nextSeq: 0 };
+      this.transfers.set(frame.requestId, transfer);
+    }
+
+    if (frame.seq !== transfer.nextSeq || frame.totalLength !== transfer.bytes.byteLength) {
+      this.discard(frame.requestId);
+      throw new Error('Frame out of sequence');
+    }
+
+    if (transfer.received + frame.payload.byteLength > transfer.bytes.byteLength) {
+      this.discard(frame.requestId);
+      throw new Error('Frame exceeds transfer length');
+    }
+
+    transfer.bytes.set(frame.payload, transfer.received);
+    transfer.received += frame.payload.byteLength;
+    transfer.nextSeq++;
+
+    if (transfer.received === transfer.bytes.byteLength) {
+      this.transfers.delete(frame.requestId);
+      return transfer.bytes.buffer;
+    }
+
+    return null;
+  }
+
+  discard(requestId) {
+    this.transfers.delete(requestId);
+  }
+
+  clear() {
+    this.transfers.clear();
+  }
+}
+
+export default {
+  PROTOCOL_VERSION,
+  HEADER_SIZE,
+  encodeFrame,
+  decodeFrame,
+  encodeFrames,
+  sendFrames,
+  TransferAssembler,
+};
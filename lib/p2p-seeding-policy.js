@@ -0,0 +1,72 @@
+/**
+ * 📤 P2P Seeding Policy
+ *
+ * How much a viewer uploads to other peers. Stored per browser in
+ * localStorage and applied with `P2PEngine.setSeedingPolicy()`.
+ */
+
+const STORAGE_KEY = 'p2pSeedingPolicy';
+
+export const DEFAULT_SEEDING_POLICY = {
+  maxUploadKbps: 0, // 0 = unlimited
+  maxUploadMB: 0, // per session, 0 = unlimited
+  downloadOnly: false,
+  pauseOnCellular: true,
+};
+
+function toLimit(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
+
+/**
+ * Fill defaults and coerce values from the settings form / storage
+ */
+export function normalizeSeedingPolicy(policy = {}) {
+  return {
+    maxUploadKbps: toLimit(policy.maxUploadKbps ?? DEFAULT_SEEDING_POLICY.maxUploadKbps),
+    maxUploadMB: toLimit(policy.maxUploadMB ?? DEFAULT_SEEDING_POLICY.maxUploadMB),
+    downloadOnly: Boolean(policy.downloadOnly ?? DEFAULT_SEEDING_POLICY.downloadOnly),
+    pauseOnCellular: Boolean(policy.pauseOnCellular ?? DEFAULT_SEEDING_POLICY.pauseOnCellular),
+  };
+}
+
+export function loadSeedingPolicy() {
+  if (typeof window === 'undefined') return { ...DEFAULT_SEEDING_POLICY };
+
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return normalizeSeedingPolicy(raw ? JSON.parse(raw) : {});
+  } catch (e) {
+    return { ...DEFAULT_SEEDING_POLICY };
+  }
+}
+
+export function saveSeedingPolicy(policy) {
+  const normalized = normalizeSeedingPolicy(policy);
+  if (typeof window === 'undefined') return normalized;
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(normalized));
+  } catch (e) {
+    console.error('Error saving seeding policy:', e);
+  }
+
+  return normalized;
+}
+
+/**
+ * True on a cellular connection (Network Information API, Chromium/Android only)
+ */
+export function isCellularConnection() {
+  if (typeof navigator === 'undefined') return false;
+  return navigator.connection?.type === 'cellular';
+}
+
+export default {
+  DEFAULT_SEEDING_POLICY,
+  normalizeSeedingPolicy,
+  loadSeedingPolicy,
+  saveSeedingPolicy,
+  isCellularConnection,
+};
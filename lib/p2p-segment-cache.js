@@ -0,0 +1,283 @@
+/**
+ * 💾 P2P Segment Cache
+ *
+ * Byte-bounded LRU in memory, optionally mirrored to IndexedDB so a viewer
+ * who reloads during a match comes back with recent segments to seed.
+ *
+ * The memory tier is synchronous and is what the engine serves and
+ * advertises from. The IndexedDB tier is write-through with its own byte
+ * budget and max age; `restore()` loads its newest entries into memory.
+ * Each persisted segment keeps its SHA-256 so restored segments can be
+ * verified and seeded again.
+ */
+
+import { sha256Hex } from './p2p-utils.js';
+
+const DB_VERSION = 1;
+// Bytes and metadata live apart so pruning never reads segment data
+const DATA_STORE = 'segments';
+const META_STORE = 'meta';
+
+function byteLength(data) {
+  return data?.byteLength || 0;
+}
+
+// IDBRequest -> Promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Persistent tier. All methods are async and never throw to the caller
+ * on quota or private-mode errors (they resolve empty instead).
+ */
+export class IndexedDBSegmentStore {
+  constructor({
+    dbName = 'p2p-segments',
+    maxBytes = 100 * 1024 * 1024,
+    maxAge = 30 * 60 * 1000,
+    indexedDB = globalThis.indexedDB,
+  } = {}) {
+    this.dbName = dbName;
+    this.maxBytes = maxBytes;
+    this.maxAge = maxAge;
+    this.indexedDB = indexedDB;
+    this.dbPromise = null;
+  }
+
+  static isSupported(indexedDB = globalThis.indexedDB) {
+    return !!indexedDB && typeof indexedDB.open === 'function';
+  }
+
+  _open() {
+    if (!this.dbPromise) {
+      const request = this.indexedDB.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(DATA_STORE);
+        request.result
+          .createObjectStore(META_STORE, { keyPath: 'url' })
+          .createIndex('storedAt', 'storedAt');
+      };
+      this.dbPromise = promisify(request).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async _transaction(mode, run) {
+    const db = await this._open();
+    const tx = db.transaction([DATA_STORE, META_STORE], mode);
+    const result = run(tx.objectStore(DATA_STORE), tx.objectStore(META_STORE));
+
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result;
+  }
+
+  async put(url, data) {
+    try {
+      const digest = await sha256Hex(data);
+      await this._transaction('readwrite', (segments, meta) => {
+        segments.put(data, url);
+        meta.put({ url, size: byteLength(data), storedAt: Date.now(), digest });
+      });
+      await this.prune();
+    } catch (error) {
+      console.warn('[P2P Cache] IndexedDB write failed:', error?.message);
+    }
+  }
+
+  async delete(url) {
+    try {
+      await this._transaction('readwrite', (segments, meta) => {
+        segments.delete(url);
+        meta.delete(url);
+      });
+    } catch (error) {
+      // Best effort
+    }
+  }
+
+  /**
+   * Drop entries older than maxAge, then the oldest until under maxBytes
+   */
+  async prune() {
+    const entries = await this._listMeta();
+    const cutoff = Date.now() - this.maxAge;
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const stale = [];
+    for (const entry of entries) {
+      if (entry.storedAt < cutoff || total > this.maxBytes) {
+        stale.push(entry.url);
+        total -= entry.size;
+      }
+    }
+
+    if (stale.length > 0) {
+      await this._transaction('readwrite', (segments, meta) => {
+        for (const url of stale) {
+          segments.delete(url);
+          meta.delete(url);
+        }
+      });
+    }
+  }
+
+  // { url, size, storedAt, digest } oldest first
+  async _listMeta() {
+    return this._transaction('readonly', (segments, meta) =>
+      promisify(meta.index('storedAt').getAll())
+    );
+  }
+
+  /**
+   * Newest unexpired entries that fit in `maxBytes`, oldest first
+   * @returns {Promise<Array<{ url: string, data: ArrayBuffer, digest?: string }>>}
+   */
+  async loadRecent(maxBytes) {
+    try {
+      await this.prune();
+
+      const entries = await this._listMeta();
+      const wanted = [];
+      let total = 0;
+      for (let i = entries.length - 1; i >= 0; i--) {
+        if (total + entries[i].size > maxBytes) break;
+        total += entries[i].size;
+        wanted.unshift(entries[i]);
+      }
+
+      const records = await this._transaction('readonly', (segments) =>
+        Promise.all(wanted.map(async ({ url, digest }) => ({ url, digest, data: await promisify(segments.get(url)) })))
+      );
+      return records.filter(record => record.data);
+    } catch (error) {
+      console.warn('[P2P Cache] IndexedDB restore failed:', error?.message);
+      return [];
+    }
+  }
+}
+
+/**
+ * LRU of url -> ArrayBuffer bounded by total bytes. Map insertion order is
+ * the recency order: oldest first, so `keys()` ends with the freshest.
+ */
+export class SegmentCache {
+  /**
+   * @param {{ maxBytes: number, store?: IndexedDBSegmentStore | null }} options
+   */
+  constructor({ maxBytes, store = null }) {
+    this.maxBytes = maxBytes;
+    this.store = store;
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(url) {
+    return this.entries.has(url);
+  }
+
+  // Reading marks the segment as recently used
+  get(url) {
+    const data = this.entries.get(url);
+    if (data === undefined) return undefined;
+
+    this.entries.delete(url);
+    this.entries.set(url, data);
+    return data;
+  }
+
+  /**
+   * Add a segment, evicting least recently used ones to stay under maxBytes.
+   * A segment larger than the whole budget is not cached.
+   * @returns {string[]} evicted urls
+   */
+  set(url, data, { persist = true } = {}) {
+    const size = byteLength(data);
+    if (size > this.maxBytes) return [];
+
+    this.delete(url, { persist: false });
+
+    const evicted = [];
+    for (const [oldUrl, oldData] of this.entries) {
+      if (this.bytes + size <= this.maxBytes) break;
+      this.entries.delete(oldUrl);
+      this.bytes -= byteLength(oldData);
+      evicted.push(oldUrl);
+    }
+
+    this.entries.set(url, data);
+    this.bytes += size;
+
+    if (persist && this.store) {
+      this.store.put(url, data);
+    }
+
+    return evicted;
+  }
+
+  delete(url, { persist = true } = {}) {
+    const data = this.entries.get(url);
+    if (data === undefined) return false;
+
+    this.entries.delete(url);
+    this.bytes -= byteLength(data);
+
+    if (persist && this.store) {
+      this.store.delete(url);
+    }
+    return true;
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+
+  // Memory only: persisted segments survive for the next page load
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Load the newest persisted segments into memory
+   * @returns {Promise<Array<{ url: string, digest: string }>>} restored segments
+   */
+  async restore() {
+    if (!this.store) return [];
+
+    const entries = await this.store.loadRecent(this.maxBytes);
+    const restored = [];
+    for (const { url, data, digest } of entries) {
+      if (this.entries.has(url)) continue;
+      this.set(url, data, { persist: false });
+      // Entries written before digests were persisted
+      restored.push({ url, digest: digest || await sha256Hex(data) });
+    }
+    return restored;
+  }
+}
+
+/**
+ * Memory LRU, plus IndexedDB when `persist` is set and the browser has it
+ */
+export function createSegmentCache({ maxBytes, persist = false, persistMaxBytes, persistMaxAge } = {}) {
+  const store = persist && IndexedDBSegmentStore.isSupported()
+    ? new IndexedDBSegmentStore({ maxBytes: persistMaxBytes, maxAge: persistMaxAge })
+    : null;
+
+  return new SegmentCache({ maxBytes, store });
+}
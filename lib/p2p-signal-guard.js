@@ -0,0 +1,57 @@
+/**
+ * 🛡️ P2P Signal Guard (server-only)
+ *
+ * Shared checks for the signaling routes: a valid peer ticket for the
+ * room (and peer, when the request names one) plus per-IP and per-room
+ * rate limits.
+ */
+
+import { NextResponse } from 'next/server.js';
+import { getTicketFromRequest, verifyPeerTicket, ticketAllowsRoom } from './p2p-ticket.js';
+import { rateLimit, getClientIp } from './rate-limit.js';
+
+// A connecting peer bursts offers + ICE candidates to up to maxPeers peers
+const IP_LIMIT = { limit: 120, window: '10 s' };
+const ROOM_LIMIT = { limit: 2000, window: '10 s' };
+
+/**
+ * @returns {Promise<{ claims: object } | { response: NextResponse }>}
+ */
+export async function guardSignalRequest(request, { room_id, peer = null }) {
+  const claims = await verifyPeerTicket(getTicketFromRequest(request));
+
+  if (!claims) {
+    return {
+      response: NextResponse.json(
+        { success: false, error: 'Invalid or expired peer ticket' },
+        { status: 401 }
+      ),
+    };
+  }
+
+  if ((room_id && !ticketAllowsRoom(claims, room_id)) || (peer && peer !== claims.peerId)) {
+    return {
+      response: NextResponse.json(
+        { success: false, error: 'Ticket does not match room or peer' },
+        { status: 403 }
+      ),
+    };
+  }
+
+  const ip = getClientIp(request);
+  const [byIp, byRoom] = await Promise.all([
+    rateLimit('p2p-signal-ip', ip, IP_LIMIT),
+    room_id ? rateLimit('p2p-signal-room', room_id, ROOM_LIMIT) : { success: true },
+  ]);
+
+  if (!byIp.success || !byRoom.success) {
+    return {
+      response: NextResponse.json(
+        { success: false, error: 'Too many requests' },
+        { status: 429 }
+      ),
+    };
+  }
+
+  return { claims };
+}
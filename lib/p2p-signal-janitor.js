@@ -0,0 +1,139 @@
+/**
+ * 🧹 P2P Signal Janitor (server-only)
+ *
+ * Deletes expired rows from the `signals` table across all rooms, without
+ * an external cron: signaling requests call `maybeRun()`, and a distributed
+ * lock (Upstash `SET NX PX`, or in memory without Redis) lets at most one
+ * instance sweep per `intervalMs`. POST /api/signals/cleanup forces a sweep.
+ *
+ * A sweep first claims the lock for `SWEEP_CLAIM_MS` only. After a successful
+ * sweep it is held for the whole interval and doubles as the "last run"
+ * marker shared by every edge instance. A failed sweep releases it, and a
+ * sweep killed with its request (edge runtimes stop work once the response
+ * is sent) blocks the others for the short claim only.
+ */
+
+import { supabaseAdmin } from './supabase.js';
+import { redis } from './rate-limit.js';
+
+export const JANITOR_INTERVAL_MS = 5 * 60 * 1000;
+const LOCK_KEY = 'p2p:signals:janitor';
+// Longer than a sweep takes, short enough that a killed one is soon retried
+const SWEEP_CLAIM_MS = 30 * 1000;
+
+// ========== LOCKS ==========
+
+export function createMemoryLock() {
+  const locks = new Map(); // key -> held until (ms)
+
+  return {
+    async acquire(key, ttlMs, now = Date.now()) {
+      if ((locks.get(key) || 0) > now) return false;
+      locks.set(key, now + ttlMs);
+      return true;
+    },
+    async hold(key, ttlMs, now = Date.now()) {
+      locks.set(key, now + ttlMs);
+    },
+    async release(key) {
+      locks.delete(key);
+    },
+  };
+}
+
+export function createRedisLock(client) {
+  return {
+    async acquire(key, ttlMs) {
+      const token = `${Date.now()}:${Math.random().toString(36).slice(2, 10)}`;
+      return (await client.set(key, token, { nx: true, px: ttlMs })) === 'OK';
+    },
+    async hold(key, ttlMs) {
+      await client.set(key, `${Date.now()}:done`, { px: ttlMs });
+    },
+    async release(key) {
+      await client.del(key);
+    },
+  };
+}
+
+// ========== JANITOR ==========
+
+/**
+ * @param {{ client?: object, lock?: object, intervalMs?: number, now?: () => number }} options
+ *   client: Supabase client (only `from().delete().lt().select()` is used)
+ */
+export function createSignalJanitor({
+  client = supabaseAdmin,
+  lock = createMemoryLock(),
+  intervalMs = JANITOR_INTERVAL_MS,
+  now = Date.now,
+} = {}) {
+  let running = null;
+
+  async function sweep() {
+    const startedAt = now();
+    const { data, error } = await client
+      .from('signals')
+      .delete()
+      .lt('expires_at', new Date(startedAt).toISOString())
+      .select('room_id');
+
+    if (error) throw new Error(error.message);
+
+    const rooms = {};
+    for (const row of data || []) {
+      rooms[row.room_id] = (rooms[row.room_id] || 0) + 1;
+    }
+
+    const deleted = (data || []).length;
+    if (deleted > 0) {
+      console.log(`[Signals Janitor] Deleted ${deleted} expired signals in ${Object.keys(rooms).length} rooms`);
+    }
+    return { ran: true, deleted, rooms, durationMs: now() - startedAt };
+  }
+
+  /**
+   * Sweep now if no instance swept during the last interval (or `force`).
+   * @returns {Promise<{ ran: boolean, deleted?: number, rooms?: object, durationMs?: number, reason?: string }>}
+   */
+  async function run({ force = false } = {}) {
+    if (!client) return { ran: false, reason: 'no-supabase' };
+
+    const acquired = await lock.acquire(LOCK_KEY, Math.min(SWEEP_CLAIM_MS, intervalMs), now());
+    if (!acquired && !force) return { ran: false, reason: 'locked' };
+
+    let result;
+    try {
+      result = await sweep();
+    } catch (error) {
+      // Let the next request retry instead of waiting out the interval
+      if (acquired) await lock.release(LOCK_KEY).catch(() => {});
+      throw error;
+    }
+
+    await lock.hold(LOCK_KEY, intervalMs, now());
+    return result;
+  }
+
+  // Fire-and-forget from request handlers; never throws
+  function maybeRun() {
+    if (!running) {
+      running = run()
+        .catch((error) => {
+          console.warn('[Signals Janitor] Sweep failed:', error.message);
+          return { ran: false, reason: 'error' };
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  }
+
+  return { run, maybeRun };
+}
+
+// Shared instance for the API routes
+export const signalJanitor = createSignalJanitor({
+  lock: redis ? createRedisLock(redis) : createMemoryLock(),
+});
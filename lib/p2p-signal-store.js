@@ -0,0 +1,71 @@
+/**
+ * 🗄️ P2P Signal Store (server-only)
+ *
+ * Shared Supabase access for the `signals` table, used by the REST
+ * route (/api/p2p-signal) and the SSE stream (/api/p2p-signal/stream).
+ */
+
+import { supabaseAdmin } from './supabase.js';
+
+export const SIGNAL_TTL_SECONDS = 60;
+
+// ✅ Types yang dipakai P2P Engine
+export const VALID_TYPES = ['announce', 'offer', 'answer', 'ice-candidate', 'candidate', 'bye', 'join', 'leave'];
+
+/**
+ * Parse payload back to object (stored as JSON string)
+ */
+export function parseSignalPayload(signal) {
+  try {
+    if (typeof signal.payload === 'string') {
+      signal.payload = JSON.parse(signal.payload);
+    }
+  } catch (e) {}
+  return signal;
+}
+
+/**
+ * Unexpired signals addressed to `peer` (or broadcast) in a room, oldest first.
+ * `since` (ISO timestamp) limits the result to rows created at or after it.
+ */
+export async function fetchPendingSignals(room_id, peer, { since = null, limit = 50 } = {}) {
+  if (!supabaseAdmin) return { data: [], error: null };
+
+  const now = new Date().toISOString();
+
+  let query = supabaseAdmin
+    .from('signals')
+    .select('*')
+    .eq('room_id', room_id)
+    .neq('from_peer', peer)
+    .or(`to_peer.eq.${peer},to_peer.is.null`)
+    .in('type', VALID_TYPES)
+    .gt('expires_at', now);
+
+  if (since) {
+    query = query.gte('created_at', since);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) return { data: [], error };
+
+  return { data: (data || []).map(parseSignalPayload), error: null };
+}
+
+/**
+ * Delete delivered signals by id
+ * @returns {Promise<{ error: object | null }>}
+ */
+export async function deleteSignals(ids) {
+  if (!supabaseAdmin || ids.length === 0) return { error: null };
+
+  const { error } = await supabaseAdmin
+    .from('signals')
+    .delete()
+    .in('id', ids);
+
+  return { error: error || null };
+}
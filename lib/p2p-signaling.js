@@ -0,0 +1,456 @@
+/**
+ * 📶 P2P Signaling Transports
+ *
+ * Every transport implements the same small interface so P2PEngine
+ * does not care how offers/answers/ICE candidates travel:
+ *
+ *   name                                    - 'websocket' | 'sse' | 'polling'
+ *   connect({ roomId, peerId, getTicket, onSignal, onClose, onError })
+ *   send({ type, to, payload })
+ *   refreshTicket()                         - optional, called after ticket renewal
+ *   close()
+ *
+ * `onSignal` receives rows shaped like the `signals` table
+ * ({ id, from_peer, to_peer, type, payload }). `getTicket()` returns the
+ * current peer ticket from /api/p2p-signal/ticket (or null). `onError`
+ * reports failures the transport keeps retrying on its own (polling).
+ */
+
+// ========== REST HELPERS ==========
+
+function authHeaders(getTicket) {
+  const ticket = getTicket?.();
+  return ticket ? { Authorization: `Bearer ${ticket}` } : {};
+}
+
+async function postSignal(url, roomId, peerId, getTicket, { type, to, payload }) {
+  await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders(getTicket) },
+    body: JSON.stringify({
+      room_id: roomId,
+      from_peer: peerId,
+      to_peer: to || null,
+      type,
+      payload,
+    }),
+  });
+}
+
+async function deletePeerSignals(url, roomId, peerId, getTicket) {
+  try {
+    await fetch(`${url}?room_id=${roomId}&peer=${peerId}`, {
+      method: 'DELETE',
+      headers: authHeaders(getTicket),
+    });
+  } catch (e) {}
+}
+
+// ========== REST POLLING (Supabase) ==========
+
+/**
+ * Polls GET /api/p2p-signal with a `since` cursor. Broadcast rows stay on
+ * the server until they expire, so rows seen at the cursor timestamp are
+ * skipped by id; only signals addressed to this peer are deleted.
+ *
+ * A failed poll (429, 401, 5xx, network) is reported through `onError`
+ * and the next one waits twice as long, up to `maxBackoff`; a 429 waits
+ * at least its Retry-After.
+ */
+export class PollingSignalingTransport {
+  constructor({ url = '/api/p2p-signal', interval = 2000, maxBackoff = 30000 } = {}) {
+    this.name = 'polling';
+    this.url = url;
+    this.interval = interval;
+    this.maxBackoff = maxBackoff;
+    this.timer = null;
+    this.failures = 0;
+    this.retryAfterMs = 0;
+    this.roomId = null;
+    this.peerId = null;
+    this.getTicket = null;
+    this.onSignal = null;
+    this.onError = null;
+    this.closed = false;
+    // created_at of the newest signal seen, and ids seen at or after it
+    this.cursor = null;
+    this.seen = new Map(); // id -> created_at
+  }
+
+  async connect({ roomId, peerId, getTicket, onSignal, onError }) {
+    this.roomId = roomId;
+    this.peerId = peerId;
+    this.getTicket = getTicket;
+    this.onSignal = onSignal;
+    this.onError = onError || null;
+    this.closed = false;
+    this.failures = 0;
+    this.cursor = null;
+    this.seen.clear();
+
+    this._schedule();
+  }
+
+  // Next poll after the interval, or the backoff while polls keep failing
+  _nextDelay() {
+    if (this.failures === 0) return this.interval;
+    const backoff = Math.min(this.interval * 2 ** this.failures, this.maxBackoff);
+    return Math.max(backoff, this.retryAfterMs);
+  }
+
+  _schedule() {
+    if (this.closed) return;
+
+    this.timer = setTimeout(async () => {
+      await this._poll();
+      this._schedule();
+    }, this._nextDelay());
+  }
+
+  async _poll() {
+    if (this.closed) return;
+
+    try {
+      const params = new URLSearchParams({ room_id: this.roomId, peer: this.peerId });
+      if (this.cursor) params.set('since', this.cursor);
+
+      const response = await fetch(`${this.url}?${params}`, {
+        headers: authHeaders(this.getTicket),
+      });
+
+      if (!response.ok) {
+        const retryAfter = Number(response.headers?.get?.('retry-after'));
+        this.retryAfterMs = response.status === 429 && retryAfter > 0 ? retryAfter * 1000 : 0;
+        throw new Error(`Signal poll failed: ${response.status}`);
+      }
+
+      this.failures = 0;
+      this.retryAfterMs = 0;
+
+      const data = await response.json();
+      if (data.success && data.data) {
+        for (const signal of data.data) {
+          // `since` is inclusive
+          if (this.seen.has(signal.id)) continue;
+          this.seen.set(signal.id, signal.created_at);
+          if (signal.created_at && (!this.cursor || signal.created_at > this.cursor)) {
+            this.cursor = signal.created_at;
+          }
+
+          await this.onSignal(signal);
+
+          // Broadcasts belong to every peer in the room and expire on their own
+          if (signal.to_peer === this.peerId) {
+            fetch(`${this.url}?id=${encodeURIComponent(signal.id)}`, {
+              method: 'DELETE',
+              headers: authHeaders(this.getTicket),
+            }).catch(() => {});
+          }
+        }
+
+        // Older rows are excluded by the cursor already
+        for (const [id, createdAt] of this.seen) {
+          if (createdAt < this.cursor) this.seen.delete(id);
+        }
+      }
+    } catch (error) {
+      if (this.closed) return;
+
+      this.failures++;
+      console.warn('Signaling poll error:', error.message);
+      this.onError?.(error);
+    }
+  }
+
+  async send(signal) {
+    await postSignal(this.url, this.roomId, this.peerId, this.getTicket, signal);
+  }
+
+  async close() {
+    this.closed = true;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    // Cleanup our signals on server
+    await deletePeerSignals(this.url, this.roomId, this.peerId, this.getTicket);
+  }
+}
+
+// ========== SERVER-SENT EVENTS ==========
+
+/**
+ * Receives signals from GET /api/p2p-signal/stream, sends via REST POST.
+ * The stream deletes direct signals once delivered, so there is no poll
+ * loop and no per-signal DELETE.
+ */
+export class EventSourceSignalingTransport {
+  constructor({ url = '/api/p2p-signal', streamUrl, connectTimeout = 3000, EventSourceImpl } = {}) {
+    this.name = 'sse';
+    this.url = url;
+    this.streamUrl = streamUrl || `${url}/stream`;
+    this.connectTimeout = connectTimeout;
+    this.EventSourceImpl = EventSourceImpl || (typeof EventSource !== 'undefined' ? EventSource : null);
+    this.source = null;
+    this.roomId = null;
+    this.peerId = null;
+    this.getTicket = null;
+    this.onSignal = null;
+    this.onClose = null;
+    this.closed = false;
+  }
+
+  connect({ roomId, peerId, getTicket, onSignal, onClose }) {
+    this.roomId = roomId;
+    this.peerId = peerId;
+    this.getTicket = getTicket;
+    this.onSignal = onSignal;
+    this.onClose = onClose;
+    this.closed = false;
+
+    return this._open();
+  }
+
+  // Resolves once the stream is open; the new source replaces the current one
+  _open() {
+    return new Promise((resolve, reject) => {
+      if (!this.EventSourceImpl) {
+        reject(new Error('EventSource not available'));
+        return;
+      }
+
+      const params = new URLSearchParams({ room_id: this.roomId, peer: this.peerId });
+      const ticket = this.getTicket?.();
+      if (ticket) params.set('ticket', ticket);
+
+      let opened = false;
+      const source = new this.EventSourceImpl(`${this.streamUrl}?${params}`);
+
+      const timer = setTimeout(() => {
+        if (opened) return;
+        source.close();
+        reject(new Error('Signal stream connect timeout'));
+      }, this.connectTimeout);
+
+      source.onopen = () => {
+        if (opened) return; // reconnects after the server rotates the stream
+        opened = true;
+        clearTimeout(timer);
+
+        const previous = this.source;
+        this.source = source;
+        if (previous) previous.close();
+
+        resolve();
+      };
+
+      source.onerror = () => {
+        // EventSource retries on its own; CLOSED (2) means it gave up
+        if (source.readyState !== 2) return;
+
+        clearTimeout(timer);
+        if (!opened) {
+          reject(new Error('Signal stream unavailable'));
+          return;
+        }
+        if (!this.closed && this.source === source && this.onClose) this.onClose();
+      };
+
+      source.addEventListener('signal', (event) => {
+        let signal;
+        try {
+          signal = JSON.parse(event.data);
+        } catch (e) {
+          return;
+        }
+        Promise.resolve(this.onSignal(signal)).catch(() => {});
+      });
+    });
+  }
+
+  // The ticket is baked into the stream URL, so reopen with the renewed one
+  async refreshTicket() {
+    if (this.closed) return;
+
+    try {
+      await this._open();
+    } catch (error) {
+      if (!this.closed && this.onClose) this.onClose();
+    }
+  }
+
+  async send(signal) {
+    await postSignal(this.url, this.roomId, this.peerId, this.getTicket, signal);
+  }
+
+  async close() {
+    this.closed = true;
+
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+
+    await deletePeerSignals(this.url, this.roomId, this.peerId, this.getTicket);
+  }
+}
+
+// ========== WEBSOCKET ==========
+
+export class WebSocketSignalingTransport {
+  /**
+   * @param {object} options
+   * @param {string} options.url - ws(s):// endpoint of the signaling server
+   * @param {number} [options.connectTimeout] - ms before giving up on the handshake
+   * @param {Function} [options.WebSocketImpl] - WebSocket constructor (Node tests pass `ws`)
+   */
+  constructor({ url, connectTimeout = 3000, WebSocketImpl } = {}) {
+    this.name = 'websocket';
+    this.url = url;
+    this.connectTimeout = connectTimeout;
+    this.WebSocketImpl = WebSocketImpl || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    this.socket = null;
+    this.roomId = null;
+    this.peerId = null;
+    this.closed = false;
+  }
+
+  connect({ roomId, peerId, getTicket, onSignal, onClose }) {
+    this.roomId = roomId;
+    this.peerId = peerId;
+    this.closed = false;
+
+    return new Promise((resolve, reject) => {
+      if (!this.url || !this.WebSocketImpl) {
+        reject(new Error('WebSocket signaling not available'));
+        return;
+      }
+
+      const target = new URL(this.url);
+      target.searchParams.set('room_id', roomId);
+      target.searchParams.set('peer', peerId);
+      const ticket = getTicket?.();
+      if (ticket) target.searchParams.set('ticket', ticket);
+
+      let opened = false;
+      const socket = new this.WebSocketImpl(target.toString());
+      this.socket = socket;
+
+      const timer = setTimeout(() => {
+        if (opened) return;
+        try { socket.close(); } catch (e) {}
+        reject(new Error('WebSocket connect timeout'));
+      }, this.connectTimeout);
+
+      socket.onopen = () => {
+        opened = true;
+        clearTimeout(timer);
+        resolve();
+      };
+
+      socket.onerror = () => {
+        if (opened) return;
+        clearTimeout(timer);
+        reject(new Error('WebSocket connect failed'));
+      };
+
+      socket.onmessage = (event) => {
+        let signal;
+        try {
+          signal = JSON.parse(event.data);
+        } catch (e) {
+          return;
+        }
+        Promise.resolve(onSignal(signal)).catch(() => {});
+      };
+
+      socket.onclose = () => {
+        clearTimeout(timer);
+        if (!opened) {
+          reject(new Error('WebSocket closed before open'));
+          return;
+        }
+        if (!this.closed && onClose) onClose();
+      };
+    });
+  }
+
+  async send({ type, to, payload }) {
+    if (!this.socket || this.socket.readyState !== 1) {
+      throw new Error('WebSocket not open');
+    }
+
+    this.socket.send(JSON.stringify({
+      room_id: this.roomId,
+      from_peer: this.peerId,
+      to_peer: to || null,
+      type,
+      payload,
+    }));
+  }
+
+  async close() {
+    this.closed = true;
+
+    if (this.socket) {
+      try { this.socket.close(); } catch (e) {}
+      this.socket = null;
+    }
+  }
+}
+
+// ========== FACTORY ==========
+
+/**
+ * Connect the best available transport: WebSocket when a URL is
+ * configured and the handshake succeeds, then the SSE stream, then
+ * REST polling. Pass `streamUrl: null` to skip SSE.
+ */
+export async function connectSignaling({
+  websocketUrl,
+  signalingUrl,
+  streamUrl,
+  pollInterval,
+  connectTimeout,
+  WebSocketImpl,
+  roomId,
+  peerId,
+  getTicket,
+  onSignal,
+  onClose,
+  onError,
+}) {
+  if (websocketUrl) {
+    const ws = new WebSocketSignalingTransport({ url: websocketUrl, connectTimeout, WebSocketImpl });
+    try {
+      await ws.connect({ roomId, peerId, getTicket, onSignal, onClose });
+      return ws;
+    } catch (error) {
+      console.warn('[P2P] WebSocket signaling unavailable:', error.message);
+      await ws.close();
+    }
+  }
+
+  if (streamUrl !== null) {
+    const sse = new EventSourceSignalingTransport({ url: signalingUrl, streamUrl, connectTimeout });
+    try {
+      await sse.connect({ roomId, peerId, getTicket, onSignal, onClose });
+      return sse;
+    } catch (error) {
+      console.warn('[P2P] Signal stream unavailable, falling back to polling:', error.message);
+    }
+  }
+
+  const polling = new PollingSignalingTransport({ url: signalingUrl, interval: pollInterval });
+  await polling.connect({ roomId, peerId, getTicket, onSignal, onError });
+  return polling;
+}
+
+export default {
+  PollingSignalingTransport,
+  EventSourceSignalingTransport,
+  WebSocketSignalingTransport,
+  connectSignaling,
+};
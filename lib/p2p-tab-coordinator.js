@@ -0,0 +1,315 @@
+/**
+ * 🗂️ P2P Tab Coordinator
+ *
+ * Tabs of one browser watching the same match share a single P2P identity.
+ * Over a BroadcastChannel they elect a leader; only the leader runs the
+ * engine's swarm (signaling, peer connections, seeding). The other tabs
+ * load segments through the leader and hand it what they get from the CDN.
+ *
+ * Election: the leader heartbeats every `heartbeatInterval`. A tab that hears
+ * no leader for `leaderTimeout` (or gets `resign` when the leader closes)
+ * claims leadership. Colliding claims go to the oldest tab (lowest tab id),
+ * and a leader that hears an older leader steps down.
+ *
+ * Messages: hello, leader, claim, resign on the shared channel; load / loaded
+ * and store on the receiving tab's own channel (`openChannel(tabId)`), so a
+ * segment is cloned into the one tab it is for and not into every tab.
+ */
+
+import { SimpleEmitter } from './p2p-utils.js';
+
+export const TAB_ROLES = {
+  LEADER: 'leader',
+  FOLLOWER: 'follower',
+};
+
+// Base-36 time prefix: tab ids sort by age
+function generateTabId() {
+  return `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class TabCoordinator extends SimpleEmitter {
+  /**
+   * @param {{ channel: BroadcastChannel, openChannel?: (tabId: string) => BroadcastChannel,
+   *   tabId?: string, heartbeatInterval?: number, leaderTimeout?: number,
+   *   electionTimeout?: number, requestTimeout?: number }} options
+   * Without `openChannel`, direct messages go over the shared channel.
+   */
+  constructor({
+    channel,
+    openChannel = null,
+    tabId = generateTabId(),
+    heartbeatInterval = 1000,
+    leaderTimeout = 3000,
+    electionTimeout = 250,
+    requestTimeout = 10000,
+  }) {
+    super();
+    this.channel = channel;
+    this.openChannel = openChannel;
+    this.inbox = null;
+    this.tabId = tabId;
+    this.heartbeatInterval = heartbeatInterval;
+    this.leaderTimeout = leaderTimeout;
+    this.electionTimeout = electionTimeout;
+    this.requestTimeout = requestTimeout;
+
+    this.role = null;
+    this.leaderId = null;
+    this.lastLeaderSeen = 0;
+    this.electing = false;
+    this.handlers = null;
+    this.timer = null;
+    this.pending = new Map(); // request id -> { resolve, reject, timer }
+    this.nextRequestId = 1;
+
+    this._onPageHide = () => this.stop();
+  }
+
+  static isSupported() {
+    return typeof BroadcastChannel !== 'undefined';
+  }
+
+  get isLeader() {
+    return this.role === TAB_ROLES.LEADER;
+  }
+
+  /**
+   * Join the tab group and wait for the first election.
+   * `handlers` serve other tabs while this one leads:
+   *   load(url, hints)  -> Promise<{ data, source, reason }>
+   *   store(url, data)  -> segment a follower got from the CDN
+   * @returns {Promise<'leader' | 'follower'>}
+   */
+  async start(handlers) {
+    this.handlers = handlers;
+    this.channel.onmessage = (event) => this._handleMessage(event.data);
+    if (this.openChannel) {
+      this.inbox = this.openChannel(this.tabId);
+      this.inbox.onmessage = (event) => this._handleMessage(event.data);
+    }
+    this.timer = setInterval(() => this._tick(), this.heartbeatInterval);
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener?.('pagehide', this._onPageHide);
+    }
+
+    // A running leader answers hello right away
+    this._post({ type: 'hello' });
+    await wait(this.electionTimeout);
+
+    if (!this.leaderId) await this._elect();
+    return this.role;
+  }
+
+  /**
+   * Load a segment through the leader tab
+   * @returns {Promise<{ data: ArrayBuffer, source: string, reason: string }>}
+   */
+  request(url, hints = {}) {
+    if (!this.leaderId || this.isLeader) {
+      return Promise.reject(new Error('No leader tab'));
+    }
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error('Leader tab timeout'));
+      }, this.requestTimeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this._postTo(this.leaderId, { type: 'load', id, url, hints });
+    });
+  }
+
+  // Give the leader a segment this tab fetched itself, so it can seed it
+  share(url, data) {
+    if (!this.leaderId || this.isLeader) return;
+    this._postTo(this.leaderId, { type: 'store', url, data });
+  }
+
+  stop() {
+    if (this.isLeader) this._post({ type: 'resign' });
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this._rejectPending('Tab coordinator stopped');
+
+    if (typeof window !== 'undefined') {
+      window.removeEventListener?.('pagehide', this._onPageHide);
+    }
+
+    this.channel.onmessage = null;
+    this.channel.close?.();
+    if (this.inbox) {
+      this.inbox.onmessage = null;
+      this.inbox.close?.();
+      this.inbox = null;
+    }
+    this.role = null;
+    this.leaderId = null;
+  }
+
+  // ========== ELECTION ==========
+
+  async _elect() {
+    if (this.electing || this.isLeader) return;
+    this.electing = true;
+
+    this._post({ type: 'claim' });
+    await wait(this.electionTimeout);
+
+    // Nobody older claimed and no leader showed up meanwhile
+    const won = this.electing;
+    this.electing = false;
+    if (won && this.timer) {
+      this.leaderId = this.tabId;
+      this._setRole(TAB_ROLES.LEADER);
+      this._post({ type: 'leader' });
+    }
+  }
+
+  _follow(leaderId) {
+    this.electing = false;
+    this.leaderId = leaderId;
+    this.lastLeaderSeen = Date.now();
+    this._setRole(TAB_ROLES.FOLLOWER);
+  }
+
+  _setRole(role) {
+    if (this.role === role) return;
+    this.role = role;
+    console.log(`[P2P Tabs] ${this.tabId} is now ${role}`);
+    this.emit('role', { role, tabId: this.tabId, leaderId: this.leaderId });
+  }
+
+  _tick() {
+    if (this.isLeader) {
+      this._post({ type: 'leader' });
+      return;
+    }
+
+    if (!this.electing && Date.now() - this.lastLeaderSeen > this.leaderTimeout) {
+      this.leaderId = null;
+      this._rejectPending('Leader tab gone');
+      this._elect();
+    }
+  }
+
+  // ========== MESSAGES ==========
+
+  _post(message) {
+    try {
+      this.channel.postMessage({ ...message, from: this.tabId });
+    } catch (error) {
+      console.warn('[P2P Tabs] postMessage failed:', error?.message);
+    }
+  }
+
+  // Message for one tab, on that tab's own channel when there is one
+  _postTo(tabId, message) {
+    if (!this.openChannel) {
+      this._post({ ...message, to: tabId });
+      return;
+    }
+
+    let channel = null;
+    try {
+      channel = this.openChannel(tabId);
+      channel.postMessage({ ...message, to: tabId, from: this.tabId });
+    } catch (error) {
+      console.warn('[P2P Tabs] postMessage failed:', error?.message);
+    } finally {
+      channel?.close?.();
+    }
+  }
+
+  _handleMessage(msg) {
+    if (!msg || msg.from === this.tabId) return;
+    if (msg.to && msg.to !== this.tabId) return;
+
+    switch (msg.type) {
+      case 'hello':
+        if (this.isLeader) this._post({ type: 'leader' });
+        break;
+
+      case 'claim':
+        if (this.isLeader) {
+          this._post({ type: 'leader' });
+        } else if (this.electing) {
+          if (msg.from < this.tabId) this._follow(null);
+        } else {
+          // Someone is taking over: give them time before claiming ourselves
+          this.lastLeaderSeen = Date.now();
+        }
+        break;
+
+      case 'leader':
+        if (this.isLeader) {
+          if (msg.from < this.tabId) {
+            this._follow(msg.from);
+          } else {
+            this._post({ type: 'leader' });
+          }
+        } else {
+          this._follow(msg.from);
+        }
+        break;
+
+      case 'resign':
+        if (msg.from === this.leaderId) {
+          this.leaderId = null;
+          this._rejectPending('Leader tab closed');
+          this._elect();
+        }
+        break;
+
+      case 'load':
+        if (this.isLeader) this._serveLoad(msg);
+        break;
+
+      case 'loaded':
+        this._settle(msg);
+        break;
+
+      case 'store':
+        if (this.isLeader && msg.data) this.handlers?.store?.(msg.url, msg.data);
+        break;
+    }
+  }
+
+  async _serveLoad({ from, id, url, hints }) {
+    try {
+      const { data, source, reason } = await this.handlers.load(url, hints);
+      this._postTo(from, { type: 'loaded', id, data, source, reason });
+    } catch (error) {
+      this._postTo(from, { type: 'loaded', id, error: error.message });
+    }
+  }
+
+  _settle({ id, data, source, reason, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    clearTimeout(request.timer);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve({ data, source, reason });
+    }
+  }
+
+  _rejectPending(reason) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(new Error(reason));
+    }
+    this.pending.clear();
+  }
+}
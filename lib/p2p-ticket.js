@@ -0,0 +1,121 @@
+/**
+ * 🎫 P2P Peer Tickets (server-only)
+ *
+ * A ticket is a short-lived HMAC-signed claim that a viewer owns a peer id
+ * in one match. The signaling routes require it so a client cannot speak
+ * for other peers or touch other matches' rooms.
+ *
+ * Format: base64url(JSON { m: matchId, p: peerId, exp }).base64url(HMAC-SHA256)
+ * Uses Web Crypto only (edge runtime and Node 20+).
+ */
+
+import { getRoomMatchId } from './p2p-utils.js';
+
+export const PEER_TICKET_TTL_SECONDS = 15 * 60;
+
+function getTicketSecret() {
+  return process.env.P2P_TICKET_SECRET || process.env.TOKEN_SECRET_KEY || null;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const padded = str.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((str.length + 3) % 4);
+  const binary = atob(padded);
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+async function getKey(secret) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+export function isPeerTicketConfigured() {
+  return !!getTicketSecret();
+}
+
+/**
+ * Generate a peer id in the same shape the engine uses
+ */
+export function generatePeerId() {
+  return `peer_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Sign a ticket for `peerId` in `matchId`
+ * @returns {Promise<{ ticket: string, expiresAt: number }>}
+ */
+export async function issuePeerTicket({ matchId, peerId, ttlSeconds = PEER_TICKET_TTL_SECONDS }) {
+  const secret = getTicketSecret();
+  if (!secret) throw new Error('P2P ticket secret not configured');
+
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+  const body = toBase64Url(new TextEncoder().encode(
+    JSON.stringify({ m: String(matchId), p: peerId, exp: expiresAt })
+  ));
+
+  const key = await getKey(secret);
+  const sig = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+
+  return { ticket: `${body}.${toBase64Url(new Uint8Array(sig))}`, expiresAt };
+}
+
+/**
+ * Verify signature and expiry
+ * @returns {Promise<{ matchId: string, peerId: string, expiresAt: number } | null>}
+ */
+export async function verifyPeerTicket(ticket) {
+  const secret = getTicketSecret();
+  if (!secret || typeof ticket !== 'string') return null;
+
+  const [body, sig] = ticket.split('.');
+  if (!body || !sig) return null;
+
+  try {
+    const key = await getKey(secret);
+    // crypto.subtle.verify compares in constant time
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      fromBase64Url(sig),
+      new TextEncoder().encode(body)
+    );
+    if (!valid) return null;
+
+    const claims = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+    if (!claims.m || !claims.p || !Number.isFinite(claims.exp)) return null;
+    if (Date.now() >= claims.exp) return null;
+
+    return { matchId: claims.m, peerId: claims.p, expiresAt: claims.exp };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * True when `roomId` is one of the ticket's match rooms
+ */
+export function ticketAllowsRoom(claims, roomId) {
+  return !!claims && getRoomMatchId(roomId) === claims.matchId;
+}
+
+/**
+ * Ticket from `Authorization: Bearer <ticket>` or `?ticket=` (EventSource/WebSocket
+ * cannot set headers)
+ */
+export function getTicketFromRequest(request) {
+  const authHeader = request.headers.get('authorization');
+  if (authHeader?.startsWith('Bearer ')) {
+    return authHeader.slice(7);
+  }
+  return new URL(request.url).searchParams.get('ticket');
+}
@@ -0,0 +1,149 @@
+/**
+ * 🧭 P2P Room Tracker (server-only)
+ *
+ * Splits a room key (`match_42:link1:720p`) into sub-swarms of at most
+ * P2P_ROOM_CAP viewers: `match_42:link1:720p:s0`, `:s1`, ... A joining peer
+ * gets the lowest shard with room; a peer that heartbeats keeps its shard
+ * even if the cap was lowered, so existing meshes are never split.
+ *
+ * Membership lives in one sorted set per shard (member = peer id, score =
+ * last heartbeat) in Upstash Redis, or in memory when Redis is not set.
+ * Two peers joining at the same instant can overshoot the cap by one;
+ * that is fine for a soft limit.
+ */
+
+import { redis } from './rate-limit.js';
+import { getShardRoomId } from './p2p-utils.js';
+
+export const ROOM_CAP = Number(process.env.P2P_ROOM_CAP) || 50;
+// Peers heartbeat every 60s; two missed heartbeats drop them
+export const MEMBER_TTL_MS = 150 * 1000;
+export const MAX_SHARDS = 64;
+
+const SHARD_RE = /^(.+):s(\d+)$/;
+
+/**
+ * Room key and shard index of a sharded room id, or null
+ */
+export function parseShardRoomId(roomId) {
+  const m = typeof roomId === 'string' ? SHARD_RE.exec(roomId) : null;
+  return m ? { roomKey: m[1], shard: Number(m[2]) } : null;
+}
+
+// ========== STORES ==========
+
+export function createMemoryStore() {
+  const rooms = new Map(); // roomId -> Map(peerId -> lastSeen)
+
+  return {
+    async touch(roomId, peerId, now) {
+      if (!rooms.has(roomId)) rooms.set(roomId, new Map());
+      rooms.get(roomId).set(peerId, now);
+    },
+    async remove(roomId, peerId) {
+      rooms.get(roomId)?.delete(peerId);
+      if (rooms.get(roomId)?.size === 0) rooms.delete(roomId);
+    },
+    async prune(roomId, before) {
+      const members = rooms.get(roomId);
+      if (!members) return;
+      for (const [peerId, seen] of members) {
+        if (seen < before) members.delete(peerId);
+      }
+      if (members.size === 0) rooms.delete(roomId);
+    },
+    async count(roomId) {
+      return rooms.get(roomId)?.size || 0;
+    },
+    async has(roomId, peerId) {
+      return !!rooms.get(roomId)?.has(peerId);
+    },
+  };
+}
+
+export function createRedisStore(client, ttlMs = MEMBER_TTL_MS) {
+  const key = (roomId) => `p2p:room:${roomId}`;
+
+  return {
+    async touch(roomId, peerId, now) {
+      await client.zadd(key(roomId), { score: now, member: peerId });
+      // Idle shards disappear on their own
+      await client.pexpire(key(roomId), ttlMs);
+    },
+    async remove(roomId, peerId) {
+      await client.zrem(key(roomId), peerId);
+    },
+    async prune(roomId, before) {
+      await client.zremrangebyscore(key(roomId), 0, before - 1);
+    },
+    async count(roomId) {
+      return client.zcard(key(roomId));
+    },
+    async has(roomId, peerId) {
+      return (await client.zscore(key(roomId), peerId)) !== null;
+    },
+  };
+}
+
+// ========== TRACKER ==========
+
+/**
+ * @param {{ store?: object, cap?: number, ttlMs?: number, maxShards?: number, now?: () => number }} options
+ */
+export function createRoomTracker({
+  store = createMemoryStore(),
+  cap = ROOM_CAP,
+  ttlMs = MEMBER_TTL_MS,
+  maxShards = MAX_SHARDS,
+  now = Date.now,
+} = {}) {
+  /**
+   * Assign `peerId` a shard of `roomKey`. `currentRoomId` is the shard the
+   * peer is already in (heartbeat); it is kept while it belongs to the key.
+   * @returns {Promise<{ roomId: string, shard: number, members: number }>}
+   */
+  async function join(roomKey, peerId, currentRoomId = null) {
+    const time = now();
+    const current = parseShardRoomId(currentRoomId);
+
+    if (current && current.roomKey === roomKey && current.shard < maxShards) {
+      await store.prune(currentRoomId, time - ttlMs);
+      await store.touch(currentRoomId, peerId, time);
+      return { roomId: currentRoomId, shard: current.shard, members: await store.count(currentRoomId) };
+    }
+
+    let best = null;
+    for (let shard = 0; shard < maxShards; shard++) {
+      const roomId = getShardRoomId(roomKey, shard);
+      await store.prune(roomId, time - ttlMs);
+
+      if (await store.has(roomId, peerId)) {
+        best = { roomId, shard };
+        break;
+      }
+
+      const members = await store.count(roomId);
+      if (members < cap) {
+        best = { roomId, shard };
+        break;
+      }
+      // Every shard full: pile onto the least crowded one
+      if (!best || members < best.members) best = { roomId, shard, members };
+    }
+
+    await store.touch(best.roomId, peerId, time);
+    return { roomId: best.roomId, shard: best.shard, members: await store.count(best.roomId) };
+  }
+
+  async function leave(roomId, peerId) {
+    if (!parseShardRoomId(roomId)) return;
+    await store.remove(roomId, peerId);
+  }
+
+  return { join, leave, cap };
+}
+
+// Shared instance for the API routes
+export const roomTracker = createRoomTracker({
+  store: redis ? createRedisStore(redis) : createMemoryStore(),
+});
@@ -1,19 +1,35 @@
 /**
- * Utilities for P2P engine: OfferBackoffManager and simple EventEmitter
+ * Utilities for P2P engine: OfferBackoffManager, simple EventEmitter, TokenBucket, PeerStats,
+ * room ids, hashing and playlists
  * These are pure JS and testable in Node.
  */
 
+/**
+ * Per-peer connection attempts: exponential delay between failures
+ * (baseDelayMs, 2x, 4x ... up to maxDelayMs), then a cooldown once
+ * maxAttempts failures pile up.
+ */
 export class OfferBackoffManager {
-  constructor({ maxAttempts = 5, cooldownMs = 5 * 60 * 1000 } = {}) {
+  constructor({ maxAttempts = 5, cooldownMs = 5 * 60 * 1000, baseDelayMs = 1000, maxDelayMs = 60 * 1000 } = {}) {
     this.maxAttempts = maxAttempts;
     this.cooldownMs = cooldownMs;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
     this._records = new Map(); // peerId -> { attempts, lastFailureAt }
   }
 
+  // Wait after `attempts` consecutive failures
+  retryDelay(attempts) {
+    if (attempts <= 0) return 0;
+    return Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+  }
+
   canAttempt(peerId) {
     const r = this._records.get(peerId);
     if (!r) return true;
-    if (r.attempts < this.maxAttempts) return true;
+    if (r.attempts < this.maxAttempts) {
+      return Date.now() - (r.lastFailureAt || 0) >= this.retryDelay(r.attempts);
+    }
     // if cooldown passed, allow again and reset
     if (Date.now() - (r.lastFailureAt || 0) > this.cooldownMs) {
       this._records.delete(peerId);
@@ -22,6 +38,17 @@ export class OfferBackoffManager {
     return false;
   }
 
+  /**
+   * ms until canAttempt(peerId) turns true (0 = now)
+   */
+  nextAttemptIn(peerId) {
+    const r = this._records.get(peerId);
+    if (!r) return 0;
+
+    const wait = r.attempts < this.maxAttempts ? this.retryDelay(r.attempts) : this.cooldownMs + 1;
+    return Math.max(0, (r.lastFailureAt || 0) + wait - Date.now());
+  }
+
   recordFailure(peerId) {
     const now = Date.now();
     const r = this._records.get(peerId) || { attempts: 0, lastFailureAt: 0 };
@@ -64,7 +91,154 @@ export class SimpleEmitter {
   }
 }
 
+/**
+ * Byte-rate limiter. Spending may go into debt; `take` returns how long
+ * (ms) to wait so the total stays within `ratePerSec`.
+ */
+export class TokenBucket {
+  constructor(ratePerSec, burst = ratePerSec) {
+    this.rate = ratePerSec;
+    this.burst = burst;
+    this.tokens = burst;
+    this.last = null;
+  }
+
+  take(amount, now = Date.now()) {
+    if (this.last !== null) {
+      this.tokens = Math.min(this.burst, this.tokens + ((now - this.last) * this.rate) / 1000);
+    }
+    this.last = now;
+    this.tokens -= amount;
+
+    return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens / this.rate) * 1000);
+  }
+}
+
+// Assumed for a peer that has not been measured yet
+const UNMEASURED_RTT_MS = 150;
+const UNMEASURED_THROUGHPUT = 512 * 1024;
+// Throughput at which a peer scores half marks on bandwidth (bytes/s)
+const THROUGHPUT_HALF_SCORE = 512 * 1024;
+// RTT at which a peer scores half marks on latency (ms)
+const RTT_HALF_SCORE = 100;
+
+/**
+ * Rolling per-peer measurements (EWMA): RTT from ping/pong, throughput per
+ * transfer and success ratio. `score()` ranks peers as download sources.
+ */
+export class PeerStats {
+  constructor({ alpha = 0.3, now = Date.now() } = {}) {
+    this.alpha = alpha;
+    this.rtt = null; // ms
+    this.throughput = null; // bytes/s
+    this.successRate = 1; // optimistic until a transfer fails
+    this.transfers = 0;
+    this.failures = 0;
+    this.lastSeen = now;
+  }
+
+  _ewma(prev, value) {
+    return prev === null ? value : prev + this.alpha * (value - prev);
+  }
+
+  recordRtt(ms, now = Date.now()) {
+    this.rtt = this._ewma(this.rtt, Math.max(0, ms));
+    this.lastSeen = now;
+  }
+
+  recordTransfer(bytes, ms, now = Date.now()) {
+    if (ms > 0) this.throughput = this._ewma(this.throughput, (bytes * 1000) / ms);
+    this.successRate = this._ewma(this.successRate, 1);
+    this.transfers++;
+    this.lastSeen = now;
+  }
+
+  recordFailure() {
+    this.successRate = this._ewma(this.successRate, 0);
+    this.failures++;
+  }
+
+  /**
+   * 0-100: success ratio × bandwidth factor × latency factor
+   */
+  score() {
+    const rtt = this.rtt ?? UNMEASURED_RTT_MS;
+    const throughput = this.throughput ?? UNMEASURED_THROUGHPUT;
+
+    const bandwidth = throughput / (throughput + THROUGHPUT_HALF_SCORE);
+    const latency = RTT_HALF_SCORE / (RTT_HALF_SCORE + rtt);
+
+    return Math.round(100 * this.successRate * bandwidth * latency);
+  }
+}
+
+/**
+ * Match id a room belongs to: `match_42` and `match_42:<anything>` → '42'.
+ * Returns null for rooms that are not match rooms.
+ */
+export function getRoomMatchId(roomId) {
+  if (typeof roomId !== 'string') return null;
+  const m = /^match_([^:]+)(?::.*)?$/.exec(roomId);
+  return m ? m[1] : null;
+}
+
+/**
+ * Swarm key for a match, stream link and rendition, e.g. `match_42:link1:720p`.
+ * Viewers only exchange segments with peers playing the same key.
+ */
+export function buildRoomKey({ matchId, link = null, rendition = null }) {
+  return [`match_${matchId}`, link, rendition]
+    .filter(part => part !== null && part !== undefined && part !== '')
+    .map(part => String(part).replace(/:/g, '_'))
+    .join(':');
+}
+
+/**
+ * Sub-swarm of a room key assigned by the tracker: `match_42:link1:720p:s0`
+ */
+export function getShardRoomId(roomKey, shard) {
+  return `${roomKey}:s${shard}`;
+}
+
+/**
+ * Rendition id for a hls.js level: its height (`720p`), else its index (`l2`)
+ */
+export function getRenditionId(level, index) {
+  return level?.height ? `${level.height}p` : `l${index}`;
+}
+
+/**
+ * Hex SHA-256 of an ArrayBuffer / typed array (Web Crypto: browsers, edge, Node 20+)
+ */
+export async function sha256Hex(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * URLs of the `count` fragments after sequence number `sn` in a hls.js
+ * level's `details.fragments`, in playback order.
+ */
+export function getUpcomingFragmentUrls(fragments, sn, count) {
+  if (!Array.isArray(fragments) || !Number.isFinite(sn) || count <= 0) return [];
+  return fragments
+    .filter(frag => Number.isFinite(frag?.sn) && frag.sn > sn && frag.url)
+    .sort((a, b) => a.sn - b.sn)
+    .slice(0, count)
+    .map(frag => frag.url);
+}
+
 export default {
   OfferBackoffManager,
   SimpleEmitter,
+  TokenBucket,
+  PeerStats,
+  getRoomMatchId,
+  buildRoomKey,
+  getShardRoomId,
+  getRenditionId,
+  sha256Hex,
+  getUpcomingFragmentUrls,
 };
@@ -0,0 +1,97 @@
+/**
+ * 🚦 Rate Limiting (server-only)
+ *
+ * Upstash sliding-window limiters shared by API routes. When
+ * UPSTASH_REDIS_REST_URL / _TOKEN are not set (local dev), a per-instance
+ * in-memory fixed window is used instead so routes keep working.
+ */
+
+import { Ratelimit } from '@upstash/ratelimit';
+import { Redis } from '@upstash/redis';
+
+const redisUrl = process.env.UPSTASH_REDIS_REST_URL;
+const redisToken = process.env.UPSTASH_REDIS_REST_TOKEN;
+
+export const redis = redisUrl && redisToken
+  ? new Redis({ url: redisUrl, token: redisToken })
+  : null;
+
+const limiters = new Map();
+const memoryWindows = new Map();
+
+const UNIT_MS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+function windowToMs(window) {
+  const match = /^(\d+)\s*(ms|s|m|h|d)$/.exec(window.trim());
+  if (!match) throw new Error(`Invalid rate limit window: ${window}`);
+  return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+function getLimiter(name, limit, window) {
+  const key = `${name}:${limit}:${window}`;
+  if (!limiters.has(key)) {
+    limiters.set(key, new Ratelimit({
+      redis,
+      limiter: Ratelimit.slidingWindow(limit, window),
+      prefix: `ratelimit:${name}`,
+    }));
+  }
+  return limiters.get(key);
+}
+
+function limitInMemory(name, identifier, limit, window) {
+  const now = Date.now();
+  const windowMs = windowToMs(window);
+  const key = `${name}:${identifier}`;
+
+  let entry = memoryWindows.get(key);
+  if (!entry || now >= entry.reset) {
+    entry = { count: 0, reset: now + windowMs };
+    memoryWindows.set(key, entry);
+  }
+
+  entry.count++;
+
+  // Keep the map bounded in long-running dev servers
+  if (memoryWindows.size > 10000) {
+    for (const [k, v] of memoryWindows) {
+      if (now >= v.reset) memoryWindows.delete(k);
+    }
+  }
+
+  return {
+    success: entry.count <= limit,
+    remaining: Math.max(0, limit - entry.count),
+    reset: entry.reset,
+  };
+}
+
+/**
+ * Count one request for `identifier` against the `name` bucket.
+ * @returns {Promise<{ success: boolean, remaining: number, reset: number }>}
+ */
+export async function rateLimit(name, identifier, { limit, window }) {
+  if (!redis) {
+    return limitInMemory(name, identifier, limit, window);
+  }
+
+  const { success, remaining, reset } = await getLimiter(name, limit, window).limit(identifier);
+  return { success, remaining, reset };
+}
+
+/**
+ * Client IP for rate limits and lockouts.
+ * Cloudflare sets `cf-connecting-ip` itself. In `x-forwarded-for` only the
+ * last hop was appended by our proxy; earlier entries come from the client
+ * and can be anything.
+ */
+export function getClientIp(request) {
+  const cfIp = request.headers.get('cf-connecting-ip');
+  if (cfIp) return cfIp.trim();
+
+  const forwarded = request.headers.get('x-forwarded-for');
+  const lastHop = forwarded?.split(',').map(ip => ip.trim()).filter(Boolean).pop();
+  if (lastHop) return lastHop;
+
+  return request.headers.get('x-real-ip') || '127.0.0.1';
+}
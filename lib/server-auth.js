@@ -0,0 +1,221 @@
+/**
+ * 🔐 Admin Auth (server-only)
+ *
+ * One admin token format for every protected API route:
+ *
+ *   v3.base64url(JSON { sub: username, uid, role, sid, iat, exp }).base64url(HMAC-SHA256)
+ *
+ * Access tokens are short-lived and tied to a login session (`sid`, see
+ * lib/admin-sessions.js); a logged-out session's tokens stop verifying.
+ *
+ * The signature covers the version prefix too, so a token can never be
+ * replayed under another version. Unknown versions are rejected; bump
+ * ADMIN_TOKEN_VERSION when the claims change. Uses Web Crypto only
+ * (edge runtime and Node 20+); crypto.subtle.verify compares in constant time.
+ */
+
+import { NextResponse } from 'next/server.js';
+import { hasPermission, isAdminRole } from './admin-users.js';
+import { ACCESS_TOKEN_TTL_MS, REFRESH_TOKEN_TTL_MS, adminSessions } from './admin-sessions.js';
+
+// v2 added `uid` and `role` (lib/admin-users.js), v3 the session id `sid`
+export const ADMIN_TOKEN_VERSION = 'v3';
+export const ADMIN_TOKEN_TTL_SECONDS = ACCESS_TOKEN_TTL_MS / 1000;
+export const ADMIN_COOKIE = 'adminToken';
+export const ADMIN_REFRESH_COOKIE = 'adminRefresh';
+export const TWO_FACTOR_CHALLENGE_VERSION = 'mfa1';
+export const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+function getAdminSecret() {
+  return process.env.ADMIN_TOKEN_SECRET
+    || process.env.TOKEN_SECRET_KEY
+    || null;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const padded = str.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((str.length + 3) % 4);
+  const binary = atob(padded);
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+async function getKey(secret) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+// Sign `<version>.<base64url claims>`; the version prefix is signed too
+async function signClaims(version, claims) {
+  const secret = getAdminSecret();
+  if (!secret) throw new Error('Admin token secret not configured');
+
+  const signed = `${version}.${toBase64Url(new TextEncoder().encode(JSON.stringify(claims)))}`;
+  const key = await getKey(secret);
+  const sig = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(signed));
+  return `${signed}.${toBase64Url(new Uint8Array(sig))}`;
+}
+
+// Claims of a token with this exact version, valid signature and unexpired `exp`
+async function readClaims(token, version) {
+  const secret = getAdminSecret();
+  if (!secret || typeof token !== 'string') return null;
+
+  const [tokenVersion, body, sig, extra] = token.split('.');
+  if (tokenVersion !== version || !body || !sig || extra !== undefined) return null;
+
+  try {
+    const key = await getKey(secret);
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      fromBase64Url(sig),
+      new TextEncoder().encode(`${version}.${body}`)
+    );
+    if (!valid) return null;
+
+    const claims = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+    if (typeof claims.sub !== 'string' || !isAdminRole(claims.role)) return null;
+    if (!Number.isFinite(claims.iat) || !Number.isFinite(claims.exp)) return null;
+
+    const now = Date.now();
+    if (now >= claims.exp || claims.iat > now + 60000) return null;
+
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Sign an admin token for an authenticated admin user
+ * @returns {Promise<{ token: string, expiresAt: number }>}
+ */
+export async function issueAdminToken({ userId, username, role, sessionId, ttlSeconds = ADMIN_TOKEN_TTL_SECONDS }) {
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + ttlSeconds * 1000;
+  const token = await signClaims(ADMIN_TOKEN_VERSION, {
+    sub: username, uid: userId, role, sid: sessionId, iat: issuedAt, exp: expiresAt,
+  });
+  return { token, expiresAt };
+}
+
+/**
+ * Verify version, signature, expiry and that the session was not logged out
+ * @returns {Promise<{ userId: string, username: string, role: string, sessionId: string,
+ *   issuedAt: number, expiresAt: number } | null>}
+ */
+export async function verifyAdminToken(token) {
+  const claims = await readClaims(token, ADMIN_TOKEN_VERSION);
+  if (!claims || typeof claims.sid !== 'string') return null;
+
+  const admin = {
+    userId: claims.uid,
+    username: claims.sub,
+    role: claims.role,
+    sessionId: claims.sid,
+    issuedAt: claims.iat,
+    expiresAt: claims.exp,
+  };
+
+  try {
+    if (await adminSessions.isRevoked(admin)) return null;
+  } catch (e) {
+    console.warn('[Admin Auth] Revocation check failed:', e.message);
+    return null;
+  }
+  return admin;
+}
+
+/**
+ * Short-lived proof that the password step passed for an admin with 2FA.
+ * Its own version prefix, so it is never accepted as an access token.
+ * @returns {Promise<{ challenge: string, expiresAt: number }>}
+ */
+export async function issueTwoFactorChallenge({ userId, username, role }) {
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + TWO_FACTOR_CHALLENGE_TTL_SECONDS * 1000;
+  const challenge = await signClaims(TWO_FACTOR_CHALLENGE_VERSION, {
+    sub: username, uid: userId, role, iat: issuedAt, exp: expiresAt,
+  });
+  return { challenge, expiresAt };
+}
+
+/**
+ * @returns {Promise<{ userId: string, username: string, role: string } | null>}
+ */
+export async function verifyTwoFactorChallenge(challenge) {
+  const claims = await readClaims(challenge, TWO_FACTOR_CHALLENGE_VERSION);
+  return claims ? { userId: claims.uid, username: claims.sub, role: claims.role } : null;
+}
+
+/**
+ * Token from `Authorization: Bearer <token>` or the httpOnly admin cookie
+ */
+export function getAdminTokenFromRequest(request) {
+  const authHeader = request.headers.get('authorization');
+  if (authHeader?.startsWith('Bearer ')) {
+    return authHeader.slice(7);
+  }
+  return request.cookies?.get(ADMIN_COOKIE)?.value || null;
+}
+
+/**
+ * Cookie options for the admin token (same lifetime as the token)
+ */
+export function adminCookieOptions(maxAge = ADMIN_TOKEN_TTL_SECONDS) {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge,
+    path: '/',
+  };
+}
+
+/**
+ * Cookie options for the refresh token: only sent to the auth routes
+ */
+export function refreshCookieOptions(maxAge = REFRESH_TOKEN_TTL_MS / 1000) {
+  return { ...adminCookieOptions(maxAge), path: '/api/auth' };
+}
+
+/**
+ * Set (or with `null` tokens, clear) both admin cookies on a response
+ */
+export function setAdminCookies(response, { accessToken = null, refreshToken = null } = {}) {
+  response.cookies.set(ADMIN_COOKIE, accessToken || '', adminCookieOptions(accessToken ? undefined : 0));
+  response.cookies.set(ADMIN_REFRESH_COOKIE, refreshToken || '', refreshCookieOptions(refreshToken ? undefined : 0));
+  return response;
+}
+
+/**
+ * Route wrapper: 401 unless the request carries a valid admin token, 403 when
+ * `permission` is set and the admin's role lacks it.
+ * The handler gets `context.admin` ({ userId, username, role, sessionId, issuedAt, expiresAt }).
+ *
+ *   export const POST = withAdmin(async (request, { admin }) => { ... }, {
+ *     permission: PERMISSIONS.MATCHES_CREATE,
+ *   });
+ */
+export function withAdmin(handler, { permission = null } = {}) {
+  return async (request, context = {}) => {
+    const admin = await verifyAdminToken(getAdminTokenFromRequest(request));
+    if (!admin) {
+      return NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+    }
+    if (permission && !hasPermission(admin.role, permission)) {
+      return NextResponse.json({ success: false, error: 'Forbidden' }, { status: 403 });
+    }
+    return handler(request, { ...context, admin });
+  };
+}
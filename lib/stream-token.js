@@ -0,0 +1,55 @@
+/**
+ * 🎟️ Stream Tokens (server-only)
+ *
+ * Signs worker stream URLs. The worker checks
+ *   token = hex(HMAC-SHA256(TOKEN_SECRET_KEY, `${match}:${link}:${ts}`))
+ * and rejects tokens older than 30 minutes, so the secret must be the same
+ * one the worker has (`wrangler secret put TOKEN_SECRET_KEY`).
+ *
+ * Browsers get tokens from POST /api/stream-token and never see the secret.
+ */
+
+export const STREAM_TOKEN_TTL_MS = 30 * 60 * 1000;
+export const STREAM_LINKS = ['link1', 'link2', 'link3'];
+
+function getStreamSecret() {
+  return process.env.TOKEN_SECRET_KEY || null;
+}
+
+export function isStreamTokenConfigured() {
+  return !!getStreamSecret();
+}
+
+/**
+ * Sign `match:link:ts` for the worker
+ * @returns {Promise<{ token: string, ts: string, expiresAt: number }>}
+ */
+export async function signStreamToken({ matchId, linkId, now = Date.now() }) {
+  const secret = getStreamSecret();
+  if (!secret) throw new Error('Stream token secret not configured');
+
+  const ts = String(now);
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const sig = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${matchId}:${linkId}:${ts}`));
+  const token = Array.from(new Uint8Array(sig), (b) => b.toString(16).padStart(2, '0')).join('');
+
+  return { token, ts, expiresAt: now + STREAM_TOKEN_TTL_MS };
+}
+
+/**
+ * Worker URL with `match`, `link`, `ts` and `token` params
+ */
+export function buildStreamUrl(baseUrl, { matchId, linkId, ts, token }) {
+  const url = new URL(baseUrl);
+  url.searchParams.set('match', String(matchId));
+  url.searchParams.set('link', linkId);
+  url.searchParams.set('ts', ts);
+  url.searchParams.set('token', token);
+  return url.toString();
+}
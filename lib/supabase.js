@@ -194,6 +194,7 @@ export async function createMatch(matchData) {
 
 /**
  * Update match
+ * Returns the row before the update as `previous` (audit log)
  */
 export async function updateMatch(id, matchData) {
   if (!supabaseAdmin) {
@@ -203,6 +204,12 @@ export async function updateMatch(id, matchData) {
   try {
     // Sanitize input
     const sanitized = sanitizeMatchData(matchData);
+
+    const { data: previous } = await supabaseAdmin
+      .from('matches')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
     
     const { data, error } = await supabaseAdmin
       .from('matches')
@@ -219,7 +226,7 @@ export async function updateMatch(id, matchData) {
     // Clear cache
     matchesCache.clear();
 
-    return { success: true, data };
+    return { success: true, data, previous: previous || null };
   } catch (error) {
     console.error('Update match exception:', error);
     return { success: false, error: error.message };
@@ -228,6 +235,7 @@ export async function updateMatch(id, matchData) {
 
 /**
  * Delete match
+ * Returns the deleted row as `previous` (audit log), null if there was none
  */
 export async function deleteMatch(id) {
   if (!supabaseAdmin) {
@@ -235,10 +243,11 @@ export async function deleteMatch(id) {
   }
 
   try {
-    const { error } = await supabaseAdmin
+    const { data, error } = await supabaseAdmin
       .from('matches')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .select();
 
     if (error) {
       console.error('Delete match error:', error);
@@ -248,7 +257,7 @@ export async function deleteMatch(id) {
     // Clear cache
     matchesCache.clear();
 
-    return { success: true };
+    return { success: true, previous: data?.[0] || null };
   } catch (error) {
     console.error('Delete match exception:', error);
     return { success: false, error: error.message };
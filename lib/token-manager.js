@@ -5,9 +5,10 @@
  * ✅ Token expiring check FIXED (tidak aggressive)
  * ✅ Cache management lebih baik
  * ✅ Auto-refresh hanya saat benar-benar perlu
+ * ✅ Token ditandatangani server (POST /api/stream-token), secret tidak ada di browser
  */
 
-const TOKEN_SECRET = process.env.NEXT_PUBLIC_TOKEN_SECRET || "teskunci123";
+const STREAM_TOKEN_ENDPOINT = "/api/stream-token";
 const WORKER_URL = process.env.NEXT_PUBLIC_WORKER_URL;
 
 // ✅ FIX: Sinkron dengan streaming-constants!
@@ -18,59 +19,37 @@ const TOKEN_EXPIRING_THRESHOLD = 180000;    // ✅ 3 menit sebelum expired (buka
 const tokenCache = new Map();
 
 /**
- * Generate HMAC-SHA256 signature
+ * Ask the server to sign `match:link:ts` for the worker
  */
-async function generateHMAC(data, secret) {
-  if (typeof crypto !== "undefined" && crypto.subtle) {
-    try {
-      const encoder = new TextEncoder();
-      const keyData = encoder.encode(secret);
-
-      const key = await crypto.subtle.importKey(
-        "raw",
-        keyData,
-        { name: "HMAC", hash: "SHA-256" },
-        false,
-        ["sign"]
-      );
-
-      const signature = await crypto.subtle.sign(
-        "HMAC",
-        key,
-        encoder.encode(data)
-      );
-
-      const hexSignature = Array.from(new Uint8Array(signature))
-        .map((b) => b.toString(16).padStart(2, "0"))
-        .join("");
-
-      return hexSignature;
-    } catch (e) {
-      console.warn("⚠️ Crypto.subtle failed:", e.message);
-    }
+async function requestStreamToken(matchId, linkId) {
+  const response = await fetch(STREAM_TOKEN_ENDPOINT, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ match_id: matchId, link_id: linkId }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) {
+    throw new Error(`Token request failed (${response.status}): ${data.error || "unknown error"}`);
   }
 
-  return generateHMACFallback(data, secret);
+  return { token: data.token, ts: data.ts };
 }
 
 /**
- * Fallback HMAC for localhost/non-HTTPS
+ * Fetch and cache a fresh token
  */
-function generateHMACFallback(data, secret) {
-  const combined = `${secret}:${data}`;
-  let hash = 0;
-
-  for (let i = 0; i < combined.length; i++) {
-    const char = combined.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
+async function issueToken(matchId, linkId) {
+  const { token, ts } = await requestStreamToken(matchId, linkId);
 
-  const hexPart = Math.abs(hash).toString(16).padStart(8, '0');
-  const timePart = Date.now().toString(16).padStart(12, '0');
-  const randomPart = Math.random().toString(16).substring(2, 46);
-  
-  return (hexPart + timePart + randomPart).substring(0, 64);
+  tokenCache.set(getCacheKey(matchId, linkId), {
+    token,
+    ts,
+    createdAt: Date.now(),
+    expiresAt: parseInt(ts) + TOKEN_VALIDITY_DURATION,
+  });
+
+  return { token, ts };
 }
 
 /**
@@ -131,20 +110,10 @@ export async function createSecureStreamUrl(baseUrl, matchId, linkId = "link1")
   }
 
   try {
-    // Generate new token
-    const timestamp = Date.now().toString();
-    const dataToSign = `${matchId}:${linkId}:${timestamp}`;
-    const token = await generateHMAC(dataToSign, TOKEN_SECRET);
-
-    // Cache token
-    tokenCache.set(cacheKey, {
-      token,
-      ts: timestamp,
-      createdAt: Date.now(),
-      expiresAt: Date.now() + TOKEN_VALIDITY_DURATION,
-    });
+    // Get new token from server
+    const { token, ts } = await issueToken(matchId, linkId);
 
-    const url = buildUrl(baseUrl, matchId, linkId, timestamp, token);
+    const url = buildUrl(baseUrl, matchId, linkId, ts, token);
 
     console.log("🔐 New token generated:", {
       matchId,
@@ -181,22 +150,12 @@ export async function refreshToken(matchId, linkId = "link1") {
   // Clear old token
   tokenCache.delete(cacheKey);
   
-  // Generate new token
-  const timestamp = Date.now().toString();
-  const dataToSign = `${matchId}:${linkId}:${timestamp}`;
-  const token = await generateHMAC(dataToSign, TOKEN_SECRET);
-
-  // Cache new token
-  tokenCache.set(cacheKey, {
-    token,
-    ts: timestamp,
-    createdAt: Date.now(),
-    expiresAt: Date.now() + TOKEN_VALIDITY_DURATION,
-  });
+  // Get new token from server
+  const { token, ts } = await issueToken(matchId, linkId);
 
   console.log("🔄 Token refreshed:", { matchId, linkId });
 
-  return { token, ts: timestamp };
+  return { token, ts };
 }
 
 /**
@@ -249,28 +208,6 @@ export function shouldRefreshToken(matchId, linkId = "link1") {
   return info.isExpired || info.isExpiringSoon;
 }
 
-/**
- * Verify token (client-side check)
- */
-export async function verifyToken(matchId, linkId, timestamp, token) {
-  try {
-    const dataToSign = `${matchId}:${linkId}:${timestamp}`;
-    const expectedToken = await generateHMAC(dataToSign, TOKEN_SECRET);
-
-    if (token.length !== expectedToken.length) return false;
-
-    let mismatch = 0;
-    for (let i = 0; i < token.length; i++) {
-      mismatch |= token.charCodeAt(i) ^ expectedToken.charCodeAt(i);
-    }
-
-    return mismatch === 0;
-  } catch (error) {
-    console.error("Token verification error:", error);
-    return false;
-  }
-}
-
 /**
  * Get token expiry time in seconds
  */
@@ -331,7 +268,7 @@ if (typeof window !== 'undefined' && process.env.NODE_ENV === 'development') {
     expiringThreshold: `${TOKEN_EXPIRING_THRESHOLD / 60000} minutes before expiry`,
     effectiveValidityWithBuffer: `${(TOKEN_VALIDITY_DURATION - TOKEN_EXPIRING_THRESHOLD) / 60000} minutes`,
     workerUrl: WORKER_URL || 'NOT SET',
-    secretConfigured: TOKEN_SECRET !== 'teskunci123',
+    tokenEndpoint: STREAM_TOKEN_ENDPOINT,
   });
 }
 
@@ -341,7 +278,6 @@ export default {
   clearTokenCache,
   getTokenInfo,
   shouldRefreshToken,
-  verifyToken,
   getTokenExpirySeconds,
   getTokenValidityDuration,
   getStreamHeaders,
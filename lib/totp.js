@@ -0,0 +1,163 @@
+/**
+ * ⏱️ TOTP (RFC 6238) on Web Crypto
+ *
+ * 6-digit codes, 30-second steps, HMAC-SHA1: what Google Authenticator,
+ * Authy, 1Password etc. expect from an `otpauth://` URI. Works on the edge
+ * runtime and in Node 20+.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+// ========== BASE32 ==========
+
+export function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+export function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+      value &= (1 << bits) - 1;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+// ========== CODES ==========
+
+/**
+ * New random secret (160 bits, base32)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+}
+
+async function hotp(secret, counter, digits) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    base32Decode(secret),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+
+  const message = new DataView(new ArrayBuffer(8));
+  message.setUint32(0, Math.floor(counter / 2 ** 32));
+  message.setUint32(4, counter >>> 0);
+
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+  const offset = mac[mac.length - 1] & 0x0f;
+  const binary = ((mac[offset] & 0x7f) << 24)
+    | (mac[offset + 1] << 16)
+    | (mac[offset + 2] << 8)
+    | mac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+export function totpCounter(now = Date.now(), step = TOTP_STEP_SECONDS) {
+  return Math.floor(now / 1000 / step);
+}
+
+/**
+ * Code for `secret` at time `now`
+ */
+export async function totpCode(secret, { now = Date.now(), step = TOTP_STEP_SECONDS, digits = TOTP_DIGITS } = {}) {
+  return hotp(secret, totpCounter(now, step), digits);
+}
+
+/**
+ * Check a code, allowing `window` steps of clock drift either way.
+ * Counters at or below `afterCounter` are refused, so a code cannot be replayed.
+ * @returns {Promise<number | null>} the matching counter
+ */
+export async function verifyTotp(secret, code, {
+  now = Date.now(),
+  window = 1,
+  afterCounter = -1,
+  step = TOTP_STEP_SECONDS,
+  digits = TOTP_DIGITS,
+} = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!secret || candidate.length !== digits || !/^\d+$/.test(candidate)) return null;
+
+  const current = totpCounter(now, step);
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (counter <= afterCounter) continue;
+
+    const expected = await hotp(secret, counter, digits);
+    let mismatch = 0;
+    for (let i = 0; i < digits; i++) {
+      mismatch |= expected.charCodeAt(i) ^ candidate.charCodeAt(i);
+    }
+    if (mismatch === 0) return counter;
+  }
+  return null;
+}
+
+/**
+ * `otpauth://` URI for authenticator apps (scan as QR or open on the phone)
+ */
+export function buildOtpauthUri({ secret, account, issuer = 'TitikBola' }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// ========== RECOVERY CODES ==========
+
+export function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * One-time recovery codes like `k3j9x-p2m7q`
+ */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.getRandomValues(new Uint8Array(7))).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * SHA-256 (hex) of a normalized recovery code; only hashes are stored
+ */
+export async function hashRecoveryCode(code) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalizeRecoveryCode(code)));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,76 @@
+/**
+ * 🔁 ICE server list with short-lived TURN credentials (server-only)
+ *
+ * Uses the coturn REST API scheme (`use-auth-secret` / `static-auth-secret`):
+ *   username   = `${expiryUnixSeconds}:${userId}`
+ *   credential = base64(HMAC-SHA1(TURN_SECRET, username))
+ * coturn recomputes the HMAC and rejects the username once the expiry passes.
+ * Web Crypto only (edge runtime and Node 20+).
+ */
+
+export const TURN_CREDENTIAL_TTL_SECONDS = Number(process.env.TURN_TTL_SECONDS) || 60 * 60;
+
+const DEFAULT_STUN_URLS = [
+  'stun:stun.l.google.com:19302',
+  'stun:stun1.l.google.com:19302',
+];
+
+function parseUrls(value) {
+  return (value || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+export function isTurnConfigured() {
+  return !!process.env.TURN_SECRET && parseUrls(process.env.TURN_URLS).length > 0;
+}
+
+/**
+ * coturn REST credential for `userId`, valid for `ttlSeconds`
+ * @returns {Promise<{ username: string, credential: string, expiresAt: number }>}
+ */
+export async function createTurnCredential(userId, { secret = process.env.TURN_SECRET, ttlSeconds = TURN_CREDENTIAL_TTL_SECONDS, now = Date.now() } = {}) {
+  if (!secret) throw new Error('TURN secret not configured');
+
+  const expiresAt = now + ttlSeconds * 1000;
+  const username = `${Math.floor(expiresAt / 1000)}:${userId}`;
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+  const sig = new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(username)));
+
+  let binary = '';
+  for (const b of sig) binary += String.fromCharCode(b);
+
+  return { username, credential: btoa(binary), expiresAt };
+}
+
+/**
+ * RTCPeerConnection `iceServers`: STUN always, TURN only when `userId` is
+ * given and TURN is configured (relays cost bandwidth, so callers pass a
+ * verified identity).
+ * @returns {Promise<{ iceServers: object[], expiresAt: number | null }>}
+ */
+export async function getIceServers(userId = null) {
+  const stunUrls = parseUrls(process.env.STUN_URLS);
+  const iceServers = [{ urls: stunUrls.length > 0 ? stunUrls : DEFAULT_STUN_URLS }];
+
+  if (!userId || !isTurnConfigured()) {
+    return { iceServers, expiresAt: null };
+  }
+
+  const { username, credential, expiresAt } = await createTurnCredential(userId);
+  iceServers.push({
+    urls: parseUrls(process.env.TURN_URLS),
+    username,
+    credential,
+  });
+
+  return { iceServers, expiresAt };
+}
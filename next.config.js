@@ -1,3 +1,5 @@
+const { assertNoPublicSecrets } = require('./scripts/check-public-env');
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   images: {
@@ -12,9 +14,6 @@ const nextConfig = {
     NEXT_PUBLIC_SUPABASE_URL: process.env.NEXT_PUBLIC_SUPABASE_URL,
     NEXT_PUBLIC_SUPABASE_ANON_KEY: process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
     NEXT_PUBLIC_WORKER_URL: process.env.NEXT_PUBLIC_WORKER_URL,
-    NEXT_PUBLIC_TOKEN_SECRET: process.env.NEXT_PUBLIC_TOKEN_SECRET,
-    NEXT_PUBLIC_ADMIN_USERNAME: process.env.NEXT_PUBLIC_ADMIN_USERNAME || 'admin',
-    NEXT_PUBLIC_ADMIN_PASSWORD: process.env.NEXT_PUBLIC_ADMIN_PASSWORD || '123',
   },
 
   webpack: (config, { isServer }) => {
@@ -32,4 +31,7 @@ const nextConfig = {
   },
 };
 
+// Fail the build if a secret would end up in the client bundle
+assertNoPublicSecrets(process.env, nextConfig.env);
+
 module.exports = nextConfig;
@@ -0,0 +1,32 @@
+/**
+ * 🛑 Public env guard (used by next.config.js)
+ *
+ * Every NEXT_PUBLIC_* variable is inlined into the browser bundle. A name
+ * that looks like a secret there is a leak, so the build fails instead.
+ * Secrets belong in server-only variables (TOKEN_SECRET_KEY, ADMIN_PASSWORD, ...).
+ */
+
+const SECRET_NAME = /SECRET|PASSWORD|PASSWD|PRIVATE|SERVICE_ROLE|CREDENTIAL/i;
+
+/**
+ * Names of public variables that look like secrets
+ * @param {string[]} names
+ */
+function findExposedSecrets(names) {
+  return names.filter(name => name.startsWith('NEXT_PUBLIC_') && SECRET_NAME.test(name));
+}
+
+/**
+ * Throw when `process.env` or the config's `env` block exposes a secret
+ */
+function assertNoPublicSecrets(env = process.env, configEnv = {}) {
+  const exposed = findExposedSecrets([...new Set([...Object.keys(env), ...Object.keys(configEnv)])]);
+  if (exposed.length > 0) {
+    throw new Error(
+      `Secret-like variables would be exposed to the browser: ${exposed.join(', ')}. ` +
+      'Rename them without the NEXT_PUBLIC_ prefix and read them in server code only.'
+    );
+  }
+}
+
+module.exports = { findExposedSecrets, assertNoPublicSecrets };
@@ -0,0 +1,17 @@
+/**
+ * Print a password hash for the `admin_users` table
+ *
+ *   npm run admin:hash-password -- '<password>'
+ */
+
+const { hashPassword } = require('../lib/admin-users.js');
+
+const password = process.argv[2];
+if (!password) {
+  console.error("Usage: npm run admin:hash-password -- '<password>'");
+  process.exit(1);
+}
+
+hashPassword(password).then((hash) => {
+  console.log(hash);
+});
@@ -0,0 +1,145 @@
+/**
+ * Local WebSocket signaling server for P2P development and tests.
+ *
+ *   node ./scripts/p2p-signal-server.js            # listens on :8787
+ *   P2P_WS_PORT=9000 node ./scripts/p2p-signal-server.js
+ *
+ * Point the app at it with NEXT_PUBLIC_P2P_WS_URL=ws://localhost:8787.
+ * Clients connect with ?room_id=...&peer=...&ticket=... and send the same
+ * JSON body as POST /api/p2p-signal; messages are relayed to `to_peer` or
+ * broadcast to the rest of the room. When P2P_TICKET_SECRET or
+ * TOKEN_SECRET_KEY is set, the peer ticket is verified like the REST routes do.
+ */
+
+const { WebSocketServer } = require('ws');
+
+const VALID_TYPES = ['announce', 'offer', 'answer', 'ice-candidate', 'candidate', 'bye', 'join', 'leave'];
+
+/**
+ * Ticket check backed by lib/p2p-ticket.js (same secret as the Next routes)
+ */
+function createTicketVerifier() {
+  const { verifyPeerTicket, ticketAllowsRoom } = require('../lib/p2p-ticket.js');
+  return async (ticket, roomId, peerId) => {
+    const claims = await verifyPeerTicket(ticket);
+    return !!claims && claims.peerId === peerId && ticketAllowsRoom(claims, roomId);
+  };
+}
+
+function createSignalServer({ port = 8787, host, log = console.log, verifyTicket = null } = {}) {
+  const wss = new WebSocketServer({
+    port,
+    host,
+    verifyClient: verifyTicket
+      ? (info, done) => {
+        const { searchParams } = new URL(info.req.url, 'http://localhost');
+        verifyTicket(searchParams.get('ticket'), searchParams.get('room_id'), searchParams.get('peer'))
+          .then((ok) => done(ok, 401, 'Invalid or expired peer ticket'))
+          .catch(() => done(false, 401));
+      }
+      : undefined,
+  });
+  const rooms = new Map(); // room_id -> Map(peer -> socket)
+
+  function leave(roomId, peerId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    room.delete(peerId);
+    if (room.size === 0) rooms.delete(roomId);
+  }
+
+  function relay(roomId, signal) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    const data = JSON.stringify(signal);
+
+    if (signal.to_peer) {
+      const target = room.get(signal.to_peer);
+      if (target && target.readyState === 1) target.send(data);
+      return;
+    }
+
+    for (const [peerId, socket] of room) {
+      if (peerId !== signal.from_peer && socket.readyState === 1) {
+        socket.send(data);
+      }
+    }
+  }
+
+  wss.on('connection', (socket, request) => {
+    const { searchParams } = new URL(request.url, 'http://localhost');
+    const roomId = searchParams.get('room_id');
+    const peerId = searchParams.get('peer');
+
+    if (!roomId || !peerId) {
+      socket.close(1008, 'room_id dan peer required');
+      return;
+    }
+
+    if (!rooms.has(roomId)) rooms.set(roomId, new Map());
+    const room = rooms.get(roomId);
+
+    // A reconnecting peer replaces its stale socket
+    const previous = room.get(peerId);
+    if (previous && previous !== socket) previous.close(1000, 'replaced');
+    room.set(peerId, socket);
+
+    log(`[WS Signal] ${peerId} joined ${roomId} (${room.size} peers)`);
+
+    socket.on('message', (raw) => {
+      let body;
+      try {
+        body = JSON.parse(raw.toString());
+      } catch (e) {
+        return;
+      }
+
+      if (!VALID_TYPES.includes(body.type)) return;
+
+      relay(roomId, {
+        id: `${roomId}:${peerId}:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`,
+        room_id: roomId,
+        // Sender identity comes from the connection, not the message
+        from_peer: peerId,
+        to_peer: body.to_peer || null,
+        type: body.type,
+        payload: body.payload || {},
+        created_at: new Date().toISOString(),
+      });
+    });
+
+    socket.on('close', () => {
+      if (room.get(peerId) === socket) {
+        leave(roomId, peerId);
+        log(`[WS Signal] ${peerId} left ${roomId}`);
+      }
+    });
+  });
+
+  return {
+    wss,
+    rooms,
+    ready: new Promise((resolve) => wss.once('listening', resolve)),
+    get port() {
+      return wss.address().port;
+    },
+    close() {
+      for (const client of wss.clients) client.terminate();
+      return new Promise((resolve) => wss.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { createSignalServer, createTicketVerifier };
+
+if (require.main === module) {
+  const port = Number(process.env.P2P_WS_PORT) || 8787;
+  const secured = !!(process.env.P2P_TICKET_SECRET || process.env.TOKEN_SECRET_KEY);
+  const server = createSignalServer({
+    port,
+    verifyTicket: secured ? createTicketVerifier() : null,
+  });
+  if (!secured) console.warn('⚠️ No ticket secret set, accepting any peer id');
+  server.ready.then(() => console.log(`📶 P2P signaling server on ws://localhost:${server.port}`));
+}
@@ -0,0 +1,818 @@
+/**
+ * Deterministic P2P simulation harness for Node tests.
+ *
+ * Runs several real P2PEngine instances in one process on top of:
+ *   - FakeClock: replaces setTimeout/setInterval/Date.now/performance.now,
+ *     time only moves on `clock.tick(ms)`
+ *   - FakeNetwork: RTCPeerConnection / RTCDataChannel stand-ins with
+ *     latency, optional bandwidth and SCTP-like buffering
+ *   - MemorySignalingHub: in-memory signaling transport (same interface
+ *     as lib/p2p-signaling.js), with per-signal latency for reordering
+ *   - FakeCDN: global fetch() serving generated segments, counts requests
+ *   - MemoryBroadcastHub: BroadcastChannel stand-in for tabs of one browser
+ *
+ *   const sim = await createSimulation({ peers: ['peer_a', 'peer_b'] });
+ *   await sim.run(2000);
+ *   ...
+ *   await sim.destroy();
+ *
+ * Only engine-internal async work that is not timer based (Web Crypto
+ * hashing) runs on the real event loop; `tick` lets it settle between
+ * timers so runs stay reproducible.
+ */
+
+const realSetTimeout = setTimeout;
+
+// ========== CLOCK ==========
+
+class FakeClock {
+  constructor(start = 1700000000000) {
+    this.start = start;
+    this.now = start;
+    this.timers = new Map();
+    this.nextId = 1;
+    this.originals = null;
+  }
+
+  install() {
+    if (this.originals) return;
+
+    this.originals = {
+      setTimeout: global.setTimeout,
+      clearTimeout: global.clearTimeout,
+      setInterval: global.setInterval,
+      clearInterval: global.clearInterval,
+      dateNow: Date.now,
+      performanceNow: performance.now,
+    };
+
+    global.setTimeout = (fn, ms, ...args) => this.setTimeout(fn, ms, ...args);
+    global.clearTimeout = (id) => this.clear(id);
+    global.setInterval = (fn, ms, ...args) => this.setInterval(fn, ms, ...args);
+    global.clearInterval = (id) => this.clear(id);
+    Date.now = () => this.now;
+    performance.now = () => this.now - this.start;
+  }
+
+  uninstall() {
+    if (!this.originals) return;
+
+    global.setTimeout = this.originals.setTimeout;
+    global.clearTimeout = this.originals.clearTimeout;
+    global.setInterval = this.originals.setInterval;
+    global.clearInterval = this.originals.clearInterval;
+    Date.now = this.originals.dateNow;
+    performance.now = this.originals.performanceNow;
+    this.originals = null;
+  }
+
+  setTimeout(fn, ms = 0, ...args) {
+    const id = this.nextId++;
+    this.timers.set(id, { id, at: this.now + Math.max(0, ms || 0), fn, args, interval: null });
+    return id;
+  }
+
+  setInterval(fn, ms = 0, ...args) {
+    const id = this.nextId++;
+    const interval = Math.max(1, ms || 0);
+    this.timers.set(id, { id, at: this.now + interval, fn, args, interval });
+    return id;
+  }
+
+  clear(id) {
+    this.timers.delete(id);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => this.setTimeout(resolve, ms));
+  }
+
+  /**
+   * Advance time by `ms`, firing due timers in (time, creation) order
+   */
+  async tick(ms) {
+    const target = this.now + ms;
+
+    for (;;) {
+      await settle();
+
+      let next = null;
+      for (const timer of this.timers.values()) {
+        if (timer.at > target) continue;
+        if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) {
+          next = timer;
+        }
+      }
+      if (!next) break;
+
+      this.now = next.at;
+      if (next.interval) {
+        next.at += next.interval;
+      } else {
+        this.timers.delete(next.id);
+      }
+
+      try {
+        next.fn(...next.args);
+      } catch (e) {
+        console.error('[sim] timer error', e);
+      }
+    }
+
+    this.now = target;
+    await settle();
+  }
+}
+
+// Let promise chains and Web Crypto work finish on the real loop
+async function settle() {
+  for (let i = 0; i < 3; i++) {
+    await new Promise(resolve => realSetTimeout(resolve, 0));
+  }
+}
+
+// ========== NETWORK ==========
+
+class FakeEventTarget {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  addEventListener(type, fn) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(fn);
+  }
+
+  removeEventListener(type, fn) {
+    this.listeners.get(type)?.delete(fn);
+  }
+
+  _dispatch(type, event = {}) {
+    event.type = type;
+    event.target = this;
+    if (typeof this[`on${type}`] === 'function') this[`on${type}`](event);
+    for (const fn of Array.from(this.listeners.get(type) || [])) fn(event);
+  }
+}
+
+function byteLength(data) {
+  return typeof data === 'string' ? Buffer.byteLength(data) : data.byteLength;
+}
+
+// Copy like a real transport would, so sender and receiver never share memory
+function copyPayload(data) {
+  if (typeof data === 'string') return data;
+  if (ArrayBuffer.isView(data)) return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  return data.slice(0);
+}
+
+class FakeNetwork {
+  /**
+   * @param {FakeClock} clock
+   * @param {{ latency?: number, bandwidth?: number, candidateType?: string }} options
+   *   bandwidth in bytes/s per channel direction, 0 = unlimited
+   */
+  constructor(clock, { latency = 20, bandwidth = 0, candidateType = 'host' } = {}) {
+    this.clock = clock;
+    this.latency = latency;
+    this.bandwidth = bandwidth;
+    this.candidateType = candidateType;
+    this.connections = new Map(); // pc id -> FakeRTCPeerConnection
+    this.nextPcId = 1;
+    this.originals = null;
+  }
+
+  install() {
+    if (this.originals) return;
+
+    const network = this;
+    this.originals = {
+      RTCPeerConnection: global.RTCPeerConnection,
+      RTCSessionDescription: global.RTCSessionDescription,
+      RTCIceCandidate: global.RTCIceCandidate,
+    };
+
+    global.RTCPeerConnection = class extends FakeRTCPeerConnection {
+      constructor(config) {
+        super(network, config);
+      }
+    };
+    global.RTCSessionDescription = FakeRTCSessionDescription;
+    global.RTCIceCandidate = FakeRTCIceCandidate;
+  }
+
+  uninstall() {
+    if (!this.originals) return;
+    Object.assign(global, this.originals);
+    this.originals = null;
+  }
+
+  // Both descriptions are in place: ICE "checks" then the link comes up
+  connect(a, b) {
+    if (!a || !b || a.severed || b.severed) return;
+
+    for (const pc of [a, b]) pc._setConnectionState('connecting');
+
+    this.clock.setTimeout(() => {
+      if (a.connectionState === 'closed' || b.connectionState === 'closed') return;
+
+      // Pre-negotiated channels pair up by id
+      for (const local of a.channels) {
+        if (!local.negotiated) continue;
+        const remote = b.channels.find(ch => ch.negotiated && ch.id === local.id && !ch.peerChannel);
+        if (remote) {
+          local.peerChannel = remote;
+          remote.peerChannel = local;
+        }
+      }
+
+      // In-band channels show up on the other side via ondatachannel
+      for (const [from, to] of [[a, b], [b, a]]) {
+        for (const local of from.channels) {
+          if (local.negotiated || local.peerChannel) continue;
+          const remote = new FakeRTCDataChannel(this, local.label, { id: local.id });
+          local.peerChannel = remote;
+          remote.peerChannel = local;
+          to.channels.push(remote);
+          if (typeof to.ondatachannel === 'function') to.ondatachannel({ channel: remote });
+        }
+      }
+
+      for (const pc of [a, b]) pc._setConnectionState('connected');
+
+      for (const pc of [a, b]) {
+        for (const ch of pc.channels) {
+          if (ch.peerChannel && ch.readyState === 'connecting') {
+            ch.readyState = 'open';
+            ch._dispatch('open');
+          }
+        }
+      }
+    }, this.latency);
+  }
+
+  /**
+   * Cut a connection without either side closing it (crash, network loss).
+   * The far side notices after `latency` and goes `disconnected`.
+   */
+  sever(pc) {
+    for (const side of [pc, pc.remotePc]) {
+      if (!side) continue;
+      side.severed = true;
+      side._remoteGone();
+    }
+  }
+
+  /**
+   * Drop the ICE path of a connection but keep its data channels, like a
+   * network switch: both sides go `disconnected` after `latency` and an
+   * ICE restart (renegotiation) brings the link back.
+   */
+  interrupt(pc) {
+    this.clock.setTimeout(() => {
+      for (const side of [pc, pc.remotePc]) side?._setConnectionState('disconnected');
+    }, this.latency);
+  }
+}
+
+class FakeRTCSessionDescription {
+  constructor({ type, sdp } = {}) {
+    this.type = type;
+    this.sdp = sdp;
+  }
+
+  toJSON() {
+    return { type: this.type, sdp: this.sdp };
+  }
+}
+
+class FakeRTCIceCandidate {
+  constructor({ candidate = '', sdpMid = '0', sdpMLineIndex = 0 } = {}) {
+    this.candidate = candidate;
+    this.sdpMid = sdpMid;
+    this.sdpMLineIndex = sdpMLineIndex;
+  }
+
+  toJSON() {
+    return { candidate: this.candidate, sdpMid: this.sdpMid, sdpMLineIndex: this.sdpMLineIndex };
+  }
+}
+
+class FakeRTCPeerConnection extends FakeEventTarget {
+  constructor(network, config = {}) {
+    super();
+    this.network = network;
+    this.config = config;
+    this.id = `pc${network.nextPcId++}`;
+    this.signalingState = 'stable';
+    this.connectionState = 'new';
+    this.iceConnectionState = 'new';
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.remotePc = null;
+    this.channels = [];
+    this.addedCandidates = [];
+    this.iceRestarts = 0;
+    this.severed = false;
+    this.nextChannelId = 1;
+    this.onicecandidate = null;
+    this.onconnectionstatechange = null;
+    this.ondatachannel = null;
+
+    network.connections.set(this.id, this);
+  }
+
+  createDataChannel(label, options = {}) {
+    const id = options.negotiated ? options.id : this.nextChannelId++;
+    const channel = new FakeRTCDataChannel(this.network, label, { ...options, id });
+    this.channels.push(channel);
+    return channel;
+  }
+
+  async createOffer() {
+    this._assertOpen();
+    return { type: 'offer', sdp: `fake ${this.id}` };
+  }
+
+  async createAnswer() {
+    this._assertOpen();
+    if (this.signalingState !== 'have-remote-offer') {
+      throw new Error(`InvalidStateError: createAnswer in ${this.signalingState}`);
+    }
+    return { type: 'answer', sdp: `fake ${this.id}` };
+  }
+
+  async setLocalDescription(desc) {
+    this._assertOpen();
+
+    if (desc.type === 'rollback') {
+      if (this.signalingState !== 'have-local-offer') {
+        throw new Error(`InvalidStateError: rollback in ${this.signalingState}`);
+      }
+      this.localDescription = null;
+      this.signalingState = 'stable';
+      return;
+    }
+
+    if (desc.type === 'offer' && this.signalingState !== 'stable') {
+      throw new Error(`InvalidStateError: local offer in ${this.signalingState}`);
+    }
+    if (desc.type === 'answer' && this.signalingState !== 'have-remote-offer') {
+      throw new Error(`InvalidStateError: local answer in ${this.signalingState}`);
+    }
+
+    this.signalingState = desc.type === 'offer' ? 'have-local-offer' : 'stable';
+    this.localDescription = new FakeRTCSessionDescription(desc);
+    this._gatherCandidates();
+  }
+
+  async setRemoteDescription(desc) {
+    this._assertOpen();
+
+    if (desc.type === 'offer' && this.signalingState !== 'stable') {
+      throw new Error(`InvalidStateError: remote offer in ${this.signalingState}`);
+    }
+    if (desc.type === 'answer' && this.signalingState !== 'have-local-offer') {
+      throw new Error(`InvalidStateError: remote answer in ${this.signalingState}`);
+    }
+
+    this.remotePc = this.network.connections.get(desc.sdp.split(' ')[1]) || null;
+    this.remoteDescription = new FakeRTCSessionDescription(desc);
+
+    if (desc.type === 'offer') {
+      this.signalingState = 'have-remote-offer';
+    } else {
+      this.signalingState = 'stable';
+      if (this.remotePc) this.remotePc.remotePc = this;
+      this.network.connect(this, this.remotePc);
+    }
+  }
+
+  async addIceCandidate(candidate) {
+    if (!this.remoteDescription) {
+      throw new Error('InvalidStateError: remote description not set');
+    }
+    this.addedCandidates.push(candidate);
+  }
+
+  restartIce() {
+    this.iceRestarts++;
+  }
+
+  async getStats() {
+    const type = this.network.candidateType;
+    return new Map([
+      ['T', { id: 'T', type: 'transport', selectedCandidatePairId: 'CP' }],
+      ['CP', { id: 'CP', type: 'candidate-pair', localCandidateId: 'L', remoteCandidateId: 'R', state: 'succeeded', nominated: true }],
+      ['L', { id: 'L', type: 'local-candidate', candidateType: type }],
+      ['R', { id: 'R', type: 'remote-candidate', candidateType: type }],
+    ]);
+  }
+
+  close() {
+    if (this.connectionState === 'closed') return;
+
+    // Like browsers: no connectionstatechange for a local close
+    this.signalingState = 'closed';
+    this.connectionState = 'closed';
+    for (const ch of this.channels) ch.close();
+
+    this.remotePc?._remoteGone();
+  }
+
+  _assertOpen() {
+    if (this.signalingState === 'closed') throw new Error('InvalidStateError: connection closed');
+  }
+
+  _setConnectionState(state) {
+    if (this.connectionState === state || this.connectionState === 'closed') return;
+    this.connectionState = state;
+    this.iceConnectionState = state === 'connecting' ? 'checking' : state;
+    this._dispatch('connectionstatechange');
+  }
+
+  _gatherCandidates() {
+    this.network.clock.setTimeout(() => {
+      if (this.connectionState === 'closed' || typeof this.onicecandidate !== 'function') return;
+      this.onicecandidate({
+        candidate: new FakeRTCIceCandidate({ candidate: `candidate:${this.id} 1 udp 2122260223 10.0.0.1 9 typ host` }),
+      });
+      this.onicecandidate({ candidate: null });
+    }, 0);
+  }
+
+  _remoteGone() {
+    this.network.clock.setTimeout(() => {
+      if (this.connectionState !== 'connected' && this.connectionState !== 'connecting') return;
+      for (const ch of this.channels) ch._remoteClosed();
+      this._setConnectionState('disconnected');
+    }, this.network.latency);
+  }
+}
+
+class FakeRTCDataChannel extends FakeEventTarget {
+  constructor(network, label, options = {}) {
+    super();
+    this.network = network;
+    this.label = label;
+    this.id = options.id ?? null;
+    this.negotiated = !!options.negotiated;
+    this.ordered = options.ordered !== false;
+    this.readyState = 'connecting';
+    this.binaryType = 'blob';
+    this.bufferedAmount = 0;
+    this.bufferedAmountLowThreshold = 0;
+    this.peerChannel = null;
+    this.sentBytes = 0;
+    this.busyUntil = 0;
+    this.onopen = null;
+    this.onclose = null;
+    this.onmessage = null;
+    this.onerror = null;
+  }
+
+  send(data) {
+    if (this.readyState !== 'open') {
+      throw new Error('InvalidStateError: data channel not open');
+    }
+
+    const size = byteLength(data);
+    const payload = copyPayload(data);
+    const { clock, bandwidth, latency } = this.network;
+
+    this.bufferedAmount += size;
+    this.sentBytes += size;
+
+    // Serialize through the link, then propagate
+    const start = Math.max(clock.now, this.busyUntil);
+    this.busyUntil = start + (bandwidth > 0 ? (size / bandwidth) * 1000 : 0);
+
+    clock.setTimeout(() => {
+      const before = this.bufferedAmount;
+      this.bufferedAmount -= size;
+      if (before > this.bufferedAmountLowThreshold && this.bufferedAmount <= this.bufferedAmountLowThreshold) {
+        this._dispatch('bufferedamountlow');
+      }
+
+      const peer = this.peerChannel;
+      if (peer?.readyState === 'open') {
+        peer._dispatch('message', { data: payload });
+      }
+    }, this.busyUntil - clock.now + latency);
+  }
+
+  close() {
+    if (this.readyState === 'closed') return;
+    this.readyState = 'closed';
+    this._dispatch('close');
+
+    const peer = this.peerChannel;
+    if (peer) {
+      this.network.clock.setTimeout(() => peer._remoteClosed(), this.network.latency);
+    }
+  }
+
+  _remoteClosed() {
+    if (this.readyState === 'closed') return;
+    this.readyState = 'closed';
+    this._dispatch('close');
+  }
+}
+
+// ========== SIGNALING ==========
+
+class MemorySignalingHub {
+  /**
+   * @param {FakeClock} clock
+   * @param {{ latency?: number | ((signal) => number | null) }} options
+   *   a function may return a per-signal latency, or null to drop the signal
+   */
+  constructor(clock, { latency = 50 } = {}) {
+    this.clock = clock;
+    this.latency = latency;
+    this.rooms = new Map(); // room -> Map(peer -> handlers)
+    this.log = [];
+    this.nextId = 1;
+  }
+
+  createTransport() {
+    const hub = this;
+    let roomId = null;
+    let peerId = null;
+
+    return {
+      name: 'memory',
+      async connect(handlers) {
+        roomId = handlers.roomId;
+        peerId = handlers.peerId;
+        if (!hub.rooms.has(roomId)) hub.rooms.set(roomId, new Map());
+        hub.rooms.get(roomId).set(peerId, handlers);
+      },
+      async send({ type, to, payload }) {
+        hub._relay(roomId, peerId, to, type, payload);
+      },
+      async close() {
+        hub.rooms.get(roomId)?.delete(peerId);
+      },
+    };
+  }
+
+  _relay(roomId, fromPeer, toPeer, type, payload) {
+    const signal = {
+      id: this.nextId++,
+      room_id: roomId,
+      from_peer: fromPeer,
+      to_peer: toPeer || null,
+      type,
+      payload: JSON.parse(JSON.stringify(payload ?? {})),
+      created_at: new Date(this.clock.now).toISOString(),
+    };
+    this.log.push(signal);
+
+    const delay = typeof this.latency === 'function' ? this.latency(signal) : this.latency;
+    if (delay === null || delay === undefined) return;
+
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    for (const [peerId, handlers] of room) {
+      if (peerId === fromPeer) continue;
+      if (signal.to_peer && signal.to_peer !== peerId) continue;
+
+      this.clock.setTimeout(() => {
+        // Skip peers that left while the signal was in flight
+        if (this.rooms.get(roomId)?.get(peerId) === handlers) {
+          handlers.onSignal({ ...signal, payload: JSON.parse(JSON.stringify(signal.payload)) });
+        }
+      }, delay);
+    }
+  }
+}
+
+// ========== CDN ==========
+
+class FakeCDN {
+  constructor(clock, { latency = 100 } = {}) {
+    this.clock = clock;
+    this.latency = latency;
+    this.segments = new Map();
+    this.requests = new Map();
+    this.bytesServed = 0;
+    this.originalFetch = null;
+  }
+
+  /**
+   * Register a segment with deterministic content
+   */
+  addSegment(url, size) {
+    const bytes = new Uint8Array(size);
+    let seed = 0;
+    for (const c of url) seed = (seed * 31 + c.charCodeAt(0)) >>> 0;
+    for (let i = 0; i < size; i++) {
+      seed = (seed * 1103515245 + 12345) >>> 0;
+      bytes[i] = seed >>> 24;
+    }
+    this.segments.set(url, bytes.buffer);
+    return bytes.buffer;
+  }
+
+  requestCount(url = null) {
+    if (url) return this.requests.get(url) || 0;
+    let total = 0;
+    for (const count of this.requests.values()) total += count;
+    return total;
+  }
+
+  install() {
+    this.originalFetch = global.fetch;
+    global.fetch = (url) => this.fetch(url);
+  }
+
+  uninstall() {
+    if (this.originalFetch) global.fetch = this.originalFetch;
+    this.originalFetch = null;
+  }
+
+  async fetch(url) {
+    const key = String(url);
+    this.requests.set(key, (this.requests.get(key) || 0) + 1);
+    await this.clock.sleep(this.latency);
+
+    const body = this.segments.get(key);
+    if (body) this.bytesServed += body.byteLength;
+
+    return {
+      ok: !!body,
+      status: body ? 200 : 404,
+      arrayBuffer: async () => body.slice(0),
+      json: async () => ({ success: false, error: 'Not found' }),
+    };
+  }
+}
+
+// ========== TABS ==========
+
+/**
+ * Tabs of one browser: every channel created here hears the messages the
+ * others with the same name post (structured clone, delivered on the next
+ * timer turn)
+ */
+class MemoryBroadcastHub {
+  constructor(clock) {
+    this.clock = clock;
+    this.channels = new Set();
+  }
+
+  createChannel(name = '') {
+    const hub = this;
+    const channel = {
+      name,
+      onmessage: null,
+      closed: false,
+      postMessage(data) {
+        if (channel.closed) throw new Error('InvalidStateError: channel closed');
+        for (const other of hub.channels) {
+          if (other === channel || other.name !== name) continue;
+          const copy = structuredClone(data);
+          hub.clock.setTimeout(() => {
+            if (!other.closed) other.onmessage?.({ data: copy });
+          }, 0);
+        }
+      },
+      close() {
+        channel.closed = true;
+        hub.channels.delete(channel);
+      },
+    };
+
+    this.channels.add(channel);
+    return channel;
+  }
+
+  // Channel factory for one tab's engine
+  opener() {
+    return (name) => this.createChannel(name);
+  }
+
+  // Tab killed: its channels go silent without a resign
+  crash(...channels) {
+    for (const channel of channels) channel?.close();
+  }
+}
+
+// ========== SIMULATION ==========
+
+/**
+ * Start a room of engines on fake time.
+ * @param {{ peers?: string[], roomId?: string, config?: object,
+ *   network?: object, signaling?: object, cdn?: object, quiet?: boolean }} options
+ */
+async function createSimulation(options = {}) {
+  const {
+    peers = [],
+    roomId = 'match_sim',
+    config = {},
+    quiet = true,
+  } = options;
+
+  const clock = new FakeClock();
+  const network = new FakeNetwork(clock, options.network);
+  const hub = new MemorySignalingHub(clock, options.signaling);
+  const cdn = new FakeCDN(clock, options.cdn);
+
+  const consoleLog = console.log;
+  const consoleWarn = console.warn;
+  if (quiet) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  clock.install();
+  network.install();
+  cdn.install();
+
+  const { default: P2PEngine } = require('../lib/p2p-engine.js');
+  const engines = new Map();
+
+  const sim = {
+    clock,
+    network,
+    hub,
+    cdn,
+    engines,
+    tabs: new MemoryBroadcastHub(clock),
+
+    /**
+     * Start an engine. Peers are separate browsers unless `initOptions`
+     * gives them `openTabChannel: sim.tabs.opener()` (then await with runUntil:
+     * the tab election runs on fake time).
+     */
+    async addPeer(peerId, peerConfig = {}, initOptions = {}) {
+      const engine = new P2PEngine();
+      engine.config = { ...engine.config, ...config, ...peerConfig };
+      engine._generatePeerId = () => peerId;
+
+      const ok = await engine.init(roomId, {
+        signalingTransport: hub.createTransport(),
+        ticketUrl: null,
+        configUrl: null,
+        trackerUrl: null,
+        openTabChannel: null,
+        ...initOptions,
+      });
+      if (!ok) throw new Error(`Engine ${peerId} failed to init`);
+
+      engines.set(peerId, engine);
+      return engine;
+    },
+
+    run(ms) {
+      return clock.tick(ms);
+    },
+
+    /**
+     * Await a promise while advancing fake time in `step` increments
+     */
+    async runUntil(promise, { timeout = 30000, step = 50 } = {}) {
+      let done = false;
+      let value;
+      let error;
+      promise.then(v => { done = true; value = v; }, e => { done = true; error = e; });
+
+      for (let waited = 0; !done && waited < timeout; waited += step) {
+        await clock.tick(step);
+      }
+      if (!done) throw new Error('runUntil timeout');
+      if (error) throw error;
+      return value;
+    },
+
+    async destroy() {
+      for (const engine of engines.values()) {
+        await engine.destroy();
+      }
+      engines.clear();
+
+      cdn.uninstall();
+      network.uninstall();
+      clock.uninstall();
+      console.log = consoleLog;
+      console.warn = consoleWarn;
+    },
+  };
+
+  for (const peerId of peers) {
+    await sim.addPeer(peerId);
+  }
+
+  return sim;
+}
+
+module.exports = {
+  FakeClock,
+  FakeNetwork,
+  MemorySignalingHub,
+  FakeCDN,
+  MemoryBroadcastHub,
+  createSimulation,
+};
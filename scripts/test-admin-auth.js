@@ -0,0 +1,325 @@
+const assert = require('assert');
+const { createHmac } = require('crypto');
+
+(async () => {
+  // Admin tokens: versioned, signed, expiring; legacy formats are rejected
+  process.env.TOKEN_SECRET_KEY = process.env.TOKEN_SECRET_KEY || 'test-admin-secret';
+  const { issueAdminToken, verifyAdminToken, withAdmin } = require('../lib/server-auth.js');
+  const { token: adminToken, expiresAt } = await issueAdminToken({ userId: 'u1', username: 'admin', role: 'owner', sessionId: 's1' });
+  const admin = await verifyAdminToken(adminToken);
+  assert.strictEqual(admin.username, 'admin');
+  assert.strictEqual(admin.role, 'owner');
+  assert.strictEqual(admin.userId, 'u1');
+  assert.strictEqual(admin.expiresAt, expiresAt);
+  assert.strictEqual(admin.sessionId, 's1');
+  assert.ok(adminToken.startsWith('v3.'));
+
+  const [, adminBody, adminSig] = adminToken.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'root', role: 'owner', sid: 's1', iat: Date.now(), exp: expiresAt })).toString('base64url');
+  assert.strictEqual(await verifyAdminToken(`v3.${forged}.${adminSig}`), null, 'tampered payload');
+  assert.strictEqual(await verifyAdminToken(`v2.${adminBody}.${adminSig}`), null, 'old version');
+  const noRole = await issueAdminToken({ username: 'admin', role: 'superuser', sessionId: 's1' });
+  assert.strictEqual(await verifyAdminToken(noRole.token), null, 'unknown role');
+  assert.strictEqual(await verifyAdminToken(`${adminToken}.x`), null, 'extra part');
+  const expired = await issueAdminToken({ username: 'admin', role: 'owner', sessionId: 's1', ttlSeconds: -1 });
+  assert.strictEqual(await verifyAdminToken(expired.token), null, 'expired');
+  assert.strictEqual(await verifyAdminToken(Buffer.from(`admin:${Date.now()}`).toString('base64')), null, 'legacy unsigned');
+  assert.strictEqual(await verifyAdminToken(`admin:${Date.now()}:abc`), null, 'legacy signed');
+
+  const protectedRoute = withAdmin(async (request, { admin: who }) => ({ status: 200, who: who.username }));
+  const adminRequest = (authorization) => ({
+    headers: new Headers(authorization ? { authorization } : {}),
+    cookies: { get: () => undefined },
+  });
+  assert.strictEqual((await protectedRoute(adminRequest())).status, 401);
+  assert.strictEqual((await protectedRoute(adminRequest('Bearer nope'))).status, 401);
+  assert.deepStrictEqual(await protectedRoute(adminRequest(`Bearer ${adminToken}`)), { status: 200, who: 'admin' });
+
+  // Roles: score-keepers may only touch scores
+  const {
+    createAdminUsers,
+    createMemoryAdminUserStore,
+    hashPassword,
+    verifyPassword,
+    secretsEqual,
+    hasPermission,
+    getPermissions,
+    PERMISSIONS,
+  } = require('../lib/admin-users.js');
+  const deleteRoute = withAdmin(async () => ({ status: 200 }), { permission: PERMISSIONS.MATCHES_DELETE });
+  const keeper = await issueAdminToken({ userId: 'u2', username: 'keeper', role: 'score-keeper', sessionId: 's2' });
+  assert.strictEqual((await deleteRoute(adminRequest(`Bearer ${keeper.token}`))).status, 403);
+  assert.deepStrictEqual(await deleteRoute(adminRequest(`Bearer ${adminToken}`)), { status: 200 });
+  assert.strictEqual(hasPermission('editor', PERMISSIONS.MATCHES_UPDATE), true);
+  assert.strictEqual(hasPermission('score-keeper', PERMISSIONS.MATCHES_SCORE), true);
+  assert.strictEqual(hasPermission('score-keeper', PERMISSIONS.MATCHES_UPDATE), false);
+  assert.strictEqual(hasPermission('editor', PERMISSIONS.P2P_READ), true);
+  assert.strictEqual(hasPermission('score-keeper', PERMISSIONS.P2P_READ), false, 'swarm stats are not for score-keepers');
+  assert.strictEqual(hasPermission('toString', PERMISSIONS.MATCHES_SCORE), false);
+  assert.deepStrictEqual(getPermissions('score-keeper'), [PERMISSIONS.MATCHES_SCORE]);
+  assert.deepStrictEqual(getPermissions('nobody'), []);
+
+  // The edit modal's request for a score-keeper passes the PUT field check
+  const { toMatchForm, buildMatchRequest, findNonScoreFields } = require('../lib/match-fields.js');
+  const editForm = toMatchForm({ id: 7, home_team: 'A', away_team: 'B', status: 'live', home_score: 1, stream_url1: 'https://cdn.example.com/a.m3u8' });
+  assert.ok(findNonScoreFields(buildMatchRequest(editForm)).includes('stream_url1'), 'full form is refused');
+  const scoreBody = JSON.parse(JSON.stringify(buildMatchRequest(editForm, { scoreOnly: true })));
+  assert.deepStrictEqual(scoreBody, { home_score: 1, away_score: 0, status: 'live' });
+  assert.deepStrictEqual(findNonScoreFields(scoreBody), []);
+  console.log('Admin token tests passed');
+
+  // Admin users: salted PBKDF2 hashes, disabled accounts, env bootstrap without a store
+  const hash = await hashPassword('s3cret', { iterations: 1000 });
+  assert.match(hash, /^pbkdf2-sha256\$1000\$/);
+  assert.notStrictEqual(hash, await hashPassword('s3cret', { iterations: 1000 }), 'salted');
+  assert.strictEqual(await verifyPassword('s3cret', hash), true);
+  assert.strictEqual(await verifyPassword('wrong', hash), false);
+  assert.strictEqual(await verifyPassword('s3cret', 'plain-text'), false);
+  assert.strictEqual(await secretsEqual('pw', 'pw'), true);
+  assert.strictEqual(await secretsEqual('pw', 'pw2'), false);
+  assert.strictEqual(await secretsEqual('pw', undefined), false);
+
+  const userStore = createMemoryAdminUserStore([
+    { id: 'u1', username: 'Editor', password_hash: hash, role: 'editor' },
+    { id: 'u2', username: 'gone', password_hash: hash, role: 'owner', disabled: true },
+  ]);
+  const users = createAdminUsers({ store: userStore, now: () => Date.parse('2026-01-01T00:00:00Z') });
+  assert.deepStrictEqual(await users.authenticate(' editor ', 's3cret'), { id: 'u1', username: 'editor', role: 'editor', twoFactor: false });
+  assert.strictEqual((await userStore.findById('u1')).last_login_at, undefined, 'not stamped before 2FA');
+  await users.recordLogin('u1');
+  assert.strictEqual((await userStore.findById('u1')).last_login_at, '2026-01-01T00:00:00.000Z');
+  assert.strictEqual(await users.authenticate('editor', 'wrong'), null);
+  assert.strictEqual(await users.authenticate('gone', 's3cret'), null, 'disabled');
+  assert.strictEqual(await users.authenticate('nobody', 's3cret'), null);
+
+  const envOnly = createAdminUsers({ bootstrap: { username: 'admin', password: 'pw' } });
+  assert.strictEqual((await envOnly.authenticate('admin', 'pw')).role, 'owner');
+  assert.strictEqual(await envOnly.authenticate('admin', 'nope'), null);
+  assert.strictEqual(await envOnly.authenticate('root', 'pw'), null);
+  assert.strictEqual(createAdminUsers().isConfigured(), false);
+
+  // Refreshes reload the account: role changes apply, disabled admins are refused
+  assert.deepStrictEqual(await users.findActive('u1'), { id: 'u1', username: 'editor', role: 'editor' });
+  assert.strictEqual(await users.findActive('u2'), null, 'disabled');
+  assert.strictEqual(await users.findActive('u404'), null, 'deleted');
+  assert.strictEqual(await users.findActive('env:admin'), null);
+  assert.strictEqual((await envOnly.findActive('env:admin')).role, 'owner');
+  assert.strictEqual(await envOnly.findActive('env:other'), null);
+  console.log('Admin user tests passed');
+
+  // Admin sessions: rotating refresh tokens, reuse detection, logout and logout-all
+  const { createAdminSessions, createMemorySessionStore, adminSessions } = require('../lib/admin-sessions.js');
+  let sessionNow = 5_000_000;
+  const sessions = createAdminSessions({ store: createMemorySessionStore(() => sessionNow), now: () => sessionNow });
+  const editorUser = { id: 'u1', username: 'editor', role: 'editor' };
+  const opened = await sessions.create(editorUser);
+  assert.strictEqual((await sessions.lookup(opened.refreshToken)).id, opened.session.id);
+  const rotated = await sessions.rotate(opened.refreshToken);
+  assert.strictEqual(rotated.session.id, opened.session.id, 'rotation keeps the session');
+  assert.notStrictEqual(rotated.refreshToken, opened.refreshToken);
+  assert.deepStrictEqual(await sessions.rotate(opened.refreshToken), { grace: true }, 'parallel refresh within grace');
+  assert.ok(await sessions.lookup(rotated.refreshToken), 'grace reuse does not revoke');
+  sessionNow += 60 * 1000;
+  assert.strictEqual(await sessions.rotate(opened.refreshToken), null);
+  assert.strictEqual(await sessions.lookup(rotated.refreshToken), null, 'late reuse revokes the session');
+  assert.strictEqual(await sessions.isRevoked({ sessionId: opened.session.id, userId: 'u1', issuedAt: sessionNow }), true);
+  assert.strictEqual(await sessions.rotate('garbage'), null);
+
+  const laptop = await sessions.create(editorUser);
+  const phone = await sessions.create(editorUser);
+  await sessions.revoke(laptop.session.id);
+  assert.strictEqual(await sessions.rotate(laptop.refreshToken), null, 'logged out');
+  assert.ok(await sessions.lookup(phone.refreshToken));
+  const issuedBefore = sessionNow;
+  sessionNow += 1;
+  assert.strictEqual(await sessions.revokeAll('u1'), 1, 'only the phone was still open');
+  assert.strictEqual(await sessions.rotate(phone.refreshToken), null);
+  assert.strictEqual(await sessions.isRevoked({ sessionId: 'other', userId: 'u1', issuedAt: issuedBefore }), true);
+  assert.strictEqual(await sessions.isRevoked({ sessionId: 'other', userId: 'u1', issuedAt: sessionNow + 1 }), false);
+  sessionNow += 15 * 60 * 1000;
+  assert.strictEqual(await sessions.isRevoked({ sessionId: laptop.session.id, userId: 'u1', issuedAt: 0 }), false, 'list entries expire with the access tokens');
+
+  // Access tokens of a logged-out session stop verifying
+  const live = await adminSessions.create({ id: 'u9', username: 'owner', role: 'owner' });
+  const liveToken = await issueAdminToken({ userId: 'u9', username: 'owner', role: 'owner', sessionId: live.session.id });
+  assert.ok(await verifyAdminToken(liveToken.token));
+  await adminSessions.revoke(live.session.id);
+  assert.strictEqual(await verifyAdminToken(liveToken.token), null);
+  console.log('Admin session tests passed');
+
+  // 2FA: RFC 6238 codes, enrollment, replay protection, one-time recovery codes
+  const { base32Encode, totpCode, verifyTotp } = require('../lib/totp.js');
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+  assert.strictEqual(await totpCode(rfcSecret, { now: 59_000, digits: 8 }), '94287082');
+  assert.strictEqual(await totpCode(rfcSecret, { now: 1_111_111_109_000, digits: 8 }), '07081804');
+  assert.strictEqual(await verifyTotp(rfcSecret, '12345'), null, 'wrong length');
+
+  const { createTwoFactor, RECOVERY_CODE_COUNT } = require('../lib/admin-two-factor.js');
+  let mfaNow = 1_700_000_000_000;
+  const mfaStore = createMemoryAdminUserStore([{ id: 'u5', username: 'owner', password_hash: hash, role: 'owner' }]);
+  const mfa = createTwoFactor({ store: mfaStore, now: () => mfaNow });
+  assert.strictEqual(mfa.isAvailable('env:admin'), false, 'env admin cannot enroll');
+  const enrollment = await mfa.setup({ userId: 'u5', username: 'owner' });
+  assert.match(enrollment.otpauthUri, /^otpauth:\/\/totp\/TitikBola:owner\?secret=/);
+  assert.strictEqual(await mfa.enable('u5', '000000'), null);
+  const { recoveryCodes } = await mfa.enable('u5', await totpCode(enrollment.secret, { now: mfaNow }));
+  assert.strictEqual(recoveryCodes.length, RECOVERY_CODE_COUNT);
+  assert.strictEqual(await mfa.setup({ userId: 'u5', username: 'owner' }), null, 'already enabled');
+  assert.strictEqual((await createAdminUsers({ store: mfaStore }).authenticate('owner', 's3cret')).twoFactor, true);
+
+  mfaNow += 30_000;
+  const loginCode = await totpCode(enrollment.secret, { now: mfaNow });
+  assert.deepStrictEqual(await mfa.verify('u5', { code: loginCode }), { method: 'totp' });
+  assert.strictEqual(await mfa.verify('u5', { code: loginCode }), null, 'replayed code');
+  mfaNow += 30_000;
+  const racedCode = await totpCode(enrollment.secret, { now: mfaNow });
+  const raced = await Promise.all([mfa.verify('u5', { code: racedCode }), mfa.verify('u5', { code: racedCode })]);
+  assert.strictEqual(raced.filter(Boolean).length, 1, 'concurrent logins cannot share a code');
+  assert.deepStrictEqual(await mfa.verify('u5', { recoveryCode: recoveryCodes[0].toUpperCase() }), { method: 'recovery' });
+  assert.strictEqual(await mfa.verify('u5', { recoveryCode: recoveryCodes[0] }), null, 'recovery code used up');
+  const racedRecovery = await Promise.all([
+    mfa.verify('u5', { recoveryCode: recoveryCodes[2] }),
+    mfa.verify('u5', { recoveryCode: recoveryCodes[2] }),
+  ]);
+  assert.strictEqual(racedRecovery.filter(Boolean).length, 1, 'concurrent logins cannot share a recovery code');
+  assert.strictEqual((await mfa.status('u5')).recoveryCodesLeft, RECOVERY_CODE_COUNT - 2);
+  assert.strictEqual(await mfa.disable('u5', { code: 'nope' }), false);
+  assert.strictEqual(await mfa.disable('u5', { recoveryCode: recoveryCodes[1] }), true);
+  assert.strictEqual((await mfa.status('u5')).enabled, false);
+
+  const { issueTwoFactorChallenge, verifyTwoFactorChallenge } = require('../lib/server-auth.js');
+  const { challenge } = await issueTwoFactorChallenge({ userId: 'u5', username: 'owner', role: 'owner' });
+  assert.deepStrictEqual(await verifyTwoFactorChallenge(challenge), { userId: 'u5', username: 'owner', role: 'owner' });
+  assert.strictEqual(await verifyAdminToken(challenge), null, 'a challenge is not an access token');
+  assert.strictEqual(await verifyTwoFactorChallenge(adminToken), null);
+  console.log('Two-factor tests passed');
+
+  // Audit log: per-field diffs with redacted stream URLs, filters and paging
+  const { createAuditLog, createMemoryAuditStore, diffMatch, parseAuditCursor } = require('../lib/audit-log.js');
+  assert.deepStrictEqual(diffMatch(
+    { id: 7, home_score: 0, status: 'live', stream_url1: 'https://cdn.example.com/live.m3u8?token=abc', updated_at: 'a' },
+    { id: 7, home_score: 1, status: 'live', stream_url1: 'https://cdn.example.com/live.m3u8?token=xyz', updated_at: 'b' },
+  ), {
+    home_score: { from: 0, to: 1 },
+    stream_url1: { from: 'https://cdn.example.com/live.m3u8', to: 'https://cdn.example.com/live.m3u8' },
+  });
+  assert.deepStrictEqual(diffMatch(null, { home_team: 'A', referer1: '' }), { home_team: { from: null, to: 'A' } });
+
+  let auditNow = Date.parse('2026-01-01T00:00:00Z');
+  const audit = createAuditLog({ store: createMemoryAuditStore(), now: () => auditNow++ });
+  const editorAdmin = { userId: 'u1', username: 'editor', role: 'editor' };
+  await audit.record({ admin: editorAdmin, action: 'create', matchId: 7, after: { id: 7, home_team: 'A' } });
+  await audit.record({ admin: { userId: 'u2', username: 'keeper', role: 'score-keeper' }, action: 'update', matchId: 7,
+    before: { home_score: 0 }, after: { home_score: 1 } });
+  await audit.record({ admin: editorAdmin, action: 'delete', matchId: 8, before: { id: 8, home_team: 'B' } });
+
+  const allEntries = await audit.list();
+  assert.deepStrictEqual(allEntries.entries.map(e => e.action), ['delete', 'update', 'create'], 'newest first');
+  assert.strictEqual(allEntries.nextBefore, null);
+  assert.deepStrictEqual(allEntries.entries[0].changes, { home_team: { from: 'B', to: null } });
+  assert.deepStrictEqual((await audit.list({ actor: 'Editor' })).entries.map(e => e.match_id), ['8', '7']);
+  assert.deepStrictEqual((await audit.list({ matchId: 7 })).entries.map(e => e.actor_username), ['keeper', 'editor']);
+  const firstPage = await audit.list({ limit: 2 });
+  assert.strictEqual(firstPage.entries.length, 2);
+  assert.deepStrictEqual((await audit.list({ before: firstPage.nextBefore })).entries.map(e => e.action), ['create']);
+
+  // Entries written in the same instant are not lost at a page boundary
+  const sameInstant = createAuditLog({ store: createMemoryAuditStore(), now: () => auditNow });
+  for (const matchId of [1, 2, 3, 4, 5]) await sameInstant.record({ admin: editorAdmin, action: 'update', matchId });
+  const paged = [];
+  let cursor = null;
+  do {
+    const page = await sameInstant.list({ before: cursor, limit: 2 });
+    paged.push(...page.entries.map(e => e.match_id));
+    cursor = page.nextBefore;
+  } while (cursor);
+  assert.deepStrictEqual(paged, ['5', '4', '3', '2', '1']);
+  assert.deepStrictEqual(parseAuditCursor('2026-01-01T00:00:00.000Z|12'), { createdAt: '2026-01-01T00:00:00.000Z', id: 12 });
+  assert.deepStrictEqual(parseAuditCursor('2026-01-01T00:00:00Z'), { createdAt: '2026-01-01T00:00:00Z', id: null });
+  assert.strictEqual(parseAuditCursor('nope|1'), null);
+  assert.strictEqual(parseAuditCursor('2026-01-01T00:00:00Z|x'), null);
+
+  const brokenAudit = createAuditLog({ store: { insert: async () => { throw new Error('db down'); } } });
+  assert.strictEqual(await brokenAudit.record({ admin: editorAdmin, action: 'update', matchId: 1 }), false);
+  console.log('Audit log tests passed');
+
+  // Client IP: Cloudflare's header first, else the hop our proxy appended
+  const { getClientIp } = require('../lib/rate-limit.js');
+  const ipRequest = (headers) => ({ headers: new Headers(headers) });
+  assert.strictEqual(getClientIp(ipRequest({ 'cf-connecting-ip': '203.0.113.7', 'x-forwarded-for': '1.2.3.4' })), '203.0.113.7');
+  assert.strictEqual(getClientIp(ipRequest({ 'x-forwarded-for': '1.2.3.4, 198.51.100.2' })), '198.51.100.2', 'spoofed first entry');
+  assert.strictEqual(getClientIp(ipRequest({ 'x-real-ip': '198.51.100.9' })), '198.51.100.9');
+  assert.strictEqual(getClientIp(ipRequest({})), '127.0.0.1');
+
+  // Login guard: progressive delays, per-username and per-IP lockouts that escalate
+  const { createLoginGuard, createMemoryLoginStore, progressiveDelay } = require('../lib/login-guard.js');
+  let guardNow = 1_000_000;
+  const guardAudit = createAuditLog({ store: createMemoryAuditStore(), now: () => guardNow });
+  const guard = createLoginGuard({
+    store: createMemoryLoginStore(() => guardNow),
+    auditLog: guardAudit,
+    now: () => guardNow,
+  });
+  assert.deepStrictEqual([1, 2, 3, 4, 10].map(progressiveDelay), [0, 250, 500, 1000, 4000]);
+
+  const attempt = { ip: '1.1.1.1', username: 'Admin' };
+  let failure;
+  for (let i = 0; i < 4; i++) failure = await guard.recordFailure(attempt);
+  assert.strictEqual(failure.locked, false);
+  assert.strictEqual(failure.remainingAttempts, 1);
+  assert.strictEqual(failure.delayMs, 1000);
+  failure = await guard.recordFailure(attempt);
+  assert.strictEqual(failure.locked, true);
+  assert.strictEqual(failure.retryAfterMs, 5 * 60 * 1000);
+  assert.strictEqual((await guard.check({ ip: '2.2.2.2', username: 'admin' })).allowed, false, 'username locked from any IP');
+  assert.strictEqual((await guard.check({ ip: '1.1.1.1', username: 'other' })).allowed, true);
+  const guardEntries = (await guardAudit.list({ limit: 200 })).entries;
+  assert.ok(guardEntries.some(entry => entry.action === 'login.locked' && entry.details.scope === 'user'));
+  assert.ok(guardEntries.some(entry => entry.action === 'login.blocked' && entry.ip === '2.2.2.2'));
+  assert.strictEqual(guardEntries.filter(entry => entry.action === 'login.failed').length, 5);
+  assert.deepStrictEqual((await guardAudit.list({ actor: 'admin' })).entries.map(e => e.match_id), Array(7).fill(null),
+    'failed logins against a username show under that actor');
+
+  guardNow += 5 * 60 * 1000;
+  assert.strictEqual((await guard.check(attempt)).allowed, true, 'lockout expires');
+  for (let i = 0; i < 5; i++) failure = await guard.recordFailure(attempt);
+  assert.strictEqual(failure.retryAfterMs, 10 * 60 * 1000, 'second lockout doubles');
+
+  // One IP spraying many usernames gets locked out as an IP
+  for (let i = 0; i < 20; i++) failure = await guard.recordFailure({ ip: '3.3.3.3', username: `user${i}` });
+  assert.strictEqual(failure.locked, true);
+  const ipCheck = await guard.check({ ip: '3.3.3.3', username: 'fresh' });
+  assert.strictEqual(ipCheck.allowed, false);
+  assert.strictEqual(ipCheck.scope, 'ip');
+
+  await guard.recordFailure({ ip: '4.4.4.4', username: 'editor' });
+  await guard.recordSuccess({ username: 'editor' });
+  assert.strictEqual((await guard.recordFailure({ ip: '5.5.5.5', username: 'editor' })).remainingAttempts, 4, 'success clears username failures');
+  console.log('Login guard tests passed');
+
+  // Stream tokens are signed server-side in the worker's format; secrets never go public
+  const { signStreamToken, buildStreamUrl } = require('../lib/stream-token.js');
+  const streamToken = await signStreamToken({ matchId: '42', linkId: 'link2', now: 1700000000000 });
+  assert.strictEqual(streamToken.ts, '1700000000000');
+  assert.strictEqual(
+    streamToken.token,
+    createHmac('sha256', process.env.TOKEN_SECRET_KEY).update('42:link2:1700000000000').digest('hex')
+  );
+  const streamUrl = new URL(buildStreamUrl('https://worker.example/api/stream/manifest', { matchId: '42', linkId: 'link2', ...streamToken }));
+  assert.strictEqual(streamUrl.searchParams.get('token'), streamToken.token);
+  assert.strictEqual(streamUrl.searchParams.get('match'), '42');
+
+  const { findExposedSecrets, assertNoPublicSecrets } = require('./check-public-env.js');
+  assert.deepStrictEqual(
+    findExposedSecrets(['NEXT_PUBLIC_TOKEN_SECRET', 'NEXT_PUBLIC_ADMIN_PASSWORD', 'NEXT_PUBLIC_SUPABASE_ANON_KEY', 'TOKEN_SECRET_KEY']),
+    ['NEXT_PUBLIC_TOKEN_SECRET', 'NEXT_PUBLIC_ADMIN_PASSWORD']
+  );
+  assert.throws(() => assertNoPublicSecrets({}, { NEXT_PUBLIC_TOKEN_SECRET: 'x' }), /NEXT_PUBLIC_TOKEN_SECRET/);
+  assert.doesNotThrow(() => assertNoPublicSecrets({ TOKEN_SECRET_KEY: 'x', NEXT_PUBLIC_WORKER_URL: 'https://w' }));
+  console.log('Stream token tests passed');
+
+  console.log('All admin-auth tests completed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,576 @@
+const assert = require('assert');
+const { createSimulation } = require('./p2p-sim.js');
+const { P2P_EVENTS } = require('../lib/p2p-engine.js');
+const { SegmentCache } = require('../lib/p2p-segment-cache.js');
+const { sha256Hex } = require('../lib/p2p-utils.js');
+
+// The harness silences engine logs; keep our own output
+const log = console.log.bind(console);
+
+const SEGMENT_SIZE = 200 * 1024;
+
+function isConnected(engine, peerId) {
+  const peer = engine.peers.get(peerId);
+  return !!peer && peer.connected && peer.dataChannel?.readyState === 'open';
+}
+
+// Each viewer fetches one segment from the CDN in turn, which makes the
+// others verified digest publishers for it
+async function verifyPublishers(sim, engines) {
+  const url = 'https://cdn.test/first.ts';
+  sim.cdn.addSegment(url, 1000);
+  for (const engine of engines) {
+    await sim.runUntil(engine.fetchChunk(url));
+    await sim.run(500);
+  }
+}
+
+(async () => {
+  // Peers discover each other and connect, whatever order they join in
+  {
+    const sim = await createSimulation({ peers: ['peer_c', 'peer_a', 'peer_d', 'peer_b'] });
+    await sim.run(2000);
+
+    for (const [id, engine] of sim.engines) {
+      assert.strictEqual(engine.peers.size, 3, `${id} should see 3 peers`);
+      for (const other of sim.engines.keys()) {
+        if (other !== id) assert.ok(isConnected(engine, other), `${id} <-> ${other}`);
+      }
+    }
+
+    await sim.destroy();
+    log('mesh connect tests passed');
+  }
+
+  // Offload: two viewers per segment pull from the CDN (peers trust a digest
+  // two verified publishers agree on), the rest from peers. The others take
+  // their first segment from the CDN too, which verifies the publishers.
+  {
+    const ids = ['peer_a', 'peer_b', 'peer_c', 'peer_d'];
+    const sim = await createSimulation({ peers: ids, network: { bandwidth: 5 * 1024 * 1024 } });
+    await sim.run(2000);
+
+    const urls = Array.from({ length: 6 }, (_, i) => `https://cdn.test/seg${i}.ts`);
+    const expected = urls.map(url => new Uint8Array(sim.cdn.addSegment(url, SEGMENT_SIZE)));
+
+    for (let i = 0; i < urls.length; i++) {
+      // Viewers take turns being first to a segment
+      const first = [0, 1].map(k => sim.engines.get(ids[(i + k) % ids.length]));
+      for (const engine of first) {
+        const firstData = await sim.runUntil(engine.fetchChunk(urls[i]));
+        assert.deepStrictEqual(new Uint8Array(firstData), expected[i]);
+      }
+
+      // Have deltas with the digests reach the others
+      await sim.run(500);
+
+      const rest = ids.filter(id => !first.some(e => e.peerId === id)).map(id => sim.engines.get(id));
+      const results = await sim.runUntil(Promise.all(rest.map(engine => engine.fetchChunk(urls[i]))));
+      results.forEach(data => assert.deepStrictEqual(new Uint8Array(data), expected[i]));
+    }
+
+    assert.strictEqual(sim.cdn.requestCount(), urls.length * 2 + 2, 'each segment hits the CDN twice, plus two first loads');
+    assert.deepStrictEqual([...new Set(sim.hub.log.map(s => s.type))].sort(), ['announce', 'answer', 'ice-candidate', 'offer'],
+      'digests stay off the signaling table');
+
+    const delivered = urls.length * ids.length * SEGMENT_SIZE;
+    const offload = 1 - sim.cdn.bytesServed / delivered;
+    assert.ok(offload >= 0.4, `offload ratio ${offload}`);
+
+    const hits = ids.reduce((sum, id) => sum + sim.engines.get(id).stats.p2pHits, 0);
+    assert.strictEqual(hits, urls.length * (ids.length - 2) - 2);
+
+    await sim.destroy();
+    log(`offload tests passed (${(offload * 100).toFixed(0)}%)`);
+  }
+
+  // Glare: both sides offer at once, the lower id wins and the link works
+  {
+    const sim = await createSimulation({
+      // Drop announces so only the explicit offers below happen
+      signaling: { latency: (signal) => (signal.type === 'announce' ? null : 50) },
+    });
+    const a = await sim.addPeer('peer_a');
+    const b = await sim.addPeer('peer_b');
+
+    await Promise.all([a.createPeerConnection('peer_b'), b.createPeerConnection('peer_a')]);
+    await sim.run(1000);
+
+    assert.ok(isConnected(a, 'peer_b'));
+    assert.ok(isConnected(b, 'peer_a'));
+
+    // peer_b rolled back and answered peer_a's offer on the same connection
+    const offers = sim.hub.log.filter(s => s.type === 'offer').map(s => s.from_peer).sort();
+    const answers = sim.hub.log.filter(s => s.type === 'answer').map(s => s.from_peer);
+    assert.deepStrictEqual(offers, ['peer_a', 'peer_b']);
+    assert.deepStrictEqual(answers, ['peer_b']);
+    assert.strictEqual(b.peers.get('peer_a').connection.remotePc, a.peers.get('peer_b').connection);
+
+    // Data flows over the pre-negotiated channel
+    const url = 'https://cdn.test/glare.ts';
+    sim.cdn.addSegment(url, 1000);
+    // Two viewers: peer_a is the only possible digest publisher
+    b.config = { ...b.config, minPeersForP2P: 1, minDigestPublishers: 1 };
+    await verifyPublishers(sim, [a, b]);
+    assert.ok(b.verifiedPublishers.has('peer_a'));
+    await sim.runUntil(a.fetchChunk(url));
+    await sim.run(500);
+    await sim.runUntil(b.fetchChunk(url));
+    assert.strictEqual(b.stats.p2pHits, 1);
+
+    await sim.destroy();
+    log('glare tests passed');
+  }
+
+  // ICE candidates that arrive before the offer are queued, then applied
+  {
+    const sim = await createSimulation({
+      signaling: { latency: (signal) => (signal.type === 'offer' ? 300 : 20) },
+    });
+    await sim.addPeer('peer_a');
+    const b = await sim.addPeer('peer_b');
+
+    // Offer still in flight, candidate already here
+    await sim.run(150);
+    assert.strictEqual(b.peers.has('peer_a'), false);
+    assert.strictEqual(b.pendingCandidates.get('peer_a')?.length, 1);
+
+    await sim.run(1000);
+    const pc = b.peers.get('peer_a').connection;
+    assert.ok(pc.addedCandidates.some(c => c.candidate.includes(sim.engines.get('peer_a').peers.get('peer_b').connection.id)));
+    assert.deepStrictEqual(b.pendingCandidates.get('peer_a'), []);
+    assert.ok(isConnected(b, 'peer_a'));
+
+    await sim.destroy();
+    log('ICE queueing tests passed');
+  }
+
+  // Peers are removed on bye and when the connection drops without one
+  {
+    const sim = await createSimulation({ peers: ['peer_a', 'peer_b', 'peer_c'] });
+    await sim.run(2000);
+    const a = sim.engines.get('peer_a');
+    const b = sim.engines.get('peer_b');
+
+    // Clean leave
+    const c = sim.engines.get('peer_c');
+    sim.engines.delete('peer_c');
+    await c.destroy();
+    await sim.run(500);
+    assert.strictEqual(a.peers.has('peer_c'), false);
+    assert.strictEqual(b.peers.has('peer_c'), false);
+
+    // Crash: link goes away, nobody says bye. ICE restart is tried first
+    const severed = a.peers.get('peer_b').connection;
+    sim.network.sever(severed);
+    await sim.run(500);
+    assert.ok(a.peers.get('peer_b').restartingIce);
+    assert.strictEqual(severed.iceRestarts, 1);
+
+    await sim.run(a.config.iceRestartTimeout);
+    assert.strictEqual(a.peers.has('peer_b'), false);
+    assert.strictEqual(b.peers.has('peer_a'), false);
+    assert.strictEqual(a.peerStats.has('peer_b'), false);
+
+    // peer_b is still around, so the initiator reconnects after a backoff
+    await sim.run(a.config.offerBackoffBase + 1000);
+    assert.ok(isConnected(a, 'peer_b') && isConnected(b, 'peer_a'));
+    assert.notStrictEqual(a.peers.get('peer_b').connection, severed);
+
+    await sim.destroy();
+    log('peer removal tests passed');
+  }
+
+  // A short network drop is repaired by an ICE restart on the same connection
+  {
+    const sim = await createSimulation({ peers: ['peer_a', 'peer_b'] });
+    await sim.run(2000);
+    const a = sim.engines.get('peer_a');
+    const b = sim.engines.get('peer_b');
+    const pc = a.peers.get('peer_b').connection;
+
+    sim.network.interrupt(pc);
+    await sim.run(1000);
+
+    assert.strictEqual(pc.iceRestarts, 1);
+    assert.strictEqual(a.peers.get('peer_b').connection, pc);
+    assert.strictEqual(a.peers.get('peer_b').restartingIce, false);
+    assert.ok(isConnected(a, 'peer_b') && isConnected(b, 'peer_a'));
+
+    // Only the initiator offered the restart
+    const offers = sim.hub.log.filter(s => s.type === 'offer').map(s => s.from_peer);
+    assert.deepStrictEqual(offers, ['peer_a', 'peer_a']);
+
+    // No teardown once the restart timer would have fired
+    await sim.run(a.config.iceRestartTimeout);
+    assert.strictEqual(a.peers.get('peer_b').connection, pc);
+
+    await sim.destroy();
+    log('ICE restart tests passed');
+  }
+
+  // Unreachable peer: offers back off and stop after offerMaxAttempts
+  {
+    const sim = await createSimulation({
+      // Answers never arrive, so every handshake times out
+      signaling: { latency: (signal) => (signal.type === 'answer' ? null : 20) },
+    });
+    const a = await sim.addPeer('peer_a');
+    await sim.addPeer('peer_b');
+
+    const offersFromA = () => sim.hub.log.filter(s => s.type === 'offer' && s.from_peer === 'peer_a').length;
+
+    await sim.run(a.config.peerConnectTimeout + 500);
+    assert.strictEqual(offersFromA(), 1);
+    assert.strictEqual(a.peers.has('peer_b'), false);
+    assert.strictEqual(a.offerBackoff.canAttempt('peer_b'), false, 'backing off');
+
+    // Retries wait 2s, 4s, 8s on top of each timeout, then stop
+    await sim.run(3 * a.config.peerConnectTimeout + 20000);
+    assert.strictEqual(offersFromA(), a.config.offerMaxAttempts);
+
+    // A new announce during the cooldown does not start another offer
+    await sim.runUntil(sim.engines.get('peer_b')._sendSignal({ type: 'announce', payload: { peerId: 'peer_b' } }));
+    await sim.run(60000);
+    assert.strictEqual(offersFromA(), a.config.offerMaxAttempts);
+    assert.ok(a.offerBackoff.nextAttemptIn('peer_b') > 0);
+
+    await sim.destroy();
+    log('offer backoff tests passed');
+  }
+
+  // Room migration: switching rendition moves a viewer to the other swarm
+  {
+    const sim = await createSimulation({ peers: ['peer_a', 'peer_b', 'peer_c', 'peer_d'] });
+    await sim.run(2000);
+    const [a, b, c, d] = ['peer_a', 'peer_b', 'peer_c', 'peer_d'].map(id => sim.engines.get(id));
+
+    const url = 'https://cdn.test/before-switch.ts';
+    sim.cdn.addSegment(url, 1000);
+    await sim.runUntil(c.fetchChunk(url));
+
+    // A → B → A before the first switch runs: superseded, the mesh is kept
+    const originalKey = c.roomKey;
+    const peersBefore = [...c.peers.keys()];
+    const flips = await sim.runUntil(Promise.all([c.switchRoom('match_sim:720p'), c.switchRoom(originalKey)]));
+    assert.deepStrictEqual(flips, [false, false]);
+    assert.strictEqual(c.roomKey, originalKey);
+    assert.deepStrictEqual([...c.peers.keys()], peersBefore);
+
+    assert.strictEqual(await sim.runUntil(c.switchRoom('match_sim:720p')), true);
+    assert.strictEqual(await sim.runUntil(d.switchRoom('match_sim:720p')), true);
+    assert.strictEqual(await sim.runUntil(d.switchRoom('match_sim:720p')), false, 'same room is a no-op');
+    await sim.run(2000);
+
+    assert.strictEqual(c.roomId, 'match_sim:720p');
+    assert.deepStrictEqual([...a.peers.keys()], ['peer_b']);
+    assert.deepStrictEqual([...b.peers.keys()], ['peer_a']);
+    assert.deepStrictEqual([...c.peers.keys()], ['peer_d']);
+    assert.ok(isConnected(c, 'peer_d') && isConnected(d, 'peer_c'));
+    assert.ok(c.hasChunk(url), 'cache survives the switch');
+
+    await sim.destroy();
+    log('room migration tests passed');
+  }
+
+  // Source choice: CDN at the live edge and on low buffer, peers otherwise
+  {
+    const sim = await createSimulation({ peers: ['peer_a', 'peer_b', 'peer_c'] });
+    await sim.run(2000);
+    const [a, b, c] = ['peer_a', 'peer_b', 'peer_c'].map(id => sim.engines.get(id));
+    await verifyPublishers(sim, [a, b, c]);
+
+    const url = 'https://cdn.test/seg10.ts';
+    sim.cdn.addSegment(url, 1000);
+    await sim.runUntil(a.fetchChunk(url));
+    await sim.run(500);
+
+    assert.deepStrictEqual(b.chooseSource('https://cdn.test/seg11.ts', { sn: 11, liveEdgeSn: 11 }),
+      { source: 'cdn', reason: 'live-edge' });
+    // One publisher is not enough to trust its digest
+    assert.deepStrictEqual(b.chooseSource(url, { sn: 10, liveEdgeSn: 11, bufferAhead: 20 }),
+      { source: 'cdn', reason: 'no-digest' });
+
+    const lowBuffer = await sim.runUntil(b.loadChunk(url, { sn: 10, liveEdgeSn: 20, bufferAhead: 2 }));
+    assert.strictEqual(lowBuffer.source, 'cdn');
+    assert.strictEqual(lowBuffer.reason, 'low-buffer');
+    assert.strictEqual(sim.cdn.requestCount(), 5);
+    await sim.run(500);
+    assert.deepStrictEqual(c.chooseSource(url, { sn: 10, liveEdgeSn: 11, bufferAhead: 20 }),
+      { source: 'p2p', reason: 'live-edge-peer' });
+
+    const comfortable = await sim.runUntil(c.loadChunk(url, { sn: 10, liveEdgeSn: 20, bufferAhead: 20 }));
+    assert.strictEqual(comfortable.source, 'p2p');
+    assert.strictEqual(comfortable.reason, 'peer-has-chunk');
+    assert.strictEqual(sim.cdn.requestCount(), 5);
+    assert.deepStrictEqual(c.getStats().lastSource, { source: 'p2p', reason: 'peer-has-chunk', sn: 10 });
+    assert.strictEqual(b.getStats().sourceReasons['low-buffer'], 1);
+
+    // Peers get only as long as the buffer allows
+    assert.strictEqual(c._getP2PTimeout({ reason: 'peer-has-chunk' }, 7), c.config.peerRequestTimeout);
+    assert.strictEqual(c._getP2PTimeout({ reason: 'peer-has-chunk' }, 30), c.config.chunkTimeout);
+
+    await sim.destroy();
+    log('source choice tests passed');
+  }
+
+  // Forged digests: fresh peer ids and one publisher are not trusted,
+  // our own CDN bytes overrule two
+  {
+    const sim = await createSimulation({ peers: ['peer_a', 'peer_m1', 'peer_m2', 'peer_s1', 'peer_s2'] });
+    await sim.run(2000);
+    const [a, m1, m2, s1, s2] = ['peer_a', 'peer_m1', 'peer_m2', 'peer_s1', 'peer_s2'].map(id => sim.engines.get(id));
+
+    const url = 'https://cdn.test/forged.ts';
+    const real = new Uint8Array(sim.cdn.addSegment(url, 1000));
+    // Digests ride on have messages over the data channel
+    const forge = async (engine) => engine.peers.get('peer_a').dataChannel.send(JSON.stringify({
+      type: 'have',
+      urls: [url],
+      digests: { [url]: 'f'.repeat(64) },
+    }));
+
+    // peer_s1 and peer_s2 never proved a digest against our CDN bytes
+    await sim.runUntil(forge(s1));
+    await sim.runUntil(forge(s2));
+    await sim.run(500);
+    assert.strictEqual(a.chunkDigests.has(url), false, 'unverified publishers are not trusted');
+
+    // peer_m1 and peer_m2 published honest digests for a segment we fetched
+    await verifyPublishers(sim, [m1, m2, a]);
+    assert.deepStrictEqual([...a.verifiedPublishers].sort(), ['peer_m1', 'peer_m2']);
+
+    await sim.runUntil(forge(m1));
+    await sim.run(500);
+    assert.strictEqual(a.chunkDigests.has(url), false, 'a single publisher is not trusted');
+
+    await sim.runUntil(forge(m2));
+    await sim.run(500);
+    assert.strictEqual(a.chunkDigests.get(url).source, 'peers');
+
+    const data = await sim.runUntil(a.fetchChunk(url));
+    assert.deepStrictEqual(new Uint8Array(data), real);
+    assert.strictEqual(a.chunkDigests.get(url).source, 'cdn', 'CDN digest replaces the forged one');
+    assert.strictEqual(a.integrityStrikes.get('peer_m1'), 1);
+    assert.strictEqual(a.integrityStrikes.get('peer_m2'), 1);
+
+    // Once we hashed the bytes ourselves, a contradicting digest is a strike
+    await sim.runUntil(forge(m1));
+    await sim.run(500);
+    assert.ok(a.bannedPeers.has('peer_m1'), 'second strike bans');
+    assert.strictEqual(a.peers.has('peer_m1'), false);
+
+    await sim.destroy();
+    log('forged digest tests passed');
+  }
+
+  // Reload: restored segments come back with their digests and are seeded again
+  {
+    const sim = await createSimulation({ peers: ['peer_b', 'peer_c'] });
+    await sim.run(2000);
+    const [b, c] = ['peer_b', 'peer_c'].map(id => sim.engines.get(id));
+
+    const url = 'https://cdn.test/restored.ts';
+    const bytes = sim.cdn.addSegment(url, 1000);
+    await sim.runUntil(b.fetchChunk(url));
+
+    const store = {
+      put: () => {},
+      delete: () => {},
+      loadRecent: async () => [{ url, data: bytes.slice(0), digest: await sha256Hex(bytes) }],
+    };
+    const r = await sim.addPeer('peer_r', {}, { segmentCache: new SegmentCache({ maxBytes: 1024 * 1024, store }) });
+    await sim.run(2000);
+
+    assert.ok(r.hasChunk(url));
+    assert.strictEqual(r.chunkDigests.get(url).source, 'cache');
+    assert.strictEqual(c.chunkDigests.has(url), false, 'publishers not verified yet');
+
+    // peer_b's CDN digest and peer_r's restored one agree, and count once verified
+    await verifyPublishers(sim, [b, r, c]);
+    assert.strictEqual(c.chunkDigests.get(url).source, 'peers');
+    const result = await sim.runUntil(c.loadChunk(url, { sn: 1, liveEdgeSn: 20, bufferAhead: 20 }));
+    assert.strictEqual(result.source, 'p2p');
+    assert.strictEqual(sim.cdn.requestCount(), 4);
+
+    // Stop -> start: peer_r keeps its digests and still vouches for its cache
+    await sim.runUntil(r._stopSwarm());
+    await sim.runUntil(r._startSwarm());
+    assert.strictEqual(r.chunkDigests.get(url).source, 'cache');
+    sim.engines.delete('peer_b');
+    await sim.runUntil(b.destroy());
+
+    const d = await sim.addPeer('peer_d');
+    await sim.run(2000);
+    await verifyPublishers(sim, [d]);
+    assert.deepStrictEqual([...d.verifiedPublishers].sort(), ['peer_c', 'peer_r']);
+    const served = await sim.runUntil(d.loadChunk(url, { sn: 1, liveEdgeSn: 20, bufferAhead: 20 }));
+    assert.strictEqual(served.source, 'p2p');
+    assert.strictEqual(sim.cdn.requestCount(), 5);
+
+    await sim.destroy();
+    log('cache restore tests passed');
+  }
+
+  // Events: peers coming and going, transfers and CDN fallbacks
+  {
+    // One CDN fetcher for the transfers below: trust its digest alone
+    const sim = await createSimulation({ config: { minDigestPublishers: 1 } });
+    const a = await sim.addPeer('peer_a');
+    const events = [];
+    for (const type of Object.values(P2P_EVENTS)) {
+      a.on(type, (payload) => events.push({ type, ...payload }));
+    }
+    const ofType = (type) => events.filter(e => e.type === type);
+
+    const b = await sim.addPeer('peer_b');
+    const c = await sim.addPeer('peer_c');
+    await sim.run(2000);
+    assert.deepStrictEqual(ofType('peer-connected').map(e => e.peerId).sort(), ['peer_b', 'peer_c']);
+    await verifyPublishers(sim, [a, b, c]);
+    events.length = 0;
+
+    const url = 'https://cdn.test/events.ts';
+    sim.cdn.addSegment(url, 1000);
+    await sim.runUntil(a.fetchChunk(url));
+    assert.deepStrictEqual(ofType('fallback-to-cdn').map(e => [e.url, e.reason]), [[url, 'no-peer-has-chunk']]);
+
+    await sim.run(500);
+    await sim.runUntil(b.fetchChunk(url));
+    assert.deepStrictEqual(ofType('chunk-served').map(e => [e.peerId, e.url, e.bytes]), [['peer_b', url, 1000]]);
+
+    const received = [];
+    c.on(P2P_EVENTS.CHUNK_RECEIVED, (e) => received.push(e));
+    await sim.runUntil(c.fetchChunk(url));
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual(received[0].bytes, 1000);
+
+    sim.engines.delete('peer_c');
+    await c.destroy();
+    await sim.run(500);
+    // bye and the closed link race; the peer is reported once either way
+    assert.deepStrictEqual(ofType('peer-disconnected').map(e => e.peerId), ['peer_c']);
+    assert.ok(['bye', 'disconnected', 'closed'].includes(ofType('peer-disconnected')[0].reason));
+
+    const telemetry = a.getTelemetry();
+    assert.strictEqual(telemetry.peers.total, 1);
+    assert.strictEqual(telemetry.transfer.cdnFallbacks, 0, 'first load is not a fallback from P2P');
+    assert.strictEqual(telemetry.cache.bytes, 2000);
+    assert.strictEqual(telemetry.sources.last.reason, 'no-peer-has-chunk');
+    assert.strictEqual(telemetry.transfer.bytesShared, 2000);
+
+    await sim.destroy();
+    log('event tests passed');
+  }
+
+  // Scoring: RTT comes from ping/pong, downloads go to the best-scored source
+  {
+    const sim = await createSimulation({ peers: ['peer_a', 'peer_b', 'peer_c'], network: { latency: 30 } });
+    await sim.run(6000);
+    const a = sim.engines.get('peer_a');
+    const b = sim.engines.get('peer_b');
+    const c = sim.engines.get('peer_c');
+    await verifyPublishers(sim, [b, c, a]);
+
+    const rtt = a.peerStats.get('peer_b').rtt;
+    assert.ok(rtt >= 60 && rtt < 100, `rtt ${rtt}`);
+
+    // peer_b keeps failing for peer_a, so peer_c should be asked instead
+    a.peerStats.get('peer_b').recordFailure();
+    assert.ok(a.peerStats.get('peer_b').score() < a.peerStats.get('peer_c').score());
+
+    const url = 'https://cdn.test/scored.ts';
+    sim.cdn.addSegment(url, SEGMENT_SIZE);
+    await sim.runUntil(b.fetchChunk(url));
+    await sim.runUntil(c.fetchChunk(url));
+    await sim.run(500);
+
+    await sim.runUntil(a.fetchChunk(url));
+    assert.strictEqual(c.stats.bytesShared, SEGMENT_SIZE);
+    assert.strictEqual(b.stats.bytesShared, 0);
+    assert.ok(a.peerStats.get('peer_c').throughput > 0);
+
+    const scores = a.getStats().peerScores;
+    assert.deepStrictEqual(scores.map(p => p.peerId), ['peer_c', 'peer_b']);
+
+    // A peer that stops answering pings is dropped
+    b.peers.get('peer_a').dataChannel.onmessage = () => {};
+    await sim.run(a.config.peerTimeout + a.config.healthCheckInterval);
+    assert.strictEqual(a.peers.has('peer_b'), false);
+
+    await sim.destroy();
+    log('peer scoring tests passed');
+  }
+
+  // Tabs: one browser, one swarm; followers load through the leader tab
+  {
+    const sim = await createSimulation({ peers: ['peer_x'] });
+    const x = sim.engines.get('peer_x');
+    const t1 = await sim.runUntil(sim.addPeer('peer_t1', {}, { openTabChannel: sim.tabs.opener() }));
+    const t2 = await sim.runUntil(sim.addPeer('peer_t2', {}, { openTabChannel: sim.tabs.opener() }));
+    const roles = [];
+    t2.on(P2P_EVENTS.TAB_ROLE_CHANGED, (event) => roles.push(event.role));
+    await sim.run(2000);
+
+    assert.strictEqual(t1.tabs.role, 'leader');
+    assert.strictEqual(t2.tabs.role, 'follower');
+    assert.strictEqual(t2.tabs.leaderId, t1.tabs.tabId);
+    assert.strictEqual(t2.signaling, null, 'follower stays out of the swarm');
+    assert.deepStrictEqual([...x.peers.keys()], ['peer_t1']);
+
+    // A third tab on the shared channel overhears no segment traffic
+    const bystander = sim.tabs.createChannel(t1.tabs.channel.name);
+    const overheard = [];
+    bystander.onmessage = ({ data }) => overheard.push(data.type);
+
+    // Follower segment comes through the leader, which caches it for seeding
+    const leaderHints = [];
+    const leaderLoad = t1.loadChunk.bind(t1);
+    t1.loadChunk = (chunkUrl, hints) => {
+      leaderHints.push(hints);
+      return leaderLoad(chunkUrl, hints);
+    };
+    const url = 'https://cdn.test/tab.ts';
+    const expected = new Uint8Array(sim.cdn.addSegment(url, 1000));
+    const result = await sim.runUntil(t2.loadChunk(url, { headers: { Range: 'bytes=0-999' } }));
+    assert.strictEqual(result.source, 'tab');
+    assert.deepStrictEqual(new Uint8Array(result.data), expected);
+    assert.ok(t1.hasChunk(url) && t2.hasChunk(url));
+    assert.strictEqual(sim.cdn.requestCount(), 1);
+    assert.deepStrictEqual(leaderHints[0].headers, { range: 'bytes=0-999' }, 'request headers reach the leader');
+
+    // A segment the follower got from the CDN itself is handed to the leader
+    const shared = 'https://cdn.test/tab-shared.ts';
+    t2.storeCdnChunk(shared, new Uint8Array(500).buffer);
+    await sim.run(100);
+    assert.ok(t1.hasChunk(shared));
+    await sim.run(t1.tabs.heartbeatInterval);
+    assert.ok(overheard.length > 0, 'bystander hears the heartbeat');
+    assert.deepStrictEqual(overheard.filter(type => ['load', 'loaded', 'store'].includes(type)), []);
+    bystander.close();
+
+    // Leader tab closes: the follower takes over the swarm
+    sim.engines.delete('peer_t1');
+    await sim.runUntil(t1.destroy());
+    await sim.run(2000);
+    assert.strictEqual(t2.tabs.role, 'leader');
+    assert.deepStrictEqual(roles, ['leader']);
+    assert.ok(isConnected(t2, 'peer_x') && isConnected(x, 'peer_t2'));
+
+    // A tab that dies without resigning is replaced after leaderTimeout
+    const t3 = await sim.runUntil(sim.addPeer('peer_t3', {}, { openTabChannel: sim.tabs.opener() }));
+    assert.strictEqual(t3.tabs.role, 'follower');
+    sim.tabs.crash(t2.tabs.channel, t2.tabs.inbox);
+    await sim.run(t3.tabs.leaderTimeout + 2000);
+    assert.strictEqual(t3.tabs.role, 'leader');
+    assert.ok(t3.signaling);
+
+    await sim.destroy();
+    log('multi-tab tests passed');
+  }
+
+  log('All p2p-engine tests completed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
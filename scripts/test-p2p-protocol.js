@@ -0,0 +1,140 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const {
+  HEADER_SIZE,
+  encodeFrame,
+  decodeFrame,
+  encodeFrames,
+  sendFrames,
+  TransferAssembler,
+} = require('../lib/p2p-protocol.js');
+
+function bytes(length) {
+  return Uint8Array.from({ length }, (_, i) => i % 251);
+}
+
+// Data channel stand-in: bufferedAmount grows on send, drain() empties it
+class FakeChannel extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = 'open';
+    this.bufferedAmount = 0;
+    this.sent = [];
+  }
+  addEventListener(type, cb) { this.on(type, cb); }
+  removeEventListener(type, cb) { this.off(type, cb); }
+  send(data) {
+    this.sent.push(data);
+    this.bufferedAmount += data.byteLength;
+  }
+  drain() {
+    this.bufferedAmount = 0;
+    this.emit('bufferedamountlow');
+  }
+}
+
+// encodeFrame / decodeFrame tests
+(() => {
+  const frame = decodeFrame(encodeFrame({
+    requestId: 7,
+    seq: 3,
+    totalLength: 1000,
+    payload: new Uint8Array([1, 2, 3]),
+  }));
+  assert.strictEqual(frame.requestId, 7);
+  assert.strictEqual(frame.seq, 3);
+  assert.strictEqual(frame.totalLength, 1000);
+  assert.deepStrictEqual(Array.from(frame.payload), [1, 2, 3]);
+
+  const wrongVersion = encodeFrame({ requestId: 1, seq: 0, totalLength: 0, payload: new Uint8Array() });
+  new DataView(wrongVersion).setUint8(0, 99);
+  assert.strictEqual(decodeFrame(wrongVersion), null);
+  assert.strictEqual(decodeFrame(new ArrayBuffer(4)), null);
+  console.log('encodeFrame/decodeFrame tests passed');
+})();
+
+// encodeFrames + TransferAssembler tests
+(() => {
+  const data = bytes(1000);
+  const frames = encodeFrames(5, data, 256);
+  assert.strictEqual(frames.length, Math.ceil(1000 / (256 - HEADER_SIZE)));
+  assert.ok(frames.every(f => f.byteLength <= 256));
+
+  const assembler = new TransferAssembler();
+  let result = null;
+  frames.forEach(f => { result = assembler.push(decodeFrame(f)) || result; });
+  assert.deepStrictEqual(new Uint8Array(result), data);
+  assert.strictEqual(assembler.transfers.size, 0);
+
+  // Empty segment completes on its single frame
+  const empty = encodeFrames(6, new Uint8Array(), 256);
+  assert.strictEqual(empty.length, 1);
+  assert.strictEqual(new TransferAssembler().push(decodeFrame(empty[0])).byteLength, 0);
+  console.log('encodeFrames tests passed');
+})();
+
+// Concurrent transfers interleaved on one channel
+(() => {
+  const a = bytes(700);
+  const b = bytes(500).reverse();
+  const framesA = encodeFrames(1, a, 128);
+  const framesB = encodeFrames(2, b, 128);
+
+  const assembler = new TransferAssembler();
+  const done = {};
+  for (let i = 0; i < Math.max(framesA.length, framesB.length); i++) {
+    for (const [id, frames] of [[1, framesA], [2, framesB]]) {
+      if (!frames[i]) continue;
+      const out = assembler.push(decodeFrame(frames[i]));
+      if (out) done[id] = new Uint8Array(out);
+    }
+  }
+  assert.deepStrictEqual(done[1], a);
+  assert.deepStrictEqual(done[2], b);
+
+  // Gaps are rejected and the transfer dropped
+  const frames = encodeFrames(3, bytes(400), 128);
+  const broken = new TransferAssembler();
+  broken.push(decodeFrame(frames[0]));
+  assert.throws(() => broken.push(decodeFrame(frames[2])), /out of sequence/);
+  assert.strictEqual(broken.transfers.size, 0);
+
+  // A peer-supplied length above the limit is refused before allocating
+  const huge = new TransferAssembler();
+  const oversized = decodeFrame(encodeFrame({ requestId: 4, seq: 0, totalLength: 0xffffffff, payload: bytes(16) }));
+  assert.throws(() => huge.push(oversized), /too large/);
+  assert.throws(() => huge.push(decodeFrame(frames[0]), { maxLength: 100 }), /too large/);
+  assert.strictEqual(huge.transfers.size, 0);
+  console.log('TransferAssembler tests passed');
+})();
+
+// sendFrames backpressure tests
+(async () => {
+  const dc = new FakeChannel();
+  const frames = encodeFrames(1, bytes(1000), 256);
+  const sending = sendFrames(dc, frames, { highWaterMark: 300 });
+
+  await new Promise(r => setImmediate(r));
+  // Two frames fit under the high water mark, then it waits
+  assert.strictEqual(dc.sent.length, 2);
+
+  dc.drain();
+  await new Promise(r => setImmediate(r));
+  assert.strictEqual(dc.sent.length, 4);
+
+  dc.drain();
+  await sending;
+  assert.strictEqual(dc.sent.length, frames.length);
+
+  // Closing while paused rejects
+  const closing = new FakeChannel();
+  const pending = sendFrames(closing, encodeFrames(2, bytes(1000), 256), { highWaterMark: 0 });
+  await new Promise(r => setImmediate(r));
+  closing.readyState = 'closed';
+  closing.emit('close');
+  await assert.rejects(pending, /closed/);
+  console.log('sendFrames tests passed');
+})();
+
+// Finish
+setTimeout(() => console.log('All p2p-protocol tests completed'), 200);
@@ -0,0 +1,363 @@
+const assert = require('assert');
+const WebSocket = require('ws');
+const { createSignalServer, createTicketVerifier } = require('./p2p-signal-server.js');
+const {
+  WebSocketSignalingTransport,
+  EventSourceSignalingTransport,
+  PollingSignalingTransport,
+  connectSignaling,
+} = require('../lib/p2p-signaling.js');
+
+// Minimal EventSource stand-in driven by the test
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.listeners = {};
+    FakeEventSource.last = this;
+  }
+  addEventListener(type, cb) { this.listeners[type] = cb; }
+  open() { this.readyState = 1; this.onopen(); }
+  push(signal) { this.listeners.signal({ data: JSON.stringify(signal) }); }
+  fail() { this.readyState = 2; this.onerror(); }
+  close() { this.readyState = 2; }
+}
+
+function waitFor(predicate, timeoutMs = 2000) {
+  const start = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - start > timeoutMs) return reject(new Error('waitFor timeout'));
+      setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+(async () => {
+  const server = createSignalServer({ port: 0, host: '127.0.0.1', log: () => {} });
+  await server.ready;
+  const url = `ws://127.0.0.1:${server.port}`;
+
+  // WebSocket transport relays direct and broadcast signals
+  const receivedA = [];
+  const receivedB = [];
+  const a = new WebSocketSignalingTransport({ url, WebSocketImpl: WebSocket });
+  const b = new WebSocketSignalingTransport({ url, WebSocketImpl: WebSocket });
+  await a.connect({ roomId: 'room-1', peerId: 'peer-a', onSignal: (s) => receivedA.push(s) });
+  await b.connect({ roomId: 'room-1', peerId: 'peer-b', onSignal: (s) => receivedB.push(s) });
+
+  await a.send({ type: 'announce', payload: { peerId: 'peer-a' } });
+  await waitFor(() => receivedB.length === 1);
+  assert.strictEqual(receivedB[0].from_peer, 'peer-a');
+  assert.strictEqual(receivedB[0].to_peer, null);
+  assert.strictEqual(receivedA.length, 0, 'sender should not receive its own broadcast');
+
+  await b.send({ type: 'offer', to: 'peer-a', payload: { offer: { type: 'offer', sdp: 'x' } } });
+  await waitFor(() => receivedA.length === 1);
+  assert.strictEqual(receivedA[0].type, 'offer');
+  assert.deepStrictEqual(receivedA[0].payload, { offer: { type: 'offer', sdp: 'x' } });
+
+  // Invalid types are dropped by the server
+  await a.send({ type: 'not-a-signal', payload: {} });
+  await new Promise((r) => setTimeout(r, 50));
+  assert.strictEqual(receivedB.length, 1, 'invalid type should not be relayed');
+
+  // Server-side close triggers onClose on a connected transport
+  let closed = false;
+  const c = new WebSocketSignalingTransport({ url, WebSocketImpl: WebSocket });
+  await c.connect({ roomId: 'room-2', peerId: 'peer-c', onSignal: () => {}, onClose: () => { closed = true; } });
+  server.rooms.get('room-2').get('peer-c').close();
+  await waitFor(() => closed);
+
+  await a.close();
+  await b.close();
+  console.log('WebSocketSignalingTransport tests passed');
+
+  // Ticket-checking server rejects missing/foreign tickets
+  process.env.P2P_TICKET_SECRET = 'test-secret';
+  const { issuePeerTicket } = require('../lib/p2p-ticket.js');
+  const secured = createSignalServer({ port: 0, host: '127.0.0.1', log: () => {}, verifyTicket: createTicketVerifier() });
+  await secured.ready;
+  const securedUrl = `ws://127.0.0.1:${secured.port}`;
+  const { ticket } = await issuePeerTicket({ matchId: '7', peerId: 'peer-t' });
+
+  const noTicket = new WebSocketSignalingTransport({ url: securedUrl, WebSocketImpl: WebSocket });
+  await assert.rejects(noTicket.connect({ roomId: 'match_7', peerId: 'peer-t', onSignal: () => {} }));
+
+  const wrongRoom = new WebSocketSignalingTransport({ url: securedUrl, WebSocketImpl: WebSocket });
+  await assert.rejects(wrongRoom.connect({ roomId: 'match_8', peerId: 'peer-t', getTicket: () => ticket, onSignal: () => {} }));
+
+  const withTicket = new WebSocketSignalingTransport({ url: securedUrl, WebSocketImpl: WebSocket });
+  await withTicket.connect({ roomId: 'match_7:link1', peerId: 'peer-t', getTicket: () => ticket, onSignal: () => {} });
+  await withTicket.close();
+  await secured.close();
+  console.log('Signal server ticket tests passed');
+
+  // TURN credentials follow the coturn REST scheme
+  const { createHmac } = require('crypto');
+  const { createTurnCredential, getIceServers } = require('../lib/turn-credentials.js');
+  const cred = await createTurnCredential('peer-t', { secret: 'turn-secret', ttlSeconds: 600, now: 1700000000000 });
+  assert.strictEqual(cred.username, '1700000600:peer-t');
+  assert.strictEqual(cred.credential, createHmac('sha1', 'turn-secret').update(cred.username).digest('base64'));
+
+  process.env.TURN_SECRET = 'turn-secret';
+  process.env.TURN_URLS = 'turn:turn.example.com:3478, turns:turn.example.com:5349';
+  const anonymous = await getIceServers(null);
+  assert.strictEqual(anonymous.iceServers.length, 1, 'no TURN without a verified peer');
+  const withTurn = await getIceServers('peer-t');
+  assert.deepStrictEqual(withTurn.iceServers[1].urls, ['turn:turn.example.com:3478', 'turns:turn.example.com:5349']);
+  assert.ok(withTurn.iceServers[1].username.endsWith(':peer-t'));
+  delete process.env.TURN_SECRET;
+  delete process.env.TURN_URLS;
+  console.log('TURN credential tests passed');
+
+  // Room tracker fills shards up to the cap and keeps members where they are
+  const { createRoomTracker, parseShardRoomId } = require('../lib/p2p-tracker.js');
+  let trackerNow = 0;
+  const tracker = createRoomTracker({ cap: 2, ttlMs: 1000, now: () => trackerNow });
+  const key = 'match_7:link1:720p';
+  assert.strictEqual((await tracker.join(key, 'p1')).roomId, `${key}:s0`);
+  assert.strictEqual((await tracker.join(key, 'p2')).roomId, `${key}:s0`);
+  const third = await tracker.join(key, 'p3');
+  assert.deepStrictEqual(third, { roomId: `${key}:s1`, shard: 1, members: 1 });
+  assert.strictEqual((await tracker.join(key, 'p1')).roomId, `${key}:s0`, 'rejoin keeps the shard');
+  assert.strictEqual((await tracker.join(key, 'p3', `${key}:s1`)).roomId, `${key}:s1`, 'heartbeat keeps the shard');
+  await tracker.leave(`${key}:s0`, 'p2');
+  assert.strictEqual((await tracker.join(key, 'p4')).roomId, `${key}:s0`, 'freed slot is reused');
+  trackerNow = 1500;
+  assert.strictEqual((await tracker.join(key, 'p5')).roomId, `${key}:s0`, 'stale members expire');
+  assert.strictEqual((await tracker.join('match_7:link2', 'p1', `${key}:s0`)).roomId, 'match_7:link2:s0');
+  assert.deepStrictEqual(parseShardRoomId('match_7:s12'), { roomKey: 'match_7', shard: 12 });
+  assert.strictEqual(parseShardRoomId('match_7'), null);
+  console.log('Room tracker tests passed');
+
+  // Presence rolls heartbeat stats up per room and per match
+  const { createPresence, sanitizePresenceStats } = require('../lib/p2p-presence.js');
+  let presenceNow = 0;
+  const presence = createPresence({ ttlMs: 1000, costPerGb: 0.1, now: () => presenceNow });
+  const GB = 1073741824;
+  await presence.report('match_7:link1:s0', 'p1', { bytesFromPeers: 3 * GB, bytesFromCdn: GB, bytesShared: GB });
+  await presence.report('match_7:link1:s0', 'p2', { bytesFromPeers: GB, bytesFromCdn: GB });
+  await presence.report('match_7:link2:s0', 'p3', { bytesFromCdn: 2 * GB });
+  await presence.report('match_8:s0', 'p4', { bytesFromPeers: 'lots', bytesFromCdn: -5 });
+
+  let summary = await presence.summary();
+  assert.deepStrictEqual(summary.rooms.map(r => [r.roomId, r.peers]), [
+    ['match_7:link1:s0', 2], ['match_7:link2:s0', 1], ['match_8:s0', 1],
+  ]);
+  assert.strictEqual(summary.rooms[0].roomKey, 'match_7:link1');
+  const match7 = summary.matches.find(m => m.matchId === '7');
+  assert.strictEqual(match7.rooms, 2);
+  assert.strictEqual(match7.peers, 3);
+  assert.strictEqual(match7.offloadRatio, 0.5);
+  assert.strictEqual(match7.estimatedSavings, 0.4);
+  assert.deepStrictEqual(sanitizePresenceStats({ bytesFromPeers: 'lots', bytesFromCdn: -5, extra: 1 }),
+    { bytesFromPeers: 0, bytesFromCdn: 0, bytesShared: 0 });
+
+  assert.deepStrictEqual((await presence.summary({ matchId: 8 })).matches.map(m => m.matchId), ['8']);
+  await presence.leave('match_7:link2:s0', 'p3');
+  presenceNow = 800;
+  await presence.report('match_7:link1:s0', 'p1', { bytesFromPeers: 4 * GB });
+  presenceNow = 1500;
+  summary = await presence.summary();
+  assert.deepStrictEqual(summary.rooms.map(r => r.roomId), ['match_7:link1:s0'], 'silent peers drop out');
+  assert.strictEqual(summary.rooms[0].bytesFromPeers, 4 * GB);
+  console.log('Room presence tests passed');
+
+  // Signal janitor sweeps expired signals of every room, once per interval
+  const { createSignalJanitor, createMemoryLock, createRedisLock } = require('../lib/p2p-signal-janitor.js');
+  const stubSupabase = (rows, error = null) => ({
+    from(table) {
+      assert.strictEqual(table, 'signals');
+      let cutoff = null;
+      const query = {
+        delete: () => query,
+        lt(column, value) {
+          assert.strictEqual(column, 'expires_at');
+          cutoff = value;
+          return query;
+        },
+        async select() {
+          if (error) return { data: null, error };
+          const expired = rows.filter(row => row.expires_at < cutoff);
+          rows.splice(0, rows.length, ...rows.filter(row => row.expires_at >= cutoff));
+          return { data: expired.map(row => ({ room_id: row.room_id })), error: null };
+        },
+      };
+      return query;
+    },
+  });
+  const iso = (ms) => new Date(ms).toISOString();
+  let janitorNow = Date.parse('2024-01-01T00:10:00Z');
+  const rows = [
+    { room_id: 'match_1:s0', expires_at: iso(janitorNow - 5000) },
+    { room_id: 'match_1:s0', expires_at: iso(janitorNow - 1000) },
+    { room_id: 'match_2:s0', expires_at: iso(janitorNow - 1000) },
+    { room_id: 'match_2:s0', expires_at: iso(janitorNow + 30000) },
+  ];
+  const janitor = createSignalJanitor({ client: stubSupabase(rows), intervalMs: 60000, now: () => janitorNow });
+
+  const sweep = await janitor.maybeRun();
+  assert.strictEqual(sweep.deleted, 3);
+  assert.deepStrictEqual(sweep.rooms, { 'match_1:s0': 2, 'match_2:s0': 1 });
+  assert.strictEqual(rows.length, 1);
+  assert.deepStrictEqual(await janitor.maybeRun(), { ran: false, reason: 'locked' });
+  assert.strictEqual((await janitor.run({ force: true })).deleted, 0, 'forced sweep ignores the lock');
+  janitorNow += 60000;
+  assert.strictEqual((await janitor.maybeRun()).deleted, 1, 'next interval sweeps again');
+
+  const failing = createSignalJanitor({ client: stubSupabase([], { message: 'db down' }) });
+  assert.deepStrictEqual(await failing.maybeRun(), { ran: false, reason: 'error' });
+  assert.deepStrictEqual(await failing.maybeRun(), { ran: false, reason: 'error' }, 'a failed sweep releases the lock');
+
+  // A sweep that never finishes (killed with its request) only holds its short claim
+  const killedRows = [{ room_id: 'match_3:s0', expires_at: iso(janitorNow - 1000) }];
+  const killedLock = createMemoryLock();
+  await killedLock.acquire('p2p:signals:janitor', 30000, janitorNow);
+  const afterKill = createSignalJanitor({ client: stubSupabase(killedRows), lock: killedLock, now: () => janitorNow });
+  assert.deepStrictEqual(await afterKill.maybeRun(), { ran: false, reason: 'locked' });
+  janitorNow += 30000;
+  assert.strictEqual((await afterKill.maybeRun()).deleted, 1);
+  assert.deepStrictEqual(await createSignalJanitor({ client: null }).run(), { ran: false, reason: 'no-supabase' });
+
+  // Redis lock: SET NX PX, only the first caller wins
+  const redisKeys = new Map();
+  const redisLock = createRedisLock({
+    async set(key, value, { nx, px }) {
+      assert.strictEqual(px, 60000);
+      if (nx && redisKeys.has(key)) return null;
+      redisKeys.set(key, value);
+      return 'OK';
+    },
+    async del(key) {
+      redisKeys.delete(key);
+    },
+  });
+  assert.strictEqual(await redisLock.acquire('lock', 60000), true);
+  assert.strictEqual(await redisLock.acquire('lock', 60000), false);
+  await redisLock.release('lock');
+  assert.strictEqual(await redisLock.acquire('lock', 60000), true);
+  console.log('Signal janitor tests passed');
+
+  // SSE transport resolves on open, dispatches signals and reports a dead stream
+  const originalFetch = global.fetch;
+  const posted = [];
+  global.fetch = async (url, options = {}) => {
+    if (options.method === 'POST') posted.push({ ...JSON.parse(options.body), auth: options.headers.Authorization });
+    return { ok: true, json: async () => ({ success: true, data: [] }) };
+  };
+
+  const sseSignals = [];
+  let sseClosed = false;
+  const sse = new EventSourceSignalingTransport({ url: '/api/p2p-signal', EventSourceImpl: FakeEventSource });
+  const sseConnected = sse.connect({
+    roomId: 'room-4',
+    peerId: 'peer-e',
+    getTicket: () => 'ticket-e',
+    onSignal: (s) => sseSignals.push(s),
+    onClose: () => { sseClosed = true; },
+  });
+  const source = FakeEventSource.last;
+  assert.strictEqual(source.url, '/api/p2p-signal/stream?room_id=room-4&peer=peer-e&ticket=ticket-e');
+  source.open();
+  await sseConnected;
+
+  // Ticket renewal reopens the stream with the new ticket in the URL
+  const ticketedSignals = [];
+  let currentTicket = 't1';
+  const ticketed = new EventSourceSignalingTransport({ EventSourceImpl: FakeEventSource });
+  const ticketedConnected = ticketed.connect({ roomId: 'room-5', peerId: 'peer-h', getTicket: () => currentTicket, onSignal: (s) => ticketedSignals.push(s) });
+  const firstSource = FakeEventSource.last;
+  assert.ok(firstSource.url.endsWith('ticket=t1'));
+  firstSource.open();
+  await ticketedConnected;
+  currentTicket = 't2';
+  const refreshed = ticketed.refreshTicket();
+  const secondSource = FakeEventSource.last;
+  assert.ok(secondSource.url.endsWith('ticket=t2'));
+  secondSource.open();
+  await refreshed;
+  assert.strictEqual(firstSource.readyState, 2, 'old stream should be closed');
+  assert.strictEqual(ticketed.source, secondSource);
+  await ticketed.close();
+  source.push({ id: 's1', from_peer: 'peer-f', type: 'announce', payload: {} });
+  assert.strictEqual(sseSignals.length, 1);
+  await sse.send({ type: 'answer', to: 'peer-f', payload: { answer: {} } });
+  assert.strictEqual(posted[0].from_peer, 'peer-e');
+  assert.strictEqual(posted[0].to_peer, 'peer-f');
+  assert.strictEqual(posted[0].auth, 'Bearer ticket-e');
+  source.fail();
+  assert.strictEqual(sseClosed, true, 'closed stream should trigger onClose');
+  await sse.close();
+
+  const rejected = new EventSourceSignalingTransport({ EventSourceImpl: FakeEventSource });
+  const rejectedConnect = rejected.connect({ roomId: 'room-4', peerId: 'peer-g', onSignal: () => {} });
+  FakeEventSource.last.fail();
+  await assert.rejects(rejectedConnect, /unavailable/);
+  console.log('EventSourceSignalingTransport tests passed');
+
+  // Polling sends a `since` cursor, skips rows it has seen and deletes only its own
+  const pollRequests = [];
+  const pollRows = [
+    { id: 's1', from_peer: 'peer-x', to_peer: null, type: 'announce', created_at: '2026-01-01T00:00:01.000Z' },
+    { id: 's2', from_peer: 'peer-x', to_peer: 'peer-p', type: 'offer', created_at: '2026-01-01T00:00:02.000Z' },
+  ];
+  global.fetch = async (url, options = {}) => {
+    pollRequests.push({ url, method: options.method || 'GET' });
+    const rows = new URL(url, 'http://localhost').searchParams.get('since') ? pollRows.slice(1) : pollRows;
+    return { ok: true, json: async () => ({ success: true, data: rows }) };
+  };
+  const polled = [];
+  const polling = new PollingSignalingTransport({ interval: 60000 });
+  await polling.connect({ roomId: 'room-5', peerId: 'peer-p', getTicket: () => 'ticket-p', onSignal: (s) => polled.push(s.id) });
+  await polling._poll();
+  await polling._poll();
+  assert.deepStrictEqual(polled, ['s1', 's2'], 'each signal handled once');
+  const pollGets = pollRequests.filter(r => r.method === 'GET').map(r => r.url);
+  assert.strictEqual(pollGets[0], '/api/p2p-signal?room_id=room-5&peer=peer-p');
+  assert.strictEqual(pollGets[1], '/api/p2p-signal?room_id=room-5&peer=peer-p&since=2026-01-01T00%3A00%3A02.000Z');
+  assert.deepStrictEqual(pollRequests.filter(r => r.method === 'DELETE').map(r => r.url), ['/api/p2p-signal?id=s2']);
+
+  // Failed polls are reported and back off; a 429 waits for Retry-After
+  const pollErrors = [];
+  polling.interval = 1000;
+  polling.onError = (error) => pollErrors.push(error.message);
+  global.fetch = async () => ({ ok: false, status: 429, headers: new Headers({ 'retry-after': '10' }) });
+  await polling._poll();
+  assert.deepStrictEqual(pollErrors, ['Signal poll failed: 429']);
+  assert.strictEqual(polling._nextDelay(), 10000);
+  global.fetch = async () => ({ ok: false, status: 503, headers: new Headers() });
+  await polling._poll();
+  assert.strictEqual(polling._nextDelay(), 4000, 'doubles per failure');
+  for (let i = 0; i < 5; i++) await polling._poll();
+  assert.strictEqual(polling._nextDelay(), 30000, 'capped at maxBackoff');
+  global.fetch = async () => ({ ok: true, json: async () => ({ success: true, data: [] }) });
+  await polling._poll();
+  assert.strictEqual(polling._nextDelay(), 1000, 'back to the interval');
+  await polling.close();
+  console.log('PollingSignalingTransport tests passed');
+
+  // connectSignaling falls back to polling when the socket cannot connect
+  const transport = await connectSignaling({
+    websocketUrl: 'ws://127.0.0.1:1',
+    signalingUrl: '/api/p2p-signal',
+    pollInterval: 1000,
+    connectTimeout: 500,
+    WebSocketImpl: WebSocket,
+    roomId: 'room-3',
+    peerId: 'peer-d',
+    onSignal: () => {},
+  });
+  assert.strictEqual(transport.name, 'polling', 'should fall back to polling');
+  await transport.close();
+  global.fetch = originalFetch;
+  console.log('connectSignaling fallback tests passed');
+
+  await server.close();
+  console.log('All p2p-signaling tests completed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
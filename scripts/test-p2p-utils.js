@@ -1,5 +1,18 @@
 const assert = require('assert');
-const { OfferBackoffManager, SimpleEmitter } = require('../lib/p2p-utils.js');
+const {
+  OfferBackoffManager,
+  SimpleEmitter,
+  TokenBucket,
+  PeerStats,
+  getRoomMatchId,
+  buildRoomKey,
+  getShardRoomId,
+  getRenditionId,
+  sha256Hex,
+  getUpcomingFragmentUrls,
+} = require('../lib/p2p-utils.js');
+const { normalizeSeedingPolicy, DEFAULT_SEEDING_POLICY } = require('../lib/p2p-seeding-policy.js');
+const { SegmentCache } = require('../lib/p2p-segment-cache.js');
 
 // OfferBackoffManager tests
 (() => {
@@ -22,6 +35,29 @@ const { OfferBackoffManager, SimpleEmitter } = require('../lib/p2p-utils.js');
   }, 150);
 })();
 
+// OfferBackoffManager delay tests
+(() => {
+  const realNow = Date.now;
+  let now = 1000000;
+  Date.now = () => now;
+
+  const mgr = new OfferBackoffManager({ maxAttempts: 3, cooldownMs: 60000, baseDelayMs: 1000, maxDelayMs: 1500 });
+  mgr.recordFailure('p');
+  assert.strictEqual(mgr.canAttempt('p'), false, 'blocked right after a failure');
+  assert.strictEqual(mgr.nextAttemptIn('p'), 1000);
+  now += 1000;
+  assert.strictEqual(mgr.canAttempt('p'), true);
+  mgr.recordFailure('p');
+  assert.strictEqual(mgr.nextAttemptIn('p'), 1500, 'doubling is capped at maxDelayMs');
+  mgr.recordFailure('p');
+  assert.strictEqual(mgr.nextAttemptIn('p'), 60001, 'cooldown after maxAttempts');
+  mgr.reset('p');
+  assert.strictEqual(mgr.canAttempt('p'), true);
+
+  Date.now = realNow;
+  console.log('OfferBackoffManager delay tests passed');
+})();
+
 // SimpleEmitter tests
 (() => {
   const em = new SimpleEmitter();
@@ -37,5 +73,140 @@ const { OfferBackoffManager, SimpleEmitter } = require('../lib/p2p-utils.js');
   console.log('SimpleEmitter tests passed');
 })();
 
+// getRoomMatchId tests
+(() => {
+  assert.strictEqual(getRoomMatchId('match_42'), '42');
+  assert.strictEqual(getRoomMatchId('match_42:link1:l2'), '42');
+  assert.strictEqual(getRoomMatchId('testroom'), null);
+  assert.strictEqual(getRoomMatchId('match_'), null);
+  assert.strictEqual(getRoomMatchId(undefined), null);
+  console.log('getRoomMatchId tests passed');
+})();
+
+// Room key tests
+(() => {
+  assert.strictEqual(buildRoomKey({ matchId: 42 }), 'match_42');
+  assert.strictEqual(buildRoomKey({ matchId: 42, link: 'link2', rendition: '720p' }), 'match_42:link2:720p');
+  assert.strictEqual(buildRoomKey({ matchId: 42, link: 'a:b' }), 'match_42:a_b');
+  assert.strictEqual(getShardRoomId('match_42:link2:720p', 3), 'match_42:link2:720p:s3');
+  assert.strictEqual(getRoomMatchId(getShardRoomId(buildRoomKey({ matchId: 42, link: 'link1' }), 0)), '42');
+  assert.strictEqual(getRenditionId({ height: 1080 }, 3), '1080p');
+  assert.strictEqual(getRenditionId({}, 2), 'l2');
+  console.log('room key tests passed');
+})();
+
+// SegmentCache tests
+(async () => {
+  const cache = new SegmentCache({ maxBytes: 300 });
+  cache.set('a', new ArrayBuffer(100));
+  cache.set('b', new ArrayBuffer(100));
+  cache.set('c', new ArrayBuffer(100));
+  assert.strictEqual(cache.bytes, 300);
+
+  // 'a' was read last, so 'b' is the least recently used
+  cache.get('a');
+  assert.deepStrictEqual(cache.set('d', new ArrayBuffer(150)), ['b', 'c']);
+  assert.deepStrictEqual([...cache.keys()], ['a', 'd']);
+  assert.strictEqual(cache.bytes, 250);
+
+  assert.deepStrictEqual(cache.set('huge', new ArrayBuffer(301)), []);
+  assert.strictEqual(cache.has('huge'), false, 'larger than the budget is skipped');
+
+  // Write-through to the store, restore the newest that fit
+  const puts = [];
+  const store = {
+    put: (url) => puts.push(url),
+    delete: () => {},
+    loadRecent: async (maxBytes) => [
+      { url: 'old', data: new ArrayBuffer(100), digest: 'a'.repeat(64) },
+      // Stored before digests were persisted: hashed on restore
+      { url: 'new', data: new ArrayBuffer(maxBytes - 100) },
+    ],
+  };
+  const persisted = new SegmentCache({ maxBytes: 300, store });
+  persisted.set('x', new ArrayBuffer(10));
+  assert.deepStrictEqual(puts, ['x']);
+  persisted.clear();
+  const restored = await persisted.restore();
+  assert.deepStrictEqual(restored.map(r => r.url), ['old', 'new']);
+  assert.strictEqual(restored[0].digest, 'a'.repeat(64));
+  assert.strictEqual(restored[1].digest, await sha256Hex(new ArrayBuffer(200)));
+  assert.deepStrictEqual([...persisted.keys()], ['old', 'new']);
+  assert.deepStrictEqual(puts, ['x'], 'restored segments are not written back');
+  console.log('SegmentCache tests passed');
+})();
+
+// sha256Hex tests
+(async () => {
+  const data = new TextEncoder().encode('abc');
+  assert.strictEqual(
+    await sha256Hex(data.buffer),
+    'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+  );
+  console.log('sha256Hex tests passed');
+})();
+
+// getUpcomingFragmentUrls tests
+(() => {
+  const fragments = [
+    { sn: 'initSegment', url: 'init.mp4' },
+    { sn: 12, url: 's12.ts' },
+    { sn: 10, url: 's10.ts' },
+    { sn: 11, url: 's11.ts' },
+    { sn: 13, url: 's13.ts' },
+  ];
+  assert.deepStrictEqual(getUpcomingFragmentUrls(fragments, 10, 2), ['s11.ts', 's12.ts']);
+  assert.deepStrictEqual(getUpcomingFragmentUrls(fragments, 12, 5), ['s13.ts']);
+  assert.deepStrictEqual(getUpcomingFragmentUrls(fragments, 13, 3), []);
+  assert.deepStrictEqual(getUpcomingFragmentUrls(null, 1, 3), []);
+  assert.deepStrictEqual(getUpcomingFragmentUrls(fragments, 'initSegment', 3), []);
+  console.log('getUpcomingFragmentUrls tests passed');
+})();
+
+// TokenBucket tests
+(() => {
+  const bucket = new TokenBucket(1000, 1000); // 1000 bytes/s
+  assert.strictEqual(bucket.take(1000, 0), 0);
+  // Empty bucket: 500 bytes more is half a second of debt
+  assert.strictEqual(bucket.take(500, 0), 500);
+  // After 1.5 s the debt is repaid and 1000 tokens are back (burst cap)
+  assert.strictEqual(bucket.take(1000, 1500), 0);
+  console.log('TokenBucket tests passed');
+})();
+
+// PeerStats tests
+(() => {
+  const fresh = new PeerStats({ now: 0 });
+  const fast = new PeerStats({ now: 0 });
+  fast.recordRtt(20, 1000);
+  fast.recordTransfer(2 * 1024 * 1024, 500, 1000); // 4 MB/s
+  assert.strictEqual(fast.lastSeen, 1000);
+  assert.ok(fast.score() > fresh.score(), 'measured fast peer beats unknown');
+
+  const slow = new PeerStats();
+  slow.recordRtt(400);
+  slow.recordTransfer(256 * 1024, 2000); // 128 KB/s
+  assert.ok(slow.score() < fresh.score(), 'measured slow peer loses to unknown');
+
+  const flaky = new PeerStats({ alpha: 0.5 });
+  flaky.recordFailure();
+  flaky.recordFailure();
+  assert.strictEqual(flaky.successRate, 0.25);
+  assert.strictEqual(flaky.failures, 2);
+  assert.ok(flaky.score() < fresh.score() / 2);
+  console.log('PeerStats tests passed');
+})();
+
+// normalizeSeedingPolicy tests
+(() => {
+  assert.deepStrictEqual(normalizeSeedingPolicy(), DEFAULT_SEEDING_POLICY);
+  assert.deepStrictEqual(
+    normalizeSeedingPolicy({ maxUploadKbps: '512', maxUploadMB: -5, downloadOnly: 1 }),
+    { maxUploadKbps: 512, maxUploadMB: 0, downloadOnly: true, pauseOnCellular: true }
+  );
+  assert.strictEqual(normalizeSeedingPolicy({ maxUploadKbps: 'abc' }).maxUploadKbps, 0);
+  console.log('normalizeSeedingPolicy tests passed');
+})();
+
 // Finish
 setTimeout(() => console.log('All p2p-utils tests completed'), 200);